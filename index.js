@@ -68,6 +68,19 @@ const floraRoutes = require("./routes/flora");
 const varroaTestsRoutes = require("./routes/varroaTests");
 const subscriptionRouter = require("./routes/subscription");
 const billingRouter = require("./routes/billing");
+const stationsRouter = require("./routes/stations");
+const hiveTelemetryRouter = require("./routes/hiveTelemetry");
+const syncRouter = require("./routes/sync");
+const honeyLotsRouter = require("./routes/honeyLots");
+const inspectionRulesRouter = require("./routes/inspectionRules");
+const tasksRouter = require("./routes/tasks");
+const notificationsRouter = require("./routes/notifications");
+const calendarRouter = require("./routes/calendar");
+const archiveRouter = require("./routes/archive");
+const genealogyRouter = require("./routes/genealogy");
+const breedingRouter = require("./routes/breeding");
+const matingRouter = require("./routes/mating");
+const { startNotificationScheduler } = require("./services/notificationService");
 // Mount routers
 app.use("/api/apiaries", apiariesRouter);
 app.use("/api/hives", hivesRouter);
@@ -113,6 +126,18 @@ app.use("/api/flora", floraRoutes);
 app.use("/api/varroa-tests", varroaTestsRoutes);
 app.use("/api", subscriptionRouter);
 app.use("/api/billing", billingRouter);
+app.use("/api/stations", stationsRouter);
+app.use("/api/hive-telemetry", hiveTelemetryRouter);
+app.use("/api/sync", syncRouter);
+app.use("/api/honey-lots", honeyLotsRouter);
+app.use("/api/inspection-rules", inspectionRulesRouter);
+app.use("/api/tasks", tasksRouter);
+app.use("/api/notifications", notificationsRouter);
+app.use("/api/calendar", calendarRouter);
+app.use("/api/archive", archiveRouter);
+app.use("/api/genealogy", genealogyRouter);
+app.use("/api/breeding", breedingRouter);
+app.use("/api/mating", matingRouter);
 const PORT = Number(process.env.PORT) || 8080;
 const HOST = "0.0.0.0";
 
@@ -123,6 +148,9 @@ const server = app.listen(PORT, HOST, () => {
    console.log(`🚀 Server running at http://${HOST}:${PORT}`);
 });
 
+// 🔔 Reminders / bad weather notifications (or run scripts/send-notifications.js from cron)
+startNotificationScheduler(process.env.NOTIFICATION_JOB_INTERVAL_MINUTES);
+
 // ✅ Graceful shutdown (fix 502 during restarts)
 process.on("SIGTERM", () => {
    console.log("🛑 SIGTERM received. Closing server...");
@@ -1,6 +1,7 @@
 // middlewares/authMiddleware.js
 const jwt = require("jsonwebtoken");
 const { createClient } = require("@supabase/supabase-js");
+const { resolveStationFromPayload } = require("../services/stationService");
 require("dotenv").config();
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
@@ -41,23 +42,48 @@ module.exports = async function authenticateUser(req, res, next) {
    }
 
    // 🔹 2) Try station JWT first
+   let stationPayload = null;
    try {
       const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload?.role === "station") stationPayload = payload;
+   } catch (err) {
+      // Not a station token → continue with Supabase
+   }
 
-      if (payload?.role === "station") {
-         // 🔥 Station user (special case)
-         const jfmUserId = "76b4f5ae-03d7-41de-bdf6-9c1915b49009";
-
-         req.user = {
-            id: jfmUserId,
-            role: "station",
-            station: payload.station || "unknown",
-         };
+   if (stationPayload) {
+      // 🔥 Station → resolved from the stations registry (revocable per token)
+      let station = null;
+      try {
+         station = await resolveStationFromPayload(stationPayload);
+      } catch (err) {
+         console.error("❌ STATION_LOOKUP_FAILED", { path: req.originalUrl, message: err?.message });
+         return res.status(500).json({ error: "Server error while verifying station" });
+      }
 
-         return next();
+      if (!station) {
+         console.log("❌ 401 STATION_TOKEN_REVOKED", {
+            path: req.originalUrl,
+            station: stationPayload.station || null,
+            jti: stationPayload.jti || null,
+         });
+
+         return res.status(401).json({
+            where: "AUTH_MIDDLEWARE",
+            reason: "STATION_TOKEN_REVOKED",
+            message: "Station token is revoked, expired or the station is inactive",
+            path: req.originalUrl,
+         });
       }
-   } catch (err) {
-      // Not a station token → continue with Supabase
+
+      req.user = {
+         id: station.owner_user_id,
+         role: "station",
+         station: station.station_code,
+         station_id: station.station_id,
+         station_token_id: station.token_id,
+      };
+
+      return next();
    }
 
    // 🔹 3) Supabase user tokens (mobile/web users)
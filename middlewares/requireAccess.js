@@ -0,0 +1,65 @@
+const {
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadSuperAccess,
+   loadInspectionAccess,
+   loadQueenAccess,
+   loadSessionAccess,
+   loadLotAccess,
+   loadTaskAccess,
+} = require("../services/accessControl");
+
+const sessionLoader = (kind) => (ref, userId, action) =>
+   loadSessionAccess(kind, ref, userId, action);
+
+const LOADERS = {
+   apiary: loadApiaryAccess,
+   hive: loadHiveAccess,
+   super: loadSuperAccess,
+   inspection: loadInspectionAccess,
+   queen: loadQueenAccess,
+   swarm_session: sessionLoader("swarm"),
+   pairing_session: sessionLoader("pairing"),
+   nuc_session: sessionLoader("nuc"),
+   nuc_cycle: sessionLoader("nuc_cycle"),
+   notation_session: sessionLoader("notation"),
+   inventory_session: sessionLoader("inventory"),
+   honey_lot: loadLotAccess,
+   task: loadTaskAccess,
+};
+
+/**
+ * requireAccess("hive", "write", "hive_id")
+ * Loads the resource named by req.params[param] (or req.body[param]) and checks
+ * the user's role on it. On success: req.access = { role, hive | apiary | super | queen | session | lot | task … }
+ */
+function requireAccess(resource, action = "read", param = "id") {
+   const loader = LOADERS[resource];
+   if (!loader) throw new Error(`requireAccess: unknown resource '${resource}'`);
+
+   return async (req, res, next) => {
+      try {
+         const userId = req.user?.id;
+         if (!userId) {
+            return res.status(401).json({ error: "Unauthorized" });
+         }
+
+         const ref = req.params?.[param] ?? req.body?.[param];
+         const result = await loader(ref, userId, action);
+
+         if (!result.ok) {
+            return res.status(result.status).json({ error: result.error });
+         }
+
+         req.access = result;
+         next();
+      } catch (error) {
+         console.error("requireAccess error:", error);
+         return res.status(500).json({
+            error: "Failed to verify access",
+         });
+      }
+   };
+}
+
+module.exports = requireAccess;
@@ -0,0 +1,55 @@
+-- migrations/001_scale_stations.sql
+-- Scale stations (extraction room scales, Raspberry Pi devices…)
+
+CREATE TABLE IF NOT EXISTS stations (
+   station_id     SERIAL PRIMARY KEY,
+   owner_user_id  UUID NOT NULL,
+   station_code   TEXT NOT NULL UNIQUE,
+   label          TEXT,
+   location       TEXT,
+   active         BOOLEAN NOT NULL DEFAULT TRUE,
+   last_seen_at   TIMESTAMPTZ,
+   created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS stations_owner_idx ON stations (owner_user_id);
+
+-- One row per minted token (jti). Revoking = setting revoked_at.
+CREATE TABLE IF NOT EXISTS station_tokens (
+   token_id      UUID PRIMARY KEY,
+   station_id    INTEGER NOT NULL REFERENCES stations (station_id) ON DELETE CASCADE,
+   label         TEXT,
+   created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+   expires_at    TIMESTAMPTZ,
+   revoked_at    TIMESTAMPTZ,
+   last_used_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS station_tokens_station_idx ON station_tokens (station_id);
+
+-- Raw readings sent by a station. (station_id, seq) makes replays idempotent.
+-- status: matched | unmatched | rejected | ignored
+CREATE TABLE IF NOT EXISTS station_readings (
+   reading_id       BIGSERIAL PRIMARY KEY,
+   station_id       INTEGER NOT NULL REFERENCES stations (station_id) ON DELETE CASCADE,
+   seq              BIGINT NOT NULL,
+   public_key       TEXT,
+   gross_weight_kg  NUMERIC(10, 3),
+   measured_at      TIMESTAMPTZ NOT NULL,
+   status           TEXT NOT NULL DEFAULT 'unmatched',
+   reason           TEXT,
+   super_id         INTEGER,
+   harvest_id       INTEGER,
+   received_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+   resolved_at      TIMESTAMPTZ,
+   resolved_by      UUID,
+   UNIQUE (station_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS station_readings_status_idx ON station_readings (station_id, status);
+
+-- Register the legacy Pi (tarn_scale_01) so its already-deployed token keeps working
+INSERT INTO stations (owner_user_id, station_code, label)
+VALUES ('76b4f5ae-03d7-41de-bdf6-9c1915b49009', 'tarn_scale_01', 'Tarn extraction room scale')
+ON CONFLICT (station_code) DO NOTHING;
@@ -0,0 +1,19 @@
+-- migrations/002_hive_weight_telemetry.sql
+-- Hive scale telemetry, stored down-sampled (one row per hive per 15 min bucket)
+
+CREATE TABLE IF NOT EXISTS hive_weight_samples (
+   hive_id          INTEGER NOT NULL REFERENCES hives (hive_id) ON DELETE CASCADE,
+   bucket_start     TIMESTAMPTZ NOT NULL,
+   weight_sum_kg    NUMERIC(14, 3) NOT NULL,
+   sample_count     INTEGER NOT NULL,
+   min_weight_kg    NUMERIC(10, 3) NOT NULL,
+   max_weight_kg    NUMERIC(10, 3) NOT NULL,
+   last_weight_kg   NUMERIC(10, 3) NOT NULL,
+   last_measured_at TIMESTAMPTZ NOT NULL,
+   source           TEXT NOT NULL DEFAULT 'station', -- station | csv | manual
+   station_id       INTEGER REFERENCES stations (station_id) ON DELETE SET NULL,
+   updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+   PRIMARY KEY (hive_id, bucket_start)
+);
+
+CREATE INDEX IF NOT EXISTS hive_weight_samples_bucket_idx ON hive_weight_samples (bucket_start);
@@ -0,0 +1,10 @@
+-- migrations/003_company_roles.sql
+-- Company workspaces: canonical member roles (see services/accessControl.js)
+
+INSERT INTO roles (name)
+SELECT v.name
+FROM (VALUES ('owner'), ('manager'), ('field_worker'), ('read_only')) AS v (name)
+WHERE NOT EXISTS (SELECT 1 FROM roles r WHERE r.name = v.name);
+
+CREATE INDEX IF NOT EXISTS staff_members_user_idx ON staff_members (user_id) WHERE active = TRUE;
+CREATE INDEX IF NOT EXISTS apiaries_company_idx ON apiaries (company_id);
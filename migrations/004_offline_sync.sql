@@ -0,0 +1,49 @@
+-- migrations/004_offline_sync.sql
+-- Offline field capture: idempotent mutation ledger + updated_at on synced tables
+
+-- One row per client mutation. (user_id, client_id) makes retries no-ops.
+-- status: pending | applied | conflict | rejected
+CREATE TABLE IF NOT EXISTS sync_mutations (
+   user_id     UUID NOT NULL,
+   client_id   UUID NOT NULL,
+   entity      TEXT NOT NULL,
+   op          TEXT NOT NULL,
+   client_ts   TIMESTAMPTZ,
+   status      TEXT NOT NULL DEFAULT 'pending',
+   server_id   TEXT,
+   response    JSONB,
+   claimed_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+   applied_at  TIMESTAMPTZ,
+   PRIMARY KEY (user_id, client_id)
+);
+
+CREATE OR REPLACE FUNCTION touch_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+   NEW.updated_at = now();
+   RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delta pulls page on (updated_at, primary key)
+DO $$
+DECLARE
+   t TEXT;
+BEGIN
+   FOREACH t IN ARRAY ARRAY[
+      'hive_inspections',
+      'varroa_tests',
+      'interventions',
+      'apiary_notes',
+      'apiary_checklist_items'
+   ]
+   LOOP
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now()', t);
+      EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I (updated_at)', t || '_updated_at_idx', t);
+      EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_touch_updated_at', t);
+      EXECUTE format(
+         'CREATE TRIGGER %I BEFORE UPDATE ON %I FOR EACH ROW EXECUTE FUNCTION touch_updated_at()',
+         t || '_touch_updated_at',
+         t
+      );
+   END LOOP;
+END $$;
@@ -0,0 +1,25 @@
+-- migrations/005_treatment_register.sql
+-- Veterinary treatment register (registre d'élevage): batch tracking + withdrawal periods
+
+-- Product defaults. is_veterinary products are the ones listed in the register.
+-- Existing products start as FALSE; flag them via PATCH /api/admin/products/:id.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS is_veterinary   BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS amm_number      TEXT;    -- marketing authorisation
+ALTER TABLE products ADD COLUMN IF NOT EXISTS treatment_days  INTEGER; -- usual time in the hive
+ALTER TABLE products ADD COLUMN IF NOT EXISTS withdrawal_days INTEGER; -- honey withdrawal period
+
+-- Per intervention snapshot (product defaults can change after the treatment)
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS batch_number      TEXT;
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS prescription_ref  TEXT;
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS prescriber        TEXT;
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS treatment_end_at  TIMESTAMPTZ;
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS withdrawal_days   INTEGER;
+-- no harvest from the treated hives in [date_time, withdrawal_until)
+ALTER TABLE interventions ADD COLUMN IF NOT EXISTS withdrawal_until  TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS interventions_withdrawal_idx
+   ON interventions (apiary_id, withdrawal_until)
+   WHERE withdrawal_until IS NOT NULL;
+
+-- Harvest knowingly recorded during a withdrawal period
+ALTER TABLE harvests ADD COLUMN IF NOT EXISTS withdrawal_override BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,42 @@
+-- migrations/006_honey_lots.sql
+-- Honey lot traceability: harvests → extraction lot → packaging runs (jars)
+
+-- One extraction batch. Reachable by owner_user_id and, when set, company members.
+CREATE TABLE IF NOT EXISTS honey_lots (
+   lot_id           SERIAL PRIMARY KEY,
+   owner_user_id    UUID NOT NULL,
+   company_id       INTEGER,
+   lot_code         TEXT NOT NULL,
+   public_key       TEXT NOT NULL UNIQUE,   -- printed in the label QR
+   extraction_date  DATE,
+   moisture_pct     NUMERIC(4, 1),
+   floral_type      TEXT,
+   notes            TEXT,
+   created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+   UNIQUE (owner_user_id, lot_code)
+);
+
+CREATE INDEX IF NOT EXISTS honey_lots_company_idx ON honey_lots (company_id);
+
+-- A harvest (one super weighing) goes into exactly one lot
+CREATE TABLE IF NOT EXISTS honey_lot_harvests (
+   lot_id      INTEGER NOT NULL REFERENCES honey_lots (lot_id) ON DELETE CASCADE,
+   harvest_id  INTEGER NOT NULL UNIQUE REFERENCES harvests (id) ON DELETE CASCADE,
+   added_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+   PRIMARY KEY (lot_id, harvest_id)
+);
+
+CREATE TABLE IF NOT EXISTS honey_packaging_runs (
+   run_id       SERIAL PRIMARY KEY,
+   lot_id       INTEGER NOT NULL REFERENCES honey_lots (lot_id) ON DELETE CASCADE,
+   packaged_at  DATE NOT NULL DEFAULT CURRENT_DATE,
+   jar_size_g   INTEGER NOT NULL CHECK (jar_size_g > 0),
+   jar_count    INTEGER NOT NULL CHECK (jar_count > 0),
+   notes        TEXT,
+   created_by   UUID,
+   created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS honey_packaging_runs_lot_idx ON honey_packaging_runs (lot_id);
+CREATE INDEX IF NOT EXISTS harvests_hive_idx ON harvests (hive_id);
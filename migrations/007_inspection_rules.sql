@@ -0,0 +1,15 @@
+-- migrations/007_inspection_rules.sql
+-- BeeStats Coach thresholds per apiary owner and hive type (see services/inspectionRules.js)
+
+-- Immutable versions: an update inserts version + 1, the latest version is active.
+-- hive_type '' = every hive type of the owner; otherwise the normalized hives.hive_type name.
+CREATE TABLE IF NOT EXISTS inspection_rule_profiles (
+   profile_id     SERIAL PRIMARY KEY,
+   owner_user_id  UUID NOT NULL,
+   hive_type      TEXT NOT NULL DEFAULT '',
+   version        INTEGER NOT NULL,
+   params         JSONB NOT NULL,
+   note           TEXT,
+   created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+   UNIQUE (owner_user_id, hive_type, version)
+);
@@ -0,0 +1,23 @@
+-- migrations/008_inspection_analysis.sql
+-- Stored BeeStats Coach analysis per inspection (timelines, dashboard counts)
+-- Backfill existing inspections with: node scripts/backfill-inspection-analysis.js
+
+CREATE TABLE IF NOT EXISTS inspection_analyses (
+   inspection_id    INTEGER PRIMARY KEY REFERENCES hive_inspections(inspection_id) ON DELETE CASCADE,
+   hive_id          INTEGER NOT NULL,
+   inspection_date  DATE NOT NULL,
+   status           TEXT NOT NULL,            -- green | yellow | red
+   score            INTEGER NOT NULL,
+   confidence       NUMERIC(4,2) NOT NULL,
+   reason_codes     TEXT[] NOT NULL DEFAULT '{}',
+   action_codes     TEXT[] NOT NULL DEFAULT '{}',
+   suggested_revisit_days INTEGER,
+   rules            JSONB NOT NULL,           -- engine_version + profile versions used
+   analyzed_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inspection_analyses_hive_date_idx
+   ON inspection_analyses (hive_id, inspection_date, inspection_id);
+
+CREATE INDEX IF NOT EXISTS inspection_analyses_status_date_idx
+   ON inspection_analyses (status, inspection_date);
@@ -0,0 +1,18 @@
+-- migrations/009_inspection_revisions.sql
+-- Audit trail of inspection edits (who changed which field, when).
+-- No FK: revisions outlive a deleted inspection.
+
+-- action: create | update | delete
+-- changes: { field: { from, to } } (create: from = null, delete: to = null)
+CREATE TABLE IF NOT EXISTS inspection_revisions (
+   revision_id    BIGSERIAL PRIMARY KEY,
+   inspection_id  INTEGER NOT NULL,
+   hive_id        INTEGER,
+   action         TEXT NOT NULL,
+   changed_by     UUID,
+   changed_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+   changes        JSONB NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS inspection_revisions_inspection_idx
+   ON inspection_revisions (inspection_id, changed_at);
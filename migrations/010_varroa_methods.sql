@@ -0,0 +1,22 @@
+-- migrations/010_varroa_methods.sql
+-- More varroa test methods, sticky board exposure, season-aware thresholds per owner
+
+ALTER TABLE varroa_tests
+   ADD COLUMN IF NOT EXISTS exposure_days    NUMERIC(5,1),   -- sticky_board: days the board stayed in
+   ADD COLUMN IF NOT EXISTS daily_mite_drop  NUMERIC(8,3),   -- sticky_board: mites_count / exposure_days
+   ADD COLUMN IF NOT EXISTS cells_inspected  INTEGER,        -- drone_uncapping: uncapped drone cells
+   ADD COLUMN IF NOT EXISTS season           TEXT;           -- spring | summer | pre_winter (thresholds used)
+
+-- test_type: alcohol_wash | sugar_roll | co2 | sticky_board | drone_uncapping
+ALTER TABLE varroa_tests DROP CONSTRAINT IF EXISTS varroa_tests_test_type_check;
+ALTER TABLE varroa_tests
+   ADD CONSTRAINT varroa_tests_test_type_check
+   CHECK (test_type IN ('alcohol_wash', 'sugar_roll', 'co2', 'sticky_board', 'drone_uncapping'));
+
+-- Overrides of DEFAULT_THRESHOLDS (services/varroaTestService.js), applied to the owner's apiaries:
+-- { "<test_type>": { "<season>": { "moderate": n, "high": n } } }
+CREATE TABLE IF NOT EXISTS varroa_threshold_settings (
+   owner_user_id  UUID PRIMARY KEY,
+   thresholds     JSONB NOT NULL DEFAULT '{}',
+   updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,21 @@
+-- migrations/011_varroa_sampling.sql
+-- Apiary varroa sampling rounds: which hives to test (random or stratified by hive purpose).
+-- The latest plan of an apiary is the active one; its tests feed the apiary estimate.
+
+CREATE TABLE IF NOT EXISTS varroa_sampling_plans (
+   plan_id      SERIAL PRIMARY KEY,
+   apiary_id    INTEGER NOT NULL REFERENCES apiaries(apiary_id) ON DELETE CASCADE,
+   created_by   UUID NOT NULL,
+   mode         TEXT NOT NULL,              -- random | stratified
+   population   INTEGER NOT NULL,           -- hives in the apiary when planned
+   target_size  INTEGER NOT NULL,
+   confidence   NUMERIC(3,2) NOT NULL,
+   margin       NUMERIC(5,2) NOT NULL,      -- wanted CI half-width, infestation % points
+   hive_ids     INTEGER[] NOT NULL,
+   strata       JSONB NOT NULL DEFAULT '[]',-- [{ stratum, population, sample }]
+   seed         TEXT,
+   created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS varroa_sampling_plans_apiary_idx
+   ON varroa_sampling_plans (apiary_id, created_at DESC);
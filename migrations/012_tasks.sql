@@ -0,0 +1,37 @@
+-- migrations/012_tasks.sql
+-- Unified tasks: reminders materialized from every module + manual tasks
+-- (services/taskService.js keeps source tasks in sync with their records)
+
+-- source_type: manual | inspection_revisit | apiary_note_revisit | swarm_check | nuc_check
+--              | graft_g10 | graft_emergence
+-- status: open | done | dismissed ; snoozed_until pushes an open task in the agenda
+CREATE TABLE IF NOT EXISTS tasks (
+   task_id           SERIAL PRIMARY KEY,
+   owner_user_id     UUID NOT NULL,            -- apiary owner (or graft owner without apiary)
+   apiary_id         INTEGER REFERENCES apiaries(apiary_id) ON DELETE CASCADE,
+   hive_id           INTEGER,
+   source_type       TEXT NOT NULL DEFAULT 'manual',
+   source_id         TEXT,                     -- key of the source record (NULL for manual)
+   title             TEXT,                     -- manual tasks; source tasks are labelled by source_type
+   notes             TEXT,
+   details           JSONB NOT NULL DEFAULT '{}',
+   due_date          DATE NOT NULL,
+   status            TEXT NOT NULL DEFAULT 'open',
+   snoozed_until     DATE,
+   assignee_user_id  UUID,
+   created_by        UUID,
+   completed_at      TIMESTAMPTZ,
+   completed_by      UUID,
+   created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+   UNIQUE (source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS tasks_apiary_due_idx ON tasks (apiary_id, status, due_date);
+CREATE INDEX IF NOT EXISTS tasks_owner_due_idx ON tasks (owner_user_id, status, due_date);
+CREATE INDEX IF NOT EXISTS tasks_assignee_idx ON tasks (assignee_user_id, status);
+
+-- graft lines had no "done" state for their G10 / emergence steps
+ALTER TABLE queen_graft_lines
+   ADD COLUMN IF NOT EXISTS g10_done_at        TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS emergence_done_at  TIMESTAMPTZ;
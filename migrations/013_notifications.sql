@@ -0,0 +1,45 @@
+-- migrations/013_notifications.sql
+-- Push / email notifications: device tokens, per-user preferences and a delivery log
+-- (services/notificationService.js, scripts/send-notifications.js)
+
+CREATE TABLE IF NOT EXISTS notification_devices (
+   device_id     SERIAL PRIMARY KEY,
+   user_id       UUID NOT NULL,
+   token         TEXT NOT NULL UNIQUE,        -- Expo push token (owned by one user until removed)
+   platform      TEXT,                        -- ios | android | web
+   created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+   last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notification_devices_user_idx ON notification_devices (user_id);
+
+-- categories: { "<category>": { "push": bool, "email": bool } } over the defaults
+CREATE TABLE IF NOT EXISTS notification_preferences (
+   user_id     UUID PRIMARY KEY,
+   enabled     BOOLEAN NOT NULL DEFAULT TRUE,
+   categories  JSONB NOT NULL DEFAULT '{}',
+   updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- one row per (user, channel, dedupe_key): a reminder is sent once per channel
+-- status: pending | sent | failed | skipped (no device / no email address)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+   delivery_id   BIGSERIAL PRIMARY KEY,
+   user_id       UUID NOT NULL,
+   channel       TEXT NOT NULL,               -- push | email
+   transport     TEXT,                        -- expo | resend | stub …
+   category      TEXT NOT NULL,
+   dedupe_key    TEXT NOT NULL,
+   title         TEXT NOT NULL,
+   body          TEXT,
+   data          JSONB NOT NULL DEFAULT '{}',
+   status        TEXT NOT NULL DEFAULT 'pending',
+   attempts      INTEGER NOT NULL DEFAULT 0,
+   error         TEXT,
+   created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+   sent_at       TIMESTAMPTZ,
+   UNIQUE (user_id, channel, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS notification_deliveries_user_idx ON notification_deliveries (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notification_deliveries_status_idx ON notification_deliveries (status, created_at DESC);
@@ -0,0 +1,11 @@
+-- migrations/014_calendar_feeds.sql
+-- Per-user iCalendar subscription feed (GET /api/calendar/feed/<token>.ics, no login):
+-- the token is the only secret, rotate it to revoke a shared URL.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+   user_id           UUID PRIMARY KEY,
+   token             TEXT NOT NULL UNIQUE,
+   created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+   rotated_at        TIMESTAMPTZ,
+   last_accessed_at  TIMESTAMPTZ
+);
@@ -0,0 +1,31 @@
+-- migrations/015_weather.sql
+-- Shared weather cache (survives restarts, common to every replica) and the daily
+-- archive of observed weather per apiary (services/weatherArchive.js, scripts/archive-weather.js)
+
+-- cache_key = <provider>:<kind>:<lat>:<lng>:<params>, coordinates rounded to 0.01°
+CREATE TABLE IF NOT EXISTS weather_cache (
+   cache_key   TEXT PRIMARY KEY,
+   payload     JSONB NOT NULL,
+   fetched_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+   expires_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS weather_cache_expires_idx ON weather_cache (expires_at);
+
+-- one row per apiary and past day (local date of the apiary)
+CREATE TABLE IF NOT EXISTS weather_daily_archive (
+   apiary_id          INTEGER NOT NULL REFERENCES apiaries(apiary_id) ON DELETE CASCADE,
+   date               DATE NOT NULL,
+   provider           TEXT NOT NULL,
+   lat                NUMERIC(7,4) NOT NULL,
+   lng                NUMERIC(7,4) NOT NULL,
+   temp_min           NUMERIC(5,2),
+   temp_max           NUMERIC(5,2),
+   temp_mean          NUMERIC(5,2),
+   precipitation_sum  NUMERIC(6,2),             -- mm
+   wind_speed_max     NUMERIC(5,2),             -- km/h
+   sunshine_hours     NUMERIC(4,2),
+   weather_code       INTEGER,
+   fetched_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+   PRIMARY KEY (apiary_id, date)
+);
@@ -0,0 +1,37 @@
+-- migrations/016_hive_movements.sql
+-- Hive movement log (services/hiveMovementService.js): every change of hives.apiary_id
+-- is recorded so harvests and inspections can be attributed to the site a hive was on
+-- at the time. Several hives moved together share a movement batch (one transport).
+
+-- reason: pollination | honey_flow | wintering | quarantine | merge | sale | other
+CREATE TABLE IF NOT EXISTS hive_movement_batches (
+   batch_id        SERIAL PRIMARY KEY,
+   to_apiary_id    INTEGER REFERENCES apiaries(apiary_id) ON DELETE SET NULL,
+   moved_at        TIMESTAMPTZ NOT NULL,
+   reason          TEXT NOT NULL DEFAULT 'other',
+   transport_ref   TEXT,                     -- truck / trailer / carrier reference
+   notes           TEXT,
+   created_by      UUID,
+   created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS hive_movement_batches_to_idx ON hive_movement_batches (to_apiary_id, moved_at);
+
+-- from_apiary_id / to_apiary_id: no FK cascade, the log must outlive a deleted apiary
+CREATE TABLE IF NOT EXISTS hive_movements (
+   movement_id     SERIAL PRIMARY KEY,
+   hive_id         INTEGER NOT NULL REFERENCES hives(hive_id) ON DELETE CASCADE,
+   from_apiary_id  INTEGER,
+   to_apiary_id    INTEGER NOT NULL,
+   moved_at        TIMESTAMPTZ NOT NULL,
+   reason          TEXT NOT NULL DEFAULT 'other',
+   batch_id        INTEGER REFERENCES hive_movement_batches(batch_id) ON DELETE SET NULL,
+   notes           TEXT,
+   moved_by        UUID,
+   created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS hive_movements_hive_idx ON hive_movements (hive_id, moved_at);
+CREATE INDEX IF NOT EXISTS hive_movements_to_idx ON hive_movements (to_apiary_id, moved_at);
+CREATE INDEX IF NOT EXISTS hive_movements_from_idx ON hive_movements (from_apiary_id, moved_at);
+CREATE INDEX IF NOT EXISTS hive_movements_batch_idx ON hive_movements (batch_id);
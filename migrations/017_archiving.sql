@@ -0,0 +1,39 @@
+-- migrations/017_archiving.sql
+-- Soft archiving of apiaries, hives, supers and queens (services/archiveService.js):
+-- archived rows are hidden from lists but kept for history and analytics, and can be
+-- restored. Dead colonies are archived with a cause of loss instead of being deleted.
+
+-- archive_reason: manual | dead | sold | merged | apiary_archived | hive_lost
+ALTER TABLE apiaries
+   ADD COLUMN IF NOT EXISTS archived_at     TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS archived_by     UUID,
+   ADD COLUMN IF NOT EXISTS archive_reason  TEXT,
+   ADD COLUMN IF NOT EXISTS archive_notes   TEXT;
+
+-- loss_cause (archive_reason = 'dead'): varroa | starvation | queen_failure | disease
+--   | pesticide | predators | weather | swarming | robbing | unknown | other
+ALTER TABLE hives
+   ADD COLUMN IF NOT EXISTS archived_at     TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS archived_by     UUID,
+   ADD COLUMN IF NOT EXISTS archive_reason  TEXT,
+   ADD COLUMN IF NOT EXISTS archive_notes   TEXT,
+   ADD COLUMN IF NOT EXISTS loss_cause      TEXT,
+   ADD COLUMN IF NOT EXISTS lost_at         DATE;
+
+ALTER TABLE supers
+   ADD COLUMN IF NOT EXISTS archived_at     TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS archived_by     UUID,
+   ADD COLUMN IF NOT EXISTS archive_reason  TEXT,
+   ADD COLUMN IF NOT EXISTS archive_notes   TEXT;
+
+ALTER TABLE queens
+   ADD COLUMN IF NOT EXISTS archived_at     TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS archived_by     UUID,
+   ADD COLUMN IF NOT EXISTS archive_reason  TEXT,
+   ADD COLUMN IF NOT EXISTS archive_notes   TEXT;
+
+CREATE INDEX IF NOT EXISTS apiaries_archived_idx ON apiaries (archived_at) WHERE archived_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS hives_archived_idx ON hives (archived_at) WHERE archived_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS hives_lost_idx ON hives (lost_at, loss_cause) WHERE archive_reason = 'dead';
+CREATE INDEX IF NOT EXISTS supers_archived_idx ON supers (archived_at) WHERE archived_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS queens_archived_idx ON queens (archived_at) WHERE archived_at IS NOT NULL;
@@ -0,0 +1,37 @@
+-- migrations/018_queen_genealogy.sql
+-- Queen genealogy (services/genealogyService.js): each queen is linked to her mother
+-- queen and to the drone source she mated with, so ancestry / descendant trees and
+-- inbreeding coefficients can be computed. Replaces the free-text lineage of
+-- queen_pedigree, queen_strains and the QR payload blobs (kept as labels when the
+-- parent is not a queen of the system).
+-- Queen ids are numeric or uuid depending on the install → stored and compared as text
+-- (same rule as services/accessControl.js).
+
+-- drone_source_type: queen (drone-producing queen known) | colony (hive only)
+--   | station (mating station / apiary) | open (open mating, unknown) | instrumental
+-- source: manual | cell (POST /queens/from-cell) | legacy (imported from the free-text fields)
+CREATE TABLE IF NOT EXISTS queen_lineage (
+   queen_id               TEXT PRIMARY KEY,
+   mother_queen_id        TEXT,
+   mother_label           TEXT,               -- mother outside the system (breeder code, line name)
+   drone_source_type      TEXT NOT NULL DEFAULT 'open',
+   drone_source_queen_id  TEXT,               -- queen heading the drone-producing colony
+   drone_source_hive_id   INTEGER REFERENCES hives(hive_id) ON DELETE SET NULL,
+   drone_source_label     TEXT,
+   mating_date            DATE,
+   source                 TEXT NOT NULL DEFAULT 'manual',
+   notes                  TEXT,
+   created_by             UUID,
+   created_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at             TIMESTAMPTZ NOT NULL DEFAULT now(),
+   CHECK (mother_queen_id IS NULL OR mother_queen_id <> queen_id),
+   CHECK (drone_source_queen_id IS NULL OR drone_source_queen_id <> queen_id)
+);
+
+CREATE INDEX IF NOT EXISTS queen_lineage_mother_idx ON queen_lineage (mother_queen_id);
+CREATE INDEX IF NOT EXISTS queen_lineage_drone_queen_idx ON queen_lineage (drone_source_queen_id);
+
+-- breeder colonies used for grafting can point at their queen: queens raised from a
+-- graft line of that breeder get her as mother
+ALTER TABLE queen_breeders
+   ADD COLUMN IF NOT EXISTS queen_id TEXT;
@@ -0,0 +1,50 @@
+-- migrations/019_queen_cell_lifecycle.sql
+-- Queen cell lifecycle (services/queenCellLifecycle.js): each printed cell carries a
+-- status from graft to laying queen, moved forward by label scans, so acceptance /
+-- emergence / mating success can be measured per strain, breeder, graft session and
+-- mating apiary.
+
+-- status: grafted | accepted | capped | introduced | emerged | mated | laying | lost
+-- lost_stage: last status reached before the cell was lost (funnel drop-out point)
+-- mating_apiary_id: apiary of the nuc at introduction (no FK cascade, kept for analytics)
+ALTER TABLE queen_cells
+   ADD COLUMN IF NOT EXISTS status            TEXT NOT NULL DEFAULT 'grafted',
+   ADD COLUMN IF NOT EXISTS status_at         TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS lost_stage        TEXT,
+   ADD COLUMN IF NOT EXISTS lost_reason       TEXT,
+   ADD COLUMN IF NOT EXISTS nuc_hive_id       INTEGER REFERENCES hives(hive_id) ON DELETE SET NULL,
+   ADD COLUMN IF NOT EXISTS nuc_cycle_id      INTEGER,
+   ADD COLUMN IF NOT EXISTS mating_apiary_id  INTEGER,
+   ADD COLUMN IF NOT EXISTS introduced_at     TIMESTAMPTZ,
+   ADD COLUMN IF NOT EXISTS queen_id          TEXT;
+
+CREATE INDEX IF NOT EXISTS queen_cells_status_idx ON queen_cells (line_id, status);
+CREATE INDEX IF NOT EXISTS queen_cells_lot_idx ON queen_cells (full_lot_number);
+CREATE INDEX IF NOT EXISTS queen_cells_mating_apiary_idx ON queen_cells (mating_apiary_id);
+
+-- cells generated from the accepted count (the usual flow) start as accepted
+UPDATE queen_cells c
+SET status = 'accepted'
+FROM queen_graft_lines gl
+WHERE gl.id = c.line_id
+  AND c.status = 'grafted'
+  AND gl.cells_accepted IS NOT NULL
+  AND c.cell_index <= gl.cells_accepted;
+
+-- one row per transition; cell ids are stored as text (serial or uuid depending on the install)
+-- source: scan | manual | line (bulk on a graft line) | queen (POST /queens/from-cell)
+CREATE TABLE IF NOT EXISTS queen_cell_events (
+   event_id       SERIAL PRIMARY KEY,
+   cell_id        TEXT NOT NULL,
+   from_status    TEXT,
+   to_status      TEXT NOT NULL,
+   hive_id        INTEGER,
+   apiary_id      INTEGER,
+   event_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+   source         TEXT NOT NULL DEFAULT 'manual',
+   notes          TEXT,
+   created_by     UUID,
+   created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS queen_cell_events_cell_idx ON queen_cell_events (cell_id, event_at);
@@ -0,0 +1,87 @@
+-- migrations/020_mating_control.sql
+-- Mating control (services/matingService.js): mating stations with their drone-source
+-- colonies per season, and one mating record per virgin queen (open, station or
+-- instrumental insemination with its drone donors). The drone side of a mating is
+-- written to queen_lineage (source 'mating') so pedigrees and certificates follow it.
+
+-- station_type: isolated | island | valley | protected_area | insemination_lab | other
+-- apiary_id: station run on one of the user's apiaries (NULL = external station)
+CREATE TABLE IF NOT EXISTS mating_stations (
+   station_id           SERIAL PRIMARY KEY,
+   owner_user_id        UUID NOT NULL,
+   apiary_id            INTEGER REFERENCES apiaries(apiary_id) ON DELETE SET NULL,
+   name                 TEXT NOT NULL,
+   station_type         TEXT NOT NULL DEFAULT 'isolated',
+   isolation_radius_km  NUMERIC(6,2),
+   latitude             DOUBLE PRECISION,
+   longitude            DOUBLE PRECISION,
+   operator             TEXT,                 -- external operator / association
+   certification_ref    TEXT,                 -- official approval number of the station
+   notes                TEXT,
+   active               BOOLEAN NOT NULL DEFAULT true,
+   created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS mating_stations_owner_idx ON mating_stations (owner_user_id);
+CREATE INDEX IF NOT EXISTS mating_stations_apiary_idx ON mating_stations (apiary_id);
+
+-- drone-source colonies set up at a station for one season
+-- hive_id: own colony (queen_id resolved at save) | label: colony of the station operator
+CREATE TABLE IF NOT EXISTS mating_station_drone_sources (
+   source_id       SERIAL PRIMARY KEY,
+   station_id      INTEGER NOT NULL REFERENCES mating_stations(station_id) ON DELETE CASCADE,
+   season          INTEGER NOT NULL,
+   hive_id         INTEGER REFERENCES hives(hive_id) ON DELETE SET NULL,
+   queen_id        TEXT,
+   strain_id       TEXT,
+   strain_label    TEXT,
+   label           TEXT,
+   colonies_count  INTEGER NOT NULL DEFAULT 1,   -- several sister colonies under one entry
+   notes           TEXT,
+   created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS mating_station_drone_sources_idx ON mating_station_drone_sources (station_id, season);
+CREATE UNIQUE INDEX IF NOT EXISTS mating_station_drone_sources_hive_uniq
+   ON mating_station_drone_sources (station_id, season, hive_id) WHERE hive_id IS NOT NULL;
+
+-- method: open | station | instrumental
+-- outcome: pending | mated | failed
+-- queen ids are stored as text (same rule as queen_lineage)
+CREATE TABLE IF NOT EXISTS queen_matings (
+   mating_id            SERIAL PRIMARY KEY,
+   queen_id             TEXT NOT NULL,
+   method               TEXT NOT NULL DEFAULT 'open',
+   station_id           INTEGER REFERENCES mating_stations(station_id) ON DELETE SET NULL,
+   mating_apiary_id     INTEGER REFERENCES apiaries(apiary_id) ON DELETE SET NULL,
+   placed_on            DATE,                 -- virgin placed in the mating nuc / at the station
+   mated_on             DATE,                 -- mating flight window or insemination date
+   laying_confirmed_on  DATE,
+   outcome              TEXT NOT NULL DEFAULT 'pending',
+   -- instrumental insemination
+   inseminator          TEXT,
+   semen_volume_ul      NUMERIC(6,2),
+   insemination_count   INTEGER,              -- 1 = single insemination, 2 = repeated
+   co2_treatments       INTEGER,
+   notes                TEXT,
+   created_by           UUID,
+   created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+   updated_at           TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS queen_matings_queen_idx ON queen_matings (queen_id, mated_on);
+CREATE INDEX IF NOT EXISTS queen_matings_station_idx ON queen_matings (station_id);
+
+-- drone donors of an instrumental insemination
+CREATE TABLE IF NOT EXISTS queen_mating_donors (
+   donor_id      SERIAL PRIMARY KEY,
+   mating_id     INTEGER NOT NULL REFERENCES queen_matings(mating_id) ON DELETE CASCADE,
+   hive_id       INTEGER REFERENCES hives(hive_id) ON DELETE SET NULL,
+   queen_id      TEXT,
+   label         TEXT,
+   volume_ul     NUMERIC(6,2),
+   drone_count   INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS queen_mating_donors_mating_idx ON queen_mating_donors (mating_id);
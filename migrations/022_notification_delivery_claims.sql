@@ -0,0 +1,5 @@
+-- migrations/022_notification_delivery_claims.sql
+-- When a delivery was last claimed: a row stuck in 'pending' after an interrupted
+-- run (crash, deploy) is retried once the claim is stale.
+
+ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ NOT NULL DEFAULT now();
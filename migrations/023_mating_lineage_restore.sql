@@ -0,0 +1,9 @@
+-- migrations/023_mating_lineage_restore.sql
+-- A mated record writes the drone side into queen_lineage; when it later fails or is
+-- deleted the lineage it replaced is put back (services/matingService.js).
+
+-- mating record that wrote the lineage (NULL: manual / legacy / graft)
+ALTER TABLE queen_lineage ADD COLUMN IF NOT EXISTS mating_id INTEGER;
+
+-- queen_lineage row as it was before the mating wrote it (NULL: the queen had none)
+ALTER TABLE queen_matings ADD COLUMN IF NOT EXISTS previous_lineage JSONB;
@@ -0,0 +1,98 @@
+-- migrations/024_sync_change_log.sql
+-- Delta pulls read a change log instead of paging on updated_at.
+-- updated_at is the writing transaction's start time, so a transaction that
+-- commits late lands behind a cursor that has already moved past it.
+-- Each log row carries the writing transaction id; the pull only returns rows
+-- whose transaction is older than every transaction still running, so
+-- anything that can still commit sorts after the cursor.
+-- Deletes are logged too and come back to clients as tombstones.
+
+CREATE TABLE IF NOT EXISTS sync_changes (
+   seq            BIGSERIAL PRIMARY KEY,
+   xid            XID8 NOT NULL DEFAULT pg_current_xact_id(),
+   entity         TEXT NOT NULL,
+   row_key        TEXT NOT NULL,
+   -- scope at the time of the change, so tombstones can be filtered too
+   apiary_id      INTEGER,
+   owner_user_id  TEXT,
+   changed_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sync_changes_xid_seq_idx ON sync_changes (xid, seq);
+
+-- TG_ARGV: entity, key column, 'owner' when the entity is personal
+CREATE OR REPLACE FUNCTION log_sync_change() RETURNS TRIGGER AS $$
+DECLARE
+   r JSONB;
+   apiary INTEGER;
+BEGIN
+   IF TG_OP = 'DELETE' THEN
+      r := to_jsonb(OLD);
+   ELSE
+      r := to_jsonb(NEW);
+   END IF;
+
+   IF TG_TABLE_NAME = 'hive_inspections' THEN
+      SELECT h.apiary_id INTO apiary FROM hives h WHERE h.hive_id = (r->>'hive_id')::int;
+   ELSE
+      apiary := (r->>'apiary_id')::int;
+   END IF;
+
+   INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+   VALUES (
+      TG_ARGV[0],
+      r->>TG_ARGV[1],
+      apiary,
+      CASE WHEN TG_ARGV[2] = 'owner' THEN r->>'owner_user_id' END
+   );
+   RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+   src TEXT[];
+BEGIN
+   FOREACH src SLICE 1 IN ARRAY ARRAY[
+      ['hive_inspections', 'inspection', 'inspection_id', ''],
+      ['varroa_tests', 'varroa_test', 'id', ''],
+      ['interventions', 'intervention', 'id', ''],
+      ['apiary_notes', 'apiary_note', 'note_id', ''],
+      ['apiary_checklist_items', 'checklist_item', 'item_id', 'owner']
+   ]
+   LOOP
+      EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', src[1] || '_log_sync_change', src[1]);
+      EXECUTE format(
+         'CREATE TRIGGER %I AFTER INSERT OR UPDATE OR DELETE ON %I
+             FOR EACH ROW EXECUTE FUNCTION log_sync_change(%L, %L, %L)',
+         src[1] || '_log_sync_change',
+         src[1],
+         src[2],
+         src[3],
+         src[4]
+      );
+   END LOOP;
+END $$;
+
+-- Seed the log with the current rows so a pull without a cursor is complete
+INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+SELECT 'inspection', i.inspection_id::text, h.apiary_id, NULL
+FROM hive_inspections i
+LEFT JOIN hives h ON h.hive_id = i.hive_id
+WHERE NOT EXISTS (SELECT 1 FROM sync_changes WHERE entity = 'inspection');
+
+INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+SELECT 'varroa_test', id::text, apiary_id, NULL FROM varroa_tests
+WHERE NOT EXISTS (SELECT 1 FROM sync_changes WHERE entity = 'varroa_test');
+
+INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+SELECT 'intervention', id::text, apiary_id, NULL FROM interventions
+WHERE NOT EXISTS (SELECT 1 FROM sync_changes WHERE entity = 'intervention');
+
+INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+SELECT 'apiary_note', note_id::text, apiary_id, NULL FROM apiary_notes
+WHERE NOT EXISTS (SELECT 1 FROM sync_changes WHERE entity = 'apiary_note');
+
+INSERT INTO sync_changes (entity, row_key, apiary_id, owner_user_id)
+SELECT 'checklist_item', item_id::text, apiary_id, owner_user_id::text FROM apiary_checklist_items
+WHERE NOT EXISTS (SELECT 1 FROM sync_changes WHERE entity = 'checklist_item');
@@ -0,0 +1,16 @@
+-- migrations/025_hive_weight_raw_samples.sql
+-- Raw scale readings, one row per hive per timestamp. A replayed or overlapping
+-- upload is a no-op per sample, and hive_weight_samples buckets are rebuilt
+-- from these rows instead of being incremented.
+-- Buckets written before this migration have no raw rows: they stay as they
+-- are until a new sample lands in them, which rebuilds them from raw rows only.
+
+CREATE TABLE IF NOT EXISTS hive_weight_raw (
+   hive_id      INTEGER NOT NULL REFERENCES hives (hive_id) ON DELETE CASCADE,
+   measured_at  TIMESTAMPTZ NOT NULL,
+   weight_kg    NUMERIC(10, 3) NOT NULL,
+   source       TEXT NOT NULL DEFAULT 'station', -- station | csv | manual
+   station_id   INTEGER REFERENCES stations (station_id) ON DELETE SET NULL,
+   received_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+   PRIMARY KEY (hive_id, measured_at)
+);
@@ -0,0 +1,12 @@
+-- migrations/026_station_legacy_tokens.sql
+-- Tokens minted before station_tokens carry no jti, so they cannot be revoked
+-- one by one. They are now accepted only until stations.legacy_token_until;
+-- stations created from here on never accept them.
+
+ALTER TABLE stations ADD COLUMN IF NOT EXISTS legacy_token_until        TIMESTAMPTZ;
+ALTER TABLE stations ADD COLUMN IF NOT EXISTS legacy_token_last_used_at TIMESTAMPTZ;
+
+-- Stations registered so far may have such a token deployed: 90 days to rotate
+UPDATE stations
+SET legacy_token_until = now() + INTERVAL '90 days'
+WHERE legacy_token_until IS NULL;
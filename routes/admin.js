@@ -5,6 +5,7 @@ const supabase = require("../utils/supabaseAdmin");
 const authenticateUser = require("../middlewares/authMiddleware");
 const requireAdmin = require("../middlewares/requireAdmin");
 const { DateTime } = require("luxon");
+const { saveProduct } = require("../services/treatmentService");
 
 router.use(authenticateUser);
 router.use(requireAdmin);
@@ -198,4 +199,42 @@ router.get("/apiaries/today", async (req, res) => {
    }
 });
 
+/* ------------------------------------------------------------------
+   Product catalogue
+   POST  /products      { name, is_veterinary?, amm_number?, treatment_days?, withdrawal_days? }
+   PATCH /products/:id  same fields, all optional
+   is_veterinary products are the ones listed in the treatment register.
+   Migration 005 added is_veterinary as FALSE for every existing product and
+   nothing recorded before it tells treatments apart, so after upgrading an
+   admin flags the treatments once: PATCH /products/:id { is_veterinary: true }
+------------------------------------------------------------------ */
+router.post("/products", async (req, res) => {
+   try {
+      const result = await saveProduct(req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.status(201).json({ product: result.product });
+   } catch (e) {
+      console.error("❌ Error creating product:", e);
+      return res.status(500).json({ error: e?.message || "Server error" });
+   }
+});
+
+router.patch("/products/:id", async (req, res) => {
+   try {
+      const productId = Number(req.params.id);
+      if (!Number.isInteger(productId) || productId <= 0) {
+         return res.status(400).json({ error: "Invalid product id" });
+      }
+
+      const result = await saveProduct(req.body || {}, productId);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({ product: result.product });
+   } catch (e) {
+      console.error("❌ Error updating product:", e);
+      return res.status(500).json({ error: e?.message || "Server error" });
+   }
+});
+
 module.exports = router;
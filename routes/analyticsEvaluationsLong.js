@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { getAccessibleApiaryIds } = require("../services/accessControl");
 
 /**
  * GET /analytics/evaluations-long
@@ -21,8 +22,9 @@ router.get("/evaluations-long", authenticateUser, async (req, res) => {
 
   try {
     // 1️⃣ Build WHERE dynamically
-    const params = [userId];
-    let where = `a.owner_user_id = $1`;
+    const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+    const params = [apiaryIds];
+    let where = `e.apiary_id = ANY($1::int[])`;
 
     if (apiary_id) {
       params.push(apiary_id);
@@ -207,11 +209,12 @@ router.get("/evaluations-long/export", authenticateUser, async (req, res) => {
 
   try {
     // 🧠 Same base query as /evaluations-long (copy/paste logic)
-    const params = [userId];
+    const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+    const params = [apiaryIds];
     let idx = params.length + 1;
 
     let where = `
-      a.owner_user_id = $1
+      e.apiary_id = ANY($1::int[])
     `;
 
     // optional: filter by year (on eval_date)
@@ -3,6 +3,14 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   getAccessibleApiaries,
+   getAccessibleApiaryIds,
+   loadCompanyAccess,
+} = require("../services/accessControl");
+const { parseInstant, listApiaryHivesAt } = require("../services/hiveMovementService");
+const { buildDependencyReport } = require("../services/archiveService");
 const PDFDocument = require("pdfkit");
 const QRCode = require("qrcode");
 const path = require("path");
@@ -102,9 +110,20 @@ router.post("/", authenticateUser, async (req, res) => {
       productions,
       is_favorite,
       flight_range_km,
+      company_id,
    } = req.body;
 
    try {
+      // 0) company workspace (optional): only owners/managers can add apiaries to it
+      let companyId = null;
+      if (company_id !== undefined && company_id !== null && company_id !== "") {
+         const companyAccess = await loadCompanyAccess(company_id, userId, "manage");
+         if (!companyAccess.ok) {
+            return res.status(companyAccess.status).json({ error: companyAccess.error });
+         }
+         companyId = companyAccess.companyId;
+      }
+
       // 1) subscription
       const subResult = await pool.query(
          "SELECT plan_type FROM subscriptions WHERE user_id = $1 LIMIT 1",
@@ -153,9 +172,10 @@ router.post("/", authenticateUser, async (req, res) => {
       phone,
       owner_user_id,
       main_production,
-      flight_range_km
+      flight_range_km,
+      company_id
    )
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
    RETURNING *`,
          [
             apiary_name,
@@ -167,6 +187,7 @@ router.post("/", authenticateUser, async (req, res) => {
             userId,
             safeMain,
             parsedFlightRange,
+            companyId,
          ],
       );
 
@@ -210,23 +231,14 @@ router.post("/", authenticateUser, async (req, res) => {
 });
 
 // HIVE COUNT
-router.get("/:id/hives/count", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.get("/:id/hives/count", authenticateUser, requireAccess("apiary", "read"), async (req, res) => {
+   const id = req.access.apiaryId;
 
    try {
-      const ownership = await pool.query(
-         "SELECT 1 FROM apiaries WHERE apiary_id = $1 AND owner_user_id = $2 LIMIT 1",
-         [id, userId],
+      const result = await pool.query(
+         "SELECT COUNT(*) AS count FROM hives WHERE apiary_id = $1 AND archived_at IS NULL",
+         [id],
       );
-
-      if (ownership.rows.length === 0) {
-         return res.status(404).json({ error: "Apiary not found" });
-      }
-
-      const result = await pool.query("SELECT COUNT(*) AS count FROM hives WHERE apiary_id = $1", [
-         id,
-      ]);
       res.json({ count: parseInt(result.rows[0].count, 10) });
    } catch (error) {
       console.error("Error fetching hive count:", error);
@@ -234,14 +246,33 @@ router.get("/:id/hives/count", authenticateUser, async (req, res) => {
    }
 });
 
-// GET USER APIARIES (with productions[])
+// HIVES ON THE APIARY AT A DATE (movement log) — ?date=YYYY-MM-DD or ISO timestamp
+router.get("/:id/hives/at", authenticateUser, requireAccess("apiary", "read"), async (req, res) => {
+   const at = parseInstant(req.query.date);
+   if (!at) return res.status(400).json({ error: "date must be YYYY-MM-DD or an ISO timestamp" });
+
+   try {
+      const hives = await listApiaryHivesAt(req.access.apiaryId, at);
+      res.json({ apiary_id: req.access.apiaryId, at: at.toISOString(), hives });
+   } catch (error) {
+      console.error("Error fetching hives at date:", error);
+      res.status(500).json({ error: "Server error while fetching hives at date" });
+   }
+});
+
+// GET USER APIARIES (with productions[]) — ?include_archived=true also returns archived ones
 router.get("/", authenticateUser, async (req, res) => {
    const tTotal0 = Date.now();
    const userId = req.user.id;
+   const includeArchived = String(req.query.include_archived) === "true";
 
    try {
       const tDb0 = Date.now();
 
+      // own apiaries + company apiaries the user is a member of
+      const accessible = await getAccessibleApiaries(userId, "read");
+      const roleByApiary = new Map(accessible.map((a) => [a.apiary_id, a.role]));
+
       const result = await pool.query(
          `
          SELECT 
@@ -254,20 +285,23 @@ router.get("/", authenticateUser, async (req, res) => {
          FROM apiaries a
          LEFT JOIN apiary_productions p
            ON p.apiary_id = a.apiary_id
-         WHERE a.owner_user_id = $1
+         WHERE a.apiary_id = ANY($1::int[])
+           AND ($2::boolean OR a.archived_at IS NULL)
          GROUP BY a.apiary_id
          ORDER BY a.apiary_id ASC
          `,
-         [userId],
+         [[...roleByApiary.keys()], includeArchived],
       );
 
+      const apiaries = result.rows.map((a) => ({ ...a, access_role: roleByApiary.get(a.apiary_id) }));
+
       const dbMs = Date.now() - tDb0;
       const totalMs = Date.now() - tTotal0;
 
       console.log("🧠 DB /api/apiaries ms =", dbMs);
       console.log("⏱️ TOTAL /api/apiaries ms =", totalMs);
 
-      return res.json({ apiaries: result.rows, perf: { dbMs, totalMs } });
+      return res.json({ apiaries, perf: { dbMs, totalMs } });
    } catch (error) {
       console.error("Error fetching apiaries for user:", error);
       return res.status(500).json({ error: "Server error while fetching user apiaries" });
@@ -276,21 +310,12 @@ router.get("/", authenticateUser, async (req, res) => {
 
 // HIVES FOR ONE APIARY
 // HIVES FOR ONE APIARY (with optional pagination)
-router.get("/:id/hives", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.get("/:id/hives", authenticateUser, requireAccess("apiary", "read"), async (req, res) => {
+   const id = req.access.apiaryId;
    const { limit, offset, include_supers } = req.query;
+   const includeArchived = String(req.query.include_archived) === "true";
 
    try {
-      // ownership
-      const ownership = await pool.query(
-         "SELECT 1 FROM apiaries WHERE apiary_id = $1 AND owner_user_id = $2 LIMIT 1",
-         [id, userId],
-      );
-      if (ownership.rows.length === 0) {
-         return res.status(404).json({ error: "Apiary not found" });
-      }
-
       const safeLimit = Math.min(parseInt(limit, 10) || 60, 200);
       const safeOffset = parseInt(offset, 10) || 0;
 
@@ -299,8 +324,10 @@ router.get("/:id/hives", authenticateUser, async (req, res) => {
       // ✅ لو ما تبي supers: رجّع الخلايا مثل قبل
       if (!withSupers) {
          const r = await pool.query(
-            "SELECT * FROM hives WHERE apiary_id = $1 ORDER BY hive_id ASC LIMIT $2 OFFSET $3",
-            [id, safeLimit, safeOffset],
+            `SELECT * FROM hives
+             WHERE apiary_id = $1 AND ($4::boolean OR archived_at IS NULL)
+             ORDER BY hive_id ASC LIMIT $2 OFFSET $3`,
+            [id, safeLimit, safeOffset, includeArchived],
          );
          return res.json({ hives: r.rows });
       }
@@ -324,12 +351,14 @@ router.get("/:id/hives", authenticateUser, async (req, res) => {
         FROM supers sp
         WHERE sp.hive_id = h.hive_id
           AND sp.active = true
+          AND sp.archived_at IS NULL
       ) s ON true
       WHERE h.apiary_id = $1
+        AND ($4::boolean OR h.archived_at IS NULL)
       ORDER BY h.hive_id ASC
       LIMIT $2 OFFSET $3
       `,
-         [id, safeLimit, safeOffset],
+         [id, safeLimit, safeOffset, includeArchived],
       );
 
       return res.json({ hives: q.rows });
@@ -361,9 +390,8 @@ router.get("/:id/hives", authenticateUser, async (req, res) => {
  * GET /apiaries/:id/hives/qr-pdf?label_mm=40&gap_mm=4&text=1&title=1
  */
 
-router.get("/:id/hives/qr-pdf", authenticateUser, async (req, res) => {
-   const { id } = req.params; // apiary_id
-   const userId = req.user.id;
+router.get("/:id/hives/qr-pdf", authenticateUser, requireAccess("apiary", "read"), async (req, res) => {
+   const id = req.access.apiaryId; // apiary_id
 
    // --- print options ---
    const labelSizeMm = Number(req.query.label_mm || 40); // QR size
@@ -372,17 +400,8 @@ router.get("/:id/hives/qr-pdf", authenticateUser, async (req, res) => {
    const showTitle = (req.query.title ?? "1") !== "0"; // show apiary title
 
    try {
-      // ✅ ownership + apiary_name
-      const ownership = await pool.query(
-         "SELECT apiary_name FROM apiaries WHERE apiary_id = $1 AND owner_user_id = $2 LIMIT 1",
-         [id, userId],
-      );
-
-      if (ownership.rows.length === 0) {
-         return res.status(404).json({ error: "Apiary not found" });
-      }
-
-      const apiaryName = String(ownership.rows[0]?.apiary_name || "").trim();
+      // ✅ access checked by requireAccess → apiary_name
+      const apiaryName = String(req.access.apiary?.apiary_name || "").trim();
 
       // ✅ hives
       const hivesResult = await pool.query(
@@ -546,6 +565,8 @@ router.get("/summary", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+
       const sql = `
       SELECT
         a.apiary_id,
@@ -555,15 +576,16 @@ router.get("/summary", authenticateUser, async (req, res) => {
       FROM apiaries a
       LEFT JOIN hives h
         ON h.apiary_id = a.apiary_id
+       AND h.archived_at IS NULL
       LEFT JOIN hive_inspections i
         ON i.hive_id = h.hive_id
-       AND i.user_id = $1
-      WHERE a.owner_user_id = $1
+      WHERE a.apiary_id = ANY($1::int[])
+        AND a.archived_at IS NULL
       GROUP BY a.apiary_id, a.apiary_name
       ORDER BY a.apiary_id::int ASC;
     `;
 
-      const { rows } = await pool.query(sql, [userId]);
+      const { rows } = await pool.query(sql, [apiaryIds]);
 
       return res.json({ apiaries: rows });
    } catch (error) {
@@ -576,6 +598,8 @@ router.get("/flight-range-map", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+
       const result = await pool.query(
          `
          SELECT
@@ -586,12 +610,13 @@ router.get("/flight-range-map", authenticateUser, async (req, res) => {
             department,
             flight_range_km
          FROM apiaries
-         WHERE owner_user_id = $1
+         WHERE apiary_id = ANY($1::int[])
+           AND archived_at IS NULL
            AND location IS NOT NULL
            AND TRIM(location) <> ''
          ORDER BY apiary_name ASC
          `,
-         [userId],
+         [apiaryIds],
       );
 
       const apiaries = result.rows
@@ -627,9 +652,8 @@ router.get("/flight-range-map", authenticateUser, async (req, res) => {
    }
 });
 
-router.patch("/:id/flight-range", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.patch("/:id/flight-range", authenticateUser, requireAccess("apiary", "manage"), async (req, res) => {
+   const id = req.access.apiaryId;
    const { flight_range_km } = req.body;
 
    const parsedFlightRange = Number(flight_range_km);
@@ -649,9 +673,8 @@ router.patch("/:id/flight-range", authenticateUser, async (req, res) => {
          `UPDATE apiaries
           SET flight_range_km = $1
           WHERE apiary_id = $2
-            AND owner_user_id = $3
           RETURNING apiary_id, apiary_name, flight_range_km`,
-         [parsedFlightRange, id, userId],
+         [parsedFlightRange, id],
       );
 
       if (result.rows.length === 0) {
@@ -670,9 +693,8 @@ router.patch("/:id/flight-range", authenticateUser, async (req, res) => {
 });
 
 // GET ONE APIARY (with productions[])
-router.get("/:id", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.get("/:id", authenticateUser, requireAccess("apiary", "read"), async (req, res) => {
+   const id = req.access.apiaryId;
 
    try {
       const result = await pool.query(
@@ -688,17 +710,16 @@ router.get("/:id", authenticateUser, async (req, res) => {
          LEFT JOIN apiary_productions p
            ON p.apiary_id = a.apiary_id
          WHERE a.apiary_id = $1
-           AND a.owner_user_id = $2
          GROUP BY a.apiary_id
          `,
-         [id, userId],
+         [id],
       );
 
       if (result.rows.length === 0) {
          return res.status(404).json({ error: "Apiary not found" });
       }
 
-      res.json(result.rows[0]);
+      res.json({ ...result.rows[0], access_role: req.access.role });
    } catch (error) {
       console.error("Error fetching apiary:", error);
       res.status(500).json({ error: "Server error while fetching apiary" });
@@ -706,9 +727,8 @@ router.get("/:id", authenticateUser, async (req, res) => {
 });
 
 // UPDATE APIARY
-router.put("/:id", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.put("/:id", authenticateUser, requireAccess("apiary", "manage"), async (req, res) => {
+   const id = req.access.apiaryId;
 
    const {
       apiary_name,
@@ -754,7 +774,6 @@ router.put("/:id", authenticateUser, async (req, res) => {
         is_favorite = COALESCE($8, is_favorite),
         flight_range_km = COALESCE($9, flight_range_km)
     WHERE apiary_id = $10
-    AND owner_user_id = $11
     RETURNING *`,
          [
             apiary_name,
@@ -767,7 +786,6 @@ router.put("/:id", authenticateUser, async (req, res) => {
             safeFavorite,
             parsedFlightRange,
             id,
-            userId,
          ],
       );
 
@@ -818,9 +836,8 @@ router.put("/:id", authenticateUser, async (req, res) => {
    }
 });
 
-router.patch("/:id/favorite", authenticateUser, async (req, res) => {
-   const { id } = req.params;
-   const userId = req.user.id;
+router.patch("/:id/favorite", authenticateUser, requireAccess("apiary", "manage"), async (req, res) => {
+   const id = req.access.apiaryId;
    const { is_favorite } = req.body;
 
    if (typeof is_favorite !== "boolean") {
@@ -832,9 +849,8 @@ router.patch("/:id/favorite", authenticateUser, async (req, res) => {
          `UPDATE apiaries
           SET is_favorite = $1
           WHERE apiary_id = $2
-            AND owner_user_id = $3
           RETURNING *`,
-         [is_favorite, id, userId],
+         [is_favorite, id],
       );
 
       if (result.rows.length === 0) {
@@ -848,17 +864,55 @@ router.patch("/:id/favorite", authenticateUser, async (req, res) => {
    }
 });
 
-// DELETE APIARY
-router.delete("/:id", authenticateUser, async (req, res) => {
-   const { id } = req.params;
+// MOVE APIARY INTO / OUT OF A COMPANY WORKSPACE
+// body: { company_id: number | null }
+router.patch("/:id/company", authenticateUser, requireAccess("apiary", "admin"), async (req, res) => {
+   const id = req.access.apiaryId;
    const userId = req.user.id;
+   const { company_id } = req.body || {};
 
    try {
+      let companyId = null;
+      if (company_id !== null && company_id !== undefined && company_id !== "") {
+         const companyAccess = await loadCompanyAccess(company_id, userId, "manage");
+         if (!companyAccess.ok) {
+            return res.status(companyAccess.status).json({ error: companyAccess.error });
+         }
+         companyId = companyAccess.companyId;
+      }
+
       const result = await pool.query(
-         "DELETE FROM apiaries WHERE apiary_id = $1 AND owner_user_id = $2 RETURNING *",
-         [id, userId],
+         `UPDATE apiaries
+          SET company_id = $1
+          WHERE apiary_id = $2
+          RETURNING *`,
+         [companyId, id],
       );
 
+      return res.json({ apiary: result.rows[0] });
+   } catch (error) {
+      console.error("Error updating apiary company:", error);
+      return res.status(500).json({ error: "Server error while updating apiary company" });
+   }
+});
+
+// DELETE APIARY
+// ?dry_run=true → dependent records the deletion would affect, nothing deleted
+// (archiving keeps the history: POST /api/archive/apiary/:id)
+router.delete("/:id", authenticateUser, requireAccess("apiary", "admin"), async (req, res) => {
+   const id = req.access.apiaryId;
+
+   try {
+      if (String(req.query.dry_run) === "true") {
+         const report = await buildDependencyReport("apiary", id, req.user.id);
+         if (!report.ok) return res.status(report.status).json({ error: report.error });
+         return res.json({ dry_run: true, ...report.report });
+      }
+
+      const result = await pool.query("DELETE FROM apiaries WHERE apiary_id = $1 RETURNING *", [
+         id,
+      ]);
+
       if (result.rows.length === 0) {
          return res.status(404).json({ error: "Apiary not found" });
       }
@@ -3,33 +3,16 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { loadApiaryAccess } = require("../services/accessControl");
 
 // helper in case your auth format changes later
 function getUserId(req) {
   return req.user?.id || req.user?.user_id || req.user?.sub;
 }
 
-/**
- * helper: ensure apiary belongs to current user
- */
-async function assertApiaryOwned(apiaryId, userId) {
-  const { data, error } = await supabase
-    .from("apiaries")
-    .select("apiary_id, owner_user_id")
-    .eq("apiary_id", apiaryId)
-    .maybeSingle();
-
-  if (error) return { ok: false, status: 400, error: error.message };
-  if (!data) return { ok: false, status: 404, error: "Apiary not found" };
-  if (data.owner_user_id !== userId)
-    return { ok: false, status: 403, error: "Forbidden" };
-
-  return { ok: true };
-}
-
 /**
  * GET /apiary-checklist/apiaries/:apiaryId
- * -> list checklist items for one apiary (owned by current user)
+ * -> current user's checklist items for one apiary they can access
  */
 router.get("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
   try {
@@ -39,7 +22,7 @@ router.get("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
     if (!userId) return res.status(401).json({ error: "Unauthorized: no user id" });
     if (!apiaryId) return res.status(400).json({ error: "apiaryId param is required" });
 
-    const owned = await assertApiaryOwned(apiaryId, userId);
+    const owned = await loadApiaryAccess(apiaryId, userId, "read");
     if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
     const { data, error } = await supabase
@@ -75,7 +58,7 @@ router.post("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "label is required" });
     }
 
-    const owned = await assertApiaryOwned(apiaryId, userId);
+    const owned = await loadApiaryAccess(apiaryId, userId, "write");
     if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
     const { data, error } = await supabase
@@ -253,7 +236,7 @@ router.post("/apiaries/:apiaryId/reset", authenticateUser, async (req, res) => {
     if (!userId) return res.status(401).json({ error: "Unauthorized: no user id" });
     if (!apiaryId) return res.status(400).json({ error: "apiaryId param is required" });
 
-    const owned = await assertApiaryOwned(apiaryId, userId);
+    const owned = await loadApiaryAccess(apiaryId, userId, "write");
     if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
     const { error } = await supabase
@@ -3,9 +3,11 @@ const express = require('express');
 const router = express.Router();
 const supabase = require('../utils/supabaseClient');
 const authenticateUser = require('../middlewares/authMiddleware');
+const requireAccess = require('../middlewares/requireAccess');
+const { getAccessibleApiaryIds, loadApiaryAccess } = require('../services/accessControl');
 
 // ✍️ إضافة ملاحظة جديدة لمنحل
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, requireAccess('apiary', 'write', 'apiary_id'), async (req, res) => {
   const { apiary_id, note_text, note_date, revisit_needed, revisit_date } = req.body;
 
   if (!apiary_id || !note_text) {
@@ -35,7 +37,7 @@ router.post('/', authenticateUser, async (req, res) => {
 });
 
 // 📋 جلب كل الملاحظات لمنحل معين
-router.get('/:apiary_id', authenticateUser, async (req, res) => {
+router.get('/:apiary_id', authenticateUser, requireAccess('apiary', 'read', 'apiary_id'), async (req, res) => {
   const { apiary_id } = req.params;
 
   try {
@@ -60,10 +62,14 @@ router.get('/alerts/revisits', authenticateUser, async (req, res) => {
   const today = new Date().toISOString().split('T')[0];
 
   try {
+    const apiaryIds = await getAccessibleApiaryIds(req.user.id, 'read');
+    if (!apiaryIds.length) return res.status(200).json({ alerts: [] });
+
     let query = supabase
       .from('apiary_notes')
       .select('note_id, apiary_id, revisit_date, revisit_needed, apiaries(apiary_name, commune, department)')
-      .eq('revisit_needed', true);
+      .eq('revisit_needed', true)
+      .in('apiary_id', apiaryIds);
 
     if (filter === 'today') {
       query = query.eq('revisit_date', today);
@@ -91,6 +97,21 @@ router.delete('/:note_id', authenticateUser, async (req, res) => {
   const { note_id } = req.params;
 
   try {
+    const { data: note } = await supabase
+      .from('apiary_notes')
+      .select('note_id, apiary_id')
+      .eq('note_id', note_id)
+      .maybeSingle();
+
+    if (!note) return res.status(404).json({ error: 'Note not found' });
+
+    const access = await loadApiaryAccess(note.apiary_id, req.user.id, 'write');
+    if (!access.ok) {
+      return res
+        .status(access.status)
+        .json({ error: access.status === 404 ? 'Note not found' : access.error });
+    }
+
     const { error } = await supabase
       .from('apiary_notes')
       .delete()
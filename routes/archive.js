@@ -0,0 +1,102 @@
+// routes/archive.js
+// Soft archiving of apiaries, hives, supers and queens (services/archiveService.js)
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   ARCHIVE_REASONS,
+   LOSS_CAUSES,
+   ENTITY_KINDS,
+   buildDependencyReport,
+   archiveEntity,
+   restoreEntity,
+   listArchived,
+   summarizeLosses,
+} = require("../services/archiveService");
+
+router.use(authenticateUser);
+
+function badKind(res) {
+   return res.status(400).json({ error: `kind must be one of: ${ENTITY_KINDS.join(", ")}` });
+}
+
+// GET /api/archive?kind=hive&limit=&offset= → archived items visible to the user
+router.get("/", async (req, res) => {
+   const kind = String(req.query.kind || "");
+   if (!ENTITY_KINDS.includes(kind)) return badKind(res);
+
+   const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+   const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+   try {
+      const result = await listArchived(kind, req.user.id, { limit, offset });
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ kind, items: result.items });
+   } catch (err) {
+      console.error("❌ Error listing archived items:", err);
+      return res.status(500).json({ error: "Server error while listing archived items" });
+   }
+});
+
+// GET /api/archive/options → accepted reasons and causes of loss
+router.get("/options", (req, res) => {
+   res.json({ kinds: ENTITY_KINDS, reasons: ARCHIVE_REASONS, loss_causes: LOSS_CAUSES });
+});
+
+// GET /api/archive/losses?year=YYYY → dead colonies per year and cause
+router.get("/losses", async (req, res) => {
+   const yearRaw = parseInt(req.query.year, 10);
+   const year = Number.isFinite(yearRaw) ? yearRaw : null;
+
+   try {
+      const losses = await summarizeLosses(req.user.id, { year });
+      return res.json({ losses });
+   } catch (err) {
+      console.error("❌ Error summarizing colony losses:", err);
+      return res.status(500).json({ error: "Server error while summarizing colony losses" });
+   }
+});
+
+// GET /api/archive/:kind/:id/dependencies → dry run: what a hard delete would affect
+router.get("/:kind/:id/dependencies", async (req, res) => {
+   if (!ENTITY_KINDS.includes(req.params.kind)) return badKind(res);
+
+   try {
+      const result = await buildDependencyReport(req.params.kind, req.params.id, req.user.id);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ dry_run: true, ...result.report });
+   } catch (err) {
+      console.error("❌ Error building dependency report:", err);
+      return res.status(500).json({ error: "Server error while building dependency report" });
+   }
+});
+
+// POST /api/archive/:kind/:id  body: { reason?, notes?, loss_cause?, lost_at? }
+router.post("/:kind/:id", async (req, res) => {
+   if (!ENTITY_KINDS.includes(req.params.kind)) return badKind(res);
+
+   try {
+      const result = await archiveEntity(req.params.kind, req.params.id, req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ message: "Archived", item: result.item, cascaded: result.cascaded });
+   } catch (err) {
+      console.error("❌ Error archiving item:", err);
+      return res.status(500).json({ error: "Server error while archiving" });
+   }
+});
+
+// POST /api/archive/:kind/:id/restore
+router.post("/:kind/:id/restore", async (req, res) => {
+   if (!ENTITY_KINDS.includes(req.params.kind)) return badKind(res);
+
+   try {
+      const result = await restoreEntity(req.params.kind, req.params.id, req.user.id);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ message: "Restored", item: result.item, cascaded: result.cascaded });
+   } catch (err) {
+      console.error("❌ Error restoring item:", err);
+      return res.status(500).json({ error: "Server error while restoring" });
+   }
+});
+
+module.exports = router;
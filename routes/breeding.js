@@ -0,0 +1,142 @@
+// routes/breeding.js
+// Breeding values and breeder selection (services/breedingValues.js)
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireFeature = require("../middlewares/requireFeature");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   TRAITS,
+   parseWeights,
+   estimateBreedingValues,
+   buildSelectionList,
+} = require("../services/breedingValues");
+
+router.use(authenticateUser);
+router.use(requireFeature("queenBreeding"));
+
+function yearParam(v) {
+   const n = parseInt(v, 10);
+   return Number.isInteger(n) && n > 1900 && n < 3000 ? n : null;
+}
+
+// ?weights=honey_yield:0.4,temperament:0.2&from_year=2022&to_year=2025
+function parseOptions(query) {
+   const parsed = parseWeights(query.weights);
+   if (!parsed.ok) return parsed;
+   return {
+      ok: true,
+      options: {
+         weights: parsed.weights,
+         fromYear: yearParam(query.from_year),
+         toYear: yearParam(query.to_year),
+      },
+   };
+}
+
+// GET /api/breeding/traits → trait parameters and default index weights
+router.get("/traits", (req, res) => {
+   res.json({
+      traits: Object.entries(TRAITS).map(([key, t]) => ({
+         key,
+         label: t.label,
+         h2: t.h2,
+         repeatability: t.repeatability,
+         higher_is_better: t.higherIsBetter,
+         default_weight: t.weight,
+      })),
+   });
+});
+
+// GET /api/breeding/values?weights=&from_year=&to_year=
+// → queen and strain breeding values + apiary × year effects
+router.get("/values", async (req, res) => {
+   const parsed = parseOptions(req.query);
+   if (!parsed.ok) return res.status(parsed.status).json({ error: parsed.error });
+
+   try {
+      const result = await estimateBreedingValues(req.user.id, parsed.options);
+      return res.json(result);
+   } catch (err) {
+      console.error("❌ Error estimating breeding values:", err);
+      return res.status(500).json({ error: "Server error while estimating breeding values" });
+   }
+});
+
+// GET /api/breeding/selection?weights=&min_reliability=0.3&limit=20
+// → living queens ranked by selection index, candidates for next season's breeders
+router.get("/selection", async (req, res) => {
+   const parsed = parseOptions(req.query);
+   if (!parsed.ok) return res.status(parsed.status).json({ error: parsed.error });
+
+   const minReliability = Number(req.query.min_reliability);
+   const limit = parseInt(req.query.limit, 10);
+
+   try {
+      const result = await buildSelectionList(req.user.id, {
+         ...parsed.options,
+         minReliability: Number.isFinite(minReliability) ? minReliability : 0,
+         limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 200) : 50,
+      });
+      return res.json(result);
+   } catch (err) {
+      console.error("❌ Error building breeder selection:", err);
+      return res.status(500).json({ error: "Server error while building selection list" });
+   }
+});
+
+// GET /api/breeding/queens/:queen_id → breeding values of one queen
+router.get("/queens/:queen_id", requireAccess("queen", "read", "queen_id"), async (req, res) => {
+   const parsed = parseOptions(req.query);
+   if (!parsed.ok) return res.status(parsed.status).json({ error: parsed.error });
+
+   const queenId = String(req.access.queen.queen_id);
+
+   try {
+      const result = await estimateBreedingValues(req.user.id, parsed.options);
+      const queen = result.queens.find((q) => q.queen_id === queenId);
+      if (!queen) {
+         return res.status(404).json({ error: "No breeding value: no adjusted records for this queen or her parents" });
+      }
+      return res.json({ weights: result.weights, queen });
+   } catch (err) {
+      console.error("❌ Error fetching queen breeding value:", err);
+      return res.status(500).json({ error: "Server error while fetching breeding value" });
+   }
+});
+
+// POST /api/breeding/selection/:queen_id/breeder
+// body: { code, name? } → queen_breeders row linked to the selected queen
+router.post("/selection/:queen_id/breeder", requireAccess("queen", "write", "queen_id"), async (req, res) => {
+   const ownerId = req.user.id;
+   const queenId = String(req.access.queen.queen_id);
+   const { code, name } = req.body || {};
+
+   if (!code) {
+      return res.status(400).json({ error: "code is required" });
+   }
+
+   try {
+      const existing = await pool.query(
+         `SELECT id, code FROM queen_breeders WHERE owner_id = $1 AND queen_id = $2 LIMIT 1`,
+         [ownerId, queenId]
+      );
+      if (existing.rows.length) {
+         return res.status(409).json({ error: "Queen is already a breeder", breeder: existing.rows[0] });
+      }
+
+      const { rows } = await pool.query(
+         `INSERT INTO queen_breeders (owner_id, code, name, queen_id)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *`,
+         [ownerId, code, name || null, queenId]
+      );
+      return res.status(201).json({ breeder: rows[0] });
+   } catch (err) {
+      console.error("❌ Error creating breeder from selection:", err);
+      return res.status(500).json({ error: "Server error while creating breeder" });
+   }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+// routes/calendar.js
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   EVENT_TYPES,
+   getOrCreateFeed,
+   rotateFeed,
+   deleteFeed,
+   findFeedByToken,
+   collectEvents,
+   buildIcs,
+} = require("../services/calendarService");
+
+// ?types=graft,nuc_check → subset of EVENT_TYPES (all by default)
+function parseTypes(value) {
+   if (!value) return { ok: true, types: EVENT_TYPES };
+   const types = String(value)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+   const unknown = types.filter((t) => !EVENT_TYPES.includes(t));
+   if (unknown.length) {
+      return { ok: false, error: `Unknown types: ${unknown.join(", ")} (allowed: ${EVENT_TYPES.join(", ")})` };
+   }
+   return { ok: true, types };
+}
+
+function feedPayload(req, feed) {
+   const base = `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+   const url = `${base}/feed/${feed.token}.ics`;
+   return {
+      url,
+      webcal_url: url.replace(/^https?:/, "webcal:"),
+      event_types: EVENT_TYPES,
+      created_at: feed.created_at,
+      rotated_at: feed.rotated_at,
+      last_accessed_at: feed.last_accessed_at,
+   };
+}
+
+/**
+ * GET /api/calendar/feed/:token.ics?types=
+ * Public subscription URL (no login, the token is the secret)
+ */
+router.get("/feed/:token.ics", async (req, res) => {
+   const parsed = parseTypes(req.query.types);
+   if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+
+   try {
+      const feed = await findFeedByToken(req.params.token);
+      if (!feed) return res.status(404).json({ error: "Calendar feed not found" });
+
+      const events = await collectEvents(feed.user_id, { types: parsed.types });
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", 'inline; filename="bstats.ics"');
+      res.setHeader("Cache-Control", "private, max-age=300");
+      return res.send(buildIcs(events, { name: "BStats beekeeping" }));
+   } catch (err) {
+      console.error("🔴 GET /calendar/feed error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+router.use(authenticateUser);
+
+// GET /api/calendar/feed → my subscription URL (created on first call)
+router.get("/feed", async (req, res) => {
+   try {
+      return res.json(feedPayload(req, await getOrCreateFeed(req.user.id)));
+   } catch (err) {
+      console.error("🔴 GET /calendar/feed error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+// POST /api/calendar/feed/rotate → new URL, the old one stops working
+router.post("/feed/rotate", async (req, res) => {
+   try {
+      return res.json(feedPayload(req, await rotateFeed(req.user.id)));
+   } catch (err) {
+      console.error("🔴 POST /calendar/feed/rotate error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+router.delete("/feed", async (req, res) => {
+   try {
+      const removed = await deleteFeed(req.user.id);
+      if (!removed) return res.status(404).json({ error: "Calendar feed not found" });
+      return res.json({ message: "🗑️ Calendar feed disabled" });
+   } catch (err) {
+      console.error("🔴 DELETE /calendar/feed error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+// GET /api/calendar/events?types= → same events as the feed, as JSON (in-app preview)
+router.get("/events", async (req, res) => {
+   const parsed = parseTypes(req.query.types);
+   if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+
+   try {
+      const events = await collectEvents(req.user.id, { types: parsed.types });
+      events.sort((a, b) => String(a.date || a.start.toISOString()).localeCompare(String(b.date || b.start.toISOString())));
+      return res.json({ events });
+   } catch (err) {
+      console.error("🔴 GET /calendar/events error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+module.exports = router;
@@ -3,9 +3,30 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const { loadHiveAccess } = require("../services/accessControl");
+
+// 🔹 Helper: a notation is reachable through its hive
+async function getNotationIfAllowed(id, userId, action) {
+   const { data: notation } = await supabase
+      .from("colony_notations")
+      .select("id, hive_id")
+      .eq("id", id)
+      .maybeSingle();
+
+   if (!notation) return { ok: false, status: 404, error: "Notation not found" };
+
+   const access = await loadHiveAccess(notation.hive_id, userId, action);
+   if (!access.ok) {
+      return access.status === 404
+         ? { ok: false, status: 404, error: "Notation not found" }
+         : access;
+   }
+   return { ok: true, status: 200, notation };
+}
 
 // ✅ CREATE a new colony notation
-router.post("/", authenticateUser, async (req, res) => {
+router.post("/", authenticateUser, requireAccess("hive", "write", "hive_id"), async (req, res) => {
    const { hive_id, queen_id, notation_id, value, location, date_recorded } = req.body;
 
    if (!hive_id || !notation_id || value === undefined) {
@@ -40,7 +61,7 @@ router.post("/", authenticateUser, async (req, res) => {
 });
 
 // ✅ GET all notations for a hive
-router.get("/hive/:hive_id", authenticateUser, async (req, res) => {
+router.get("/hive/:hive_id", authenticateUser, requireAccess("hive", "read", "hive_id"), async (req, res) => {
    const { hive_id } = req.params;
 
    try {
@@ -64,6 +85,9 @@ router.put("/:id", authenticateUser, async (req, res) => {
    const { value, location, date_recorded } = req.body;
 
    try {
+      const allowed = await getNotationIfAllowed(id, req.user.id, "write");
+      if (!allowed.ok) return res.status(allowed.status).json({ error: allowed.error });
+
       const { data, error } = await supabase
          .from("colony_notations")
          .update({ value, location, date_recorded })
@@ -83,6 +107,9 @@ router.delete("/:id", authenticateUser, async (req, res) => {
    const { id } = req.params;
 
    try {
+      const allowed = await getNotationIfAllowed(id, req.user.id, "write");
+      if (!allowed.ok) return res.status(allowed.status).json({ error: allowed.error });
+
       const { error } = await supabase.from("colony_notations").delete().eq("id", id);
 
       if (error) return res.status(400).json({ error: error.message });
@@ -3,6 +3,25 @@ const router = express.Router();
 const supabase = require('../utils/supabaseClient');
 const authenticateUser = require('../middlewares/authMiddleware');
 const { v4: uuidv4 } = require('uuid');
+const pool = require('../db');
+const { loadCompanyAccess, getCompanyRoles, normalizeRole } = require('../services/accessControl');
+
+// resolve a role from body (role_id or role name) → roles row
+function isRoleId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0;
+}
+
+async function resolveRoleRow({ role_id, role }) {
+  if (role_id) {
+    const { rows } = await pool.query('SELECT role_id, name FROM roles WHERE role_id = $1', [role_id]);
+    return rows[0] || null;
+  }
+  const key = normalizeRole(role);
+  if (!key) return null;
+  const { rows } = await pool.query('SELECT role_id, name FROM roles WHERE name = $1', [key]);
+  return rows[0] || null;
+}
 
 // 🏢 إنشاء شركة جديدة
 router.post('/', authenticateUser, async (req, res) => {
@@ -49,38 +68,158 @@ router.post('/', authenticateUser, async (req, res) => {
   
 
 
-// ✉️ دعوة مستخدم إلى الشركة
-router.post('/:companyId/invite', authenticateUser, async (req, res) => {
-  const { email, role_id } = req.body;
-  const companyId = req.params.companyId;
+// 🏢 الشركات التي ينتمي إليها المستخدم (مع الدور)
+router.get('/mine', authenticateUser, async (req, res) => {
+  try {
+    const roles = await getCompanyRoles(req.user.id);
+    const companyIds = [...roles.keys()];
+    if (companyIds.length === 0) return res.json({ companies: [] });
+
+    const { rows } = await pool.query(
+      `SELECT company_id, company_name, commune, department, owner_user_id
+       FROM companies
+       WHERE company_id = ANY($1)
+       ORDER BY company_name ASC`,
+      [companyIds]
+    );
 
-  if (!email || !role_id) {
-    return res.status(400).json({ error: 'Email and role_id are required.' });
+    res.json({ companies: rows.map((c) => ({ ...c, role: roles.get(c.company_id) })) });
+  } catch (err) {
+    console.error('Error fetching user companies:', err);
+    res.status(500).json({ error: 'Unexpected server error' });
   }
+});
 
-  const token = uuidv4();
+// 👥 أعضاء الشركة
+router.get('/:companyId/members', authenticateUser, async (req, res) => {
+  try {
+    const access = await loadCompanyAccess(req.params.companyId, req.user.id, 'read');
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-  const { data, error } = await supabase
-    .from('invitations')
-    .insert([{
-      email,
-      company_id: companyId,
-      role_id,
-      token
-    }])
-    .select();
+    const { rows } = await pool.query(
+      `SELECT sm.user_id, sm.role_id, r.name AS role_name, sm.active, p.full_name
+       FROM staff_members sm
+       LEFT JOIN roles r ON r.role_id = sm.role_id
+       LEFT JOIN user_profiles p ON p.user_id = sm.user_id
+       WHERE sm.company_id = $1
+       ORDER BY sm.active DESC, p.full_name ASC`,
+      [access.companyId]
+    );
 
-  if (error) {
-    return res.status(400).json({ error: error.message });
+    res.json({
+      members: rows.map((m) => ({ ...m, role: normalizeRole(m.role_name) })),
+    });
+  } catch (err) {
+    console.error('Error fetching company members:', err);
+    res.status(500).json({ error: 'Unexpected server error' });
   }
+});
 
-  const invitationLink = `https://yourapp.com/invite/${token}`;
+// 🔁 تغيير دور عضو / تفعيله أو تعطيله — body: { role_id? | role?, active? }
+router.patch('/:companyId/members/:userId', authenticateUser, async (req, res) => {
+  try {
+    const access = await loadCompanyAccess(req.params.companyId, req.user.id, 'admin');
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-  res.status(201).json({
-    message: '✅ Invitation created successfully',
-    invitationLink,
-    invitation: data[0]
-  });
+    const { role_id, role, active } = req.body || {};
+    let roleRow = null;
+
+    if (role_id !== undefined && role_id !== null && !isRoleId(role_id)) {
+      return res.status(400).json({ error: 'role_id must be a positive integer' });
+    }
+
+    if (role_id || role) {
+      roleRow = await resolveRoleRow({ role_id, role });
+      if (!roleRow) return res.status(400).json({ error: 'Unknown role' });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE staff_members
+       SET role_id = COALESCE($3, role_id),
+           active = COALESCE($4, active)
+       WHERE company_id = $1 AND user_id = $2
+       RETURNING user_id, company_id, role_id, active`,
+      [access.companyId, req.params.userId, roleRow?.role_id ?? null, typeof active === 'boolean' ? active : null]
+    );
+
+    if (!rows.length) return res.status(404).json({ error: 'Member not found' });
+    res.json({ member: { ...rows[0], role: normalizeRole(roleRow?.name) } });
+  } catch (err) {
+    console.error('Error updating company member:', err);
+    res.status(500).json({ error: 'Unexpected server error' });
+  }
+});
+
+// 🚪 إزالة عضو (تعطيل فقط، نحتفظ بالسجل)
+router.delete('/:companyId/members/:userId', authenticateUser, async (req, res) => {
+  try {
+    const access = await loadCompanyAccess(req.params.companyId, req.user.id, 'admin');
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const { rowCount } = await pool.query(
+      `UPDATE staff_members SET active = FALSE WHERE company_id = $1 AND user_id = $2`,
+      [access.companyId, req.params.userId]
+    );
+
+    if (!rowCount) return res.status(404).json({ error: 'Member not found' });
+    res.json({ message: '✅ Member removed from company' });
+  } catch (err) {
+    console.error('Error removing company member:', err);
+    res.status(500).json({ error: 'Unexpected server error' });
+  }
+});
+
+// ✉️ دعوة مستخدم إلى الشركة — body: { email, role_id? | role? }
+router.post('/:companyId/invite', authenticateUser, async (req, res) => {
+  try {
+    const { email, role_id, role } = req.body || {};
+
+    if (!email || (!role_id && !role)) {
+      return res.status(400).json({ error: 'Email and role_id (or role) are required.' });
+    }
+    if (role_id !== undefined && role_id !== null && !isRoleId(role_id)) {
+      return res.status(400).json({ error: 'role_id must be a positive integer' });
+    }
+
+    // ✅ فقط المالك أو المدير يمكنه الدعوة
+    const access = await loadCompanyAccess(req.params.companyId, req.user.id, 'manage');
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+    const roleRow = await resolveRoleRow({ role_id, role });
+    if (!roleRow) return res.status(400).json({ error: 'Unknown role' });
+
+    // managers cannot hand out the owner role
+    if (normalizeRole(roleRow.name) === 'owner' && access.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the company owner can invite another owner' });
+    }
+
+    const token = uuidv4();
+
+    const { data, error } = await supabase
+      .from('invitations')
+      .insert([{
+        email,
+        company_id: access.companyId,
+        role_id: roleRow.role_id,
+        token
+      }])
+      .select();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const invitationLink = `https://yourapp.com/invite/${token}`;
+
+    res.status(201).json({
+      message: '✅ Invitation created successfully',
+      invitationLink,
+      invitation: data[0]
+    });
+  } catch (err) {
+    console.error('Error creating company invitation:', err);
+    res.status(500).json({ error: 'Unexpected server error' });
+  }
 });
 
 module.exports = router;
@@ -3,6 +3,10 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   countLatestStatuses,
+   listStatusChanges,
+} = require("../services/inspectionAnalysisService");
 
 router.get("/overview", authenticateUser, async (req, res) => {
    const userId = req.user.id;
@@ -20,15 +24,30 @@ router.get("/overview", authenticateUser, async (req, res) => {
 
       // hives
       let hivesCount = 0;
+      let hiveIds = [];
       if (apiaryIds.length) {
-         const { count } = await supabase
+         const { data: hives, count } = await supabase
             .from("hives")
-            .select("hive_id", { count: "exact", head: true })
+            .select("hive_id", { count: "exact" })
             .in("apiary_id", apiaryIds);
 
          hivesCount = count || 0;
+         hiveIds = (hives || []).map((h) => h.hive_id);
       }
 
+      // hive health (latest stored inspection analysis per hive)
+      const now = new Date();
+      const firstDayOfMonth = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1))
+      .toISOString()
+      .split("T")[0];
+
+      const hiveStatus = await countLatestStatuses(hiveIds);
+      const wentRed = await listStatusChanges({
+         hiveIds,
+         toStatus: "red",
+         from: firstDayOfMonth,
+      });
+
       // supers (مرتبطة مباشرة بالمستخدم)
       const { count: supersCount } = await supabase
          .from("supers")
@@ -47,7 +66,6 @@ router.get("/overview", authenticateUser, async (req, res) => {
       }
 
       // harvests (SUM net_honey_kg since Jan 1 current year)
-      const now = new Date();
       const firstDayOfYear = new Date(now.getFullYear(), 0, 1)
       .toISOString()
       .split("T")[0];
@@ -76,6 +94,8 @@ router.get("/overview", authenticateUser, async (req, res) => {
          supers: supersCount || 0,
          alerts: alertsCount || 0,
          harvests: harvestsTotalKg || 0,
+         hive_status: hiveStatus, // { green, yellow, red, not_inspected }
+         hives_went_red_this_month: new Set(wentRed.map((c) => c.hive_id)).size,
       });
    } catch (err) {
       console.error("❌ Dashboard overview error:", err);
@@ -2,6 +2,18 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   buildApiaryBloomCalendar,
+   buildUserBloomCalendars,
+} = require("../services/bloomCalendar");
+
+function parseSeasonYear(value) {
+   if (value === undefined || value === "") return { ok: true, year: new Date().getFullYear() };
+   const year = Number(value);
+   if (!Number.isInteger(year) || year < 2000 || year > 2100) return { ok: false };
+   return { ok: true, year };
+}
 
 // GET all flora records for current user
 router.get("/", authenticateUser, async (req, res) => {
@@ -35,6 +47,53 @@ router.get("/", authenticateUser, async (req, res) => {
    }
 });
 
+// GET bloom calendar of every accessible apiary (+ hive move suggestions)
+// ?season=YYYY (default: current year)
+router.get("/calendar", authenticateUser, async (req, res) => {
+   const season = parseSeasonYear(req.query.season);
+   if (!season.ok) {
+      return res.status(400).json({ success: false, message: "season must be a year (YYYY)" });
+   }
+
+   try {
+      const data = await buildUserBloomCalendars(req.user.id, { year: season.year });
+      return res.json({ success: true, data });
+   } catch (err) {
+      console.error("🔴 GET /flora/calendar error:", err);
+      return res.status(500).json({
+         success: false,
+         message: "Server error while building bloom calendar",
+         error: err.message,
+      });
+   }
+});
+
+// GET bloom calendar of one apiary: flora in flight range, GDD-adjusted bloom dates,
+// weekly nectar / pollen scores and when to put supers on
+router.get(
+   "/calendar/apiary/:apiaryId",
+   authenticateUser,
+   requireAccess("apiary", "read", "apiaryId"),
+   async (req, res) => {
+      const season = parseSeasonYear(req.query.season);
+      if (!season.ok) {
+         return res.status(400).json({ success: false, message: "season must be a year (YYYY)" });
+      }
+
+      try {
+         const data = await buildApiaryBloomCalendar(req.access.apiary, req.user.id, { year: season.year });
+         return res.json({ success: true, data });
+      } catch (err) {
+         console.error("🔴 GET /flora/calendar/apiary/:apiaryId error:", err);
+         return res.status(500).json({
+            success: false,
+            message: "Server error while building bloom calendar",
+            error: err.message,
+         });
+      }
+   }
+);
+
 // POST create flora record
 router.post("/", authenticateUser, async (req, res) => {
    try {
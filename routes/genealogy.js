@@ -0,0 +1,101 @@
+// routes/genealogy.js
+// Queen genealogy: mother / drone source links, trees and inbreeding (services/genealogyService.js)
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   DRONE_SOURCE_TYPES,
+   INBREEDING_THRESHOLDS,
+   buildQueenTree,
+   getLineage,
+   validateLineage,
+   saveLineage,
+   checkMating,
+   importLegacyLineage,
+} = require("../services/genealogyService");
+
+router.use(authenticateUser);
+
+// GET /api/genealogy/options
+router.get("/options", (req, res) => {
+   res.json({ drone_source_types: DRONE_SOURCE_TYPES, inbreeding_thresholds: INBREEDING_THRESHOLDS });
+});
+
+// POST /api/genealogy/mating-check
+// body: { mother_queen_id, drone_source_queen_id | drone_source_hive_id }
+// → inbreeding of the planned daughters, relationship of the two queens, shared ancestors
+router.post("/mating-check", async (req, res) => {
+   try {
+      const result = await checkMating(req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json(result.check);
+   } catch (err) {
+      console.error("❌ Error checking planned mating:", err);
+      return res.status(500).json({ error: "Server error while checking mating" });
+   }
+});
+
+// POST /api/genealogy/import-legacy?dry_run=true
+// links the user's queens from queen_pedigree, QR "parents" and strain lines
+router.post("/import-legacy", async (req, res) => {
+   const dryRun = String(req.query.dry_run) === "true";
+
+   try {
+      const result = await importLegacyLineage(req.user.id, { dryRun });
+      return res.json({ dry_run: dryRun, ...result });
+   } catch (err) {
+      console.error("❌ Error importing legacy lineage:", err);
+      return res.status(500).json({ error: "Server error while importing lineage" });
+   }
+});
+
+// GET /api/genealogy/queens/:queen_id → lineage + inbreeding coefficient
+router.get("/queens/:queen_id", requireAccess("queen", "read", "queen_id"), async (req, res) => {
+   try {
+      const result = await getLineage(req.access.queen.queen_id);
+      return res.json({ queen_id: String(req.access.queen.queen_id), ...result });
+   } catch (err) {
+      console.error("❌ Error fetching queen lineage:", err);
+      return res.status(500).json({ error: "Server error while fetching lineage" });
+   }
+});
+
+// PUT /api/genealogy/queens/:queen_id (replaces the lineage)
+// body: { mother_queen_id?, mother_label?, drone_source_type?, drone_source_queen_id?,
+//         drone_source_hive_id?, drone_source_label?, mating_date?, notes? }
+router.put("/queens/:queen_id", requireAccess("queen", "write", "queen_id"), async (req, res) => {
+   const queenId = req.access.queen.queen_id;
+
+   try {
+      const valid = await validateLineage(req.user.id, req.body || {}, queenId);
+      if (!valid.ok) return res.status(valid.status).json({ error: valid.error });
+
+      const lineage = await saveLineage(queenId, valid.lineage, req.user.id);
+      const { inbreeding_coefficient } = await getLineage(queenId);
+      return res.json({ lineage, inbreeding_coefficient });
+   } catch (err) {
+      console.error("❌ Error saving queen lineage:", err);
+      return res.status(500).json({ error: "Server error while saving lineage" });
+   }
+});
+
+// GET /api/genealogy/queens/:queen_id/tree?generations=4&direction=ancestors|descendants|both
+router.get("/queens/:queen_id/tree", requireAccess("queen", "read", "queen_id"), async (req, res) => {
+   const direction = ["ancestors", "descendants", "both"].includes(req.query.direction)
+      ? req.query.direction
+      : "both";
+
+   try {
+      const tree = await buildQueenTree(req.access.queen.queen_id, req.user.id, {
+         generations: req.query.generations,
+         direction,
+      });
+      return res.json(tree);
+   } catch (err) {
+      console.error("❌ Error building queen tree:", err);
+      return res.status(500).json({ error: "Server error while building genealogy tree" });
+   }
+});
+
+module.exports = router;
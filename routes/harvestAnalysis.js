@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { apiaryAtSql } = require("../services/hiveMovementService");
+const { getAccessibleApiaryIds } = require("../services/accessControl");
 
 /**
  * Query params:
@@ -11,6 +13,10 @@ const authenticateUser = require("../middlewares/authMiddleware");
  * - q=string        (search)
  * - limit=number
  * - offset=number
+ *
+ * /by-site-season also accepts:
+ * - season=YYYY              (only that season)
+ * - season_start_month=1..12 (default 1; e.g. 7 for a Jul→Jun season, labelled by its start year)
  */
 
 function parseRange(q) {
@@ -48,7 +54,7 @@ router.get("/by-hive", authenticateUser, async (req, res) => {
       WITH fh AS (
         SELECT hive_id, apiary_id, super_id, net_honey_kg, harvest_date
         FROM harvests
-        WHERE user_id = $1
+        WHERE apiary_id = ANY($1::int[])
           AND ($2::timestamptz IS NULL OR harvest_date >= $2::timestamptz)
           AND ($3::timestamptz IS NULL OR harvest_date <  $3::timestamptz)
       ),
@@ -107,8 +113,9 @@ router.get("/by-hive", authenticateUser, async (req, res) => {
       LIMIT $5 OFFSET $6;
     `;
 
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
       const params = [
-         userId,
+         apiaryIds,
          from ? from.toISOString() : null,
          to ? to.toISOString() : null,
          q,
@@ -138,7 +145,7 @@ router.get("/by-apiary", authenticateUser, async (req, res) => {
       WITH fh AS (
         SELECT hive_id, apiary_id, super_id, net_honey_kg, harvest_date
         FROM harvests
-        WHERE user_id = $1
+        WHERE apiary_id = ANY($1::int[])
           AND ($2::timestamptz IS NULL OR harvest_date >= $2::timestamptz)
           AND ($3::timestamptz IS NULL OR harvest_date <  $3::timestamptz)
       ),
@@ -200,8 +207,9 @@ router.get("/by-apiary", authenticateUser, async (req, res) => {
       LIMIT $5 OFFSET $6;
     `;
 
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
       const params = [
-         userId,
+         apiaryIds,
          from ? from.toISOString() : null,
          to ? to.toISOString() : null,
          q,
@@ -217,4 +225,124 @@ router.get("/by-apiary", authenticateUser, async (req, res) => {
    }
 });
 
+// ----------------------------------------------------
+// /by-site-season
+// Yield attributed to the apiary each hive was on at harvest time (hive movement log,
+// falling back to the apiary recorded on the harvest), per site and season.
+// ----------------------------------------------------
+router.get("/by-site-season", authenticateUser, async (req, res) => {
+   const userId = req.user.id;
+   const { from, to } = parseRange(req.query || {});
+   const { limit, offset } = parsePaging(req.query || {});
+   const q = parseSearch(req.query || {});
+
+   const startMonthRaw = parseInt(req.query.season_start_month, 10);
+   const startMonth = startMonthRaw >= 1 && startMonthRaw <= 12 ? startMonthRaw : 1;
+   const seasonRaw = parseInt(req.query.season, 10);
+   const season = Number.isFinite(seasonRaw) ? seasonRaw : null;
+
+   try {
+      const sql = `
+      WITH fh AS (
+        SELECT hive_id, apiary_id, net_honey_kg, harvest_date
+        FROM harvests
+        WHERE apiary_id = ANY($1::int[])
+          AND ($2::timestamptz IS NULL OR harvest_date >= $2::timestamptz)
+          AND ($3::timestamptz IS NULL OR harvest_date <  $3::timestamptz)
+      ),
+      sited AS (
+        SELECT
+          fh.hive_id,
+          fh.apiary_id AS recorded_apiary_id,
+          CASE WHEN fh.hive_id IS NULL THEN fh.apiary_id
+               ELSE ${apiaryAtSql("fh.hive_id", "fh.harvest_date", "fh.apiary_id")}
+          END AS site_id,
+          EXTRACT(YEAR FROM (fh.harvest_date - make_interval(months => $5 - 1)))::int AS season,
+          fh.net_honey_kg,
+          fh.harvest_date
+        FROM fh
+      ),
+      joined AS (
+        SELECT sited.*, a.apiary_name, h.hive_code
+        FROM sited
+        LEFT JOIN apiaries a ON a.apiary_id = sited.site_id
+        LEFT JOIN hives    h ON h.hive_id   = sited.hive_id
+        WHERE ($4::text IS NULL OR a.apiary_name ILIKE ('%'||$4||'%'))
+          AND ($6::int IS NULL OR sited.season = $6::int)
+      ),
+      per_hive AS (
+        SELECT
+          site_id,
+          apiary_name,
+          season,
+          hive_id,
+          hive_code,
+          SUM(net_honey_kg)::float8 AS net_kg,
+          COUNT(*)::int AS harvests,
+          BOOL_OR(recorded_apiary_id IS DISTINCT FROM site_id) AS reattributed,
+          MIN(harvest_date) AS first_harvest_at,
+          MAX(harvest_date) AS last_harvest_at
+        FROM joined
+        GROUP BY site_id, apiary_name, season, hive_id, hive_code
+      ),
+      agg AS (
+        SELECT
+          site_id,
+          apiary_name,
+          season,
+          SUM(net_kg)::float8 AS total_honey,
+          COUNT(hive_id)::int AS hives_count,
+          SUM(harvests)::int AS harvests_count,
+          COUNT(*) FILTER (WHERE reattributed)::int AS reattributed_hives,
+          MIN(first_harvest_at) AS first_harvest_at,
+          MAX(last_harvest_at) AS last_harvest_at,
+          JSON_AGG(
+            JSON_BUILD_OBJECT(
+              'hive_id',   hive_id,
+              'hive_code', hive_code,
+              'net_kg',    ROUND(net_kg::numeric, 3),
+              'harvests',  harvests
+            )
+            ORDER BY net_kg DESC
+          ) AS hives_breakdown
+        FROM per_hive
+        GROUP BY site_id, apiary_name, season
+      )
+      SELECT
+        site_id AS apiary_id,
+        apiary_name,
+        season,
+        total_honey,
+        (CASE WHEN hives_count > 0 THEN (total_honey / hives_count) ELSE 0 END)::float8 AS avg_honey_per_hive,
+        hives_count,
+        harvests_count,
+        reattributed_hives,
+        first_harvest_at,
+        last_harvest_at,
+        hives_breakdown
+      FROM agg
+      ORDER BY season DESC, total_honey DESC
+      LIMIT $7 OFFSET $8;
+    `;
+
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+      const params = [
+         apiaryIds,
+         from ? from.toISOString() : null,
+         to ? to.toISOString() : null,
+         q,
+         startMonth,
+         season,
+         limit,
+         offset,
+      ];
+
+      const result = await pool.query(sql, params);
+      res.json(result.rows);
+   } catch (error) {
+      console.error("❌ Error in harvest analysis by site and season:", error);
+      res.status(500).json({ error: "Server error while fetching harvest analysis by site and season" });
+   }
+});
+
 module.exports = router;
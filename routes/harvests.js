@@ -3,6 +3,8 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { createHarvest } = require("../services/harvestService");
+const { loadSuperAccess } = require("../services/accessControl");
 
 // Apply auth to ALL harvest routes
 router.use(authenticateUser);
@@ -10,7 +12,9 @@ router.use(authenticateUser);
 /**
  * POST /api/harvests
  * Create a new harvest record (stores gross + empty + net + hive/apiary snapshot)
- * Only allowed on supers owned by the logged-in user.
+ * Only allowed on supers the logged-in user can write on.
+ * Refused with 409 while the hive is under a treatment withdrawal period,
+ * unless override_withdrawal=true (the harvest is then flagged).
  */
 router.post("/", async (req, res) => {
   try {
@@ -21,108 +25,30 @@ router.post("/", async (req, res) => {
       super_id,   // alternative if you already know it
       full_weight, // gross weight in KG (from scale)
       location,   // optional
+      override_withdrawal, // optional: record anyway during a withdrawal period
     } = req.body || {};
 
-    // 1) Validate gross
-    const gross = Number(full_weight);
-    if (!Number.isFinite(gross) || gross <= 0) {
-      return res.status(400).json({ error: "full_weight must be a positive number in kg" });
-    }
+    const result = await createHarvest({
+      userId,
+      publicKey: public_key,
+      superId: super_id,
+      grossWeight: full_weight,
+      location,
+      overrideWithdrawal: override_withdrawal === true,
+    });
 
-    // 2) Resolve the super and get its tare + hive/apiary snapshot
-    let resolved;
-
-    if (public_key && String(public_key).trim()) {
-      const q = await pool.query(
-        `
-          SELECT 
-            s.super_id, 
-            s.weight_empty,
-            h.hive_id,
-            a.apiary_id
-          FROM supers s
-          LEFT JOIN hives    h ON s.hive_id   = h.hive_id
-          LEFT JOIN apiaries a ON h.apiary_id = a.apiary_id
-          WHERE s.public_key   = $1
-            AND s.owner_user_id = $2
-        `,
-        [String(public_key).trim(), userId]
-      );
-      resolved = q.rows[0];
-    } else if (Number.isFinite(+super_id)) {
-      const q = await pool.query(
-        `
-          SELECT 
-            s.super_id, 
-            s.weight_empty,
-            h.hive_id,
-            a.apiary_id
-          FROM supers s
-          LEFT JOIN hives    h ON s.hive_id   = h.hive_id
-          LEFT JOIN apiaries a ON h.apiary_id = a.apiary_id
-          WHERE s.super_id     = $1
-            AND s.owner_user_id = $2
-        `,
-        [+super_id, userId]
+    if (!result.ok) {
+      return res.status(result.status).json(
+        result.details ? { error: result.error, details: result.details } : { error: result.error }
       );
-      resolved = q.rows[0];
-    } else {
-      return res.status(400).json({ error: "Provide public_key (preferred) or super_id" });
     }
 
-    if (!resolved) {
-      return res.status(404).json({ error: "Super not found for this user" });
-    }
-
-    const tare = Number(resolved.weight_empty);
-    if (!Number.isFinite(tare) || tare <= 0) {
-      return res.status(400).json({
-        error:
-          "This super has no valid empty weight (tare). Set it via super type or manual before harvesting.",
-      });
-    }
-
-    // 3) Compute net = gross - tare
-    const net = +(gross - tare).toFixed(3);
-    if (net < 0) {
-      return res.status(400).json({
-        error: "Computed net honey is negative. Check scale reading or empty weight.",
-        details: { full_weight_kg: gross, empty_weight_kg: tare, net_honey_kg: net },
-      });
-    }
-
-    // 4) Insert harvest (gross + empty + net + location + user_id + hive/apiary snapshot)
-    const sql = `
-      INSERT INTO harvests (
-        super_id,
-        full_weight,
-        empty_weight_kg,
-        net_honey_kg,
-        location,
-        harvest_date,
-        user_id,
-        hive_id,
-        apiary_id
-      ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7, $8)
-      RETURNING *;
-    `;
-    const params = [
-      resolved.super_id,
-      gross,
-      tare,
-      net,
-      location || null,
-      userId,
-      resolved.hive_id || null,
-      resolved.apiary_id || null,
-    ];
-
-    const result = await pool.query(sql, params);
-    const row = result.rows[0];
+    const row = result.harvest;
 
     return res.status(201).json({
       message: "Harvest saved",
       harvest: row,
+      ...(result.withdrawals.length ? { withdrawal_warnings: result.withdrawals } : {}),
     });
   } catch (error) {
     console.error("Error creating harvest:", error);
@@ -168,28 +94,22 @@ router.get("/", async (req, res) => {
 
 /**
  * GET /api/harvests/super-by-key/:public_key
- * Super details by key, only if owned by user
+ * Super details by key, only if the user can access it
  */
 router.get("/super-by-key/:public_key", async (req, res) => {
   const userId = req.user.id;
   const { public_key } = req.params;
 
   try {
-    const result = await pool.query(
-      `
-        SELECT super_id AS id, super_code, public_key
-        FROM supers
-        WHERE public_key   = $1
-          AND owner_user_id = $2
-      `,
-      [public_key.trim(), userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Super not found for this user" });
+    const access = await loadSuperAccess({ publicKey: public_key }, userId, "read");
+    if (!access.ok) {
+      return res
+        .status(access.status)
+        .json({ error: access.status === 404 ? "Super not found for this user" : access.error });
     }
 
-    res.json(result.rows[0]);
+    const { super_id, super_code } = access.super;
+    res.json({ id: super_id, super_code, public_key: access.super.public_key });
   } catch (error) {
     console.error("Error fetching super by key:", error);
     res.status(500).json({ error: "Server error while fetching super by key" });
@@ -234,7 +154,7 @@ router.get("/recent", async (req, res) => {
 
 /**
  * GET /api/harvests/super/:super_id
- * History for a given super, only if owned by user
+ * History for a given super, only if the user can access it
  */
 router.get("/super/:super_id", async (req, res) => {
   try {
@@ -242,6 +162,9 @@ router.get("/super/:super_id", async (req, res) => {
     const superId = Number(req.params.super_id);
     if (!Number.isFinite(superId)) return res.status(400).json({ error: "Invalid super_id" });
 
+    const access = await loadSuperAccess(superId, userId, "read");
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
     const sql = `
       SELECT
         h.id,
@@ -251,12 +174,10 @@ router.get("/super/:super_id", async (req, res) => {
         h.harvest_date,
         h.location
       FROM harvests h
-      JOIN supers s ON s.super_id = h.super_id
       WHERE h.super_id = $1
-        AND s.owner_user_id = $2
       ORDER BY h.harvest_date DESC
     `;
-    const { rows } = await pool.query(sql, [superId, userId]);
+    const { rows } = await pool.query(sql, [superId]);
     res.json(rows);
   } catch (e) {
     console.error("Error fetching super history:", e);
@@ -266,7 +187,7 @@ router.get("/super/:super_id", async (req, res) => {
 
 /**
  * GET /api/harvests/by-key/:public_key
- * History by public_key, only for its owner
+ * History by public_key, only if the user can access the super
  */
 router.get("/by-key/:public_key", async (req, res) => {
   try {
@@ -274,18 +195,14 @@ router.get("/by-key/:public_key", async (req, res) => {
     const publicKey = String(req.params.public_key || "").trim();
     if (!publicKey) return res.status(400).json({ error: "public_key is required" });
 
-    const { rows: supersRows } = await pool.query(
-      `
-        SELECT super_id
-        FROM supers
-        WHERE public_key   = $1
-          AND owner_user_id = $2
-      `,
-      [publicKey, userId]
-    );
-    if (supersRows.length === 0) return res.status(404).json({ error: "Super not found for this user" });
+    const access = await loadSuperAccess({ publicKey }, userId, "read");
+    if (!access.ok) {
+      return res
+        .status(access.status)
+        .json({ error: access.status === 404 ? "Super not found for this user" : access.error });
+    }
 
-    const superId = supersRows[0].super_id;
+    const superId = access.super.super_id;
 
     const { rows } = await pool.query(
       `
@@ -298,10 +215,9 @@ router.get("/by-key/:public_key", async (req, res) => {
           h.location
         FROM harvests h
         WHERE h.super_id = $1
-          AND h.user_id = $2
         ORDER BY h.harvest_date DESC
       `,
-      [superId, userId]
+      [superId]
     );
 
     res.json({ super_id: superId, history: rows });
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const { loadHiveAccess } = require("../services/accessControl");
 
 // POST /hive-descriptors  → create or update descriptor for a hive/year
 router.post("/", authenticateUser, async (req, res) => {
@@ -26,19 +28,12 @@ router.post("/", authenticateUser, async (req, res) => {
   }
 
   try {
-    // 1️⃣ Check hive belongs to apiary + user
-    const { rows: check } = await pool.query(
-      `SELECT h.hive_id
-       FROM hives h
-       JOIN apiaries a ON a.apiary_id = h.apiary_id
-       WHERE h.hive_id = $1
-         AND h.apiary_id = $2
-         AND a.owner_user_id = $3`,
-      [hive_id, apiary_id, userId]
-    );
+    // 1️⃣ Check the user can write on this hive + it belongs to the apiary
+    const access = await loadHiveAccess(hive_id, userId, "write");
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-    if (!check.length) {
-      return res.status(404).json({ error: "Hive not found for this user/apiary" });
+    if (Number(access.hive.apiary_id) !== Number(apiary_id)) {
+      return res.status(404).json({ error: "Hive not found for this apiary" });
     }
 
     // 2️⃣ Upsert descriptor (one per hive/year)
@@ -95,19 +90,16 @@ router.post("/", authenticateUser, async (req, res) => {
 });
 
 // GET /hive-descriptors/hives/:hiveId  → descriptors for one hive
-router.get("/hives/:hiveId", authenticateUser, async (req, res) => {
-  const userId = req.user.id;
-  const { hiveId } = req.params;
+router.get("/hives/:hiveId", authenticateUser, requireAccess("hive", "read", "hiveId"), async (req, res) => {
+  const hiveId = req.access.hive.hive_id;
 
   try {
     const { rows } = await pool.query(
       `SELECT d.*
        FROM hive_descriptors d
-       JOIN apiaries a ON a.apiary_id = d.apiary_id
        WHERE d.hive_id = $1
-         AND a.owner_user_id = $2
        ORDER BY d.year DESC, d.hive_descriptor_id DESC`,
-      [hiveId, userId]
+      [hiveId]
     );
 
     return res.json({ descriptors: rows });
@@ -118,19 +110,16 @@ router.get("/hives/:hiveId", authenticateUser, async (req, res) => {
 });
 
 // GET /hive-descriptors/apiaries/:apiaryId  → descriptors for one apiary
-router.get("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
-  const userId = req.user.id;
-  const { apiaryId } = req.params;
+router.get("/apiaries/:apiaryId", authenticateUser, requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
+  const { apiaryId } = req.access;
 
   try {
     const { rows } = await pool.query(
       `SELECT d.*
        FROM hive_descriptors d
-       JOIN apiaries a ON a.apiary_id = d.apiary_id
        WHERE d.apiary_id = $1
-         AND a.owner_user_id = $2
        ORDER BY d.year DESC, d.hive_id ASC`,
-      [apiaryId, userId]
+      [apiaryId]
     );
 
     return res.json({ descriptors: rows });
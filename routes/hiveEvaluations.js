@@ -4,6 +4,8 @@ const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
 const requirePro = require("../middlewares/requirePro");
+const requireAccess = require("../middlewares/requireAccess");
+const { loadHiveAccess } = require("../services/accessControl");
 
 // POST /hive-evaluations  → create a new evaluation
 router.post("/", authenticateUser, requirePro, async (req, res) => {
@@ -32,19 +34,12 @@ router.post("/", authenticateUser, requirePro, async (req, res) => {
    }
 
    try {
-      // 1️⃣ Check hive belongs to this apiary AND this user
-      const { rows: check } = await pool.query(
-         `SELECT h.hive_id
-       FROM hives h
-       JOIN apiaries a ON a.apiary_id = h.apiary_id
-       WHERE h.hive_id = $1
-         AND h.apiary_id = $2
-         AND a.owner_user_id = $3`,
-         [hive_id, apiary_id, userId],
-      );
+      // 1️⃣ Check the user can write on this hive AND it belongs to this apiary
+      const access = await loadHiveAccess(hive_id, userId, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-      if (!check.length) {
-         return res.status(404).json({ error: "Hive not found for this user/apiary" });
+      if (Number(access.hive.apiary_id) !== Number(apiary_id)) {
+         return res.status(404).json({ error: "Hive not found for this apiary" });
       }
 
       // 2️⃣ Insert evaluation
@@ -95,21 +90,18 @@ router.post("/", authenticateUser, requirePro, async (req, res) => {
 });
 
 // GET /hive-evaluations/hives/:hiveId  → all evaluations for one hive
-router.get("/hives/:hiveId", authenticateUser, requirePro, async (req, res) => {
-   const userId = req.user.id;
-   const { hiveId } = req.params;
+router.get("/hives/:hiveId", authenticateUser, requirePro, requireAccess("hive", "read", "hiveId"), async (req, res) => {
+   const hiveId = req.access.hive.hive_id;
 
    try {
       const { rows } = await pool.query(
          `SELECT e.*,
          h.hive_code
        FROM hive_evaluations e
-       JOIN apiaries a ON a.apiary_id = e.apiary_id
        JOIN hives h ON h.hive_id = e.hive_id
        WHERE e.hive_id = $1
-         AND a.owner_user_id = $2
        ORDER BY e.eval_date DESC, e.hive_evaluation_id DESC`,
-         [hiveId, userId],
+         [hiveId],
       );
 
       return res.json({ evaluations: rows });
@@ -120,21 +112,18 @@ router.get("/hives/:hiveId", authenticateUser, requirePro, async (req, res) => {
 });
 
 // GET /hive-evaluations/apiaries/:apiaryId  → all evaluations for one apiary
-router.get("/apiaries/:apiaryId", authenticateUser, requirePro, async (req, res) => {
-   const userId = req.user.id;
-   const { apiaryId } = req.params;
+router.get("/apiaries/:apiaryId", authenticateUser, requirePro, requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
+   const { apiaryId } = req.access;
 
    try {
       const { rows } = await pool.query(
          `SELECT e.*,
           h.hive_code
        FROM hive_evaluations e
-       JOIN apiaries a ON a.apiary_id = e.apiary_id
        JOIN hives h ON h.hive_id = e.hive_id
        WHERE e.apiary_id = $1
-         AND a.owner_user_id = $2
        ORDER BY e.eval_date DESC, e.hive_id ASC`,
-         [apiaryId, userId],
+         [apiaryId],
       );
 
       return res.json({ evaluations: rows });
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { loadApiaryAccess } = require("../services/accessControl");
 
 /**
  * GET /api/hive-performance/apiaries/:apiaryId
@@ -23,8 +24,11 @@ router.get("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "Invalid apiary id" });
     }
 
+    const access = await loadApiaryAccess(apiaryIdInt, userId, "read");
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
     // 🧠 We join:
-    // - apiaries (ownership)
+    // - apiaries (name)
     // - hives (code/type/purpose)
     // - hive_evaluations (measured data)
     // - hive_descriptors (same hive + same year as eval_date if available)
@@ -79,10 +83,9 @@ router.get("/apiaries/:apiaryId", authenticateUser, async (req, res) => {
         ON d.hive_id = e.hive_id
        AND d.year = EXTRACT(YEAR FROM e.eval_date)
       WHERE e.apiary_id = $1
-        AND a.owner_user_id = $2
       ORDER BY e.eval_date DESC, h.hive_code ASC;
       `,
-      [apiaryIdInt, userId]
+      [apiaryIdInt]
     );
 
     return res.json({ performance: rows });
@@ -0,0 +1,413 @@
+// routes/hiveTelemetry.js
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   getAccessibleApiaryIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   orThrow,
+} = require("../services/accessControl");
+const { fetchWeather, parseLatLng } = require("../services/weather.service");
+const {
+   DOWNSAMPLE_MINUTES,
+   downsample,
+   buildDailySeries,
+   buildSignals,
+   joinDailyWithWeather,
+} = require("../services/telemetryAnalysis");
+
+const MAX_SAMPLES_PER_REQUEST = 20000;
+
+router.use(authenticateUser);
+
+function parseRange(query, defaultDays = 30) {
+   const to = query.to ? new Date(`${query.to}T23:59:59.999Z`) : new Date();
+   const from = query.from
+      ? new Date(`${query.from}T00:00:00.000Z`)
+      : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+
+   if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      const err = new Error("Invalid from/to. Expected YYYY-MM-DD");
+      err.status = 400;
+      throw err;
+   }
+   return { from, to };
+}
+
+async function loadSeries(hiveId, from, to) {
+   const { rows } = await pool.query(
+      `SELECT
+         bucket_start AS t,
+         (weight_sum_kg / sample_count)::float8 AS avg,
+         min_weight_kg::float8  AS min,
+         max_weight_kg::float8  AS max,
+         last_weight_kg::float8 AS last,
+         sample_count
+       FROM hive_weight_samples
+       WHERE hive_id = $1
+         AND bucket_start >= $2
+         AND bucket_start <= $3
+       ORDER BY bucket_start ASC`,
+      [hiveId, from.toISOString(), to.toISOString()]
+   );
+   return rows;
+}
+
+/**
+ * Validate samples, resolve hives (hive_id or hive_public_key) owned by userId,
+ * store them in hive_weight_raw and rebuild the buckets they land in.
+ * A sample already stored for the same hive and measured_at is skipped, so
+ * replaying the same queue (or an overlapping CSV) changes nothing.
+ */
+async function storeSamples(userId, rawSamples, { source, stationId = null }) {
+   const rejected = [];
+   const candidates = [];
+
+   rawSamples.forEach((s, index) => {
+      const weight = Number(s?.weight_kg);
+      const measuredAt = s?.measured_at ? new Date(s.measured_at) : null;
+
+      if (!Number.isFinite(weight) || weight <= 0) {
+         rejected.push({ index, reason: "weight_kg must be a positive number" });
+      } else if (!measuredAt || Number.isNaN(measuredAt.getTime())) {
+         rejected.push({ index, reason: "measured_at must be a valid timestamp" });
+      } else if (!s.hive_id && !s.hive_public_key) {
+         rejected.push({ index, reason: "hive_id or hive_public_key is required" });
+      } else {
+         candidates.push({ index, ...s, weight_kg: weight, measured_at: measuredAt });
+      }
+   });
+
+   const hiveIds = [...new Set(candidates.map((s) => Number(s.hive_id)).filter(Number.isInteger))];
+   const keys = [
+      ...new Set(candidates.filter((s) => s.hive_public_key).map((s) => String(s.hive_public_key).trim())),
+   ];
+
+   const apiaryIds = await getAccessibleApiaryIds(userId, "write");
+   const { rows: hives } = await pool.query(
+      `SELECT h.hive_id, h.public_key
+       FROM hives h
+       WHERE h.apiary_id = ANY($1::int[])
+         AND (h.hive_id = ANY($2::int[]) OR h.public_key = ANY($3::text[]))`,
+      [apiaryIds, hiveIds, keys]
+   );
+
+   const byId = new Set(hives.map((h) => h.hive_id));
+   const byKey = new Map(hives.map((h) => [h.public_key, h.hive_id]));
+
+   const accepted = [];
+   for (const s of candidates) {
+      const hiveId = s.hive_id ? Number(s.hive_id) : byKey.get(String(s.hive_public_key).trim());
+      if (!hiveId || !byId.has(hiveId)) {
+         rejected.push({ index: s.index, reason: "Hive not found for this user" });
+         continue;
+      }
+      accepted.push({ hive_id: hiveId, weight_kg: s.weight_kg, measured_at: s.measured_at });
+   }
+
+   if (accepted.length === 0) {
+      return {
+         received: rawSamples.length,
+         accepted: 0,
+         duplicates: 0,
+         buckets: 0,
+         buckets_written: 0,
+         rejected,
+      };
+   }
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      // concurrent uploads for the same hive would rebuild a bucket from a stale read
+      await client.query(
+         `SELECT pg_advisory_xact_lock(hashtext('hive_weight:' || h))
+          FROM unnest($1::int[]) AS h
+          ORDER BY h`,
+         [[...new Set(accepted.map((s) => s.hive_id))]]
+      );
+
+      const { rows: inserted } = await client.query(
+         `INSERT INTO hive_weight_raw (hive_id, measured_at, weight_kg, source, station_id)
+          SELECT s.hive_id, s.measured_at, s.weight_kg, $4, $5
+          FROM unnest($1::int[], $2::timestamptz[], $3::numeric[]) AS s(hive_id, measured_at, weight_kg)
+          ON CONFLICT (hive_id, measured_at) DO NOTHING
+          RETURNING hive_id, measured_at, weight_kg`,
+         [
+            accepted.map((s) => s.hive_id),
+            accepted.map((s) => s.measured_at.toISOString()),
+            accepted.map((s) => s.weight_kg),
+            source,
+            stationId,
+         ]
+      );
+
+      const touched = downsample(inserted);
+
+      const { rowCount: stored } = await client.query(
+         `INSERT INTO hive_weight_samples (
+            hive_id, bucket_start, weight_sum_kg, sample_count,
+            min_weight_kg, max_weight_kg, last_weight_kg, last_measured_at,
+            source, station_id
+          )
+          SELECT
+            r.hive_id,
+            t.bucket_start,
+            SUM(r.weight_kg),
+            COUNT(*),
+            MIN(r.weight_kg),
+            MAX(r.weight_kg),
+            (ARRAY_AGG(r.weight_kg ORDER BY r.measured_at DESC))[1],
+            MAX(r.measured_at),
+            $4,
+            $5
+          FROM unnest($1::int[], $2::timestamptz[]) AS t(hive_id, bucket_start)
+          JOIN hive_weight_raw r
+            ON r.hive_id = t.hive_id
+           AND r.measured_at >= t.bucket_start
+           AND r.measured_at <  t.bucket_start + make_interval(mins => $3)
+          GROUP BY r.hive_id, t.bucket_start
+          ON CONFLICT (hive_id, bucket_start) DO UPDATE SET
+            weight_sum_kg    = EXCLUDED.weight_sum_kg,
+            sample_count     = EXCLUDED.sample_count,
+            min_weight_kg    = EXCLUDED.min_weight_kg,
+            max_weight_kg    = EXCLUDED.max_weight_kg,
+            last_weight_kg   = EXCLUDED.last_weight_kg,
+            last_measured_at = EXCLUDED.last_measured_at,
+            source           = EXCLUDED.source,
+            station_id       = EXCLUDED.station_id,
+            updated_at       = now()`,
+         [
+            touched.map((b) => b.hive_id),
+            touched.map((b) => b.bucket_start),
+            DOWNSAMPLE_MINUTES,
+            source,
+            stationId,
+         ]
+      );
+
+      await client.query("COMMIT");
+
+      return {
+         received: rawSamples.length,
+         accepted: inserted.length,
+         duplicates: accepted.length - inserted.length,
+         buckets: touched.length,
+         buckets_written: stored,
+         rejected,
+      };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+// Splits on delim outside double quotes, so "48,2" stays one field
+function splitCsvLine(line, delim) {
+   const cells = [];
+   let cell = "";
+   let quoted = false;
+   for (const ch of line) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === delim && !quoted) {
+         cells.push(cell.trim());
+         cell = "";
+      } else cell += ch;
+   }
+   cells.push(cell.trim());
+   return cells;
+}
+
+// "measured_at,weight_kg" per line (header optional). The delimiter is taken
+// from the first line: ';' or tab when present, ',' otherwise. A decimal
+// comma in the weight is accepted ("…;48,2" or quoted with ',').
+function parseWeightCsv(text, hiveId) {
+   const lines = String(text || "")
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+   if (!lines.length) return [];
+
+   const delim = lines[0].includes(";") ? ";" : lines[0].includes("\t") ? "\t" : ",";
+
+   return lines
+      .map((line) => splitCsvLine(line, delim))
+      .filter(([t]) => t && !/^measured_at$/i.test(t))
+      .map(([t, w]) => ({
+         hive_id: hiveId,
+         measured_at: t,
+         weight_kg: Number(String(w ?? "").replace(",", ".")),
+      }));
+}
+
+/**
+ * POST /api/hive-telemetry/ingest
+ * Station token or user. body:
+ * { "samples": [ { "hive_public_key": "…" | "hive_id": 12, "weight_kg": 48.2, "measured_at": "…" } ] }
+ */
+router.post("/ingest", async (req, res) => {
+   const { samples } = req.body || {};
+
+   if (!Array.isArray(samples) || samples.length === 0) {
+      return res.status(400).json({ error: "samples must be a non-empty array" });
+   }
+   if (samples.length > MAX_SAMPLES_PER_REQUEST) {
+      return res
+         .status(413)
+         .json({ error: `Too many samples in one request (max ${MAX_SAMPLES_PER_REQUEST})` });
+   }
+
+   try {
+      const isStation = req.user.role === "station";
+      const result = await storeSamples(req.user.id, samples, {
+         source: isStation ? "station" : "manual",
+         stationId: isStation ? req.user.station_id || null : null,
+      });
+      return res.status(200).json(result);
+   } catch (err) {
+      console.error("🔴 POST /hive-telemetry/ingest error:", err);
+      return res.status(500).json({ error: "Server error while ingesting samples" });
+   }
+});
+
+/**
+ * POST /api/hive-telemetry/hives/:hiveId/csv
+ * Content-Type: text/csv  (or JSON { "csv": "…" })
+ */
+router.post(
+   "/hives/:hiveId/csv",
+   express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+   async (req, res) => {
+      try {
+         const { hive } = await orThrow(loadHiveAccess(req.params.hiveId, req.user.id, "write"));
+         const text = typeof req.body === "string" ? req.body : req.body?.csv;
+
+         const samples = parseWeightCsv(text, hive.hive_id);
+         if (!samples.length) return res.status(400).json({ error: "CSV is empty" });
+         if (samples.length > MAX_SAMPLES_PER_REQUEST) {
+            return res
+               .status(413)
+               .json({ error: `Too many rows in one upload (max ${MAX_SAMPLES_PER_REQUEST})` });
+         }
+
+         const result = await storeSamples(req.user.id, samples, { source: "csv" });
+         return res.status(200).json({ hive_id: hive.hive_id, ...result });
+      } catch (err) {
+         console.error("🔴 POST /hive-telemetry/hives/:hiveId/csv error:", err);
+         return res.status(err.status || 500).json({ error: err.message || "Server error" });
+      }
+   }
+);
+
+/**
+ * GET /api/hive-telemetry/hives/:hiveId/series?from=YYYY-MM-DD&to=YYYY-MM-DD&resolution=bucket|day
+ */
+router.get("/hives/:hiveId/series", async (req, res) => {
+   try {
+      const { hive } = await orThrow(loadHiveAccess(req.params.hiveId, req.user.id, "read"));
+      const { from, to } = parseRange(req.query);
+      const series = await loadSeries(hive.hive_id, from, to);
+
+      if (req.query.resolution === "day") {
+         return res.json({ hive_id: hive.hive_id, resolution: "day", days: buildDailySeries(series) });
+      }
+
+      return res.json({ hive_id: hive.hive_id, resolution: "bucket", series });
+   } catch (err) {
+      console.error("🔴 GET /hive-telemetry/hives/:hiveId/series error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * GET /api/hive-telemetry/hives/:hiveId/signals?from=&to=
+ * daily gain/loss, nectar-flow onsets, sudden drops (swarm suspicion), winter consumption
+ */
+router.get("/hives/:hiveId/signals", async (req, res) => {
+   try {
+      const { hive } = await orThrow(loadHiveAccess(req.params.hiveId, req.user.id, "read"));
+      const { from, to } = parseRange(req.query, 120);
+      const series = await loadSeries(hive.hive_id, from, to);
+
+      return res.json({
+         hive_id: hive.hive_id,
+         hive_code: hive.hive_code,
+         range: { from: from.toISOString(), to: to.toISOString() },
+         ...buildSignals(series),
+      });
+   } catch (err) {
+      console.error("🔴 GET /hive-telemetry/hives/:hiveId/signals error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * GET /api/hive-telemetry/apiaries/:apiaryId/flow-weather?days=30
+ * Average daily weight change of the apiary's scale hives, joined with the daily weather.
+ */
+router.get("/apiaries/:apiaryId/flow-weather", async (req, res) => {
+   try {
+      const { apiary, apiaryId } = await orThrow(
+         loadApiaryAccess(req.params.apiaryId, req.user.id, "read")
+      );
+
+      const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 92);
+
+      const to = new Date();
+      const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+      const { rows: hives } = await pool.query(
+         `SELECT DISTINCT s.hive_id
+          FROM hive_weight_samples s
+          JOIN hives h ON h.hive_id = s.hive_id
+          WHERE h.apiary_id = $1
+            AND s.bucket_start >= $2`,
+         [apiaryId, from.toISOString()]
+      );
+
+      // average of per-hive daily changes
+      const perDate = new Map();
+      for (const { hive_id } of hives) {
+         const daily = buildDailySeries(await loadSeries(hive_id, from, to));
+         for (const d of daily) {
+            if (d.daily_change_kg === null) continue;
+            const cur = perDate.get(d.date) || { date: d.date, sum: 0, hives: 0 };
+            cur.sum += d.daily_change_kg;
+            cur.hives += 1;
+            perDate.set(d.date, cur);
+         }
+      }
+
+      const daily = [...perDate.values()]
+         .sort((a, b) => a.date.localeCompare(b.date))
+         .map((d) => ({
+            date: d.date,
+            hives: d.hives,
+            avg_daily_change_kg: Math.round((d.sum / d.hives) * 1000) / 1000,
+         }));
+
+      const coords = parseLatLng(apiary.location);
+      let weather = null;
+      if (coords) {
+         weather = await fetchWeather(coords.lat, coords.lng, { pastDays: days });
+      }
+
+      return res.json({
+         apiary_id: apiary.apiary_id,
+         apiary_name: apiary.apiary_name,
+         hives_with_scale: hives.length,
+         weather_available: !!weather,
+         days: joinDailyWithWeather(daily, weather),
+      });
+   } catch (err) {
+      console.error("🔴 GET /hive-telemetry/apiaries/:apiaryId/flow-weather error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+module.exports = router;
@@ -6,6 +6,23 @@ const QRCode = require("qrcode");
 const { createCanvas, loadImage } = require("@napi-rs/canvas");
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   getAccessibleApiaries,
+   getAccessibleApiaryIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadHiveByCodeAccess,
+   loadHiveByPublicKeyAccess,
+} = require("../services/accessControl");
+const {
+   moveHives,
+   listHiveMovements,
+   getHiveLocationAt,
+   listMovementBatches,
+   getMovementBatch,
+   parseInstant,
+} = require("../services/hiveMovementService");
+const { buildDependencyReport } = require("../services/archiveService");
 
 /**
  * -----------------------------
@@ -86,113 +103,6 @@ async function countUserHives(userId) {
    return count || 0;
 }
 
-// ✅ Ensure apiary belongs to current user (NUMERIC + STATUS)
-async function assertApiaryOwnership(apiaryId, userId) {
-   const apiaryIdNum = Number(apiaryId);
-   if (!Number.isFinite(apiaryIdNum)) {
-      return { ok: false, error: "apiary_id must be a number", status: 400 };
-   }
-
-   const { data, error } = await supabase
-      .from("apiaries")
-      .select("apiary_id, owner_user_id")
-      .eq("apiary_id", apiaryIdNum)
-      .eq("owner_user_id", userId)
-      .maybeSingle();
-
-   if (error) return { ok: false, error: error.message, status: 400 };
-   if (!data) return { ok: false, error: "Forbidden", status: 403 };
-
-   return { ok: true, apiary: data, apiaryIdNum, status: 200 };
-}
-
-/**
- * ✅ Ownership-safe hive fetch (JOIN once, no multi-step)
- */
-async function getHiveIfOwnedByUser(hiveId, userId, select = "*") {
-   const hiveIdNum = Number(hiveId);
-   if (!Number.isFinite(hiveIdNum)) {
-      return { ok: false, error: "Invalid hive id", status: 400 };
-   }
-
-   const { data, error } = await supabase
-      .from("hives")
-      .select(
-         `
-      ${select},
-      apiaries!inner (
-        apiary_id,
-        owner_user_id,
-        apiary_name,
-        company_id
-      )
-    `,
-      )
-      .eq("hive_id", hiveIdNum)
-      .eq("apiaries.owner_user_id", userId)
-      .maybeSingle();
-
-   if (error) return { ok: false, error: error.message, status: 400 };
-   if (!data) return { ok: false, error: "Hive not found", status: 404 };
-
-   const { apiaries, ...clean } = data;
-   return { ok: true, hive: { ...clean, apiaries }, status: 200 };
-}
-
-async function getHiveByCodeIfOwned(code, userId, select = "*") {
-   const { data, error } = await supabase
-      .from("hives")
-      .select(
-         `
-      ${select},
-      apiaries!inner (
-        apiary_id,
-        owner_user_id,
-        apiary_name,
-        company_id
-      )
-    `,
-      )
-      .eq("hive_code", code)
-      .eq("apiaries.owner_user_id", userId)
-      .maybeSingle();
-
-   if (error) return { ok: false, error: error.message, status: 400 };
-   if (!data) return { ok: false, error: "Hive not found", status: 404 };
-
-   const { apiaries, ...clean } = data;
-   return { ok: true, hive: { ...clean, apiaries }, status: 200 };
-}
-
-async function getHiveByPublicKeyIfOwned(
-   publicKey,
-   userId,
-   select = "hive_code, apiary_id, public_key",
-) {
-   const { data, error } = await supabase
-      .from("hives")
-      .select(
-         `
-      ${select},
-      apiaries!inner (
-        apiary_id,
-        owner_user_id,
-        apiary_name,
-        company_id
-      )
-    `,
-      )
-      .eq("public_key", publicKey)
-      .eq("apiaries.owner_user_id", userId)
-      .maybeSingle();
-
-   if (error) return { ok: false, error: error.message, status: 400 };
-   if (!data) return { ok: false, error: "Hive not found", status: 404 };
-
-   const { apiaries, ...clean } = data;
-   return { ok: true, hive: { ...clean, apiaries }, status: 200 };
-}
-
 /**
  * -----------------------------
  * ✅ POST /hives
@@ -202,11 +112,32 @@ async function getHiveByPublicKeyIfOwned(
 router.post("/", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
+   const { hive_type, hive_purpose, empty_weight, frame_capacity, apiary_id, public_key } =
+      req.body;
+
+   if (!apiary_id) {
+      return res.status(400).json({ error: "apiary_id is required." });
+   }
+
+   // ✅ access check (owner or company member with write role)
+   let own;
+   try {
+      own = await loadApiaryAccess(apiary_id, userId, "write");
+   } catch (err) {
+      console.error("Access check failed in hive creation:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+   if (!own.ok) return res.status(own.status).json({ error: own.error });
+   const apiaryIdNum = own.apiaryId;
+
+   // hive codes, QR packs and plan limits belong to the apiary owner
+   const ownerId = own.apiary.owner_user_id;
+
    // ✅ subscription + hive limit
    const { data: subscription, error: subErr } = await supabase
       .from("subscriptions")
       .select("plan_type, is_active, expires_at")
-      .eq("user_id", userId)
+      .eq("user_id", ownerId)
       .maybeSingle();
 
    if (subErr) {
@@ -220,7 +151,7 @@ router.post("/", authenticateUser, async (req, res) => {
       subscription?.plan_type === "premium" && subscription?.is_active === true && !isExpired;
 
    if (!isPremium) {
-      const hiveCount = await countUserHives(userId);
+      const hiveCount = await countUserHives(ownerId);
 
       if (hiveCount >= 10) {
          return res.status(403).json({
@@ -232,19 +163,7 @@ router.post("/", authenticateUser, async (req, res) => {
       }
    }
 
-   const { hive_type, hive_purpose, empty_weight, frame_capacity, apiary_id, public_key } =
-      req.body;
-
-   if (!apiary_id) {
-      return res.status(400).json({ error: "apiary_id is required." });
-   }
-
    try {
-      // ✅ ownership check (also converts to number)
-      const own = await assertApiaryOwnership(apiary_id, userId);
-      if (!own.ok) return res.status(own.status).json({ error: own.error });
-      const apiaryIdNum = own.apiaryIdNum;
-
       // ✅ public key
       const finalPublicKey = (public_key?.trim().toLowerCase() || uuidv4()).toLowerCase();
 
@@ -265,7 +184,7 @@ router.post("/", authenticateUser, async (req, res) => {
             .from("available_public_keys")
             .select("public_key, code")
             .eq("public_key", finalPublicKey)
-            .eq("owner_user_id", userId)
+            .eq("owner_user_id", ownerId)
             .maybeSingle();
 
          if (availableErr) return res.status(400).json({ error: availableErr.message });
@@ -279,7 +198,7 @@ router.post("/", authenticateUser, async (req, res) => {
 
       // ---- CASE B: auto generate code ----
       if (!public_key) {
-         hive_code = await generateNextHiveCodeForUser(userId);
+         hive_code = await generateNextHiveCodeForUser(ownerId);
       }
 
       const qr_code = `https://yourapp.com/hive/${finalPublicKey}`;
@@ -312,7 +231,7 @@ router.post("/", authenticateUser, async (req, res) => {
             .from("available_public_keys")
             .delete()
             .eq("public_key", finalPublicKey)
-            .eq("owner_user_id", userId);
+            .eq("owner_user_id", ownerId);
       }
 
       return res.status(201).json({
@@ -334,26 +253,17 @@ router.get("/count/global", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const { data: apiaries, error: apiaryError } = await supabase
-         .from("apiaries")
-         .select("apiary_id")
-         .eq("owner_user_id", userId);
-
-      if (apiaryError) {
-         console.error("Error fetching user apiaries:", apiaryError);
-         return res.status(500).json({ error: "Failed to fetch apiaries" });
-      }
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
 
-      if (!apiaries || apiaries.length === 0) {
+      if (apiaryIds.length === 0) {
          return res.json({ hives: 0 });
       }
 
-      const apiaryIds = apiaries.map((a) => a.apiary_id);
-
       const { count, error: hiveError } = await supabase
          .from("hives")
          .select("hive_id", { count: "exact", head: true })
-         .in("apiary_id", apiaryIds);
+         .in("apiary_id", apiaryIds)
+         .is("archived_at", null);
 
       if (hiveError) {
          console.error("Error counting hives:", hiveError);
@@ -377,21 +287,17 @@ router.get("/qr-download/:public_key", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const owned = await getHiveByPublicKeyIfOwned(
-         public_key,
-         userId,
-         "hive_code, apiary_id, public_key",
-      );
+      const owned = await loadHiveByPublicKeyAccess(public_key, userId, "read");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
       const hive = owned.hive;
 
       let label = "Hive Owner";
-      if (hive.apiaries?.company_id) {
+      if (owned.apiary.company_id) {
          const { data: company } = await supabase
             .from("companies")
             .select("company_name")
-            .eq("company_id", hive.apiaries.company_id)
+            .eq("company_id", owned.apiary.company_id)
             .single();
          label = company?.company_name || label;
       }
@@ -435,27 +341,115 @@ router.get("/by-code/:code", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const owned = await getHiveByCodeIfOwned(code, userId, "*");
+      const owned = await loadHiveByCodeAccess(code, userId, "read");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
-      const { apiaries, ...cleanHive } = owned.hive;
-      return res.status(200).json(cleanHive);
+      return res.status(200).json(owned.hive);
    } catch (err) {
       console.error("❌ Error fetching hive by code:", err);
       res.status(500).json({ error: "Unexpected server error" });
    }
 });
 
+// 🚚 Move several hives to another apiary (one transport) ✅ MUST BE BEFORE "/:id"
+// body: { hive_ids: [], to_apiary_id, moved_at?, reason?, transport_ref?, notes? }
+router.post("/move", authenticateUser, async (req, res) => {
+   try {
+      const result = await moveHives(req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.status(201).json({ batch: result.batch, movements: result.movements });
+   } catch (err) {
+      console.error("❌ Error moving hives:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+// 🚚 Movement batches of the user's apiaries (origin or destination)
+router.get("/movements/batches", authenticateUser, async (req, res) => {
+   const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+   const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+   try {
+      let apiaryIds = await getAccessibleApiaryIds(req.user.id, "read");
+      if (req.query.apiary_id) {
+         const wanted = Number(req.query.apiary_id);
+         apiaryIds = apiaryIds.filter((aid) => aid === wanted);
+      }
+      if (!apiaryIds.length) return res.status(200).json({ batches: [] });
+
+      const batches = await listMovementBatches(apiaryIds, { limit, offset });
+      return res.status(200).json({ batches });
+   } catch (err) {
+      console.error("❌ Error fetching movement batches:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+router.get("/movements/batches/:batchId", authenticateUser, async (req, res) => {
+   try {
+      const result = await getMovementBatch(req.params.batchId);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      // visible when the user can read the origin or destination of one of its movements
+      const apiaryIds = new Set(await getAccessibleApiaryIds(req.user.id, "read"));
+      const visible = result.movements.some(
+         (m) => apiaryIds.has(m.to_apiary_id) || apiaryIds.has(m.from_apiary_id),
+      );
+      if (!visible) return res.status(404).json({ error: "Movement batch not found" });
+
+      return res.status(200).json({ batch: result.batch, movements: result.movements });
+   } catch (err) {
+      console.error("❌ Error fetching movement batch:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+// 🚚 Movement history of a hive (🔒 ownership protected)
+router.get("/:id/movements", authenticateUser, async (req, res) => {
+   try {
+      const owned = await loadHiveAccess(req.params.id, req.user.id, "read");
+      if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
+
+      const movements = await listHiveMovements(owned.hive.hive_id);
+      return res.status(200).json({
+         hive_id: owned.hive.hive_id,
+         current_apiary_id: owned.hive.apiary_id,
+         movements,
+      });
+   } catch (err) {
+      console.error("❌ Error fetching hive movements:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+// 📍 Where the hive was at a date: ?date=YYYY-MM-DD (end of day) or ISO timestamp
+router.get("/:id/location", authenticateUser, async (req, res) => {
+   const at = parseInstant(req.query.date);
+   if (!at) return res.status(400).json({ error: "date must be YYYY-MM-DD or an ISO timestamp" });
+
+   try {
+      const owned = await loadHiveAccess(req.params.id, req.user.id, "read");
+      if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
+
+      const location = await getHiveLocationAt(owned.hive, at);
+      return res.status(200).json(location);
+   } catch (err) {
+      console.error("❌ Error fetching hive location:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
 // 🔍 Get apiary name by hive_id (🔒 ownership protected) ✅ MUST BE BEFORE "/:id"
 router.get("/:id/apiary-name", authenticateUser, async (req, res) => {
    const { id } = req.params;
    const userId = req.user.id;
 
    try {
-      const owned = await getHiveIfOwnedByUser(id, userId, "apiary_id");
+      const owned = await loadHiveAccess(id, userId, "read");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
-      const apiaryName = owned.hive.apiaries?.apiary_name || null;
+      const apiaryName = owned.apiary.apiary_name || null;
       if (!apiaryName) return res.status(404).json({ error: "Apiary not found" });
 
       return res.status(200).json({ apiary_name: apiaryName });
@@ -481,13 +475,41 @@ router.patch("/:id", authenticateUser, async (req, res) => {
    }
 
    try {
-      const owned = await getHiveIfOwnedByUser(id, userId, "hive_id, apiary_id");
+      const owned = await loadHiveAccess(id, userId, "write");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
+      // apiary change → logged movement (reason / moved_at optional in the body);
+      // the other fields are written in the move's transaction
       if (updatePayload.apiary_id) {
-         const ownApiary = await assertApiaryOwnership(updatePayload.apiary_id, userId);
+         const ownApiary = await loadApiaryAccess(updatePayload.apiary_id, userId, "write");
          if (!ownApiary.ok) return res.status(ownApiary.status).json({ error: ownApiary.error });
-         updatePayload.apiary_id = ownApiary.apiaryIdNum; // ✅ ensure numeric
+         delete updatePayload.apiary_id;
+
+         if (ownApiary.apiaryId !== owned.hive.apiary_id) {
+            const moved = await moveHives(
+               userId,
+               {
+                  hive_ids: [owned.hive.hive_id],
+                  to_apiary_id: ownApiary.apiaryId,
+                  moved_at: patch.moved_at,
+                  reason: patch.reason,
+               },
+               { hiveFields: updatePayload }
+            );
+            if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
+
+            const { data, error } = await supabase
+               .from("hives")
+               .select("*")
+               .eq("hive_id", owned.hive.hive_id)
+               .maybeSingle();
+            if (error) return res.status(400).json({ error: error.message });
+            return res.status(200).json({ hive: data });
+         }
+
+         if (Object.keys(updatePayload).length === 0) {
+            return res.status(200).json({ hive: owned.hive });
+         }
       }
 
       const { data, error } = await supabase
@@ -502,37 +524,50 @@ router.patch("/:id", authenticateUser, async (req, res) => {
 
       return res.status(200).json({ hive: data });
    } catch (err) {
+      // invalid value for a column (moved hive, pg path)
+      if (err.code?.startsWith("22")) return res.status(400).json({ error: err.message });
       console.error("❌ Error updating hive:", err);
       res.status(500).json({ error: "Unexpected server error" });
    }
 });
 
 // (Optional) dedicated reassign endpoint (🔒 ownership protected)
+// body: { apiary_id, moved_at?, reason?, notes?, transport_ref? } → logged in hive_movements
 router.patch("/:id/reassign", authenticateUser, async (req, res) => {
    const { id } = req.params;
    const userId = req.user.id;
-   const { apiary_id } = req.body;
+   const { apiary_id, moved_at, reason, notes, transport_ref } = req.body;
 
    if (!apiary_id) return res.status(400).json({ error: "apiary_id is required." });
 
    try {
-      const owned = await getHiveIfOwnedByUser(id, userId, "hive_id, apiary_id");
+      const owned = await loadHiveAccess(id, userId, "write");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
-      const ownApiary = await assertApiaryOwnership(apiary_id, userId);
-      if (!ownApiary.ok) return res.status(ownApiary.status).json({ error: ownApiary.error });
+      const moved = await moveHives(userId, {
+         hive_ids: [owned.hive.hive_id],
+         to_apiary_id: apiary_id,
+         moved_at,
+         reason,
+         notes,
+         transport_ref,
+      });
+      if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
 
       const { data, error } = await supabase
          .from("hives")
-         .update({ apiary_id: ownApiary.apiaryIdNum })
+         .select("*")
          .eq("hive_id", Number(id))
-         .select()
          .maybeSingle();
 
       if (error) return res.status(400).json({ error: error.message });
       if (!data) return res.status(404).json({ error: "Hive not found" });
 
-      return res.status(200).json({ hive: data, message: "Hive reassigned successfully" });
+      return res.status(200).json({
+         hive: data,
+         movement: moved.movements[0],
+         message: "Hive reassigned successfully",
+      });
    } catch (err) {
       console.error("❌ Error reassigning hive:", err);
       res.status(500).json({ error: "Unexpected server error" });
@@ -544,7 +579,7 @@ router.delete("/:id", authenticateUser, async (req, res) => {
    const userId = req.user?.id;
 
    try {
-      const owned = await getHiveIfOwnedByUser(id, userId, "hive_id");
+      const owned = await loadHiveAccess(id, userId, "manage");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
       const hiveIdNum = Number(id);
@@ -552,6 +587,13 @@ router.delete("/:id", authenticateUser, async (req, res) => {
          return res.status(400).json({ error: "Invalid hive id" });
       }
 
+      // ?dry_run=true → dependent records the deletion would affect, nothing deleted
+      if (String(req.query.dry_run) === "true") {
+         const report = await buildDependencyReport("hive", hiveIdNum, userId);
+         if (!report.ok) return res.status(report.status).json({ error: report.error });
+         return res.status(200).json({ dry_run: true, ...report.report });
+      }
+
       // ✅ Minimal precheck for RESTRICT tables (inventory_present / inventory_missing)
       const { count: presentCount, error: pErr } = await supabase
          .from("inventory_present")
@@ -573,6 +615,7 @@ router.delete("/:id", authenticateUser, async (req, res) => {
             code: "HIVE_DELETE_RESTRICTED_BY_INVENTORY",
             presentCount: presentCount || 0,
             missingCount: missingCount || 0,
+            hint: "Archive the hive instead: POST /api/archive/hive/:id",
          });
       }
 
@@ -590,11 +633,16 @@ router.delete("/:id", authenticateUser, async (req, res) => {
 
 // ✅ GET /hives (all user's hives) — MUST BE BEFORE "/:id"
 // ✅ GET /hives (all user's hives) — MUST BE BEFORE "/:id"
+// ?include_archived=true also returns archived hives (see /api/archive)
 router.get("/", authenticateUser, async (req, res) => {
    const userId = req.user.id;
+   const includeArchived = String(req.query.include_archived) === "true";
 
    try {
-      const { data, error } = await supabase
+      const accessible = await getAccessibleApiaries(userId, "read");
+      const roleByApiary = new Map(accessible.map((a) => [a.apiary_id, a.role]));
+
+      let query = supabase
          .from("hives")
          .select(
             `
@@ -608,6 +656,8 @@ router.get("/", authenticateUser, async (req, res) => {
             in_service,
             apiary_id,
             created_at,
+            archived_at,
+            archive_reason,
             apiaries!inner (
                apiary_id,
                owner_user_id,
@@ -615,14 +665,19 @@ router.get("/", authenticateUser, async (req, res) => {
             )
          `,
          )
-         .eq("apiaries.owner_user_id", userId)
+         .in("apiary_id", [...roleByApiary.keys()])
          .order("created_at", { ascending: false });
 
+      if (!includeArchived) query = query.is("archived_at", null);
+
+      const { data, error } = await query;
+
       if (error) return res.status(400).json({ error: error.message });
 
       const cleaned = (data || []).map(({ apiaries, ...h }) => ({
          ...h,
          apiary_name: apiaries?.apiary_name ?? null,
+         access_role: roleByApiary.get(h.apiary_id) ?? null,
       }));
 
       return res.status(200).json({ hives: cleaned });
@@ -643,7 +698,7 @@ router.get("/:id", authenticateUser, async (req, res) => {
       `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
    try {
-      const owned = await getHiveIfOwnedByUser(id, userId, "*");
+      const owned = await loadHiveAccess(id, userId, "read");
 
       if (!owned.ok) {
          console.warn("[HIVES:GET:FAILED]", {
@@ -668,8 +723,7 @@ router.get("/:id", authenticateUser, async (req, res) => {
          return res.status(owned.status).json({ error: owned.error });
       }
 
-      const { apiaries, ...cleanHive } = owned.hive;
-      return res.status(200).json(cleanHive);
+      return res.status(200).json(owned.hive);
    } catch (err) {
       console.error("[HIVES:GET:ERROR]", {
          traceId,
@@ -3,9 +3,11 @@ const router = express.Router();
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
 const supabase = require('../utils/supabaseClient');
+const authenticateUser = require('../middlewares/authMiddleware');
+const requireAccess = require('../middlewares/requireAccess');
 
 // 🖨️ تحميل PDF يحتوي على QR Codes لكل خلايا منحل معين
-router.get('/qr-pdf/:apiary_id', async (req, res) => {
+router.get('/qr-pdf/:apiary_id', authenticateUser, requireAccess('apiary', 'read', 'apiary_id'), async (req, res) => {
   const { apiary_id } = req.params;
   const layout = req.query.layout || 'pages'; // 'pages' or 'grid'
 
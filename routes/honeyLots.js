@@ -0,0 +1,444 @@
+// routes/honeyLots.js
+const express = require("express");
+const router = express.Router();
+const QRCode = require("qrcode");
+const PDFDocument = require("pdfkit");
+const pool = require("../db");
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   getCompanyRoles,
+   loadApiaryAccess,
+   loadCompanyAccess,
+} = require("../services/accessControl");
+const {
+   newPublicKey,
+   defaultLotCode,
+   checkHarvestsForLot,
+   addHarvestsToLot,
+   getLotDetails,
+   traceLot,
+   traceHiveForward,
+   traceInterventionForward,
+   getPublicLot,
+} = require("../services/lotService");
+
+const mmToPt = (mm) => (mm * 72) / 25.4;
+
+// 🔹 Helper: validate the editable lot fields (POST + PATCH)
+function parseLotFields(body = {}) {
+   const out = {};
+
+   if (body.lot_code !== undefined) {
+      const code = String(body.lot_code || "").trim();
+      if (!code) return { error: "lot_code cannot be empty" };
+      out.lot_code = code;
+   }
+   if (body.extraction_date !== undefined) {
+      if (body.extraction_date !== null && Number.isNaN(new Date(body.extraction_date).getTime())) {
+         return { error: "extraction_date must be a valid date" };
+      }
+      out.extraction_date = body.extraction_date || null;
+   }
+   if (body.moisture_pct !== undefined) {
+      const m = body.moisture_pct === null || body.moisture_pct === "" ? null : Number(body.moisture_pct);
+      if (m !== null && (!Number.isFinite(m) || m < 0 || m > 100)) {
+         return { error: "moisture_pct must be between 0 and 100" };
+      }
+      out.moisture_pct = m;
+   }
+   if (body.floral_type !== undefined) out.floral_type = String(body.floral_type || "").trim() || null;
+   if (body.notes !== undefined) out.notes = body.notes || null;
+
+   return { fields: out };
+}
+
+function sendResult(res, result) {
+   return res
+      .status(result.status)
+      .json(result.details ? { error: result.error, details: result.details } : { error: result.error });
+}
+
+/**
+ * GET /api/honey-lots/public/:public_key
+ * No auth: what the jar label QR resolves to (origin apiaries, hives,
+ * harvest dates, treatments applied)
+ */
+router.get("/public/:public_key", async (req, res) => {
+   try {
+      const lot = await getPublicLot(req.params.public_key);
+      if (!lot) return res.status(404).json({ error: "Lot not found" });
+      return res.json(lot);
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/public/:public_key error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+router.use(authenticateUser);
+
+/**
+ * POST /api/honey-lots
+ * body: { lot_code?, extraction_date?, moisture_pct?, floral_type?, notes?, company_id?, harvest_ids: [] }
+ */
+router.post("/", async (req, res) => {
+   const userId = req.user.id;
+   const body = req.body || {};
+
+   const parsed = parseLotFields(body);
+   if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+   const client = await pool.connect();
+   try {
+      if (body.company_id) {
+         const company = await loadCompanyAccess(body.company_id, userId, "write", client);
+         if (!company.ok) return sendResult(res, company);
+      }
+
+      const harvests = await checkHarvestsForLot(body.harvest_ids, userId, null, client);
+      if (!harvests.ok) return sendResult(res, harvests);
+
+      const f = parsed.fields;
+
+      await client.query("BEGIN");
+
+      const { rows } = await client.query(
+         `INSERT INTO honey_lots (
+            owner_user_id, company_id, lot_code, public_key,
+            extraction_date, moisture_pct, floral_type, notes
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (owner_user_id, lot_code) DO NOTHING
+          RETURNING *`,
+         [
+            userId,
+            body.company_id || null,
+            f.lot_code || defaultLotCode(f.extraction_date),
+            newPublicKey(),
+            f.extraction_date ?? null,
+            f.moisture_pct ?? null,
+            f.floral_type ?? null,
+            f.notes ?? null,
+         ]
+      );
+
+      if (!rows.length) {
+         await client.query("ROLLBACK");
+         return res.status(409).json({ error: "lot_code already used" });
+      }
+
+      await addHarvestsToLot(rows[0].lot_id, harvests.harvestIds, client);
+      await client.query("COMMIT");
+
+      return res.status(201).json(await getLotDetails(rows[0]));
+   } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("🔴 POST /honey-lots error:", err);
+      // concurrent insert of the same harvest (unique harvest_id)
+      if (err.code === "23505") return res.status(409).json({ error: "Harvest already assigned to another lot" });
+      return res.status(500).json({ error: "Server error while creating lot" });
+   } finally {
+      client.release();
+   }
+});
+
+/**
+ * GET /api/honey-lots
+ * Lots of the user + lots of their companies
+ */
+router.get("/", async (req, res) => {
+   try {
+      const userId = req.user.id;
+      const companyIds = [...(await getCompanyRoles(userId)).keys()];
+
+      const { rows } = await pool.query(
+         `SELECT
+            l.*,
+            COALESCE(
+               (SELECT SUM(h.net_honey_kg)::float8
+                FROM honey_lot_harvests lh
+                JOIN harvests h ON h.id = lh.harvest_id
+                WHERE lh.lot_id = l.lot_id), 0) AS net_honey_kg,
+            COALESCE(
+               (SELECT SUM(r.jar_count)::int
+                FROM honey_packaging_runs r
+                WHERE r.lot_id = l.lot_id), 0) AS jars
+          FROM honey_lots l
+          WHERE l.owner_user_id = $1
+             OR l.company_id = ANY($2::int[])
+          ORDER BY COALESCE(l.extraction_date, l.created_at::date) DESC, l.lot_id DESC`,
+         [userId, companyIds]
+      );
+
+      return res.json(rows);
+   } catch (err) {
+      console.error("🔴 GET /honey-lots error:", err);
+      return res.status(500).json({ error: "Server error while fetching lots" });
+   }
+});
+
+/**
+ * GET /api/honey-lots/trace/hive/:hiveId?from=&to=
+ * Forward trace: every lot this hive contributed to
+ */
+router.get("/trace/hive/:hiveId", requireAccess("hive", "read", "hiveId"), async (req, res) => {
+   try {
+      const lots = await traceHiveForward(req.access.hive.hive_id, {
+         from: req.query.from || null,
+         to: req.query.to || null,
+      });
+      return res.json({ hive_id: req.access.hive.hive_id, hive_code: req.access.hive.hive_code, lots });
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/trace/hive/:hiveId error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/honey-lots/trace/intervention/:interventionId
+ * Forward trace: lots holding honey harvested after this treatment from the treated hives
+ */
+router.get("/trace/intervention/:interventionId", async (req, res) => {
+   try {
+      const interventionId = parseInt(req.params.interventionId, 10);
+      if (!Number.isInteger(interventionId)) {
+         return res.status(400).json({ error: "Invalid intervention id" });
+      }
+
+      const { rows } = await pool.query(
+         `SELECT id, apiary_id, date_time FROM interventions WHERE id = $1`,
+         [interventionId]
+      );
+      const intervention = rows[0];
+      if (!intervention) return res.status(404).json({ error: "Intervention not found" });
+
+      const access = await loadApiaryAccess(intervention.apiary_id, req.user.id, "read");
+      if (!access.ok) {
+         return res
+            .status(access.status)
+            .json({ error: access.status === 404 ? "Intervention not found" : access.error });
+      }
+
+      const lots = await traceInterventionForward(intervention);
+      return res.json({ intervention, lots });
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/trace/intervention/:interventionId error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/honey-lots/:id
+ */
+router.get("/:id", requireAccess("honey_lot", "read"), async (req, res) => {
+   try {
+      return res.json(await getLotDetails(req.access.lot));
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/:id error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/honey-lots/:id/trace
+ * Backward trace: lot → apiaries → hives → supers/harvests + treatments applied
+ */
+router.get("/:id/trace", requireAccess("honey_lot", "read"), async (req, res) => {
+   try {
+      return res.json(await traceLot(req.access.lot));
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/:id/trace error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * PATCH /api/honey-lots/:id
+ * body: { lot_code?, extraction_date?, moisture_pct?, floral_type?, notes? }
+ */
+router.patch("/:id", requireAccess("honey_lot", "write"), async (req, res) => {
+   const parsed = parseLotFields(req.body || {});
+   if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+   const entries = Object.entries(parsed.fields);
+   if (!entries.length) return res.status(400).json({ error: "Nothing to update" });
+
+   try {
+      const sets = entries.map(([k], i) => `${k} = $${i + 2}`);
+      const { rows } = await pool.query(
+         `UPDATE honey_lots
+          SET ${sets.join(", ")}, updated_at = now()
+          WHERE lot_id = $1
+          RETURNING *`,
+         [req.access.lot.lot_id, ...entries.map(([, v]) => v)]
+      );
+      return res.json(rows[0]);
+   } catch (err) {
+      if (err.code === "23505") return res.status(409).json({ error: "lot_code already used" });
+      console.error("🔴 PATCH /honey-lots/:id error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * DELETE /api/honey-lots/:id
+ * Harvests are released (they can go into another lot)
+ */
+router.delete("/:id", requireAccess("honey_lot", "manage"), async (req, res) => {
+   try {
+      await pool.query(`DELETE FROM honey_lots WHERE lot_id = $1`, [req.access.lot.lot_id]);
+      return res.json({ message: "Lot deleted", lot_id: req.access.lot.lot_id });
+   } catch (err) {
+      console.error("🔴 DELETE /honey-lots/:id error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/honey-lots/:id/harvests
+ * body: { harvest_ids: [] }
+ */
+router.post("/:id/harvests", requireAccess("honey_lot", "write"), async (req, res) => {
+   try {
+      const { lot } = req.access;
+      const harvests = await checkHarvestsForLot(req.body?.harvest_ids, req.user.id, lot.lot_id);
+      if (!harvests.ok) return sendResult(res, harvests);
+
+      await addHarvestsToLot(lot.lot_id, harvests.harvestIds);
+      return res.json(await getLotDetails(lot));
+   } catch (err) {
+      console.error("🔴 POST /honey-lots/:id/harvests error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * DELETE /api/honey-lots/:id/harvests/:harvestId
+ */
+router.delete("/:id/harvests/:harvestId", requireAccess("honey_lot", "write"), async (req, res) => {
+   try {
+      const { rows } = await pool.query(
+         `DELETE FROM honey_lot_harvests
+          WHERE lot_id = $1 AND harvest_id = $2
+          RETURNING harvest_id`,
+         [req.access.lot.lot_id, parseInt(req.params.harvestId, 10) || 0]
+      );
+      if (!rows.length) return res.status(404).json({ error: "Harvest not in this lot" });
+      return res.json(await getLotDetails(req.access.lot));
+   } catch (err) {
+      console.error("🔴 DELETE /honey-lots/:id/harvests/:harvestId error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/honey-lots/:id/packaging-runs
+ * body: { jar_size_g, jar_count, packaged_at?, notes? }
+ * The lot cannot be packaged beyond its net honey weight.
+ */
+router.post("/:id/packaging-runs", requireAccess("honey_lot", "write"), async (req, res) => {
+   const { jar_size_g, jar_count, packaged_at, notes } = req.body || {};
+   const size = Number(jar_size_g);
+   const count = Number(jar_count);
+
+   if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: "jar_size_g must be a positive integer (grams)" });
+   }
+   if (!Number.isInteger(count) || count <= 0) {
+      return res.status(400).json({ error: "jar_count must be a positive integer" });
+   }
+   if (packaged_at && Number.isNaN(new Date(packaged_at).getTime())) {
+      return res.status(400).json({ error: "packaged_at must be a valid date" });
+   }
+
+   try {
+      const details = await getLotDetails(req.access.lot);
+      const runKg = (size * count) / 1000;
+
+      if (runKg > details.totals.remaining_kg + 1e-6) {
+         return res.status(400).json({
+            error: "Packaging run exceeds the honey left in this lot",
+            details: { run_kg: runKg, remaining_kg: details.totals.remaining_kg },
+         });
+      }
+
+      const { rows } = await pool.query(
+         `INSERT INTO honey_packaging_runs (lot_id, packaged_at, jar_size_g, jar_count, notes, created_by)
+          VALUES ($1, COALESCE($2::date, CURRENT_DATE), $3, $4, $5, $6)
+          RETURNING *`,
+         [req.access.lot.lot_id, packaged_at || null, size, count, notes || null, req.user.id]
+      );
+
+      return res.status(201).json(rows[0]);
+   } catch (err) {
+      console.error("🔴 POST /honey-lots/:id/packaging-runs error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * DELETE /api/honey-lots/:id/packaging-runs/:runId
+ */
+router.delete("/:id/packaging-runs/:runId", requireAccess("honey_lot", "write"), async (req, res) => {
+   try {
+      const { rows } = await pool.query(
+         `DELETE FROM honey_packaging_runs
+          WHERE lot_id = $1 AND run_id = $2
+          RETURNING run_id`,
+         [req.access.lot.lot_id, parseInt(req.params.runId, 10) || 0]
+      );
+      if (!rows.length) return res.status(404).json({ error: "Packaging run not found" });
+      return res.json({ message: "Packaging run deleted", run_id: rows[0].run_id });
+   } catch (err) {
+      console.error("🔴 DELETE /honey-lots/:id/packaging-runs/:runId error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/honey-lots/:id/label.pdf
+ * Jar label (100 × 60 mm) with a QR resolving to the public lot page.
+ * The QR holds LOT_PUBLIC_BASE_URL/<public_key> when that env var is set,
+ * otherwise the bare public_key (same as hive / super QR codes).
+ */
+router.get("/:id/label.pdf", requireAccess("honey_lot", "read"), async (req, res) => {
+   try {
+      const { lot } = req.access;
+      const base = String(process.env.LOT_PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+      const qrData = base ? `${base}/${lot.public_key}` : lot.public_key;
+
+      const qrPng = await QRCode.toBuffer(qrData, {
+         type: "png",
+         width: 512,
+         margin: 1,
+         errorCorrectionLevel: "M",
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="lot-${lot.lot_code}.pdf"`);
+
+      const doc = new PDFDocument({ size: [mmToPt(100), mmToPt(60)], margin: mmToPt(4) });
+      doc.pipe(res);
+
+      const qrSize = mmToPt(40);
+      const textX = mmToPt(4) + qrSize + mmToPt(4);
+      const textW = mmToPt(100) - textX - mmToPt(4);
+
+      doc.image(qrPng, mmToPt(4), mmToPt(10), { width: qrSize, height: qrSize });
+
+      doc.font("Helvetica-Bold").fontSize(12).text(`Lot ${lot.lot_code}`, textX, mmToPt(10), { width: textW });
+      doc.font("Helvetica").fontSize(8);
+      if (lot.floral_type) doc.text(lot.floral_type, { width: textW });
+      if (lot.extraction_date) {
+         doc.text(`Extraction: ${new Date(lot.extraction_date).toISOString().slice(0, 10)}`, { width: textW });
+      }
+      if (lot.moisture_pct != null) doc.text(`Moisture: ${lot.moisture_pct} %`, { width: textW });
+
+      doc.end();
+   } catch (err) {
+      console.error("🔴 GET /honey-lots/:id/label.pdf error:", err);
+      return res.status(500).json({ error: "Failed to generate label" });
+   }
+});
+
+module.exports = router;
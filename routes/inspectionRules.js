@@ -0,0 +1,231 @@
+// routes/inspectionRules.js
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const supabase = require("../utils/supabaseClient");
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   ENGINE_VERSION,
+   DEFAULT_PARAMS,
+   HIVE_TYPE_PRESETS,
+   normalizeHiveType,
+   validateParams,
+   buildRules,
+   analyzeInspection,
+   loadActiveProfiles,
+   profilesFor,
+   loadRulesForHive,
+} = require("../services/inspectionRules");
+
+router.use(authenticateUser);
+
+const PREVIEW_MAX = 1000;
+
+// 🔹 Helper: hive type key from { hive_type_id } (user's hive_types) or { hive_type } (name)
+async function resolveHiveTypeKey(body, userId) {
+   if (body.hive_type_id !== undefined && body.hive_type_id !== null && body.hive_type_id !== "") {
+      const { data, error } = await supabase
+         .from("hive_types")
+         .select("id, name")
+         .eq("owner_user_id", userId)
+         .eq("id", body.hive_type_id)
+         .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+         const err = new Error("Hive type not found");
+         err.status = 404;
+         throw err;
+      }
+      return normalizeHiveType(data.name);
+   }
+   return normalizeHiveType(body.hive_type) || "";
+}
+
+/**
+ * GET /api/inspection-rules
+ * Engine version, defaults, built-in presets and the user's active profiles
+ */
+router.get("/", async (req, res) => {
+   try {
+      const byOwner = await loadActiveProfiles([req.user.id]);
+      const profiles = [...(byOwner.get(req.user.id)?.values() || [])];
+
+      return res.json({
+         engine_version: ENGINE_VERSION,
+         defaults: DEFAULT_PARAMS,
+         presets: HIVE_TYPE_PRESETS,
+         profiles,
+      });
+   } catch (err) {
+      console.error("🔴 GET /inspection-rules error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/inspection-rules/history?hive_type=
+ * Every stored version of the user's profiles (latest first)
+ */
+router.get("/history", async (req, res) => {
+   try {
+      const typeKey = req.query.hive_type !== undefined ? normalizeHiveType(req.query.hive_type) || "" : null;
+
+      const { rows } = await pool.query(
+         `SELECT *
+          FROM inspection_rule_profiles
+          WHERE owner_user_id = $1
+            AND ($2::text IS NULL OR hive_type = $2)
+          ORDER BY hive_type, version DESC`,
+         [req.user.id, typeKey]
+      );
+      return res.json(rows);
+   } catch (err) {
+      console.error("🔴 GET /inspection-rules/history error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/inspection-rules/hive/:hiveId
+ * Effective rules for one hive (what its analyses use)
+ */
+router.get("/hive/:hiveId", requireAccess("hive", "read", "hiveId"), async (req, res) => {
+   try {
+      return res.json(await loadRulesForHive(req.access.hive.hive_id));
+   } catch (err) {
+      console.error("🔴 GET /inspection-rules/hive/:hiveId error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * PUT /api/inspection-rules
+ * body: { hive_type? | hive_type_id?, params: { strong_min_bee_frames?, …, penalties? }, note? }
+ * Stores a new version of the profile (applies to the user's own apiaries).
+ * params replace the previous version; omitted keys fall back to preset/defaults.
+ */
+router.put("/", async (req, res) => {
+   const body = req.body || {};
+   const valid = validateParams(body.params);
+   if (!valid.ok) return res.status(valid.status).json({ error: valid.error });
+
+   try {
+      const typeKey = await resolveHiveTypeKey(body, req.user.id);
+
+      const { rows } = await pool.query(
+         `INSERT INTO inspection_rule_profiles (owner_user_id, hive_type, version, params, note)
+          SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4
+          FROM inspection_rule_profiles
+          WHERE owner_user_id = $1 AND hive_type = $2
+          RETURNING *`,
+         [req.user.id, typeKey, JSON.stringify(valid.params), body.note || null]
+      );
+
+      return res.status(201).json(rows[0]);
+   } catch (err) {
+      if (err.code === "23505") {
+         return res.status(409).json({ error: "Concurrent update, retry" });
+      }
+      console.error("🔴 PUT /inspection-rules error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * POST /api/inspection-rules/preview
+ * body: { hive_type? | hive_type_id?, params, apiary_id?, limit? }
+ * Re-scores the user's past inspections with the proposed profile instead of the
+ * active one, without saving anything.
+ */
+router.post("/preview", async (req, res) => {
+   const body = req.body || {};
+   const valid = validateParams(body.params);
+   if (!valid.ok) return res.status(valid.status).json({ error: valid.error });
+
+   let apiaryId = null;
+   if (body.apiary_id !== undefined && body.apiary_id !== null && body.apiary_id !== "") {
+      apiaryId = Number(body.apiary_id);
+      if (!Number.isInteger(apiaryId) || apiaryId <= 0) {
+         return res.status(400).json({ error: "apiary_id must be a positive integer" });
+      }
+   }
+
+   const limit = Math.min(parseInt(body.limit, 10) || 300, PREVIEW_MAX);
+
+   try {
+      const userId = req.user.id;
+      const typeKey = await resolveHiveTypeKey(body, userId);
+
+      const { rows: inspections } = await pool.query(
+         `SELECT i.*, h.hive_type, h.hive_code
+          FROM hive_inspections i
+          JOIN hives h    ON h.hive_id = i.hive_id
+          JOIN apiaries a ON a.apiary_id = h.apiary_id
+          WHERE a.owner_user_id = $1
+            AND ($2::int IS NULL OR a.apiary_id = $2)
+          ORDER BY i.inspection_date DESC, i.inspection_id DESC
+          LIMIT $3`,
+         [userId, apiaryId, limit]
+      );
+
+      // a typed profile only affects hives of that type
+      const affected = inspections.filter(
+         (i) => typeKey === "" || normalizeHiveType(i.hive_type) === typeKey
+      );
+
+      const byOwner = await loadActiveProfiles([userId]);
+      const proposed = { profile_id: null, version: "preview", params: valid.params };
+
+      const transitions = {};
+      const changes = [];
+      let scoreDeltaSum = 0;
+
+      for (const insp of affected) {
+         const active = profilesFor(byOwner, userId, insp.hive_type);
+         const others = active.filter((p) => p.hive_type !== typeKey);
+         const nextProfiles = typeKey === "" ? [proposed, ...others] : [...others, proposed];
+
+         const before = analyzeInspection(insp, buildRules({ hiveType: insp.hive_type, profiles: active }));
+         const after = analyzeInspection(
+            insp,
+            buildRules({ hiveType: insp.hive_type, profiles: nextProfiles })
+         );
+
+         scoreDeltaSum += after.score - before.score;
+
+         if (before.status !== after.status || before.score !== after.score) {
+            const key = `${before.status}->${after.status}`;
+            if (before.status !== after.status) transitions[key] = (transitions[key] || 0) + 1;
+            changes.push({
+               inspection_id: insp.inspection_id,
+               hive_id: insp.hive_id,
+               hive_code: insp.hive_code,
+               inspection_date: insp.inspection_date,
+               before: { status: before.status, score: before.score, reason_codes: before.reason_codes },
+               after: { status: after.status, score: after.score, reason_codes: after.reason_codes },
+            });
+         }
+      }
+
+      return res.json({
+         engine_version: ENGINE_VERSION,
+         hive_type: typeKey || null,
+         summary: {
+            inspections_scanned: inspections.length,
+            inspections_affected: affected.length,
+            status_changed: Object.values(transitions).reduce((a, b) => a + b, 0),
+            score_changed: changes.length,
+            avg_score_delta: affected.length ? +(scoreDeltaSum / affected.length).toFixed(2) : 0,
+            transitions,
+         },
+         changes,
+      });
+   } catch (err) {
+      console.error("🔴 POST /inspection-rules/preview error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+module.exports = router;
@@ -3,360 +3,45 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
-
-// ----------------------------
-// BeeStats Coach (Rules Engine)
-// ----------------------------
-
-// Enumerations (codes only)
-const STATUS = {
-   GREEN: "green",
-   YELLOW: "yellow",
-   RED: "red",
-};
-
-// -------- Helpers --------
-const toIntOrNull = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
-const isInt = (v) => Number.isInteger(v);
-const uniq = (arr) => [...new Set(arr)];
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-
-function safeNum(v) {
-   const n = Number(v);
-   return Number.isFinite(n) ? n : null;
-}
-
-function daysBetween(a, b) {
-   // a, b are "YYYY-MM-DD"
-   if (!a || !b) return null;
-   const da = new Date(a);
-   const db = new Date(b);
-   const diff = (da - db) / (1000 * 60 * 60 * 24);
-   return Number.isFinite(diff) ? diff : null;
-}
-
-function normalizeFood(food_storage) {
-   if (!food_storage) return null;
-   const v = String(food_storage).toLowerCase();
-   if (["weak", "poor", "low", "faible", "pauvre"].includes(v)) return "low";
-   if (["good", "ok", "medium", "correct", "moyen"].includes(v)) return "ok";
-   if (["excellent", "high", "strong", "fort"].includes(v)) return "high";
-   return "ok";
-}
-
-function normalizeBroodQuality(brood_quality) {
-   if (!brood_quality) return null;
-   const v = String(brood_quality).toLowerCase();
-   if (["poor", "weak", "bad", "faible", "mauvais"].includes(v)) return "low";
-   if (["good", "ok", "medium", "correct", "moyen"].includes(v)) return "ok";
-   if (["excellent", "great", "high", "fort"].includes(v)) return "high";
-   return "ok";
-}
-
-function normalizeVarroa(varroa_level) {
-   if (!varroa_level) return null;
-   const v = String(varroa_level).toLowerCase();
-   const allowed = new Set(["not_checked", "low", "medium", "high"]);
-   return allowed.has(v) ? v : null;
-}
-
-// ----------------------------
-// Scoring / Confidence Model
-// ----------------------------
-const REASON_PENALTY = {
-   // Critical
-   SICKNESS_SIGNS_REPORTED: 60,
-   QUEEN_SUSPECT_NO_EGGS_NO_LARVAE: 55,
-   SWARM_RISK_HIGH: 50,
-   VARROA_HIGH: 45,
-
-   // Medium
-   QUEEN_SUSPECT_LARVAE_NO_EGGS: 25,
-   QUEEN_CELLS_PRESENT_MONITOR: 20,
-   VARROA_MEDIUM: 20,
-   FOOD_LOW: 20,
-   COLONY_WEAK: 15,
-   BROOD_QUALITY_LOW: 15,
-   BROOD_SMALL_BUT_EGGS_PRESENT: 10,
-
-   // Positive/neutral (no penalty)
-   VARROA_LOW: 0,
-   FOOD_OK: 0,
-   BROOD_QUALITY_OK: 0,
-   INSPECTION_STABLE: 0,
-
-   // Missing data (tiny penalty)
-   DATA_MISSING_FRAME_COUNT: 5,
-   DATA_MISSING_BEE_FRAMES: 5,
-   DATA_MISSING_BROOD_FRAMES: 5,
-   DATA_MISSING_LARVAE: 5,
-   DATA_MISSING_VARROA: 5,
-};
-
-// Missing-data reasons used to compute confidence
-const MISSING_DATA_REASONS = new Set([
-   "DATA_MISSING_FRAME_COUNT",
-   "DATA_MISSING_BEE_FRAMES",
-   "DATA_MISSING_BROOD_FRAMES",
-   "DATA_MISSING_LARVAE",
-   "DATA_MISSING_VARROA",
-]);
-
-function computeScore(status, reason_codes) {
-   let score = 100;
-   for (const r of reason_codes || []) {
-      score -= REASON_PENALTY[r] ?? 0;
-   }
-   score = clamp(score, 0, 100);
-
-   // enforce bands by status (UI-friendly)
-   if (status === STATUS.RED) score = Math.min(score, 49);
-   if (status === STATUS.YELLOW) score = Math.min(score, 79);
-   if (status === STATUS.GREEN) score = Math.max(score, 80);
-
-   return score;
-}
-
-function computeConfidence(reason_codes) {
-   // Start high, subtract a bit per missing critical metric
-   let c = 1.0;
-   const missing = (reason_codes || []).filter((r) => MISSING_DATA_REASONS.has(r)).length;
-   c -= missing * 0.12;
-   return clamp(Number(c.toFixed(2)), 0.35, 1.0);
-}
-
-// ----------------------------
-// Smart chips generator (codes only)
-// ----------------------------
-function buildSmartChips(analysis) {
-   // Return small UI-ready chips as codes (no language here)
-   const chips = [];
-
-   if (analysis.status === STATUS.GREEN) chips.push("CHIP_STABLE");
-   if (analysis.status === STATUS.YELLOW) chips.push("CHIP_NEEDS_ATTENTION");
-   if (analysis.status === STATUS.RED) chips.push("CHIP_URGENT");
-
-   // pick up to 3 strong reasons to display
-   const priority = [
-      "SICKNESS_SIGNS_REPORTED",
-      "QUEEN_SUSPECT_NO_EGGS_NO_LARVAE",
-      "SWARM_RISK_HIGH",
-      "VARROA_HIGH",
-      "FOOD_LOW",
-      "QUEEN_SUSPECT_LARVAE_NO_EGGS",
-      "VARROA_MEDIUM",
-      "COLONY_WEAK",
-      "BROOD_QUALITY_LOW",
-      "BROOD_SMALL_BUT_EGGS_PRESENT",
-      "VARROA_NOT_CHECKED",
-   ];
-
-   for (const p of priority) {
-      if (analysis.reason_codes.includes(p)) chips.push(`CHIP_${p}`);
-      if (chips.length >= 5) break;
-   }
-
-   return uniq(chips);
-}
-
-// ----------------------------
-// Main analysis function
-// ----------------------------
-function analyzeInspection(insp) {
-   const {
-      queen_seen,
-      eggs_seen,
-      larvae_present,
-      queen_cell_present,
-      brood_quality,
-      food_storage,
-      sickness_signs,
-      frame_count,
-      bee_frames,
-      brood_frames,
-      varroa_level,
-   } = insp;
-
-   const fc = safeNum(frame_count);
-   const bf = safeNum(bee_frames);
-   const brf = safeNum(brood_frames);
-
-   const beeRatio = fc && bf != null ? bf / fc : null;
-   const broodRatio = fc && brf != null ? brf / fc : null;
-
-   const food = normalizeFood(food_storage);
-   const broodQ = normalizeBroodQuality(brood_quality);
-   const varroa = normalizeVarroa(varroa_level);
-
-   const reason_codes = [];
-   const action_codes = [];
-
-   let status = STATUS.GREEN;
-   let suggested_revisit_days = 7;
-
-   // ---------- Missing data (affects confidence, not always status) ----------
-   if (fc === null) reason_codes.push("DATA_MISSING_FRAME_COUNT");
-   if (bf === null) reason_codes.push("DATA_MISSING_BEE_FRAMES");
-   if (brf === null) reason_codes.push("DATA_MISSING_BROOD_FRAMES");
-   if (larvae_present === null || larvae_present === undefined)
-      reason_codes.push("DATA_MISSING_LARVAE");
-   if (varroa === null || varroa === undefined) reason_codes.push("DATA_MISSING_VARROA");
-
-   // ---------- Priority 1: sickness ----------
-   if (sickness_signs === true) {
-      status = STATUS.RED;
-      reason_codes.push("SICKNESS_SIGNS_REPORTED");
-      action_codes.push("ACTION_TAKE_PHOTOS_AND_CONFIRM");
-      action_codes.push("ACTION_AVOID_TOOL_FRAME_TRANSFER");
-      action_codes.push("ACTION_CONTACT_ASSOCIATION_LAB");
-      suggested_revisit_days = Math.min(suggested_revisit_days, 2);
-   }
-
-   // ---------- Priority 2: queen / brood continuity ----------
-   if (status !== STATUS.RED) {
-      const noEggs = eggs_seen === false;
-      const noLarvae = larvae_present === false;
-
-      // Eggs + larvae missing is strong warning (queen issue or just too early)
-      if (noEggs && noLarvae) {
-         status = STATUS.RED;
-         reason_codes.push("QUEEN_SUSPECT_NO_EGGS_NO_LARVAE");
-         action_codes.push("ACTION_RECHECK_IN_3_4_DAYS");
-         action_codes.push("ACTION_TEST_WITH_BROOD_FRAME_OR_PREPARE_QUEEN");
-         action_codes.push("ACTION_AVOID_EXPANSION_UNTIL_STABLE");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 3);
-      } else if (noEggs && larvae_present === true) {
-         status = STATUS.YELLOW;
-         reason_codes.push("QUEEN_SUSPECT_LARVAE_NO_EGGS");
-         action_codes.push("ACTION_RECHECK_IN_5_6_DAYS");
-         action_codes.push("ACTION_MONITOR_QUEEN_PERFORMANCE");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 5);
-      }
-   }
-
-   // ---------- Priority 3: swarm / supersedure risk ----------
-   if (status !== STATUS.RED && queen_cell_present === true) {
-      const strongByFrames = bf != null ? bf >= 7 : false;
-      const strongByRatio = beeRatio != null ? beeRatio >= 0.7 : false;
-      const strong = strongByFrames || strongByRatio;
-
-      const heavyBrood = brf != null ? brf >= 4 : broodRatio != null ? broodRatio >= 0.35 : false;
-
-      if (strong && heavyBrood) {
-         status = STATUS.RED;
-         reason_codes.push("SWARM_RISK_HIGH");
-         action_codes.push("ACTION_ADD_SPACE_OR_SPLIT");
-         action_codes.push("ACTION_RECHECK_QUEEN_CELLS_SOON");
-         action_codes.push("ACTION_IMPROVE_VENTILATION");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 3);
-      } else {
-         status = STATUS.YELLOW;
-         reason_codes.push("QUEEN_CELLS_PRESENT_MONITOR");
-         // Use existing action codes (avoid unknown keys)
-         action_codes.push("ACTION_RECHECK_QUEEN_CELLS_SOON");
-         action_codes.push("ACTION_ADD_SPACE_OR_SPLIT");
-         action_codes.push("ACTION_FEED_APPROPRIATELY_SEASON");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 5);
-      }
-   }
-
-   // ---------- Priority 4: varroa ----------
-   if (varroa === "high") {
-      status = STATUS.RED;
-      reason_codes.push("VARROA_HIGH");
-      action_codes.push("ACTION_PLAN_VARROA_TREATMENT");
-      action_codes.push("ACTION_RECHECK_VARROA_AFTER_TREATMENT");
-      suggested_revisit_days = Math.min(suggested_revisit_days, 3);
-   } else if (status === STATUS.GREEN && varroa === "medium") {
-      status = STATUS.YELLOW;
-      reason_codes.push("VARROA_MEDIUM");
-      action_codes.push("ACTION_MONITOR_VARROA_AND_PLAN_WINDOW");
-      suggested_revisit_days = Math.min(suggested_revisit_days, 7);
-   } else if (varroa === "low") {
-      reason_codes.push("VARROA_LOW");
-   } else if (varroa === "not_checked") {
-      reason_codes.push("VARROA_NOT_CHECKED");
-      action_codes.push("ACTION_CHECK_VARROA_NEXT_VISIT");
-   }
-
-   // ---------- Priority 5: food ----------
-   if (food === "low") {
-      if (status === STATUS.GREEN) status = STATUS.YELLOW;
-      reason_codes.push("FOOD_LOW");
-      action_codes.push("ACTION_FEED_APPROPRIATELY_SEASON");
-      action_codes.push("ACTION_AVOID_EXPANSION_UNTIL_FOOD_OK");
-      suggested_revisit_days = Math.min(suggested_revisit_days, 5);
-   } else if (food === "high" || food === "ok") {
-      reason_codes.push("FOOD_OK");
-   }
-
-   // ---------- Secondary: strength / brood pattern hints ----------
-   if (status === STATUS.GREEN) {
-      if (beeRatio != null && beeRatio < 0.4) {
-         status = STATUS.YELLOW;
-         reason_codes.push("COLONY_WEAK");
-         action_codes.push("ACTION_AVOID_EXPANSION_SUPPORT_GROWTH");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 7);
-      }
-
-      if (broodRatio != null && broodRatio < 0.2 && eggs_seen === true) {
-         status = STATUS.YELLOW;
-         reason_codes.push("BROOD_SMALL_BUT_EGGS_PRESENT");
-         action_codes.push("ACTION_MONITOR_BROOD_AND_NUTRITION");
-         suggested_revisit_days = Math.min(suggested_revisit_days, 7);
+const {
+   getAccessibleHiveIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadInspectionAccess,
+} = require("../services/accessControl");
+const {
+   createInspection,
+   updateInspection,
+   recordRevision,
+   diffFields,
+   getInspectionRevisions,
+} = require("../services/inspectionService");
+const {
+   getHiveTimelines,
+   getApiaryTimeline,
+   listStatusChanges,
+} = require("../services/inspectionAnalysisService");
+const {
+   STATUS,
+   analyzeInspection,
+   analyzeInspections,
+   loadRulesForHive,
+} = require("../services/inspectionRules");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// from / to query params must be YYYY-MM-DD when present
+function invalidDateRange(query) {
+   for (const key of ["from", "to"]) {
+      if (query[key] !== undefined && !DATE_RE.test(String(query[key]))) {
+         return `${key} must be a date (YYYY-MM-DD)`;
       }
    }
-
-   // Brood quality context
-   if (broodQ === "low") {
-      if (status === STATUS.GREEN) status = STATUS.YELLOW;
-      reason_codes.push("BROOD_QUALITY_LOW");
-      action_codes.push("ACTION_CHECK_QUEEN_AND_VARROA");
-      suggested_revisit_days = Math.min(suggested_revisit_days, 6);
-   } else if (broodQ === "high" || broodQ === "ok") {
-      reason_codes.push("BROOD_QUALITY_OK");
-   }
-
-   if (reason_codes.length === 0) reason_codes.push("INSPECTION_STABLE");
-
-   if (action_codes.length === 0) {
-      action_codes.push("ACTION_CONTINUE_WEEKLY_INSPECTIONS");
-      action_codes.push("ACTION_KEEP_NOTES_CONSISTENT");
-   }
-
-   const reasonU = uniq(reason_codes);
-   const actionU = uniq(action_codes);
-
-   const score = computeScore(status, reasonU);
-   const confidence = computeConfidence(reasonU);
-
-   const analysis = {
-      status, // green | yellow | red
-      score, // 0..100
-      confidence, // 0.35..1
-      reason_codes: reasonU,
-      action_codes: actionU,
-      metrics: {
-         bee_ratio: beeRatio,
-         brood_ratio: broodRatio,
-         frame_count: fc,
-         bee_frames: bf,
-         brood_frames: brf,
-      },
-      suggested_revisit_days,
-   };
-
-   return {
-      ...analysis,
-      chips: buildSmartChips(analysis), // UI helper
-      smart_summary: {
-         // codes only - UI translates
-         top_reasons: reasonU.slice(0, 3),
-         top_actions: actionU.slice(0, 3),
-      },
-   };
+   return null;
 }
 
+// BeeStats Coach rules live in services/inspectionRules.js (versioned, per hive type / owner)
+
 // ----------------------------
 // Hive summary (across inspections)
 // ----------------------------
@@ -452,6 +137,15 @@ router.get("/", authenticateUser, async (req, res) => {
   const offset = parseInt(req.query.offset ?? "0", 10) || 0;
 
   try {
+    // inspections of every hive the user can reach (own apiaries + company workspaces)
+    const hiveIds = await getAccessibleHiveIds(userId, "read");
+    if (hiveIds.length === 0) {
+      return res.status(200).json({
+        inspections: [],
+        pagination: { limit, offset, returned: 0 },
+      });
+    }
+
     const { data: inspections, error } = await supabase
       .from("hive_inspections")
       .select(
@@ -468,16 +162,16 @@ router.get("/", authenticateUser, async (req, res) => {
           )
         `
       )
-      .eq("user_id", userId)
-      // ✅ filtre ownership redondant (sécurité), au cas où
-      .eq("hives.apiaries.owner_user_id", userId)
+      .in("hive_id", hiveIds)
       .order("inspection_date", { ascending: false })
       .range(offset, offset + limit - 1);
 
     if (error) return res.status(400).json({ error: error.message });
 
-    const computed = (inspections || []).map((insp) => {
-      const analysis = analyzeInspection(insp);
+    const analyses = await analyzeInspections(inspections);
+
+    const computed = (inspections || []).map((insp, i) => {
+      const analysis = analyses[i];
 
       const frameCapacity = insp.hives?.frame_capacity ?? null;
       const missingFrames =
@@ -529,115 +223,16 @@ router.get("/", authenticateUser, async (req, res) => {
 // ✅ POST /inspections
 // ----------------------------
 router.post("/", authenticateUser, async (req, res) => {
-   const {
-      hive_id,
-      inspection_date,
-      queen_seen,
-      eggs_seen,
-      queen_cell_present,
-      brood_quality,
-      food_storage,
-      sickness_signs,
-      frame_count,
-
-      // NEW
-      bee_frames,
-      brood_frames,
-      larvae_present,
-      varroa_level,
-
-      revisit_needed,
-      revisit_date,
-      notes,
-   } = req.body;
-
-   if (!hive_id) return res.status(400).json({ error: "hive_id is required" });
-
-   // parse ints
-   const fc = toIntOrNull(frame_count);
-   const bf = toIntOrNull(bee_frames);
-   const brf = toIntOrNull(brood_frames);
-
-   // validation
-   if (fc !== null && (!Number.isFinite(fc) || !isInt(fc) || fc < 0 || fc > 30)) {
-      return res.status(400).json({ error: "frame_count must be an integer between 0 and 30" });
-   }
-   if (bf !== null && (!Number.isFinite(bf) || !isInt(bf) || bf < 0)) {
-      return res.status(400).json({ error: "bee_frames must be a non-negative integer" });
-   }
-   if (brf !== null && (!Number.isFinite(brf) || !isInt(brf) || brf < 0)) {
-      return res.status(400).json({ error: "brood_frames must be a non-negative integer" });
-   }
-   if (fc !== null && bf !== null && bf > fc) {
-      return res.status(400).json({ error: "bee_frames cannot be greater than frame_count" });
-   }
-   if (fc !== null && brf !== null && brf > fc) {
-      return res.status(400).json({ error: "brood_frames cannot be greater than frame_count" });
-   }
-   // beekeeping logic: brood frames cannot exceed bee-covered frames
-   if (bf !== null && brf !== null && brf > bf) {
-      return res.status(400).json({ error: "brood_frames cannot be greater than bee_frames" });
-   }
-
-   if (
-      larvae_present !== undefined &&
-      larvae_present !== null &&
-      typeof larvae_present !== "boolean"
-   ) {
-      return res.status(400).json({ error: "larvae_present must be boolean" });
-   }
-
-   if (varroa_level !== undefined && varroa_level !== null) {
-      const allowed = new Set(["not_checked", "low", "medium", "high"]);
-      if (!allowed.has(String(varroa_level))) {
-         return res.status(400).json({
-            error: "varroa_level must be one of: not_checked, low, medium, high",
-         });
-      }
-   }
-
-   // sickness_signs: allow legacy "true"/"false" strings, but store boolean
-   let sicknessBool = sickness_signs;
-   if (sickness_signs === "false") sicknessBool = false;
-   if (sickness_signs === "true") sicknessBool = true;
-   if (sicknessBool !== undefined && sicknessBool !== null && typeof sicknessBool !== "boolean") {
-      return res.status(400).json({ error: "sickness_signs must be boolean" });
-   }
-
    try {
-      const { data, error } = await supabase
-         .from("hive_inspections")
-         .insert([
-            {
-               hive_id,
-               inspection_date: inspection_date || new Date().toISOString().split("T")[0],
-               queen_seen,
-               eggs_seen,
-               queen_cell_present,
-               brood_quality,
-               food_storage,
-               sickness_signs: sicknessBool,
-               frame_count: fc,
-
-               bee_frames: bf,
-               brood_frames: brf,
-               larvae_present: larvae_present ?? null,
-               varroa_level: varroa_level ?? null,
-
-               revisit_needed,
-               revisit_date,
-               notes,
-               user_id: req.user.id,
-            },
-         ])
-         .select();
+      const result = await createInspection(req.user.id, req.body);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
 
-      if (error) return res.status(400).json({ error: error.message });
+      const inspection = result.inspection;
 
-      const inspection = data[0];
-
-      // attach analysis (not stored, computed)
-      const analysis = analyzeInspection(inspection);
+      // stored in inspection_analyses by createInspection
+      const analysis =
+         result.analysis ||
+         analyzeInspection(inspection, await loadRulesForHive(inspection.hive_id));
 
       return res.status(201).json({
          message: "✅ Inspection recorded successfully",
@@ -658,6 +253,9 @@ router.get("/hive/:hive_id", authenticateUser, async (req, res) => {
    const { hive_id } = req.params;
 
    try {
+      const access = await loadHiveAccess(hive_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data: inspections, error } = await supabase
          .from("hive_inspections")
          .select(
@@ -667,14 +265,14 @@ router.get("/hive/:hive_id", authenticateUser, async (req, res) => {
         `
          )
          .eq("hive_id", hive_id)
-         .eq("user_id", req.user.id)
-
          .order("inspection_date", { ascending: false });
 
       if (error) return res.status(400).json({ error: error.message });
 
+      const rules = await loadRulesForHive(access.hive.hive_id);
+
       const computed = (inspections || []).map((insp) => {
-         const analysis = analyzeInspection(insp);
+         const analysis = analyzeInspection(insp, rules);
 
          const frameCapacity = insp.hives?.frame_capacity ?? null;
          const missingFrames =
@@ -733,6 +331,9 @@ router.get("/hive/:hive_id/summary", authenticateUser, async (req, res) => {
    const { hive_id } = req.params;
 
    try {
+      const access = await loadHiveAccess(hive_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data: inspections, error } = await supabase
          .from("hive_inspections")
          .select(
@@ -742,16 +343,16 @@ router.get("/hive/:hive_id/summary", authenticateUser, async (req, res) => {
         `
          )
          .eq("hive_id", hive_id)
-         .eq("user_id", req.user.id)
-
          .order("inspection_date", { ascending: false })
          .limit(30);
 
       if (error) return res.status(400).json({ error: error.message });
 
+      const rules = await loadRulesForHive(access.hive.hive_id);
+
       const computed = (inspections || []).map((insp) => ({
          ...insp,
-         analysis: analyzeInspection(insp),
+         analysis: analyzeInspection(insp, rules),
       }));
 
       const summary = buildHiveSummary(computed);
@@ -762,6 +363,87 @@ router.get("/hive/:hive_id/summary", authenticateUser, async (req, res) => {
    }
 });
 
+// ----------------------------
+// ✅ GET /inspections/hive/:hive_id/timeline?from=&to=
+// Colony health timeline from stored analyses:
+// status segments, transitions (+ reasons added/removed), days in each state
+// ----------------------------
+router.get("/hive/:hive_id/timeline", authenticateUser, async (req, res) => {
+   const dateError = invalidDateRange(req.query);
+   if (dateError) return res.status(400).json({ error: dateError });
+
+   try {
+      const access = await loadHiveAccess(req.params.hive_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      const [timeline] = await getHiveTimelines([access.hive], {
+         from: req.query.from,
+         to: req.query.to,
+      });
+
+      return res.status(200).json(timeline);
+   } catch (err) {
+      console.error("Unexpected error in /hive/:hive_id/timeline:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+// ----------------------------
+// ✅ GET /inspections/apiary/:apiary_id/timeline?from=&to=
+// Per-hive timelines + hive-days per state + all transitions (latest first)
+// ----------------------------
+router.get("/apiary/:apiary_id/timeline", authenticateUser, async (req, res) => {
+   const dateError = invalidDateRange(req.query);
+   if (dateError) return res.status(400).json({ error: dateError });
+
+   try {
+      const access = await loadApiaryAccess(req.params.apiary_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      const timeline = await getApiaryTimeline(access.apiaryId, {
+         from: req.query.from,
+         to: req.query.to,
+      });
+
+      return res.status(200).json(timeline);
+   } catch (err) {
+      console.error("Unexpected error in /apiary/:apiary_id/timeline:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
+// ----------------------------
+// ✅ GET /inspections/status-changes?status=red&from=2025-06-01&to=
+// Hives whose status changed (e.g. went red this month), across reachable hives
+// ----------------------------
+router.get("/status-changes", authenticateUser, async (req, res) => {
+   const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+   if (status && !Object.values(STATUS).includes(status)) {
+      return res.status(400).json({ error: "status must be one of: green, yellow, red" });
+   }
+   const dateError = invalidDateRange(req.query);
+   if (dateError) return res.status(400).json({ error: dateError });
+
+   try {
+      const hiveIds = await getAccessibleHiveIds(req.user.id, "read");
+
+      const changes = await listStatusChanges({
+         hiveIds,
+         toStatus: status,
+         from: req.query.from,
+         to: req.query.to,
+      });
+
+      return res.status(200).json({
+         changes,
+         hives: new Set(changes.map((c) => c.hive_id)).size,
+      });
+   } catch (err) {
+      console.error("Unexpected error in /status-changes:", err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
 // ----------------------------
 // ✅ GET /inspections/alerts/revisits
 // ----------------------------
@@ -775,6 +457,9 @@ router.get("/alerts/revisits", authenticateUser, async (req, res) => {
    const upcomingLimitStr = upcomingLimit.toISOString().split("T")[0];
 
    try {
+      const hiveIds = await getAccessibleHiveIds(req.user.id, "read");
+      if (hiveIds.length === 0) return res.status(200).json({ alerts: [] });
+
       let query = supabase
          .from("hive_inspections")
          .select(
@@ -794,7 +479,7 @@ router.get("/alerts/revisits", authenticateUser, async (req, res) => {
         `
          )
          .eq("revisit_needed", true)
-         .eq("user_id", req.user.id); // ✅ يمنع أي تسريب 100%
+         .in("hive_id", hiveIds); // ✅ only hives the user can reach
 
       if (filter === "today") {
          query = query.eq("revisit_date", todayStr);
@@ -827,6 +512,59 @@ router.get("/alerts/revisits", authenticateUser, async (req, res) => {
    }
 });
 
+// ----------------------------
+// ✅ PUT /inspections/:id   (full edit, same validation as POST)
+// ✅ PATCH /inspections/:id (only the fields sent)
+// optional body.base_updated_at → 409 if someone else edited it since
+// ----------------------------
+async function handleUpdate(req, res, partial) {
+   try {
+      const result = await updateInspection(req.user.id, req.params.id, req.body || {}, { partial });
+      if (!result.ok) {
+         const payload = { error: result.error };
+         if (result.status === 409) payload.inspection = result.inspection;
+         return res.status(result.status).json(payload);
+      }
+
+      const inspection = result.inspection;
+      const analysis =
+         result.analysis ||
+         analyzeInspection(inspection, await loadRulesForHive(inspection.hive_id));
+
+      return res.status(200).json({
+         message: Object.keys(result.changes).length
+            ? "✅ Inspection updated successfully"
+            : "Inspection unchanged",
+         inspection,
+         changes: result.changes,
+         analysis,
+      });
+   } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+}
+
+router.put("/:id", authenticateUser, (req, res) => handleUpdate(req, res, false));
+router.patch("/:id", authenticateUser, (req, res) => handleUpdate(req, res, true));
+
+// ----------------------------
+// ✅ GET /inspections/:id/revisions
+// Audit trail: who changed which field, when (oldest first)
+// ----------------------------
+router.get("/:id/revisions", authenticateUser, async (req, res) => {
+   try {
+      const access = await loadInspectionAccess(req.params.id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      const revisions = await getInspectionRevisions(access.inspection.inspection_id);
+      return res.status(200).json({ revisions });
+   } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Unexpected server error" });
+   }
+});
+
 // ----------------------------
 // ✅ DELETE /inspections/:id
 // ----------------------------
@@ -834,14 +572,27 @@ router.delete("/:id", authenticateUser, async (req, res) => {
    const { id } = req.params;
 
    try {
-      const { error } = await supabase
+      const access = await loadInspectionAccess(id, req.user.id, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      const { data: deleted, error } = await supabase
          .from("hive_inspections")
          .delete()
          .eq("inspection_id", id)
-         .eq("user_id", req.user.id);
+         .select();
 
       if (error) return res.status(400).json({ error: error.message });
 
+      if (deleted?.[0]) {
+         await recordRevision({
+            inspectionId: deleted[0].inspection_id,
+            hiveId: deleted[0].hive_id,
+            action: "delete",
+            userId: req.user.id,
+            changes: diffFields(deleted[0], {}),
+         }).catch((err) => console.error("🔴 inspection revision not stored:", err.message));
+      }
+
       return res.status(200).json({ message: "🗑️ Inspection deleted successfully" });
    } catch (err) {
       console.error(err);
@@ -856,6 +607,9 @@ router.get("/apiary/:apiary_id", authenticateUser, async (req, res) => {
   try {
     const apiaryId = req.params.apiary_id;
 
+    const access = await loadApiaryAccess(apiaryId, req.user.id, "read");
+    if (!access.ok) return res.status(access.status).json({ error: access.error });
+
     const { data, error } = await supabase
       .from("hive_inspections")
       .select(`
@@ -865,7 +619,7 @@ router.get("/apiary/:apiary_id", authenticateUser, async (req, res) => {
         revisit_needed,
         revisit_date,
         notes,
-        hives (
+        hives!inner (
           hive_code,
           apiary_id,
           apiaries (
@@ -874,8 +628,7 @@ router.get("/apiary/:apiary_id", authenticateUser, async (req, res) => {
           )
         )
       `)
-      .eq("user_id", req.user.id) // 🔐 sécurité utilisateur
-      .eq("hives.apiary_id", apiaryId)
+      .eq("hives.apiary_id", access.apiaryId)
       .order("inspection_date", { ascending: false });
 
     if (error) {
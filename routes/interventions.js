@@ -2,6 +2,16 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const PDFDocument = require("pdfkit");
+const { getAccessibleApiaryIds, loadApiaryAccess } = require("../services/accessControl");
+const { createIntervention } = require("../services/interventionService");
+const {
+   findActiveWithdrawals,
+   getTreatmentRegister,
+   registerToCsv,
+   writeRegisterPdf,
+} = require("../services/treatmentService");
 
 // Apply authentication to all routes
 router.use(authenticateUser);
@@ -53,114 +63,14 @@ router.get("/products", async (req, res) => {
    Create a new intervention + link it to hives
 ------------------------------------------------------------------ */
 router.post("/", async (req, res) => {
-   const userId = req.user.id;
-
    try {
-      const {
-         apiary_id,
-         intervention_type_id,
-         product_id,
-         product_used,
-         date_time,
-         quantity_mode,
-         qty_per_hive,
-         qty_total_apiary,
-         unit,
-         hive_ids = [],
-         apply_to_all_hives = false,
-         notes,
-      } = req.body || {};
-
-      // Basic validation
-      if (!apiary_id || !intervention_type_id || !quantity_mode) {
-         return res.status(400).json({
-            error: "apiary_id, intervention_type_id and quantity_mode are required",
-         });
-      }
-
-      if (!["PER_HIVE", "TOTAL_APIARY"].includes(quantity_mode)) {
-         return res.status(400).json({ error: "Invalid quantity_mode" });
-      }
-
-      if (quantity_mode === "PER_HIVE" && qty_per_hive == null) {
-         return res.status(400).json({ error: "qty_per_hive is required" });
-      }
-
-      if (quantity_mode === "TOTAL_APIARY" && qty_total_apiary == null) {
-         return res.status(400).json({ error: "qty_total_apiary is required" });
-      }
-
-      // ------------------------------------------------------------------
-      // Resolve hive list
-      // ------------------------------------------------------------------
-      let finalHiveIds = hive_ids;
-
-      if (apply_to_all_hives) {
-         const { data: hives, error: hivesError } = await supabase
-            .from("hives")
-            .select("hive_id")
-            .eq("apiary_id", apiary_id)
-            .eq("in_service", true);
-
-         if (hivesError) throw hivesError;
-
-         finalHiveIds = (hives || []).map((h) => h.hive_id);
-      }
-
-      const colonies_count =
-         finalHiveIds.length > 0 ? finalHiveIds.length : null;
-
-      // ------------------------------------------------------------------
-      // Insert into interventions (main table)
-      // ------------------------------------------------------------------
-      const { data: intervention, error: interventionError } = await supabase
-         .from("interventions")
-         .insert({
-            apiary_id,
-            user_id: userId,
-            intervention_type_id,
-            date_time: date_time || new Date().toISOString(),
-            product_id,
-            product_used,
-            quantity_mode,
-            qty_per_hive,
-            qty_total_apiary,
-            unit,
-            colonies_count,
-            notes,
-         })
-         .select("*")
-         .single();
-
-      if (interventionError) throw interventionError;
-
-      // ------------------------------------------------------------------
-      // Insert into intervention_hives (link table)
-      // ------------------------------------------------------------------
-      let hiveLinks = [];
-
-      if (finalHiveIds.length > 0) {
-         const rows = finalHiveIds.map((hiveId) => ({
-            intervention_id: intervention.id,
-            hive_id: hiveId,
-            qty_for_this_hive:
-               quantity_mode === "PER_HIVE" ? qty_per_hive : null,
-         }));
-
-         const { data: insertedLinks, error: linkError } = await supabase
-            .from("intervention_hives")
-            .insert(rows)
-            .select("*");
-
-         if (linkError) throw linkError;
-
-         hiveLinks = insertedLinks;
-      }
+      const result = await createIntervention(req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
 
       return res.status(201).json({
          message: "Intervention created successfully",
-         intervention,
-         hives_linked: hiveLinks,
+         intervention: result.intervention,
+         hives_linked: result.hives_linked,
       });
    } catch (err) {
       console.error("❌ Error creating intervention:", err);
@@ -172,7 +82,7 @@ router.post("/", async (req, res) => {
    GET /apiaries/:apiaryId/interventions
    List interventions for one apiary (WITH hives)
 ------------------------------------------------------------------ */
-router.get("/apiaries/:apiaryId/interventions", async (req, res) => {
+router.get("/apiaries/:apiaryId/interventions", requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
    try {
       const { apiaryId } = req.params;
 
@@ -206,7 +116,7 @@ router.get("/apiaries/:apiaryId/interventions", async (req, res) => {
    GET /hives/:hiveId/interventions
    List interventions for one hive
 ------------------------------------------------------------------ */
-router.get("/hives/:hiveId/interventions", async (req, res) => {
+router.get("/hives/:hiveId/interventions", requireAccess("hive", "read", "hiveId"), async (req, res) => {
    try {
       const { hiveId } = req.params;
 
@@ -232,6 +142,87 @@ router.get("/hives/:hiveId/interventions", async (req, res) => {
    }
 });
 
+/* ------------------------------------------------------------------
+   GET /hives/:hiveId/withdrawal
+   Treatments whose withdrawal period is still running for this hive
+------------------------------------------------------------------ */
+router.get("/hives/:hiveId/withdrawal", requireAccess("hive", "read", "hiveId"), async (req, res) => {
+   try {
+      const { hive } = req.access;
+
+      const withdrawals = await findActiveWithdrawals({
+         hiveId: hive.hive_id,
+         apiaryId: hive.apiary_id,
+         at: new Date(),
+      });
+
+      return res.status(200).json({
+         hive_id: hive.hive_id,
+         harvest_allowed: withdrawals.length === 0,
+         withdrawal_until: withdrawals[0]?.withdrawal_until ?? null,
+         withdrawals,
+      });
+   } catch (err) {
+      console.error("❌ Error fetching hive withdrawal:", err);
+      return res.status(500).json({ error: "Failed to fetch withdrawal status" });
+   }
+});
+
+/* ------------------------------------------------------------------
+   GET /register?year=2025&apiary_id=&format=csv|pdf
+   Veterinary treatment register (registre d'élevage) for one year,
+   one apiary or every apiary the user can read
+------------------------------------------------------------------ */
+router.get("/register", async (req, res) => {
+   const userId = req.user.id;
+   const year = req.query.year ? Number(req.query.year) : new Date().getFullYear();
+   const format = String(req.query.format || "csv").toLowerCase();
+
+   if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ error: "year must be a valid year" });
+   }
+   if (!["csv", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format must be csv or pdf" });
+   }
+
+   try {
+      let apiaryIds;
+      let scopeLabel = "All apiaries";
+
+      if (req.query.apiary_id) {
+         const access = await loadApiaryAccess(req.query.apiary_id, userId, "read");
+         if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+         apiaryIds = [access.apiaryId];
+         scopeLabel = access.apiary.apiary_name || `Apiary ${access.apiaryId}`;
+      } else {
+         apiaryIds = await getAccessibleApiaryIds(userId, "read");
+      }
+
+      const rows = await getTreatmentRegister({ apiaryIds, year });
+      const filename = `treatment-register-${year}${req.query.apiary_id ? `-apiary-${apiaryIds[0]}` : ""}`;
+
+      if (format === "csv") {
+         res.setHeader("Content-Type", "text/csv; charset=utf-8");
+         res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+         return res.send(registerToCsv(rows));
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+
+      const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30 });
+      doc.pipe(res);
+      writeRegisterPdf(doc, rows, {
+         title: `Registre d'élevage — traitements vétérinaires ${year}`,
+         subtitle: `${scopeLabel} · generated ${new Date().toISOString().slice(0, 10)}`,
+      });
+      doc.end();
+   } catch (err) {
+      console.error("❌ Error exporting treatment register:", err);
+      return res.status(500).json({ error: "Failed to export treatment register" });
+   }
+});
 
 /* ------------------------------------------------------------------
    DELETE /:id
@@ -242,6 +233,22 @@ router.delete("/:id", async (req, res) => {
    const userId = req.user.id; // from authenticateUser
 
    try {
+      // 0) Check the user can edit the intervention's apiary
+      const { data: found } = await supabase
+         .from("interventions")
+         .select("id, apiary_id")
+         .eq("id", id)
+         .maybeSingle();
+
+      if (!found) return res.status(404).json({ error: "Intervention not found" });
+
+      const access = await loadApiaryAccess(found.apiary_id, userId, "write");
+      if (!access.ok) {
+         return res
+            .status(access.status)
+            .json({ error: access.status === 404 ? "Intervention not found" : access.error });
+      }
+
       // 1) Delete linked hives rows (if any)
       const { error: linkError } = await supabase
          .from("intervention_hives")
@@ -250,12 +257,11 @@ router.delete("/:id", async (req, res) => {
 
       if (linkError) throw linkError;
 
-      // 2) Delete the intervention itself (and ensure it belongs to this user)
+      // 2) Delete the intervention itself
       const { data, error: delError } = await supabase
          .from("interventions")
          .delete()
          .eq("id", id)
-         .eq("user_id", userId)
          .select("*")
          .single();
 
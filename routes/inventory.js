@@ -1,12 +1,17 @@
 // routes/inventory.js
 const express = require("express");
 const { createClient } = require("@supabase/supabase-js");
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const { loadApiaryAccess } = require("../services/accessControl");
 
 const router = express.Router();
 
 // ⚠️ Use SERVICE ROLE key on the server
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+router.use(authenticateUser);
+
 /**
  * POST /inventory-sessions
  * Body:
@@ -18,12 +23,11 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
  *   extras:  [{extra_type: 'wrong_apiary'|'unregistered', action?: 'kept'|'reassigned'|'ignored'|'created', hive_id?, hive_code?, public_key?, from_apiary_id?}],
  *   started_at?: string,
  *   ended_at?: string,
- *   company_id?: number,
- *   created_by?: string (uuid),
  *   notes?: string
  * }
+ * company_id / created_by come from the apiary and the logged-in user.
  */
-router.post("/inventory-sessions", async (req, res) => {
+router.post("/inventory-sessions", requireAccess("apiary", "write", "apiary_id"), async (req, res) => {
    try {
       const {
          apiary_id,
@@ -33,26 +37,20 @@ router.post("/inventory-sessions", async (req, res) => {
          extras = [],
          started_at,
          ended_at,
-         company_id,
-         created_by,
          notes,
       } = req.body || {};
 
-      if (!apiary_id) {
-         return res.status(400).json({ error: "apiary_id is required" });
-      }
-
       // 1) insert session header
       const { data: sessRows, error: sessErr } = await supabase
          .from("inventory_sessions")
          .insert([
             {
-               apiary_id,
+               apiary_id: req.access.apiaryId,
                expected_count,
                started_at: started_at || null,
                ended_at: ended_at || null,
-               company_id: company_id || null,
-               created_by: created_by || null,
+               company_id: req.access.apiary.company_id || null,
+               created_by: req.user.id,
                notes: notes || null,
             },
          ])
@@ -128,6 +126,9 @@ router.get("/inventory-sessions", async (req, res) => {
       const apiaryId = Number(req.query.apiary_id);
       if (!apiaryId) return res.status(400).json({ error: "apiary_id is required" });
 
+      const access = await loadApiaryAccess(apiaryId, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data, error } = await supabase
          .from("inventory_sessions")
          .select("*")
@@ -150,7 +151,7 @@ router.get("/inventory-sessions", async (req, res) => {
  * GET /inventory-sessions/:id
  * Returns session + present + missing + extras
  */
-router.get("/inventory-sessions/:id", async (req, res) => {
+router.get("/inventory-sessions/:id", requireAccess("inventory_session", "read"), async (req, res) => {
    try {
       const id = Number(req.params.id);
       if (!id) return res.status(400).json({ error: "invalid id" });
@@ -177,14 +178,11 @@ router.get("/inventory-sessions/:id", async (req, res) => {
 });
 
 // DELETE /inventory-sessions/:id
-router.delete("/inventory-sessions/:id", async (req, res) => {
+router.delete("/inventory-sessions/:id", requireAccess("inventory_session", "manage"), async (req, res) => {
    try {
       const id = Number(req.params.id);
       if (!id) return res.status(400).json({ error: "invalid id" });
 
-      // (Optional) authorize: ensure requester may delete this session
-      // If you store created_by/company_id, you can fetch then check here.
-
       const { data, error } = await supabase
          .from("inventory_sessions")
          .delete()
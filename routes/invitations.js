@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../utils/supabaseClient');
+const authenticateUser = require('../middlewares/authMiddleware');
 
 // ✅ جلب تفاصيل الدعوة من خلال التوكن
 router.get('/:token', async (req, res) => {
@@ -92,4 +93,58 @@ router.post('/accept/:token', async (req, res) => {
   });
   
 
+// 🔗 قبول الدعوة بحساب موجود (المستخدم مسجل الدخول بنفس البريد)
+router.post('/join/:token', authenticateUser, async (req, res) => {
+    const { token } = req.params;
+
+    const { data: invitation, error } = await supabase
+      .from('invitations')
+      .select('*')
+      .eq('token', token)
+      .eq('accepted', false)
+      .maybeSingle();
+
+    if (error || !invitation) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
+
+    if (String(invitation.email || '').toLowerCase() !== String(req.user.email || '').toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation was sent to another email address' });
+    }
+
+    // إعادة التفعيل إذا كان عضواً سابقاً
+    const { data: existing } = await supabase
+      .from('staff_members')
+      .select('user_id')
+      .eq('user_id', req.user.id)
+      .eq('company_id', invitation.company_id)
+      .maybeSingle();
+
+    const { error: memberError } = existing
+      ? await supabase
+          .from('staff_members')
+          .update({ role_id: invitation.role_id, active: true })
+          .eq('user_id', req.user.id)
+          .eq('company_id', invitation.company_id)
+      : await supabase
+          .from('staff_members')
+          .insert([{
+            user_id: req.user.id,
+            company_id: invitation.company_id,
+            role_id: invitation.role_id,
+            active: true
+          }]);
+
+    if (memberError) {
+      return res.status(400).json({ error: memberError.message });
+    }
+
+    await supabase
+      .from('invitations')
+      .update({ accepted: true })
+      .eq('invitation_id', invitation.invitation_id);
+
+    res.status(200).json({ message: '✅ Invitation accepted', company_id: invitation.company_id });
+  });
+
 module.exports = router;
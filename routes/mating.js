@@ -0,0 +1,198 @@
+// routes/mating.js
+// Mating control: mating stations, drone sources, mating / insemination records and
+// queen certificates (services/matingService.js)
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireFeature = require("../middlewares/requireFeature");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   MATING_METHODS,
+   MATING_OUTCOMES,
+   STATION_TYPES,
+   listStations,
+   getStation,
+   createStation,
+   updateStation,
+   deleteStation,
+   addDroneSource,
+   deleteDroneSource,
+   listQueenMatings,
+   loadMatingAccess,
+   saveMating,
+   deleteMating,
+   buildCertificate,
+} = require("../services/matingService");
+
+router.use(authenticateUser);
+router.use(requireFeature("queenBreeding"));
+
+function seasonParam(v) {
+   const n = parseInt(v, 10);
+   return Number.isInteger(n) && n > 1900 && n < 3000 ? n : null;
+}
+
+// GET /api/mating/options
+router.get("/options", (req, res) => {
+   res.json({ methods: MATING_METHODS, outcomes: MATING_OUTCOMES, station_types: STATION_TYPES });
+});
+
+// ---------------- STATIONS ----------------
+
+// GET /api/mating/stations?season=2025&include_inactive=true
+router.get("/stations", async (req, res) => {
+   try {
+      const stations = await listStations(req.user.id, {
+         season: seasonParam(req.query.season),
+         includeInactive: String(req.query.include_inactive) === "true",
+      });
+      return res.json({ stations });
+   } catch (err) {
+      console.error("❌ Error listing mating stations:", err);
+      return res.status(500).json({ error: "Server error while listing mating stations" });
+   }
+});
+
+// POST /api/mating/stations
+// body: { name, station_type?, apiary_id?, isolation_radius_km?, latitude?, longitude?,
+//         operator?, certification_ref?, notes?, active? }
+router.post("/stations", async (req, res) => {
+   try {
+      const result = await createStation(req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.status(201).json({ station: result.station });
+   } catch (err) {
+      console.error("❌ Error creating mating station:", err);
+      return res.status(500).json({ error: "Server error while creating mating station" });
+   }
+});
+
+// GET /api/mating/stations/:id?season=2025 → station + drone sources + mating results
+router.get("/stations/:id", async (req, res) => {
+   try {
+      const result = await getStation(req.user.id, req.params.id, seasonParam(req.query.season));
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ station: result.station });
+   } catch (err) {
+      console.error("❌ Error fetching mating station:", err);
+      return res.status(500).json({ error: "Server error while fetching mating station" });
+   }
+});
+
+// PUT /api/mating/stations/:id (partial)
+router.put("/stations/:id", async (req, res) => {
+   try {
+      const result = await updateStation(req.user.id, req.params.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ station: result.station });
+   } catch (err) {
+      console.error("❌ Error updating mating station:", err);
+      return res.status(500).json({ error: "Server error while updating mating station" });
+   }
+});
+
+// DELETE /api/mating/stations/:id (mating records are kept)
+router.delete("/stations/:id", async (req, res) => {
+   try {
+      const result = await deleteStation(req.user.id, req.params.id);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ success: true });
+   } catch (err) {
+      console.error("❌ Error deleting mating station:", err);
+      return res.status(500).json({ error: "Server error while deleting mating station" });
+   }
+});
+
+// POST /api/mating/stations/:id/drone-sources
+// body: { season?, hive_id? | label?, strain_id?, strain_label?, colonies_count?, notes? }
+router.post("/stations/:id/drone-sources", async (req, res) => {
+   try {
+      const result = await addDroneSource(req.user.id, req.params.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.status(201).json({ drone_source: result.drone_source });
+   } catch (err) {
+      console.error("❌ Error adding drone source:", err);
+      return res.status(500).json({ error: "Server error while adding drone source" });
+   }
+});
+
+// DELETE /api/mating/stations/:id/drone-sources/:sourceId
+router.delete("/stations/:id/drone-sources/:sourceId", async (req, res) => {
+   try {
+      const result = await deleteDroneSource(req.user.id, req.params.id, req.params.sourceId);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ success: true });
+   } catch (err) {
+      console.error("❌ Error deleting drone source:", err);
+      return res.status(500).json({ error: "Server error while deleting drone source" });
+   }
+});
+
+// ---------------- MATINGS ----------------
+
+// GET /api/mating/queens/:queen_id/matings
+router.get("/queens/:queen_id/matings", requireAccess("queen", "read", "queen_id"), async (req, res) => {
+   try {
+      const matings = await listQueenMatings(req.access.queen.queen_id);
+      return res.json({ matings });
+   } catch (err) {
+      console.error("❌ Error listing queen matings:", err);
+      return res.status(500).json({ error: "Server error while listing matings" });
+   }
+});
+
+// POST /api/mating/queens/:queen_id/matings
+// body: { method, station_id?, mating_apiary_id?, placed_on?, mated_on?, laying_confirmed_on?,
+//         outcome?, inseminator?, semen_volume_ul?, insemination_count?, co2_treatments?,
+//         donors?: [{ hive_id? | queen_id? | label?, volume_ul?, drone_count? }],
+//         notes?, apply_to_pedigree? (default true; written to the lineage once outcome is mated) }
+router.post("/queens/:queen_id/matings", requireAccess("queen", "write", "queen_id"), async (req, res) => {
+   try {
+      const result = await saveMating(req.user.id, req.access.queen.queen_id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.status(result.status).json({ mating: result.mating, lineage: result.lineage });
+   } catch (err) {
+      console.error("❌ Error recording mating:", err);
+      return res.status(500).json({ error: "Server error while recording mating" });
+   }
+});
+
+// PUT /api/mating/matings/:mating_id (partial; donors replaced when given)
+router.put("/matings/:mating_id", async (req, res) => {
+   try {
+      const access = await loadMatingAccess(req.params.mating_id, req.user.id, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      const result = await saveMating(req.user.id, access.mating.queen_id, req.body || {}, access.mating.mating_id);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ mating: result.mating, lineage: result.lineage });
+   } catch (err) {
+      console.error("❌ Error updating mating:", err);
+      return res.status(500).json({ error: "Server error while updating mating" });
+   }
+});
+
+// DELETE /api/mating/matings/:mating_id
+router.delete("/matings/:mating_id", async (req, res) => {
+   try {
+      const result = await deleteMating(req.user.id, req.params.mating_id);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ success: true, lineage: result.lineage });
+   } catch (err) {
+      console.error("❌ Error deleting mating:", err);
+      return res.status(500).json({ error: "Server error while deleting mating" });
+   }
+});
+
+// GET /api/mating/queens/:queen_id/certificate → pedigree + controlled mating summary
+router.get("/queens/:queen_id/certificate", requireAccess("queen", "read", "queen_id"), async (req, res) => {
+   try {
+      const certificate = await buildCertificate(req.access.queen);
+      return res.json({ certificate });
+   } catch (err) {
+      console.error("❌ Error building queen certificate:", err);
+      return res.status(500).json({ error: "Server error while building certificate" });
+   }
+});
+
+module.exports = router;
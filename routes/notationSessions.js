@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
 
 /**
  * Helpers
@@ -76,12 +77,10 @@ router.get("/catalog", authenticateUser, async (_req, res) => {
  *   selected_keys: string[],             // keys from notations_catalog
  *   expected_hive_ids: number[],         // full list of hives in apiary at start
  *   started_at?: string (ISO),           // default now
- *   user_id?: uuid
  * }
  */
-router.post("/", authenticateUser, async (req, res) => {
-   const { apiary_id, season_label, selected_keys, expected_hive_ids, started_at, user_id } =
-      req.body || {};
+router.post("/", authenticateUser, requireAccess("apiary", "write", "apiary_id"), async (req, res) => {
+   const { apiary_id, season_label, selected_keys, expected_hive_ids, started_at } = req.body || {};
 
    if (!apiary_id || !Array.isArray(selected_keys) || !Array.isArray(expected_hive_ids)) {
       return res.status(400).json({ error: "Missing required fields." });
@@ -104,7 +103,7 @@ router.post("/", authenticateUser, async (req, res) => {
                expected_count,
                started_at: startedAt,
                ended_at: startedAt, 
-               user_id,
+               user_id: req.user.id,
             },
          ])
          .select()
@@ -128,7 +127,7 @@ router.post("/", authenticateUser, async (req, res) => {
  *   merge?: boolean                    // default true (merge into existing answers)
  * }
  */
-router.post("/:id/entries", authenticateUser, async (req, res) => {
+router.post("/:id/entries", authenticateUser, requireAccess("notation_session", "write"), async (req, res) => {
    const { id } = req.params;
    let { hive_id, hive_public_key, answers, merge } = req.body || {};
    if (merge === undefined) merge = true;
@@ -138,30 +137,32 @@ router.post("/:id/entries", authenticateUser, async (req, res) => {
    }
 
    try {
-      // Resolve hive_id by public key if needed
+      const session = req.access.session;
+
+      // Resolve hive_id by public key if needed (only hives of the session's apiary)
       if (!hive_id && hive_public_key) {
          const { data: hr, error: hErr } = await supabase
             .from("hives")
             .select("hive_id")
             .eq("public_key", String(hive_public_key).toLowerCase())
+            .eq("apiary_id", session.apiary_id)
             .single();
          if (hErr || !hr) return res.status(404).json({ error: "Hive not found by public key" });
          hive_id = hr.hive_id;
+      } else if (hive_id) {
+         const { data: hr } = await supabase
+            .from("hives")
+            .select("hive_id")
+            .eq("hive_id", hive_id)
+            .eq("apiary_id", session.apiary_id)
+            .maybeSingle();
+         if (!hr) return res.status(404).json({ error: "Hive not found in this session's apiary" });
       }
 
       if (!hive_id) {
          return res.status(400).json({ error: "hive_id or hive_public_key is required." });
       }
 
-      // Ensure session exists
-      const { data: session, error: sErr } = await supabase
-         .from("notations_sessions")
-         .select("id, apiary_id, expected_hive_ids")
-         .eq("id", id)
-         .single();
-
-      if (sErr || !session) return res.status(404).json({ error: "Session not found" });
-
       // Fetch existing entry (if any)
       const { data: existing, error: eErr } = await supabase
          .from("notations_session_entries")
@@ -245,7 +246,7 @@ router.post("/:id/entries", authenticateUser, async (req, res) => {
  * Mark session finished and optionally replace expected_hive_ids or selected_keys.
  * body: { ended_at?: ISO, expected_hive_ids?: number[], selected_keys?: string[] }
  */
-router.patch("/:id/finish", authenticateUser, async (req, res) => {
+router.patch("/:id/finish", authenticateUser, requireAccess("notation_session", "write"), async (req, res) => {
    const { id } = req.params;
    const { ended_at, expected_hive_ids, selected_keys } = req.body || {};
 
@@ -285,7 +286,7 @@ router.patch("/:id/finish", authenticateUser, async (req, res) => {
  * Each item: { id, season_label, started_at, ended_at, selected_keys,
  *              expected_count, hives_notated_count, unvisited_count, answers_count }
  */
-router.get("/by-apiary/:apiaryId", authenticateUser, async (req, res) => {
+router.get("/by-apiary/:apiaryId", authenticateUser, requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
    const { apiaryId } = req.params;
    try {
       const { data: sessions, error: sErr } = await supabase
@@ -353,16 +354,10 @@ router.get("/by-apiary/:apiaryId", authenticateUser, async (req, res) => {
  *  - entries grouped by hive (with hive_code)
  *  - unvisited hives (expected - visited)
  */
-router.get("/:id", authenticateUser, async (req, res) => {
+router.get("/:id", authenticateUser, requireAccess("notation_session", "read"), async (req, res) => {
    const { id } = req.params;
    try {
-      const { data: session, error: sErr } = await supabase
-         .from("notations_sessions")
-         .select("*")
-         .eq("id", id)
-         .single();
-
-      if (sErr || !session) return res.status(404).json({ error: "Session not found" });
+      const session = req.access.session;
 
       const { data: entries, error: eErr } = await supabase
          .from("notations_session_entries")
@@ -436,18 +431,9 @@ router.get("/:id", authenticateUser, async (req, res) => {
  * DELETE /api/notation-sessions/:id
  * Deletes a session and its entries (FK ON DELETE CASCADE).
  */
-router.delete("/:id", authenticateUser, async (req, res) => {
+router.delete("/:id", authenticateUser, requireAccess("notation_session", "manage"), async (req, res) => {
    const { id } = req.params;
    try {
-      // (Optional) sanity: ensure it exists
-      const { data: exists } = await supabase
-         .from("notations_sessions")
-         .select("id")
-         .eq("id", id)
-         .maybeSingle();
-
-      if (!exists) return res.status(404).json({ error: "Session not found" });
-
       const { error: delErr } = await supabase.from("notations_sessions").delete().eq("id", id);
 
       if (delErr) return res.status(400).json({ error: delErr.message });
@@ -0,0 +1,189 @@
+// routes/notifications.js
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAdmin = require("../middlewares/requireAdmin");
+const { CHANNELS } = require("../services/notificationTransports");
+const {
+   CATEGORIES,
+   DELIVERY_STATUSES,
+   loadPreferences,
+   validatePreferences,
+   savePreferences,
+   registerDevice,
+   removeDevice,
+   listDevices,
+   deliver,
+   runNotificationJobLocked,
+   listDeliveries,
+} = require("../services/notificationService");
+
+router.use(authenticateUser);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PLATFORMS = ["ios", "android", "web"];
+
+// → error message | null
+function deliveryFilterError(q) {
+   if (q.status && !DELIVERY_STATUSES.includes(q.status)) {
+      return `status must be one of: ${DELIVERY_STATUSES.join(", ")}`;
+   }
+   if (q.category && !CATEGORIES.includes(q.category) && q.category !== "test") {
+      return `category must be one of: ${CATEGORIES.join(", ")}`;
+   }
+   if (q.channel && !CHANNELS.includes(q.channel)) return `channel must be one of: ${CHANNELS.join(", ")}`;
+   if (q.from && !DATE_RE.test(q.from)) return "from must be a date (YYYY-MM-DD)";
+   if (q.to && !DATE_RE.test(q.to)) return "to must be a date (YYYY-MM-DD)";
+   return null;
+}
+
+/**
+ * POST /api/notifications/devices
+ * body: { token, platform?: ios|android|web }
+ */
+router.post("/devices", async (req, res) => {
+   const { token, platform } = req.body || {};
+   if (!token || typeof token !== "string") return res.status(400).json({ error: "token is required" });
+   if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of: ${PLATFORMS.join(", ")}` });
+   }
+
+   try {
+      const device = await registerDevice(req.user.id, { token: token.trim(), platform: platform || null });
+      if (!device) return res.status(409).json({ error: "Token is registered to another account" });
+
+      return res.status(201).json(device);
+   } catch (err) {
+      console.error("🔴 POST /notifications/devices error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+router.get("/devices", async (req, res) => {
+   try {
+      return res.json(await listDevices(req.user.id));
+   } catch (err) {
+      console.error("🔴 GET /notifications/devices error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+// DELETE /api/notifications/devices/:token (logout)
+router.delete("/devices/:token", async (req, res) => {
+   try {
+      const removed = await removeDevice(req.user.id, req.params.token);
+      if (!removed) return res.status(404).json({ error: "Device not found" });
+      return res.json({ message: "🗑️ Device removed" });
+   } catch (err) {
+      console.error("🔴 DELETE /notifications/devices error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+// GET /api/notifications/preferences → { enabled, categories: { <category>: { push, email } } }
+router.get("/preferences", async (req, res) => {
+   try {
+      return res.json(await loadPreferences(req.user.id));
+   } catch (err) {
+      console.error("🔴 GET /notifications/preferences error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * body: { enabled?, categories?: { revisit: { push: true, email: false }, ... } } (partial)
+ */
+router.put("/preferences", async (req, res) => {
+   try {
+      const current = await loadPreferences(req.user.id);
+      const result = validatePreferences(req.body, current);
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json(await savePreferences(req.user.id, result.preferences));
+   } catch (err) {
+      console.error("🔴 PUT /notifications/preferences error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/notifications/test
+ * body: { channel?: push|email } → sends a test message to yourself
+ */
+router.post("/test", async (req, res) => {
+   const channel = req.body?.channel || null;
+   if (channel && !CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${CHANNELS.join(", ")}` });
+   }
+
+   try {
+      const channels = Object.fromEntries(CHANNELS.map((c) => [c, !channel || c === channel]));
+      const ctx = {
+         preferences: new Map([[req.user.id, { enabled: true, categories: { test: channels } }]]),
+         emails: new Map(),
+      };
+
+      const results = await deliver(
+         req.user.id,
+         {
+            category: "test",
+            dedupe_key: `test:${Date.now()}`,
+            title: "🐝 Test notification",
+            body: "Notifications are working.",
+            data: { type: "test" },
+         },
+         ctx
+      );
+      return res.json({ results });
+   } catch (err) {
+      console.error("🔴 POST /notifications/test error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * GET /api/notifications/deliveries?status=&category=&channel=&from=&to=&limit=
+ * What was sent to me
+ */
+router.get("/deliveries", async (req, res) => {
+   const invalid = deliveryFilterError(req.query);
+   if (invalid) return res.status(400).json({ error: invalid });
+
+   try {
+      return res.json(await listDeliveries({ ...req.query, userId: req.user.id }));
+   } catch (err) {
+      console.error("🔴 GET /notifications/deliveries error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+// GET /api/notifications/admin/deliveries?user_id=&status=&category=&channel=&from=&to=&limit=
+router.get("/admin/deliveries", requireAdmin, async (req, res) => {
+   const invalid = deliveryFilterError(req.query);
+   if (invalid) return res.status(400).json({ error: invalid });
+
+   try {
+      return res.json(await listDeliveries({ ...req.query, userId: req.query.user_id || null }));
+   } catch (err) {
+      console.error("🔴 GET /notifications/admin/deliveries error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/notifications/admin/run  body: { dry_run? }
+ * Runs the notification job now (dry_run: only returns what would be sent)
+ */
+router.post("/admin/run", requireAdmin, async (req, res) => {
+   try {
+      const summary = await runNotificationJobLocked({ dryRun: req.body?.dry_run === true });
+      if (!summary) return res.status(409).json({ error: "Notification job already running" });
+      return res.json(summary);
+   } catch (err) {
+      console.error("🔴 POST /notifications/admin/run error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+module.exports = router;
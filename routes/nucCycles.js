@@ -3,20 +3,14 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   loadApiaryAccess,
+   loadHiveByPublicKeyAccess,
+   loadSessionAccess,
+} = require("../services/accessControl");
 
-const ADD_DAYS = (d, days) => {
-   const x = new Date(d);
-   x.setUTCDate(x.getUTCDate() + days);
-   return x.toISOString();
-};
-
-async function getHiveByPublicKey(pk) {
-   return supabase
-      .from("hives")
-      .select("hive_id,hive_purpose,apiary_id")
-      .eq("public_key", String(pk).toLowerCase())
-      .single();
-}
+const { ADD_DAYS, checkNucCycle } = require("../services/nucCycleService");
 
 router.use(authenticateUser);
 
@@ -29,6 +23,9 @@ router.get("/overview", async (req, res) => {
    if (!apiary_id) return res.status(400).json({ error: "apiary_id is required" });
 
    try {
+      const access = await loadApiaryAccess(apiary_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const now = new Date().toISOString();
 
       const { data: all, error } = await supabase
@@ -81,8 +78,30 @@ router.post("/inventory", async (req, res) => {
       return res.status(400).json({ error: "ruchette_public_key is required" });
 
    try {
-      const { data: hive, error: hErr } = await getHiveByPublicKey(ruchette_public_key);
-      if (hErr || !hive) return res.status(404).json({ error: "Ruchette not found" });
+      const hiveAccess = await loadHiveByPublicKeyAccess(
+         String(ruchette_public_key).toLowerCase(),
+         req.user.id,
+         "write"
+      );
+      if (!hiveAccess.ok) {
+         return res
+            .status(hiveAccess.status)
+            .json({ error: hiveAccess.status === 404 ? "Ruchette not found" : hiveAccess.error });
+      }
+      const hive = hiveAccess.hive;
+
+      // session must be on the same apiary as the ruchette
+      let session = null;
+      if (session_id) {
+         const sessionAccess = await loadSessionAccess("nuc", session_id, req.user.id, "write");
+         if (!sessionAccess.ok) {
+            return res.status(sessionAccess.status).json({ error: sessionAccess.error });
+         }
+         if (Number(sessionAccess.session.apiary_id) !== Number(hive.apiary_id)) {
+            return res.status(400).json({ error: "Ruchette is not in this session's apiary" });
+         }
+         session = sessionAccess.session;
+      }
 
       if ((hive.hive_purpose || "").toLowerCase() !== "ruchette")
          return res.status(400).json({ error: "This QR is not a ruchette" });
@@ -99,15 +118,8 @@ router.post("/inventory", async (req, res) => {
       if (existing) return res.json({ ok: true, mode: "existing", cycle: existing });
 
       // If session_id is provided and no started_at => use session.started_at
-      if (session_id && !started_at) {
-         const { data: session, error: sErr } = await supabase
-            .from("nuc_sessions")
-            .select("started_at")
-            .eq("id", session_id)
-            .maybeSingle();
-
-         if (sErr) return res.status(400).json({ error: sErr.message });
-         if (session && session.started_at) started_at = session.started_at;
+      if (session && !started_at && session.started_at) {
+         started_at = session.started_at;
       }
 
       const payload = {
@@ -137,7 +149,7 @@ router.post("/inventory", async (req, res) => {
  * body: { cell_count?: number, cell_batch?: string, introduced_at?: ISO, check_after_days?: number }
  * Per-ruchette introduce (you may still want it; default 15 days now)
  */
-router.post("/:id/introduce", async (req, res) => {
+router.post("/:id/introduce", requireAccess("nuc_cycle", "write"), async (req, res) => {
    const { id } = req.params;
    const { cell_count = 1, cell_batch, introduced_at, check_after_days = 15 } = req.body || {};
 
@@ -171,65 +183,13 @@ router.post("/:id/introduce", async (req, res) => {
  * body: { result: 'ok' | 'no_eggs', reintroduce?: boolean, check_after_days?: number }
  * -> Control laying for a single nuc
  */
-router.post("/:id/check", async (req, res) => {
-   const { id } = req.params;
-   const { result, reintroduce = false, check_after_days = 15 } = req.body || {};
-   if (!["ok", "no_eggs"].includes(result || "")) {
-      return res.status(400).json({ error: "result must be 'ok' or 'no_eggs'" });
-   }
-
+router.post("/:id/check", requireAccess("nuc_cycle", "write"), async (req, res) => {
    try {
-      const now = new Date().toISOString();
+      const result = await checkNucCycle(req.params.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
 
-      if (result === "ok") {
-         const { data, error } = await supabase
-            .from("nuc_cycles")
-            .update({
-               laying_status: "ok",
-               laying_checked_at: now,
-               closed_at: now,
-            })
-            .eq("id", id)
-            .is("closed_at", null)
-            .select()
-            .single();
-         if (error) return res.status(400).json({ error: error.message });
-         return res.json({ ok: true, cycle: data });
-      }
-
-      // result === 'no_eggs'
-      if (reintroduce) {
-         const introduced = now;
-         const due = ADD_DAYS(introduced, check_after_days);
-
-         const { data, error } = await supabase
-            .from("nuc_cycles")
-            .update({
-               laying_status: "no_eggs",
-               laying_checked_at: now,
-               cell_introduced_at: introduced,
-               check_due_at: due,
-            })
-            .eq("id", id)
-            .is("closed_at", null)
-            .select()
-            .single();
-         if (error) return res.status(400).json({ error: error.message });
-         return res.json({ ok: true, cycle: data, reintroduced: true });
-      } else {
-         const { data, error } = await supabase
-            .from("nuc_cycles")
-            .update({
-               laying_status: "no_eggs",
-               laying_checked_at: now,
-            })
-            .eq("id", id)
-            .is("closed_at", null)
-            .select()
-            .single();
-         if (error) return res.status(400).json({ error: error.message });
-         return res.json({ ok: true, cycle: data, reintroduced: false });
-      }
+      const { ok, status, ...payload } = result;
+      return res.json({ ok: true, ...payload });
    } catch (e) {
       console.error("❌ Error checking nuc cycle:", e);
       return res.status(500).json({ error: "Unexpected server error" });
@@ -240,7 +200,7 @@ router.post("/:id/check", async (req, res) => {
  * GET /api/nuc-cycles/by-apiary/:apiaryId/list
  * Returns ruchettes in the apiary + their open cycle (if any)
  */
-router.get("/by-apiary/:apiaryId/list", async (req, res) => {
+router.get("/by-apiary/:apiaryId/list", requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
    const apiary_id = Number(req.params.apiaryId);
    if (!apiary_id) return res.status(400).json({ error: "apiaryId is required" });
 
@@ -296,7 +256,7 @@ router.get("/by-apiary/:apiaryId/list", async (req, res) => {
  * GET /api/nuc-cycles/by-session/:sessionId/list
  * -> All cycles for a given session + basic hive info
  */
-router.get("/by-session/:sessionId/list", async (req, res) => {
+router.get("/by-session/:sessionId/list", requireAccess("nuc_session", "read", "sessionId"), async (req, res) => {
    const session_id = Number(req.params.sessionId);
    if (!session_id) return res.status(400).json({ error: "sessionId is required" });
 
@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
 
 const ADD_DAYS = (d, days) => {
    const x = new Date(d);
@@ -17,7 +18,7 @@ router.use(authenticateUser);
  * body: { apiary_id, started_at?, label?, notes? }
  * -> Create a new swarm-production session in an apiary
  */
-router.post("/", async (req, res) => {
+router.post("/", requireAccess("apiary", "write", "apiary_id"), async (req, res) => {
    const { apiary_id, started_at, label, notes } = req.body || {};
    if (!apiary_id) return res.status(400).json({ error: "apiary_id is required" });
 
@@ -48,7 +49,7 @@ router.post("/", async (req, res) => {
  * GET /api/nuc-sessions/by-apiary/:apiaryId
  * -> List sessions for an apiary (latest first)
  */
-router.get("/by-apiary/:apiaryId", async (req, res) => {
+router.get("/by-apiary/:apiaryId", requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
    const apiary_id = Number(req.params.apiaryId);
    if (!apiary_id) return res.status(400).json({ error: "apiaryId is required" });
 
@@ -80,7 +81,7 @@ router.get("/by-apiary/:apiaryId", async (req, res) => {
  * GET /api/nuc-sessions/:id
  * -> Get a session + its nuc cycles (with hive_code / ruchette info)
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireAccess("nuc_session", "read"), async (req, res) => {
    const id = Number(req.params.id);
    if (!id) return res.status(400).json({ error: "session id is required" });
 
@@ -168,7 +169,7 @@ router.get("/:id", async (req, res) => {
  * -> Introduce queen cells for ALL open cycles in this session
  *    and set a control date J+15
  */
-router.post("/:id/introduce-cells", async (req, res) => {
+router.post("/:id/introduce-cells", requireAccess("nuc_session", "write"), async (req, res) => {
    const session_id = Number(req.params.id);
    if (!session_id) return res.status(400).json({ error: "session_id is invalid" });
 
@@ -230,7 +231,7 @@ router.post("/:id/introduce-cells", async (req, res) => {
  *      2) بعدهم reintroduce_count → pas d'œufs + إعادة cellules
  *      3) الباقي            → pas d'œufs بدون إعادة (session close لهذا essaim)
  */
-router.post("/:id/control-summary", async (req, res) => {
+router.post("/:id/control-summary", requireAccess("nuc_session", "write"), async (req, res) => {
    const session_id = Number(req.params.id);
    if (!session_id) return res.status(400).json({ error: "session_id is invalid" });
 
@@ -396,7 +397,7 @@ router.post("/:id/control-summary", async (req, res) => {
 });
 
 // DELETE /api/nuc-sessions/:id
-router.delete("/:id", authenticateUser, async (req, res) => {
+router.delete("/:id", requireAccess("nuc_session", "manage"), async (req, res) => {
    const { id } = req.params;
 
    try {
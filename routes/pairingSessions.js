@@ -3,16 +3,18 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
 
 /**
  * POST /api/pairing-sessions
  * Save a completed session (one-shot).
  * body: {
  *   apiary_id, season_label?, started_at, ended_at, expected_hive_ids: number[],
- *   links: [{hive_id, super_id}], user_id?
+ *   links: [{hive_id, super_id}]
  * }
+ * Every hive (expected or linked) must belong to the session's apiary.
  */
-router.post("/", authenticateUser, async (req, res) => {
+router.post("/", authenticateUser, requireAccess("apiary", "write", "apiary_id"), async (req, res) => {
   const {
     apiary_id,
     season_label,
@@ -20,7 +22,6 @@ router.post("/", authenticateUser, async (req, res) => {
     ended_at,
     expected_hive_ids,
     links = [],
-    user_id,
   } = req.body || {};
 
   if (!apiary_id || !started_at || !ended_at || !Array.isArray(expected_hive_ids)) {
@@ -28,6 +29,22 @@ router.post("/", authenticateUser, async (req, res) => {
   }
 
   try {
+    const hiveIds = [
+      ...new Set([...expected_hive_ids, ...links.map((l) => l.hive_id)].map(Number)),
+    ];
+    if (hiveIds.length) {
+      const { data: inApiary, error: hErr } = await supabase
+        .from("hives")
+        .select("hive_id")
+        .eq("apiary_id", req.access.apiaryId)
+        .in("hive_id", hiveIds);
+
+      if (hErr) return res.status(400).json({ error: hErr.message });
+      if ((inApiary || []).length !== hiveIds.length) {
+        return res.status(400).json({ error: "All hives must belong to this apiary." });
+      }
+    }
+
     const expected_count = expected_hive_ids.length;
 
     const { data: session, error: sErr } = await supabase
@@ -40,7 +57,7 @@ router.post("/", authenticateUser, async (req, res) => {
           ended_at,
           expected_hive_ids, // jsonb/array on Supabase
           expected_count,
-          user_id,
+          user_id: req.user.id,
         },
       ])
       .select()
@@ -69,7 +86,7 @@ router.post("/", authenticateUser, async (req, res) => {
  * GET /api/pairing-sessions/by-apiary/:apiaryId
  * List sessions for an apiary + quick aggregates.
  */
-router.get("/by-apiary/:apiaryId", authenticateUser, async (req, res) => {
+router.get("/by-apiary/:apiaryId", authenticateUser, requireAccess("apiary", "read", "apiaryId"), async (req, res) => {
   const { apiaryId } = req.params;
 
   try {
@@ -128,7 +145,7 @@ router.get("/by-apiary/:apiaryId", authenticateUser, async (req, res) => {
  * GET /api/pairing-sessions/:id
  * Detailed view: session, links grouped by hive, and "unlinked" list.
  */
-router.get("/:id", authenticateUser, async (req, res) => {
+router.get("/:id", authenticateUser, requireAccess("pairing_session", "read"), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -236,19 +253,10 @@ router.get("/:id", authenticateUser, async (req, res) => {
  * DELETE /api/pairing-sessions/:id
  * Accepts UUID or numeric ids. Removes a session and its link rows.
  */
-router.delete("/:id", authenticateUser, async (req, res) => {
+router.delete("/:id", authenticateUser, requireAccess("pairing_session", "manage"), async (req, res) => {
   const { id } = req.params; // keep as string (uuid or numeric)
 
   try {
-    // ensure it exists (optional but gives 404 vs silent success)
-    const { data: found, error: findErr } = await supabase
-      .from("pairing_sessions")
-      .select("id")
-      .eq("id", id)
-      .single();
-
-    if (findErr || !found) return res.status(404).json({ error: "Session not found" });
-
     // delete child rows first (safe even if you also have ON DELETE CASCADE)
     await supabase.from("pairing_session_links").delete().eq("session_id", id);
 
@@ -6,17 +6,23 @@ const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
 const { PDFDocument, StandardFonts, rgb } = require("pdf-lib");
 const QRCode = require("qrcode");
+const { loadQueenAccess } = require("../services/accessControl");
 const {
-   getSeason,
-   getDayOfYear,
    getOrCreateQueenSettings,
-   getNextGraftIndexForSeason,
-   computeGraftDerivedDates,
-   buildLotCode,
    generateCellsForLine,
    defaultQrPayloadBuilder,
-   getNextLineIndexForDay, // 👈 import helper
+   createGraftSession,
 } = require("../utils/queenUtils");
+const {
+   CELL_STAGES,
+   CELL_STATUSES,
+   parseCellRef,
+   transitionCell,
+   updateLineCells,
+   getCellHistory,
+   buildCellFunnel,
+} = require("../services/queenCellLifecycle");
+const { buildGraftPlan } = require("../services/graftPlanner");
 
 // All routes require auth
 router.use(authenticateUser);
@@ -320,80 +326,7 @@ router.post("/grafts", async (req, res) => {
    try {
       await client.query("BEGIN");
 
-      const settings = await getOrCreateQueenSettings(ownerId, client);
-      const dateObj = new Date(graft_date);
-      const season = getSeason(dateObj);
-      const dayOfYear = getDayOfYear(dateObj);
-
-      const graftIndex = await getNextGraftIndexForSeason(ownerId, season, client);
-
-      // create session
-      const sessionInsert = await client.query(
-         `
-         INSERT INTO queen_graft_sessions (
-            owner_id, season, graft_date, graft_index_season, graft_day_of_year
-         )
-         VALUES ($1,$2,$3,$4,$5)
-         RETURNING *
-         `,
-         [ownerId, season, graft_date, graftIndex, dayOfYear],
-      );
-      const session = sessionInsert.rows[0];
-
-      const { g10, emergence, laying } = computeGraftDerivedDates(graft_date, settings);
-
-      const createdLines = [];
-      let lineIndexInSession = 0;
-
-      // 👇 NEW: find the next LgGref for that day
-      let nextLgGref = await getNextLineIndexForDay(ownerId, season, dayOfYear, client);
-
-      for (const line of lines) {
-         lineIndexInSession += 1; // purely internal, per session
-         const lgGref = nextLgGref++; // 👈 this is the LgGref used in LotGref (per *day*)
-
-         const cellsPerStrip = settings.cells_per_strip;
-         const cellsGrafted = (line.num_strips || 0) * cellsPerStrip;
-
-         const lotCode = buildLotCode(season, dayOfYear, lgGref); // 👈 now correct
-
-         const lineInsert = await client.query(
-            `
-      INSERT INTO queen_graft_lines (
-         session_id,
-         line_index_in_session,
-         strain_id,
-         breeder_id,
-         num_strips,
-         cells_grafted,
-         cells_accepted,
-         lot_code,
-         date_g10,
-         date_emergence,
-         date_laying_expected
-      )
-      VALUES (
-         $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11
-      )
-      RETURNING *
-      `,
-            [
-               session.id,
-               lineIndexInSession,
-               line.strain_id,
-               line.breeder_id || null,
-               line.num_strips,
-               cellsGrafted,
-               line.cells_accepted || null,
-               lotCode,
-               g10,
-               emergence,
-               laying,
-            ],
-         );
-
-         createdLines.push(lineInsert.rows[0]);
-      }
+      const { session, lines: createdLines } = await createGraftSession(ownerId, graft_date, lines, client);
 
       await client.query("COMMIT");
 
@@ -588,12 +521,15 @@ router.post("/grafts/lines/:lineId/cells/generate", async (req, res) => {
 
       const count = cells_count && cells_count > 0 ? cells_count : defaultCount;
 
+      // the first cells_accepted cells start their lifecycle as accepted (same rule as
+      // migration 019)
       const createdCells = await generateCellsForLine({
          lineId: line.id,
          lotCode: line.lot_code,
          cellsCount: count,
          client,
          buildQrPayload: defaultQrPayloadBuilder,
+         acceptedCount: line.cells_accepted || 0,
       });
 
       await client.query("COMMIT");
@@ -875,6 +811,119 @@ router.get("/grafts/lines/:lineId/cells/labels.pdf", async (req, res) => {
    }
 });
 
+// ---------------- CELL LIFECYCLE ----------------
+
+// GET /queen/cells/statuses
+router.get("/cells/statuses", (req, res) => {
+   res.json({ statuses: CELL_STATUSES, stages: CELL_STAGES });
+});
+
+// POST /queen/cells/scan
+// body: { qr_payload | cell_lot | cell_id, status?, hive_id?, at?, lost_reason?, notes? }
+// status omitted → next stage; introduced needs the nuc hive_id
+router.post("/cells/scan", async (req, res) => {
+   try {
+      const result = await transitionCell(req.user.id, req.body || {}, "scan");
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({
+         cell: result.cell,
+         event: result.event,
+         unchanged: !!result.unchanged,
+         next_status: result.next_status,
+      });
+   } catch (err) {
+      console.error("Error updating queen cell status:", err);
+      res.status(500).json({ error: "Error updating queen cell status" });
+   }
+});
+
+// GET /queen/cells/lookup?cell_lot=... | ?cell_id=... → cell + status history
+router.get("/cells/lookup", async (req, res) => {
+   try {
+      const result = await getCellHistory(req.user.id, parseCellRef(req.query));
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({ cell: result.cell, events: result.events, next_status: result.next_status });
+   } catch (err) {
+      console.error("Error fetching queen cell:", err);
+      res.status(500).json({ error: "Error fetching queen cell" });
+   }
+});
+
+// POST /queen/grafts/lines/:lineId/cells/status
+// body: { status, cell_indexes?, lost_remaining?, at?, lost_reason?, notes? }
+// e.g. capping check: { status: "capped", cell_indexes: [1,2,4], lost_remaining: true }
+router.post("/grafts/lines/:lineId/cells/status", async (req, res) => {
+   try {
+      const result = await updateLineCells(req.user.id, req.params.lineId, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      return res.json({ updated: result.updated, lost: result.lost, skipped: result.skipped });
+   } catch (err) {
+      console.error("Error updating graft line cells:", err);
+      res.status(500).json({ error: "Error updating graft line cells" });
+   }
+});
+
+// ---------------- GRAFT PLANNER ----------------
+
+// POST /queen/planner
+// body: { target_date, target_queens, strain_id, breeder_id? }
+//    or { target_date, lines: [{ strain_id, breeder_id?, queens }] }
+//    + { mating_apiary_id? | station_id?, safety_margin?, graft_date? }
+// → latest graft date, strips / nucs per line, mating weather, graft_session body
+router.post("/planner", async (req, res) => {
+   try {
+      const result = await buildGraftPlan(req.user.id, req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      return res.json({ plan: result.plan });
+   } catch (err) {
+      console.error("Error building graft plan:", err);
+      res.status(500).json({ error: "Error building graft plan" });
+   }
+});
+
+// POST /queen/planner/graft-session (same body) → plan converted into a graft session
+router.post("/planner/graft-session", async (req, res) => {
+   const ownerId = req.user.id;
+
+   let plan;
+   try {
+      const result = await buildGraftPlan(ownerId, req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      plan = result.plan;
+   } catch (err) {
+      console.error("Error building graft plan:", err);
+      return res.status(500).json({ error: "Error building graft plan" });
+   }
+
+   if (!plan.feasible) {
+      return res.status(409).json({ error: "Graft date is in the past", plan });
+   }
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const { session, lines } = await createGraftSession(
+         ownerId,
+         plan.graft_session.graft_date,
+         plan.graft_session.lines,
+         client,
+      );
+
+      await client.query("COMMIT");
+      res.status(201).json({ session, lines, plan });
+   } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Error creating graft session from plan:", err);
+      res.status(500).json({ error: "Error creating graft session from plan" });
+   } finally {
+      client.release();
+   }
+});
+
 // ---------------- BREEDERS CRUD ----------------
 
 // GET /queen/breeders
@@ -899,22 +948,28 @@ router.get("/breeders", async (req, res) => {
 });
 
 // POST /queen/breeders
+// queen_id (optional): queen heading the breeder colony → mother of the queens raised from it
 router.post("/breeders", async (req, res) => {
    const ownerId = req.user.id;
-   const { code, name } = req.body;
+   const { code, name, queen_id } = req.body;
 
    if (!code) {
       return res.status(400).json({ error: "code is required" });
    }
 
    try {
+      if (queen_id) {
+         const queenAccess = await loadQueenAccess(queen_id, ownerId, "read");
+         if (!queenAccess.ok) return res.status(queenAccess.status).json({ error: queenAccess.error });
+      }
+
       const { rows } = await pool.query(
          `
-         INSERT INTO queen_breeders (owner_id, code, name)
-         VALUES ($1, $2, $3)
+         INSERT INTO queen_breeders (owner_id, code, name, queen_id)
+         VALUES ($1, $2, $3, $4)
          RETURNING *
          `,
-         [ownerId, code, name || null],
+         [ownerId, code, name || null, queen_id ? String(queen_id) : null],
       );
 
       res.status(201).json({ breeder: rows[0] });
@@ -928,20 +983,27 @@ router.post("/breeders", async (req, res) => {
 router.put("/breeders/:id", async (req, res) => {
    const ownerId = req.user.id;
    const breederId = req.params.id;
-   const { code, name } = req.body;
+   const { code, name, queen_id } = req.body;
 
    try {
+      if (queen_id) {
+         const queenAccess = await loadQueenAccess(queen_id, ownerId, "read");
+         if (!queenAccess.ok) return res.status(queenAccess.status).json({ error: queenAccess.error });
+      }
+
+      // queen_id: null unlinks the breeder queen, undefined keeps it
       const { rows } = await pool.query(
          `
          UPDATE queen_breeders
          SET
             code = COALESCE($3, code),
             name = COALESCE($4, name),
+            queen_id = CASE WHEN $5::boolean THEN $6 ELSE queen_id END,
             updated_at = NOW()
          WHERE id = $1 AND owner_id = $2
          RETURNING *
          `,
-         [breederId, ownerId, code, name],
+         [breederId, ownerId, code, name, queen_id !== undefined, queen_id ? String(queen_id) : null],
       );
 
       if (!rows.length) {
@@ -1162,11 +1224,15 @@ router.get("/analytics/dashboard", async (req, res) => {
          cells_accepted: Number(row.cells_accepted) || 0,
       }));
 
+      // 5️⃣ Cell lifecycle funnel (acceptance → emergence → mating → laying)
+      const funnel = await buildCellFunnel(ownerId, seasonParam);
+
       res.json({
          season_overview: seasonOverview,
          per_graft: perGraft,
          per_strain: perStrain,
          calendar,
+         funnel,
       });
    } catch (err) {
       console.error("Error in /queen/analytics/dashboard:", err);
@@ -4,9 +4,10 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../utils/supabaseClient');
 const authenticateUser = require('../middlewares/authMiddleware');
+const requireAccess = require('../middlewares/requireAccess');
 
 // ➕ إضافة خاصية لملكة
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, requireAccess('queen', 'write', 'queen_id'), async (req, res) => {
   const {
     queen_id,
     characteristic_name,
@@ -43,7 +44,7 @@ router.post('/', authenticateUser, async (req, res) => {
 });
 
 // 📋 عرض خصائص ملكة معينة
-router.get('/:queen_id', authenticateUser, async (req, res) => {
+router.get('/:queen_id', authenticateUser, requireAccess('queen', 'read', 'queen_id'), async (req, res) => {
   const { queen_id } = req.params;
 
   try {
@@ -1,12 +1,33 @@
 // routes/queenPedigree.js
+// Free-text pedigree records; linked genealogy (trees, inbreeding) lives in
+// routes/genealogy.js, POST /api/genealogy/import-legacy links these records.
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../utils/supabaseClient');
 const authenticateUser = require('../middlewares/authMiddleware');
+const requireAccess = require('../middlewares/requireAccess');
+const { loadQueenAccess } = require('../services/accessControl');
+
+// 🔹 Helper: a pedigree record is reachable through its queen
+async function getPedigreeIfAllowed(pedigreeId, userId, action) {
+  const { data: pedigree } = await supabase
+    .from('queen_pedigree')
+    .select('pedigree_id, queen_id')
+    .eq('pedigree_id', pedigreeId)
+    .maybeSingle();
+
+  if (!pedigree) return { ok: false, status: 404, error: 'Pedigree not found' };
+
+  const access = await loadQueenAccess(pedigree.queen_id, userId, action);
+  if (!access.ok) {
+    return access.status === 404 ? { ok: false, status: 404, error: 'Pedigree not found' } : access;
+  }
+  return { ok: true, status: 200, pedigree };
+}
 
 // ➕ إضافة سجل نسب جديد
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, requireAccess('queen', 'write', 'queen_id'), async (req, res) => {
   const {
     queen_id,
     female_parent,
@@ -42,7 +63,7 @@ router.post('/', authenticateUser, async (req, res) => {
 });
 
 // 📋 عرض النسب المرتبط بملكة معينة
-router.get('/:queen_id', authenticateUser, async (req, res) => {
+router.get('/:queen_id', authenticateUser, requireAccess('queen', 'read', 'queen_id'), async (req, res) => {
   const { queen_id } = req.params;
 
   try {
@@ -62,9 +83,18 @@ router.get('/:queen_id', authenticateUser, async (req, res) => {
 // ✏️ تعديل النسب
 router.patch('/:pedigree_id', authenticateUser, async (req, res) => {
   const { pedigree_id } = req.params;
-  const updateFields = req.body;
+  const { pedigree_id: _ignored, ...updateFields } = req.body || {};
 
   try {
+    const allowed = await getPedigreeIfAllowed(pedigree_id, req.user.id, 'write');
+    if (!allowed.ok) return res.status(allowed.status).json({ error: allowed.error });
+
+    // moving the record to another queen needs write access on that queen too
+    if (updateFields.queen_id !== undefined) {
+      const target = await loadQueenAccess(updateFields.queen_id, req.user.id, 'write');
+      if (!target.ok) return res.status(target.status).json({ error: target.error });
+    }
+
     const { data, error } = await supabase
       .from('queen_pedigree')
       .update(updateFields)
@@ -85,6 +115,9 @@ router.delete('/:pedigree_id', authenticateUser, async (req, res) => {
   const { pedigree_id } = req.params;
 
   try {
+    const allowed = await getPedigreeIfAllowed(pedigree_id, req.user.id, 'write');
+    if (!allowed.ok) return res.status(allowed.status).json({ error: allowed.error });
+
     const { error } = await supabase
       .from('queen_pedigree')
       .delete()
@@ -6,6 +6,16 @@ const QRCode = require("qrcode");
 const { createCanvas, loadImage } = require("@napi-rs/canvas");
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { loadHiveAccess, loadQueenAccess } = require("../services/accessControl");
+const { buildDependencyReport } = require("../services/archiveService");
+const {
+   validateLineage,
+   hasLineage,
+   saveLineage,
+   linkQueenFromCell,
+} = require("../services/genealogyService");
+const { linkQueenToCell } = require("../services/queenCellLifecycle");
+const { listQueenMatings } = require("../services/matingService");
 
 // 🔹 Helper: get opalite color from season (international marking system)
 function getOpaliteColorFromSeason(season) {
@@ -107,7 +117,9 @@ async function insertQueenWithRetry({ userId, queenRowBase, maxAttempts = 3 }) {
  *   expected_traits,
  *   hive_id,
  *   source_type,
- *   forceReplace?
+ *   forceReplace?,
+ *   mother_queen_id?, mother_label?, drone_source_type?,          (genealogy, see /api/genealogy)
+ *   drone_source_queen_id?, drone_source_hive_id?, drone_source_label?, mating_date?
  * }
  * =========================================================
  */
@@ -127,7 +139,19 @@ router.post("/", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
+      let lineage = null;
+      if (hasLineage(req.body)) {
+         const valid = await validateLineage(userId, req.body);
+         if (!valid.ok) return res.status(valid.status).json({ error: valid.error });
+         lineage = valid.lineage;
+      }
+
       if (hive_id) {
+         const hiveAccess = await loadHiveAccess(hive_id, userId, "write");
+         if (!hiveAccess.ok) {
+            return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+         }
+
          // Check if hive already has a queen for this user
          const { data: existingQueen, error: checkError } = await supabase
             .from("queens")
@@ -176,9 +200,12 @@ router.post("/", authenticateUser, async (req, res) => {
 
       const created = await insertQueenWithRetry({ userId, queenRowBase, maxAttempts: 3 });
 
+      const savedLineage = lineage ? await saveLineage(created.queen_id, lineage, userId) : null;
+
       return res.status(201).json({
          message: "Queen created successfully",
          queen: created,
+         lineage: savedLineage,
       });
    } catch (err) {
       console.error("Unexpected error in POST /queens:", err);
@@ -224,6 +251,11 @@ router.post("/from-cell", authenticateUser, async (req, res) => {
       const queenYear = normalizeQueenYear(payload.queen_year, graftingDate) || season || null;
       const opaliteColor = getOpaliteColorFromSeason(season);
 
+      const hiveAccess = await loadHiveAccess(hive_id, userId, "write");
+      if (!hiveAccess.ok) {
+         return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+      }
+
       // 2) Check if hive already has a queen for this user
       const { data: existingQueen, error: checkError } = await supabase
          .from("queens")
@@ -275,9 +307,27 @@ router.post("/from-cell", authenticateUser, async (req, res) => {
 
       const created = await insertQueenWithRetry({ userId, queenRowBase, maxAttempts: 3 });
 
+      // genealogy from the graft line (breeder queen = mother); the queen exists either way
+      let lineage = null;
+      try {
+         lineage = await linkQueenFromCell(created.queen_id, cellLot, userId);
+      } catch (lineageErr) {
+         console.error("🔴 Failed to link queen lineage from cell:", lineageErr.message);
+      }
+
+      // cell lifecycle: the scanned cell is introduced into this hive and linked to the queen
+      let cell = null;
+      try {
+         cell = await linkQueenToCell(cellLot, created.queen_id, hive_id, userId);
+      } catch (cellErr) {
+         console.error("🔴 Failed to update queen cell status:", cellErr.message);
+      }
+
       return res.status(201).json({
          message: "Queen created from cell successfully",
          queen: created,
+         lineage,
+         cell,
       });
    } catch (err) {
       console.error("Unexpected error in POST /queens/from-cell:", err);
@@ -420,12 +470,15 @@ router.get("/by-hive/:hive_id", authenticateUser, async (req, res) => {
    }
 
    try {
+      const access = await loadHiveAccess(hiveId, userId, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data, error } = await supabase
          .from("queens")
          .select("*")
-         .eq("owner_user_id", userId)
          .eq("hive_id", hiveId)
          .eq("is_alive", true)
+         .is("archived_at", null)
          .order("created_at", { ascending: false })
          .limit(1)
          .maybeSingle();
@@ -500,12 +553,17 @@ router.get("/", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const { data, error } = await supabase
+      let query = supabase
          .from("queens")
          .select("*")
          .eq("owner_user_id", userId)
          .order("created_at", { ascending: false });
 
+      // ?include_archived=true also returns archived queens (see /api/archive)
+      if (String(req.query.include_archived) !== "true") query = query.is("archived_at", null);
+
+      const { data, error } = await query;
+
       if (error) return res.status(400).json({ error: error.message });
       return res.status(200).json({ queens: data || [] });
    } catch (err) {
@@ -549,18 +607,13 @@ router.get("/:queen_id", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const { data, error } = await supabase
-         .from("queens")
-         .select("*")
-         .eq("queen_id", queen_id)
-         .eq("owner_user_id", userId)
-         .single();
+      const access = await loadQueenAccess(queen_id, userId, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-      if (error || !data) {
-         return res.status(404).json({ error: "Queen not found" });
-      }
+      // how the queen was mated (latest record, see /api/mating)
+      const [mating] = await listQueenMatings(access.queen.queen_id);
 
-      return res.status(200).json({ queen: data });
+      return res.status(200).json({ queen: access.queen, mating: mating || null });
    } catch (err) {
       console.error("Error fetching queen by ID:", err);
       return res.status(500).json({ error: "Unexpected server error" });
@@ -615,11 +668,20 @@ router.patch("/:queen_id", authenticateUser, async (req, res) => {
    }
 
    try {
+      const access = await loadQueenAccess(queen_id, userId, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      if (updateFields.hive_id) {
+         const hiveAccess = await loadHiveAccess(updateFields.hive_id, userId, "write");
+         if (!hiveAccess.ok) {
+            return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+         }
+      }
+
       const { data, error } = await supabase
          .from("queens")
          .update(updateFields)
          .eq("queen_id", queen_id)
-         .eq("owner_user_id", userId)
          .select()
          .single();
 
@@ -644,11 +706,20 @@ router.delete("/:queen_id", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
+      const access = await loadQueenAccess(queen_id, userId, "manage");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      // ?dry_run=true → dependent records the deletion would affect, nothing deleted
+      if (String(req.query.dry_run) === "true") {
+         const report = await buildDependencyReport("queen", queen_id, userId);
+         if (!report.ok) return res.status(report.status).json({ error: report.error });
+         return res.status(200).json({ dry_run: true, ...report.report });
+      }
+
       const { error } = await supabase
          .from("queens")
          .delete()
-         .eq("queen_id", queen_id)
-         .eq("owner_user_id", userId);
+         .eq("queen_id", queen_id);
 
       if (error) {
          console.error("Error deleting queen:", error);
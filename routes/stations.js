@@ -0,0 +1,386 @@
+// routes/stations.js
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   MAX_BATCH_SIZE,
+   mintStationToken,
+   ingestReadings,
+   resolveReading,
+} = require("../services/stationService");
+
+router.use(authenticateUser);
+
+// 🔹 Helper: station management is for real users only (not station tokens)
+function rejectStationToken(req, res, next) {
+   if (req.user?.role === "station") {
+      return res.status(403).json({ error: "Station tokens cannot manage stations" });
+   }
+   next();
+}
+
+// 🔹 Helper: get a station by id + check owner
+async function getUserStationById(stationIdParam, userId) {
+   const stationId = parseInt(stationIdParam, 10);
+
+   if (!Number.isInteger(stationId)) {
+      const err = new Error("Invalid station id");
+      err.status = 400;
+      throw err;
+   }
+
+   const { rows } = await pool.query(
+      `SELECT *
+       FROM stations
+       WHERE station_id = $1
+         AND owner_user_id = $2`,
+      [stationId, userId]
+   );
+
+   if (!rows.length) {
+      const err = new Error("Station not found");
+      err.status = 404;
+      throw err;
+   }
+   return rows[0];
+}
+
+/**
+ * POST /api/stations/ingest
+ * Station token only. Batch of buffered readings, replay-safe:
+ * {
+ *   "readings": [
+ *     { "seq": 1042, "public_key": "…", "gross_weight_kg": 31.4, "measured_at": "2025-07-18T09:12:00Z" }
+ *   ]
+ * }
+ * Each reading is stored once per (station, seq); a matched reading creates exactly one harvest.
+ */
+router.post("/ingest", async (req, res) => {
+   if (req.user?.role !== "station" || !req.user.station_id) {
+      return res.status(403).json({ error: "Station token required" });
+   }
+
+   const { readings } = req.body || {};
+   if (!Array.isArray(readings) || readings.length === 0) {
+      return res.status(400).json({ error: "readings must be a non-empty array" });
+   }
+   if (readings.length > MAX_BATCH_SIZE) {
+      return res
+         .status(413)
+         .json({ error: `Too many readings in one batch (max ${MAX_BATCH_SIZE})` });
+   }
+
+   try {
+      const station = {
+         station_id: req.user.station_id,
+         station_code: req.user.station,
+         owner_user_id: req.user.id,
+      };
+
+      const results = await ingestReadings(station, readings);
+
+      const summary = { matched: 0, unmatched: 0, rejected: 0, invalid: 0, duplicate: 0 };
+      for (const r of results) {
+         if (r.duplicate) summary.duplicate += 1;
+         else if (summary[r.status] !== undefined) summary[r.status] += 1;
+      }
+
+      // Highest seq the station can safely drop from its local queue
+      const stored = results.filter((r) => r.status !== "invalid").map((r) => r.seq);
+      const ack_seq = stored.length ? Math.max(...stored) : null;
+
+      return res.status(200).json({ station: station.station_code, ack_seq, summary, results });
+   } catch (err) {
+      console.error("🔴 POST /stations/ingest error:", err);
+      return res.status(500).json({ error: "Server error while ingesting readings" });
+   }
+});
+
+router.use(rejectStationToken);
+
+/**
+ * GET /api/stations
+ * Stations of the logged-in user + pending reconciliation count
+ */
+router.get("/", async (req, res) => {
+   try {
+      const { rows } = await pool.query(
+         `SELECT
+            s.*,
+            (SELECT COUNT(*)::int
+             FROM station_readings r
+             WHERE r.station_id = s.station_id
+               AND r.status IN ('unmatched', 'rejected')) AS pending_readings
+          FROM stations s
+          WHERE s.owner_user_id = $1
+          ORDER BY s.created_at DESC`,
+         [req.user.id]
+      );
+      return res.json(rows);
+   } catch (err) {
+      console.error("🔴 GET /stations error:", err);
+      return res.status(500).json({ error: "Server error while fetching stations" });
+   }
+});
+
+/**
+ * POST /api/stations
+ * body: { station_code, label?, location? }
+ */
+router.post("/", async (req, res) => {
+   const { station_code, label, location } = req.body || {};
+   const code = String(station_code || "").trim();
+
+   if (!code) return res.status(400).json({ error: "station_code is required" });
+
+   try {
+      const { rows } = await pool.query(
+         `INSERT INTO stations (owner_user_id, station_code, label, location)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (station_code) DO NOTHING
+          RETURNING *`,
+         [req.user.id, code, label || null, location || null]
+      );
+
+      if (!rows.length) return res.status(409).json({ error: "station_code already used" });
+      return res.status(201).json(rows[0]);
+   } catch (err) {
+      console.error("🔴 POST /stations error:", err);
+      return res.status(500).json({ error: "Server error while creating station" });
+   }
+});
+
+/**
+ * PATCH /api/stations/:id
+ * body: { label?, location?, active? }  (active=false blocks every token of the station)
+ */
+router.patch("/:id", async (req, res) => {
+   try {
+      const station = await getUserStationById(req.params.id, req.user.id);
+      const { label, location, active } = req.body || {};
+
+      const { rows } = await pool.query(
+         `UPDATE stations
+          SET label = COALESCE($2, label),
+              location = COALESCE($3, location),
+              active = COALESCE($4, active),
+              updated_at = now()
+          WHERE station_id = $1
+          RETURNING *`,
+         [
+            station.station_id,
+            label ?? null,
+            location ?? null,
+            typeof active === "boolean" ? active : null,
+         ]
+      );
+
+      return res.json(rows[0]);
+   } catch (err) {
+      console.error("🔴 PATCH /stations/:id error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+// A token minted before station_tokens (no jti), listed as token_id "legacy"
+function legacyTokenEntry(station) {
+   if (!station.legacy_token_until) return null;
+   return {
+      token_id: "legacy",
+      label: "Legacy token (no jti)",
+      legacy: true,
+      created_at: null,
+      expires_at: station.legacy_token_until,
+      revoked_at: null,
+      last_used_at: station.legacy_token_last_used_at,
+   };
+}
+
+/**
+ * GET /api/stations/:id/tokens
+ * Token metadata only (the JWT itself is shown once, at creation).
+ * A station that still accepts a legacy token gets an extra "legacy" entry.
+ */
+router.get("/:id/tokens", async (req, res) => {
+   try {
+      const station = await getUserStationById(req.params.id, req.user.id);
+
+      const { rows } = await pool.query(
+         `SELECT token_id, label, created_at, expires_at, revoked_at, last_used_at
+          FROM station_tokens
+          WHERE station_id = $1
+          ORDER BY created_at DESC`,
+         [station.station_id]
+      );
+
+      const legacy = legacyTokenEntry(station);
+      return res.json(legacy ? [...rows, legacy] : rows);
+   } catch (err) {
+      console.error("🔴 GET /stations/:id/tokens error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * POST /api/stations/:id/tokens
+ * body: { label?, expires_in_days? (default 365) }
+ */
+router.post("/:id/tokens", async (req, res) => {
+   try {
+      const station = await getUserStationById(req.params.id, req.user.id);
+      const { label, expires_in_days } = req.body || {};
+
+      const days = expires_in_days === undefined ? 365 : Number(expires_in_days);
+      if (!Number.isFinite(days) || days <= 0) {
+         return res.status(400).json({ error: "expires_in_days must be a positive number" });
+      }
+
+      const { token, record } = await mintStationToken(station, {
+         label: label || null,
+         expiresInDays: days,
+      });
+
+      return res.status(201).json({ token, ...record });
+   } catch (err) {
+      console.error("🔴 POST /stations/:id/tokens error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * DELETE /api/stations/:id/tokens/:tokenId
+ * Revoke one token ("legacy": stop accepting the station's jti-less token)
+ */
+router.delete("/:id/tokens/:tokenId", async (req, res) => {
+   try {
+      const station = await getUserStationById(req.params.id, req.user.id);
+
+      if (req.params.tokenId === "legacy") {
+         const { rows } = await pool.query(
+            `UPDATE stations
+             SET legacy_token_until = LEAST(legacy_token_until, now())
+             WHERE station_id = $1
+               AND legacy_token_until IS NOT NULL
+             RETURNING legacy_token_until AS revoked_at`,
+            [station.station_id]
+         );
+
+         if (!rows.length) return res.status(404).json({ error: "Token not found" });
+         return res.json({ message: "Token revoked", token_id: "legacy", ...rows[0] });
+      }
+
+      const { rows } = await pool.query(
+         `UPDATE station_tokens
+          SET revoked_at = COALESCE(revoked_at, now())
+          WHERE token_id::text = $1
+            AND station_id = $2
+          RETURNING token_id, revoked_at`,
+         [String(req.params.tokenId), station.station_id]
+      );
+
+      if (!rows.length) return res.status(404).json({ error: "Token not found" });
+      return res.json({ message: "Token revoked", ...rows[0] });
+   } catch (err) {
+      console.error("🔴 DELETE /stations/:id/tokens/:tokenId error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * GET /api/stations/readings/unmatched?station_id=
+ * Reconciliation view: readings that did not become a harvest
+ */
+router.get("/readings/unmatched", async (req, res) => {
+   try {
+      const stationId = req.query.station_id ? parseInt(req.query.station_id, 10) : null;
+
+      const { rows } = await pool.query(
+         `SELECT
+            r.reading_id,
+            r.station_id,
+            s.station_code,
+            r.seq,
+            r.public_key,
+            r.gross_weight_kg::float8 AS gross_weight_kg,
+            r.measured_at,
+            r.received_at,
+            r.status,
+            r.reason
+          FROM station_readings r
+          JOIN stations s ON s.station_id = r.station_id
+          WHERE s.owner_user_id = $1
+            AND r.status IN ('unmatched', 'rejected')
+            AND ($2::int IS NULL OR r.station_id = $2)
+          ORDER BY r.measured_at DESC`,
+         [req.user.id, Number.isInteger(stationId) ? stationId : null]
+      );
+
+      return res.json(rows);
+   } catch (err) {
+      console.error("🔴 GET /stations/readings/unmatched error:", err);
+      return res.status(500).json({ error: "Server error while fetching readings" });
+   }
+});
+
+/**
+ * POST /api/stations/readings/:readingId/resolve
+ * body: { public_key? | super_id?, gross_weight_kg?, override_withdrawal? }  → creates the harvest
+ */
+router.post("/readings/:readingId/resolve", async (req, res) => {
+   const readingId = parseInt(req.params.readingId, 10);
+   if (!Number.isInteger(readingId)) return res.status(400).json({ error: "Invalid reading id" });
+
+   const { public_key, super_id, gross_weight_kg, override_withdrawal } = req.body || {};
+
+   try {
+      const result = await resolveReading(readingId, req.user.id, {
+         publicKey: public_key,
+         superId: super_id,
+         grossWeight: gross_weight_kg,
+         overrideWithdrawal: override_withdrawal === true,
+      });
+
+      if (!result.ok) {
+         return res.status(result.status).json(
+            result.details ? { error: result.error, details: result.details } : { error: result.error }
+         );
+      }
+
+      return res.json({ message: "Reading matched", reading: result.reading, harvest: result.harvest });
+   } catch (err) {
+      console.error("🔴 POST /stations/readings/:readingId/resolve error:", err);
+      return res.status(500).json({ error: "Server error while resolving reading" });
+   }
+});
+
+/**
+ * POST /api/stations/readings/:readingId/ignore
+ * Drop a reading from the reconciliation view (tare check, test weighing…)
+ */
+router.post("/readings/:readingId/ignore", async (req, res) => {
+   const readingId = parseInt(req.params.readingId, 10);
+   if (!Number.isInteger(readingId)) return res.status(400).json({ error: "Invalid reading id" });
+
+   try {
+      const { rows } = await pool.query(
+         `UPDATE station_readings r
+          SET status = 'ignored', resolved_at = now(), resolved_by = $2
+          FROM stations s
+          WHERE s.station_id = r.station_id
+            AND r.reading_id = $1
+            AND s.owner_user_id = $2
+            AND r.status IN ('unmatched', 'rejected')
+          RETURNING r.reading_id, r.status`,
+         [readingId, req.user.id]
+      );
+
+      if (!rows.length) return res.status(404).json({ error: "Pending reading not found" });
+      return res.json(rows[0]);
+   } catch (err) {
+      console.error("🔴 POST /stations/readings/:readingId/ignore error:", err);
+      return res.status(500).json({ error: "Server error while ignoring reading" });
+   }
+});
+
+module.exports = router;
@@ -3,6 +3,12 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const {
+   getAccessibleHiveIds,
+   loadHiveAccess,
+   loadSuperAccess,
+} = require("../services/accessControl");
+const { buildDependencyReport } = require("../services/archiveService");
 const { v4: uuidv4 } = require("uuid");
 // ✅ add
 const QRCode = require("qrcode");
@@ -37,17 +43,11 @@ async function getUserLabel(userId) {
    return "Super Owner";
 }
 
-async function getSuperByPublicKeyIfOwned(public_key, userId, select = "*") {
-   const { data, error } = await supabase
-      .from("supers")
-      .select(select)
-      .eq("public_key", String(public_key).trim())
-      .eq("owner_user_id", userId)
-      .maybeSingle();
-
-   if (error) return { ok: false, status: 400, error: error.message };
-   if (!data) return { ok: false, status: 404, error: "Super not found" };
-   return { ok: true, status: 200, super: data };
+// own supers + supers linked to hives of apiaries the user can reach (company workspaces)
+async function buildSupersAccessFilter(userId) {
+   const hiveIds = await getAccessibleHiveIds(userId, "read");
+   if (hiveIds.length === 0) return `owner_user_id.eq.${userId}`;
+   return `owner_user_id.eq.${userId},hive_id.in.(${hiveIds.join(",")})`;
 }
 
 async function renderSuperLabelPng({ public_key, super_code }) {
@@ -86,12 +86,17 @@ router.get("/", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const { data, error } = await supabase
+      let query = supabase
          .from("supers")
          .select("*")
-         .eq("owner_user_id", userId)
+         .or(await buildSupersAccessFilter(userId))
          .order("created_at", { ascending: false });
 
+      // ?include_archived=true also returns archived supers (see /api/archive)
+      if (String(req.query.include_archived) !== "true") query = query.is("archived_at", null);
+
+      const { data, error } = await query;
+
       if (error) return res.status(400).json({ error: error.message });
       return res.json(data || []);
    } catch (err) {
@@ -116,6 +121,8 @@ router.get("/my", authenticateUser, async (req, res) => {
    const activeParam = req.query.active; // "true" | "false" | undefined
 
    try {
+      const accessFilter = await buildSupersAccessFilter(userId);
+
       let q = supabase
          .from("supers")
          .select(`
@@ -133,12 +140,13 @@ router.get("/my", authenticateUser, async (req, res) => {
                hive_code
             )
          `)
-         .eq("owner_user_id", userId)
+         .or(accessFilter)
          .order("created_at", { ascending: false })
          .range(from, to);
 
       if (activeParam === "true") q = q.eq("active", true);
       if (activeParam === "false") q = q.eq("active", false);
+      if (String(req.query.include_archived) !== "true") q = q.is("archived_at", null);
 
       const { data, error } = await q;
       if (error) throw error;
@@ -163,7 +171,7 @@ router.get("/my/stats", authenticateUser, async (req, res) => {
       const { data, error } = await supabase
          .from("supers")
          .select("active")
-         .eq("owner_user_id", userId);
+         .or(await buildSupersAccessFilter(userId));
       if (error) throw error;
 
       let total = 0;
@@ -264,8 +272,13 @@ router.get("/public/:public_key", authenticateUser, async (req, res) => {
          });
       }
 
-      // ✅ normal user access logic
-      const user_id = auth.id;
+      // ✅ normal user access logic (owner or company member)
+      const access = await loadSuperAccess(superData.super_id, auth.id, "read");
+      if (!access.ok) {
+         return res.status(access.status === 404 ? 403 : access.status).json({
+            error: access.status === 404 ? "Access denied" : access.error,
+         });
+      }
 
       if (!superData.hive_id) {
          let label = "Super Owner";
@@ -298,20 +311,6 @@ router.get("/public/:public_key", authenticateUser, async (req, res) => {
 
       if (!apiary) return res.status(404).json({ error: "Apiary not found" });
 
-      let hasAccess = false;
-
-      if (apiary.owner_user_id === user_id) hasAccess = true;
-      else if (apiary.company_id) {
-         const { data: userProfile } = await supabase
-            .from("user_profiles")
-            .select("company_id")
-            .eq("user_id", user_id)
-            .maybeSingle();
-         if (userProfile?.company_id === apiary.company_id) hasAccess = true;
-      }
-
-      if (!hasAccess) return res.status(403).json({ error: "Access denied" });
-
       let label = "Super Owner";
 
       if (apiary.company_id) {
@@ -346,6 +345,9 @@ router.get("/hive/:hive_id", authenticateUser, async (req, res) => {
    const { hive_id } = req.params;
 
    try {
+      const access = await loadHiveAccess(hive_id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data, error } = await supabase
          .from("supers")
          .select("*")
@@ -374,9 +376,16 @@ router.post("/link", authenticateUser, async (req, res) => {
    }
 
    try {
+      const hiveAccess = await loadHiveAccess(hive_id, req.user.id, "write");
+      if (!hiveAccess.ok) return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+
+      // super_code is unique per owner → look it up in the hive owner's supers
       let query = supabase.from("supers").select("*").eq("active", true).single();
 
-      if (super_code) query = query.eq("super_code", super_code);
+      if (super_code)
+         query = query
+            .eq("super_code", super_code)
+            .eq("owner_user_id", hiveAccess.apiary.owner_user_id);
       else if (public_key) query = query.eq("public_key", public_key);
       else return res.status(400).json({ error: "Super code or public key is required" });
 
@@ -386,6 +395,11 @@ router.post("/link", authenticateUser, async (req, res) => {
          return res.status(404).json({ error: "Super not found" });
       }
 
+      const superAccess = await loadSuperAccess(superData.super_id, req.user.id, "write");
+      if (!superAccess.ok) {
+         return res.status(superAccess.status).json({ error: superAccess.error });
+      }
+
       if (superData.hive_id && superData.hive_id !== hive_id) {
          const { data: linkedHive } = await supabase
             .from("hives")
@@ -624,6 +638,11 @@ router.post("/", authenticateUser, async (req, res) => {
    const finalServiceIn = typeof service_in === "boolean" ? service_in : true;
 
    try {
+      if (hive_id) {
+         const hiveAccess = await loadHiveAccess(hive_id, owner_user_id, "write");
+         if (!hiveAccess.ok) return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+      }
+
       let finalPublicKey = public_key ? String(public_key).trim() : null;
       let finalSuperCode = null;
 
@@ -779,6 +798,9 @@ router.patch("/:id/unlink", authenticateUser, async (req, res) => {
    const { id } = req.params;
 
    try {
+      const access = await loadSuperAccess(id, req.user.id, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
       const { data, error } = await supabase
          .from("supers")
          .update({ hive_id: null })
@@ -805,7 +827,7 @@ router.get("/qr-download/:public_key", authenticateUser, async (req, res) => {
    const userId = req.user.id;
 
    try {
-      const owned = await getSuperByPublicKeyIfOwned(public_key, userId, "super_code, public_key");
+      const owned = await loadSuperAccess({ publicKey: public_key }, userId, "read");
       if (!owned.ok) return res.status(owned.status).json({ error: owned.error });
 
       const buffer = await renderSuperLabelPng({
@@ -849,6 +871,7 @@ router.get("/qr-pdf", authenticateUser, async (req, res) => {
 
       if (activeParam === "true") q = q.eq("active", true);
       if (activeParam === "false") q = q.eq("active", false);
+      if (String(req.query.include_archived) !== "true") q = q.is("archived_at", null);
 
       const { data: supers, error } = await q;
       if (error) return res.status(400).json({ error: error.message });
@@ -934,11 +957,10 @@ router.get("/qr-pdf", authenticateUser, async (req, res) => {
 router.get("/:id", authenticateUser, async (req, res) => {
    try {
       const { id } = req.params;
-      const { data, error } = await supabase.from("supers").select("*").eq("super_id", id).single();
-
-      if (error || !data) return res.status(404).json({ error: "Super not found" });
+      const access = await loadSuperAccess(id, req.user.id, "read");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
 
-      return res.json(data);
+      return res.json(access.super);
    } catch (err) {
       console.error("Error fetching super:", err);
       return res.status(500).json({ error: "Unexpected server error" });
@@ -952,9 +974,19 @@ router.get("/:id", authenticateUser, async (req, res) => {
  */
 router.put("/:id", authenticateUser, async (req, res) => {
    const { id } = req.params;
-   const updates = req.body;
+
+   // ownership / identity fields are never editable here
+   const { super_id, owner_user_id, public_key, ...updates } = req.body || {};
 
    try {
+      const access = await loadSuperAccess(id, req.user.id, "write");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      if (updates.hive_id) {
+         const hiveAccess = await loadHiveAccess(updates.hive_id, req.user.id, "write");
+         if (!hiveAccess.ok) return res.status(hiveAccess.status).json({ error: hiveAccess.error });
+      }
+
       const { data, error } = await supabase
          .from("supers")
          .update(updates)
@@ -980,6 +1012,16 @@ router.delete("/:id", authenticateUser, async (req, res) => {
    const { id } = req.params;
 
    try {
+      const access = await loadSuperAccess(id, req.user.id, "manage");
+      if (!access.ok) return res.status(access.status).json({ error: access.error });
+
+      // ?dry_run=true → dependent records the deletion would affect, nothing deleted
+      if (String(req.query.dry_run) === "true") {
+         const report = await buildDependencyReport("super", id, req.user.id);
+         if (!report.ok) return res.status(report.status).json({ error: report.error });
+         return res.json({ dry_run: true, ...report.report });
+      }
+
       const { data, error } = await supabase
          .from("supers")
          .delete()
@@ -4,61 +4,39 @@ const router = express.Router();
 const pool = require("../db");
 const authenticateUser = require("../middlewares/authMiddleware");
 
-// 🔹 Helper: check that apiary belongs to user (uses ONLY apiary_id)
-async function assertApiaryOwnership(apiaryIdParam, userId) {
-   const apiaryId = parseInt(apiaryIdParam, 10);
-   console.log("🟣 assertApiaryOwnership", { apiaryIdParam, apiaryId, userId });
-
-   if (!Number.isInteger(apiaryId)) {
-      const err = new Error("Invalid apiary id");
+const {
+   getAccessibleApiaryIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadHiveByPublicKeyAccess,
+   loadSessionAccess,
+   orThrow,
+} = require("../services/accessControl");
+
+// 🔹 Helper: get a swarm colony + check the user's role on its apiary
+async function getColonyWithAccess(colonyIdParam, userId, action) {
+   const colonyId = parseInt(colonyIdParam, 10);
+   if (!Number.isInteger(colonyId)) {
+      const err = new Error("Invalid colony id");
       err.status = 400;
       throw err;
    }
 
    const { rows } = await pool.query(
-      `SELECT apiary_id
-       FROM apiaries
-       WHERE apiary_id = $1
-         AND owner_user_id = $2`,
-      [apiaryId, userId]
+      `SELECT swarm_colony_id, apiary_id, status
+       FROM swarm_colonies
+       WHERE swarm_colony_id = $1`,
+      [colonyId]
    );
 
-   console.log("🟣 assertApiaryOwnership rows:", rows);
-
-   if (!rows.length) {
-      const err = new Error("Apiary not found or not yours");
+   const access = rows.length ? await loadApiaryAccess(rows[0].apiary_id, userId, action) : null;
+   if (!access || (!access.ok && access.status === 404)) {
+      const err = new Error("Colony not found");
       err.status = 404;
       throw err;
    }
+   await orThrow(access);
 
-   return rows[0].apiary_id; // always the real apiary_id
-}
-
-// 🔹 Helper: get a swarm session by id + check user
-async function getUserSessionById(sessionIdParam, userId) {
-   const sessionId = parseInt(sessionIdParam, 10);
-   console.log("🟣 getUserSessionById", { sessionIdParam, sessionId, userId });
-
-   if (!Number.isInteger(sessionId)) {
-      const err = new Error("Invalid swarm session id");
-      err.status = 400;
-      throw err;
-   }
-
-   const { rows } = await pool.query(
-      `SELECT s.*
-       FROM swarm_sessions s
-       JOIN apiaries a ON a.apiary_id = s.apiary_id
-       WHERE s.swarm_session_id = $1
-         AND a.owner_user_id = $2`,
-      [sessionId, userId]
-   );
-
-   if (!rows.length) {
-      const err = new Error("Swarm session not found");
-      err.status = 404;
-      throw err;
-   }
    return rows[0];
 }
 
@@ -73,7 +51,9 @@ router.post("/sessions", authenticateUser, async (req, res) => {
    }
 
    try {
-      const resolvedApiaryId = await assertApiaryOwnership(apiary_id, userId);
+      const { apiaryId: resolvedApiaryId } = await orThrow(
+         loadApiaryAccess(apiary_id, userId, "write")
+      );
 
       // Close any other active session on this apiary
       await pool.query(
@@ -123,8 +103,8 @@ router.post("/sessions/:sessionId/scan", authenticateUser, async (req, res) => {
    }
 
    try {
-      // 1) Make sure session belongs to this user
-      const session = await getUserSessionById(sessionId, userId);
+      // 1) Make sure the user can work on this session's apiary
+      const { session } = await orThrow(loadSessionAccess("swarm", sessionId, userId, "write"));
 
       if (!session.is_active || session.ended_at) {
          return res.status(400).json({ error: "Session is not active" });
@@ -132,52 +112,20 @@ router.post("/sessions/:sessionId/scan", authenticateUser, async (req, res) => {
 
       const apiaryId = session.apiary_id;
 
-      // 2) Resolve hive_id
-      let resolvedHiveId = hive_id || null;
-
-      if (!resolvedHiveId && hive_public_key) {
-         // 🔍 Resolve by public_key + enforce owner + SAME APIARY
-         const { rows: hiveRows } = await pool.query(
-            `SELECT h.hive_id
-             FROM hives h
-             JOIN apiaries a ON a.apiary_id = h.apiary_id
-             WHERE h.public_key = $1
-               AND h.apiary_id = $2
-               AND a.owner_user_id = $3`,
-            [hive_public_key, apiaryId, userId]
-         );
-
-         if (!hiveRows.length) {
-            return res
-               .status(404)
-               .json({ error: "Hive not found in this apiary for this user (public_key)." });
-         }
+      // 2) Resolve hive (by id or public_key) + enforce access + SAME APIARY
+      const hiveAccess = hive_id
+         ? await loadHiveAccess(hive_id, userId, "write")
+         : await loadHiveByPublicKeyAccess(hive_public_key, userId, "write");
 
-         resolvedHiveId = hiveRows[0].hive_id;
+      if (!hiveAccess.ok && hiveAccess.status !== 404) {
+         return res.status(hiveAccess.status).json({ error: hiveAccess.error });
       }
 
-      // If we got hive_id directly from frontend, still enforce owner + apiary
-      if (resolvedHiveId) {
-         const { rows: hiveCheck } = await pool.query(
-            `SELECT h.hive_id
-             FROM hives h
-             JOIN apiaries a ON a.apiary_id = h.apiary_id
-             WHERE h.hive_id = $1
-               AND h.apiary_id = $2        -- same apiary as the session
-               AND a.owner_user_id = $3`,
-            [resolvedHiveId, apiaryId, userId]
-         );
-
-         if (!hiveCheck.length) {
-            return res.status(404).json({
-               error: "Hive not found in this apiary for this user (invalid hive_id).",
-            });
-         }
+      if (!hiveAccess.ok || Number(hiveAccess.hive.apiary_id) !== Number(apiaryId)) {
+         return res.status(404).json({ error: "Hive not found in this apiary." });
       }
 
-      if (!resolvedHiveId) {
-         return res.status(400).json({ error: "Could not resolve hive_id" });
-      }
+      const resolvedHiveId = hiveAccess.hive.hive_id;
 
       // 3) Insert colony
       const { rows: colonyRows } = await pool.query(
@@ -258,8 +206,8 @@ router.post("/sessions/:sessionId/introductions", authenticateUser, async (req,
    }
 
    try {
-      // 1️⃣ Check session belongs to this user and is active
-      const session = await getUserSessionById(sessionId, userId);
+      // 1️⃣ Check the user can work on this session and it is active
+      const { session } = await orThrow(loadSessionAccess("swarm", sessionId, userId, "write"));
 
       if (!session.is_active || session.ended_at) {
          return res.status(400).json({ error: "Session is not active" });
@@ -272,9 +220,8 @@ router.post("/sessions/:sessionId/introductions", authenticateUser, async (req,
          `SELECT swarm_colony_id
           FROM swarm_colonies
           WHERE swarm_session_id = $1
-            AND owner_user_id = $2
             AND status = 'pending'`,
-         [session.swarm_session_id, userId]
+         [session.swarm_session_id]
       );
 
       if (!colonies.length) {
@@ -360,19 +307,8 @@ router.patch("/colonies/:colonyId/status", authenticateUser, async (req, res) =>
    }
 
    try {
-      // 1) Check colony belongs to this user
-      const { rows: colRows } = await pool.query(
-         `SELECT c.swarm_colony_id, c.apiary_id
-          FROM swarm_colonies c
-          JOIN apiaries a ON a.apiary_id = c.apiary_id
-          WHERE c.swarm_colony_id = $1
-            AND a.owner_user_id = $2`,
-         [colonyId, userId]
-      );
-
-      if (!colRows.length) {
-         return res.status(404).json({ error: "Colony not found" });
-      }
+      // 1) Check the user can work on this colony's apiary
+      await getColonyWithAccess(colonyId, userId, "write");
 
       // 2) Update colony status
       const { rows: updatedRows } = await pool.query(
@@ -401,7 +337,7 @@ router.patch("/colonies/:colonyId/status", authenticateUser, async (req, res) =>
       return res.json({ ok: true, colony });
    } catch (err) {
       console.error("🔴 PATCH /swarm/colonies/:colonyId/status error:", err);
-      return res.status(500).json({ error: "Server error" });
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
    }
 });
 
@@ -413,7 +349,7 @@ router.get("/sessions/:sessionId", authenticateUser, async (req, res) => {
    console.log("🟢 [GET /swarm/sessions/:sessionId]", { userId, sessionId });
 
    try {
-      const session = await getUserSessionById(sessionId, userId);
+      const { session } = await orThrow(loadSessionAccess("swarm", sessionId, userId, "read"));
 
       const { rows: colonies } = await pool.query(
          `SELECT 
@@ -444,11 +380,10 @@ router.get("/sessions/:sessionId", authenticateUser, async (req, res) => {
     LEFT JOIN queens q
       ON q.hive_id = h.hive_id
      AND q.is_alive = TRUE      -- only current queen
-     AND q.owner_user_id = $2   -- safety: same owner
 
     WHERE c.swarm_session_id = $1
     ORDER BY c.started_at DESC`,
-         [sessionId, userId]
+         [session.swarm_session_id]
       );
 
       // 🧮 Build stats
@@ -497,8 +432,8 @@ router.patch("/sessions/:sessionId/end", authenticateUser, async (req, res) => {
    console.log("🟢 [PATCH /swarm/sessions/:sessionId/end]", { userId, sessionId });
 
    try {
-      // 1️⃣ Check session belongs to this user
-      const session = await getUserSessionById(sessionId, userId);
+      // 1️⃣ Check the user can work on this session
+      const { session } = await orThrow(loadSessionAccess("swarm", sessionId, userId, "write"));
 
       // 2️⃣ Already ended?
       if (!session.is_active || session.ended_at) {
@@ -556,21 +491,8 @@ router.post("/colonies/:colonyId/reintroductions", authenticateUser, async (req,
    }
 
    try {
-      // 1️⃣ Check colony belongs to user and get apiary_id + current status
-      const { rows: colRows } = await pool.query(
-         `SELECT c.swarm_colony_id, c.apiary_id, c.status
-          FROM swarm_colonies c
-          JOIN apiaries a ON a.apiary_id = c.apiary_id
-          WHERE c.swarm_colony_id = $1
-            AND a.owner_user_id = $2`,
-         [colonyId, userId]
-      );
-
-      if (!colRows.length) {
-         return res.status(404).json({ error: "Colony not found" });
-      }
-
-      const colony = colRows[0];
+      // 1️⃣ Check the user can work on this colony and get apiary_id + current status
+      const colony = await getColonyWithAccess(colonyId, userId, "write");
 
       // we only allow re-intro on failed / queenless
       if (!["failed", "queenless"].includes(colony.status)) {
@@ -641,7 +563,7 @@ router.post("/colonies/:colonyId/reintroductions", authenticateUser, async (req,
       });
    } catch (err) {
       console.error("🔴 POST /swarm/colonies/:colonyId/reintroductions error:", err);
-      return res.status(500).json({ error: "Server error" });
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
    }
 });
 
@@ -653,19 +575,19 @@ router.get("/apiaries/:apiaryId/active", authenticateUser, async (req, res) => {
    console.log("🟢 [GET /swarm/apiaries/:apiaryId/active]", { apiaryId, userId });
 
    try {
-      const resolvedApiaryId = await assertApiaryOwnership(apiaryId, userId);
+      const { apiaryId: resolvedApiaryId } = await orThrow(
+         loadApiaryAccess(apiaryId, userId, "read")
+      );
 
       const { rows } = await pool.query(
          `SELECT s.*
           FROM swarm_sessions s
-          JOIN apiaries a ON a.apiary_id = s.apiary_id
           WHERE s.apiary_id = $1
-            AND a.owner_user_id = $2
             AND s.is_active = TRUE
             AND s.ended_at IS NULL
           ORDER BY s.started_at DESC
           LIMIT 1`,
-         [resolvedApiaryId, userId]
+         [resolvedApiaryId]
       );
 
       const session = rows[0] || null;
@@ -684,7 +606,7 @@ router.get("/apiaries/:apiaryId/active", authenticateUser, async (req, res) => {
 });
 
 // 🔹 GET /swarm/alerts/upcoming?days=14
-// Returns upcoming laying-check alerts for this user (and a bit of late ones)
+// Returns upcoming laying-check alerts on every apiary the user can reach (and a bit of late ones)
 router.get("/alerts/upcoming", authenticateUser, async (req, res) => {
    const userId = req.user.id;
    const daysAhead = Number(req.query.days) || 14; // how far in future
@@ -693,6 +615,8 @@ router.get("/alerts/upcoming", authenticateUser, async (req, res) => {
    console.log("🟢 [GET /swarm/alerts/upcoming]", { userId, daysAhead, daysPast });
 
    try {
+      const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+
       const { rows } = await pool.query(
          `
          SELECT 
@@ -711,14 +635,14 @@ router.get("/alerts/upcoming", authenticateUser, async (req, res) => {
          JOIN apiaries a       ON a.apiary_id = sa.apiary_id
          JOIN swarm_colonies c ON c.swarm_colony_id = sa.swarm_colony_id
          JOIN hives h          ON h.hive_id = c.hive_id
-         WHERE sa.owner_user_id = $1
+         WHERE sa.apiary_id = ANY($1::int[])
            AND sa.alert_type = 'check_laying'
            AND sa.is_done = FALSE
            AND sa.planned_for::date >= (now()::date - $3 * INTERVAL '1 day')
            AND sa.planned_for::date <= (now()::date + $2 * INTERVAL '1 day')
          ORDER BY sa.planned_for ASC, a.apiary_name, h.hive_code
          `,
-         [userId, daysAhead, daysPast]
+         [apiaryIds, daysAhead, daysPast]
       );
 
       console.log("🟢 [GET /swarm/alerts/upcoming] rows =", rows);
@@ -739,6 +663,8 @@ router.get("/stats/overview", authenticateUser, async (req, res) => {
    const toDate = to || today;
 
    try {
+      if (apiary_id) await orThrow(loadApiaryAccess(apiary_id, userId, "read"));
+
       // 1️⃣ Global stats
       const globalSql = `
       SELECT
@@ -842,7 +768,7 @@ router.get("/stats/overview", authenticateUser, async (req, res) => {
       });
    } catch (err) {
       console.error("🔴 GET /swarm/stats/overview error:", err);
-      return res.status(500).json({ error: "Server error" });
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
    }
 });
 
@@ -0,0 +1,72 @@
+// routes/sync.js
+const express = require("express");
+const router = express.Router();
+const authenticateUser = require("../middlewares/authMiddleware");
+const { MAX_MUTATIONS, applyMutations, getChanges } = require("../services/syncService");
+
+router.use(authenticateUser);
+
+/**
+ * POST /api/sync
+ * Push queued offline mutations, then pull server changes since the cursor:
+ * {
+ *   "cursor": "…",            // from the previous sync, omit for a full pull
+ *   "mutations": [
+ *     { "client_id": "<uuid>", "entity": "inspection", "op": "create",
+ *       "client_ts": "2025-07-18T09:12:00Z", "data": { "hive_id": 12, … } },
+ *     { "client_id": "<uuid>", "entity": "checklist_item", "op": "update",
+ *       "data": { "item_id": 4, "is_checked": true, "base_updated_at": "…" } }
+ *   ]
+ * }
+ * entities: inspection, varroa_test, intervention, apiary_note (create),
+ *           checklist_item (create, update)
+ * Each client_id is applied once per user: a retry returns the first result (duplicate: true),
+ * including rejections, so a corrected mutation needs a new client_id.
+ * Per-item status: applied | conflict | rejected | in_progress | error (retry later)
+ */
+router.post("/", async (req, res) => {
+   const { mutations = [], cursor = null, limit } = req.body || {};
+
+   if (!Array.isArray(mutations)) {
+      return res.status(400).json({ error: "mutations must be an array" });
+   }
+   if (mutations.length > MAX_MUTATIONS) {
+      return res
+         .status(413)
+         .json({ error: `Too many mutations in one batch (max ${MAX_MUTATIONS})` });
+   }
+
+   try {
+      const results = await applyMutations(req.user.id, mutations);
+
+      const summary = { applied: 0, conflict: 0, rejected: 0, in_progress: 0, error: 0, duplicate: 0 };
+      for (const r of results) {
+         if (r.duplicate) summary.duplicate += 1;
+         else if (summary[r.status] !== undefined) summary[r.status] += 1;
+      }
+
+      const delta = await getChanges(req.user.id, cursor, limit);
+
+      return res.json({ results, summary, ...delta });
+   } catch (err) {
+      console.error("🔴 POST /sync error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+/**
+ * GET /api/sync/changes?cursor=&limit=
+ * Pull only. Keep calling with the returned cursor while has_more is true.
+ * deleted lists, per entity, keys the client should drop (deleted or out of scope).
+ */
+router.get("/changes", async (req, res) => {
+   try {
+      const delta = await getChanges(req.user.id, req.query.cursor || null, req.query.limit);
+      return res.json(delta);
+   } catch (err) {
+      console.error("🔴 GET /sync/changes error:", err);
+      return res.status(err.status || 500).json({ error: err.message || "Server error" });
+   }
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+// routes/tasks.js
+const express = require("express");
+const router = express.Router();
+const pool = require("../db");
+const authenticateUser = require("../middlewares/authMiddleware");
+const requireAccess = require("../middlewares/requireAccess");
+const {
+   getAccessibleApiaryIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+} = require("../services/accessControl");
+const {
+   TASK_STATUSES,
+   SOURCE_TYPES,
+   refreshTasks,
+   listTasks,
+   getTask,
+   completeTask,
+} = require("../services/taskService");
+
+router.use(authenticateUser);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isDate(v) {
+   return DATE_RE.test(String(v || "")) && !Number.isNaN(new Date(v).getTime());
+}
+
+function todayStr() {
+   return new Date().toISOString().slice(0, 10);
+}
+
+// the assignee must be able to see the task's apiary (own tasks without apiary: only the owner)
+async function checkAssignee(assigneeId, task, userId) {
+   if (assigneeId === null) return null;
+   if (!UUID_RE.test(String(assigneeId))) return "assignee_user_id must be a user id";
+
+   if (!task.apiary_id) {
+      return assigneeId === task.owner_user_id ? null : "Tasks without apiary cannot be assigned to others";
+   }
+   if (assigneeId === userId) return null;
+
+   const access = await loadApiaryAccess(task.apiary_id, assigneeId, "read");
+   return access.ok ? null : "Assignee has no access to this apiary";
+}
+
+/**
+ * GET /api/tasks?apiary_id=&from=&to=&status=open|done|dismissed|all&assignee=me|unassigned|<uuid>&source_type=
+ * Agenda of every reminder (inspection / note revisits, swarm checks, nuc checks,
+ * graft steps) + manual tasks, grouped by date. Sources are re-synced first.
+ */
+router.get("/", async (req, res) => {
+   const userId = req.user.id;
+   const { from, to, assignee } = req.query;
+   const status = req.query.status || "open";
+   const sourceType = req.query.source_type || null;
+
+   if (from !== undefined && !isDate(from)) return res.status(400).json({ error: "from must be a date (YYYY-MM-DD)" });
+   if (to !== undefined && !isDate(to)) return res.status(400).json({ error: "to must be a date (YYYY-MM-DD)" });
+   if (status !== "all" && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TASK_STATUSES.join(", ")}, all` });
+   }
+   if (sourceType && !SOURCE_TYPES.includes(sourceType)) {
+      return res.status(400).json({ error: `source_type must be one of: ${SOURCE_TYPES.join(", ")}` });
+   }
+   if (assignee && !["me", "unassigned"].includes(assignee) && !UUID_RE.test(assignee)) {
+      return res.status(400).json({ error: "assignee must be 'me', 'unassigned' or a user id" });
+   }
+
+   try {
+      let apiaryIds;
+      if (req.query.apiary_id) {
+         const access = await loadApiaryAccess(req.query.apiary_id, userId, "read");
+         if (!access.ok) return res.status(access.status).json({ error: access.error });
+         apiaryIds = [access.apiaryId];
+      } else {
+         apiaryIds = await getAccessibleApiaryIds(userId, "read");
+      }
+
+      await refreshTasks(userId, apiaryIds);
+
+      const tasks = await listTasks(userId, {
+         apiaryIds,
+         includeOwn: !req.query.apiary_id,
+         status,
+         from: from || null,
+         to: to || null,
+         assignee: assignee || null,
+         sourceType,
+      });
+
+      const today = todayStr();
+      const agenda = new Map();
+      let overdue = 0;
+
+      for (const t of tasks) {
+         const date = t.agenda_date;
+         const item = { ...t, overdue: t.status === "open" && date < today };
+         if (item.overdue) overdue++;
+         if (!agenda.has(date)) agenda.set(date, []);
+         agenda.get(date).push(item);
+      }
+
+      return res.json({
+         from: from || null,
+         to: to || null,
+         total: tasks.length,
+         overdue,
+         agenda: [...agenda.entries()].map(([date, items]) => ({ date, tasks: items })),
+      });
+   } catch (err) {
+      console.error("🔴 GET /tasks error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/tasks
+ * body: { title, due_date, apiary_id?, hive_id?, notes?, assignee_user_id? }
+ * Manual task (with apiary: needs write on it; without: personal task)
+ */
+router.post("/", async (req, res) => {
+   const userId = req.user.id;
+   const { title, due_date, apiary_id, hive_id, notes, assignee_user_id } = req.body || {};
+
+   const cleanTitle = String(title || "").trim();
+   if (!cleanTitle) return res.status(400).json({ error: "title is required" });
+   if (!isDate(due_date)) return res.status(400).json({ error: "due_date must be a date (YYYY-MM-DD)" });
+
+   try {
+      let apiaryId = null;
+      let ownerId = userId;
+      let hiveId = null;
+
+      if (hive_id) {
+         const access = await loadHiveAccess(hive_id, userId, "write");
+         if (!access.ok) return res.status(access.status).json({ error: access.error });
+         if (apiary_id && Number(apiary_id) !== Number(access.hive.apiary_id)) {
+            return res.status(400).json({ error: "hive_id does not belong to apiary_id" });
+         }
+         hiveId = access.hive.hive_id;
+         apiaryId = access.apiary.apiary_id;
+         ownerId = access.apiary.owner_user_id;
+      } else if (apiary_id) {
+         const access = await loadApiaryAccess(apiary_id, userId, "write");
+         if (!access.ok) return res.status(access.status).json({ error: access.error });
+         apiaryId = access.apiaryId;
+         ownerId = access.apiary.owner_user_id;
+      }
+
+      const assignee = assignee_user_id || null;
+      const assigneeError = await checkAssignee(assignee, { apiary_id: apiaryId, owner_user_id: ownerId }, userId);
+      if (assigneeError) return res.status(400).json({ error: assigneeError });
+
+      const { rows } = await pool.query(
+         `INSERT INTO tasks (owner_user_id, apiary_id, hive_id, source_type, title, notes, due_date,
+                             assignee_user_id, created_by)
+          VALUES ($1, $2, $3, 'manual', $4, $5, $6, $7, $8)
+          RETURNING task_id`,
+         [ownerId, apiaryId, hiveId, cleanTitle, notes || null, due_date, assignee, userId]
+      );
+
+      return res.status(201).json(await getTask(rows[0].task_id));
+   } catch (err) {
+      console.error("🔴 POST /tasks error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * PATCH /api/tasks/:id
+ * body: { assignee_user_id?, status?: open|dismissed, notes?, title?, due_date? }
+ * title / due_date only on manual tasks (source tasks follow their record)
+ */
+router.patch("/:id", requireAccess("task", "write"), async (req, res) => {
+   const task = req.access.task;
+   const body = req.body || {};
+   const sets = [];
+   const params = [task.task_id];
+
+   try {
+      if (body.assignee_user_id !== undefined) {
+         const assignee = body.assignee_user_id || null;
+         const assigneeError = await checkAssignee(assignee, task, req.user.id);
+         if (assigneeError) return res.status(400).json({ error: assigneeError });
+         params.push(assignee);
+         sets.push(`assignee_user_id = $${params.length}`);
+      }
+
+      if (body.status !== undefined) {
+         if (!["open", "dismissed"].includes(body.status)) {
+            return res.status(400).json({ error: "status must be 'open' or 'dismissed' (use /complete to finish a task)" });
+         }
+         params.push(body.status);
+         sets.push(`status = $${params.length}`);
+         if (body.status === "open") sets.push(`completed_at = NULL`, `completed_by = NULL`);
+      }
+
+      if (body.notes !== undefined) {
+         params.push(body.notes || null);
+         sets.push(`notes = $${params.length}`);
+      }
+
+      if (body.title !== undefined || body.due_date !== undefined) {
+         if (task.source_type !== "manual") {
+            return res.status(400).json({ error: "title and due_date can only be changed on manual tasks" });
+         }
+         if (body.title !== undefined) {
+            const t = String(body.title || "").trim();
+            if (!t) return res.status(400).json({ error: "title cannot be empty" });
+            params.push(t);
+            sets.push(`title = $${params.length}`);
+         }
+         if (body.due_date !== undefined) {
+            if (!isDate(body.due_date)) return res.status(400).json({ error: "due_date must be a date (YYYY-MM-DD)" });
+            params.push(body.due_date);
+            sets.push(`due_date = $${params.length}`);
+         }
+      }
+
+      if (!sets.length) return res.status(400).json({ error: "Nothing to update" });
+
+      await pool.query(
+         `UPDATE tasks SET ${sets.join(", ")}, updated_at = now() WHERE task_id = $1`,
+         params
+      );
+
+      return res.json(await getTask(task.task_id));
+   } catch (err) {
+      console.error("🔴 PATCH /tasks/:id error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/tasks/:id/snooze
+ * body: { until: YYYY-MM-DD } | { days: n } | { until: null } (un-snooze)
+ */
+router.post("/:id/snooze", requireAccess("task", "write"), async (req, res) => {
+   const task = req.access.task;
+   const { until, days } = req.body || {};
+
+   let snoozeUntil;
+   if (until === null) {
+      snoozeUntil = null;
+   } else if (until !== undefined) {
+      if (!isDate(until)) return res.status(400).json({ error: "until must be a date (YYYY-MM-DD)" });
+      snoozeUntil = until;
+   } else {
+      const n = Number(days);
+      if (!Number.isInteger(n) || n <= 0 || n > 365) {
+         return res.status(400).json({ error: "Provide until (YYYY-MM-DD) or days (1..365)" });
+      }
+      const d = new Date(`${todayStr()}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() + n);
+      snoozeUntil = d.toISOString().slice(0, 10);
+   }
+
+   if (task.status !== "open") return res.status(409).json({ error: "Only open tasks can be snoozed" });
+
+   try {
+      await pool.query(`UPDATE tasks SET snoozed_until = $2, updated_at = now() WHERE task_id = $1`, [
+         task.task_id,
+         snoozeUntil,
+      ]);
+      return res.json(await getTask(task.task_id));
+   } catch (err) {
+      console.error("🔴 POST /tasks/:id/snooze error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * POST /api/tasks/:id/complete
+ * Marks the task done and updates its source (inspection / note revisit cleared,
+ * swarm alert closed, graft step done). Nuc checks need { result: 'ok' | 'no_eggs', reintroduce? }.
+ */
+router.post("/:id/complete", requireAccess("task", "write"), async (req, res) => {
+   try {
+      const result = await completeTask(req.access.task, req.user.id, req.body || {});
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+      const { ok, status, ...payload } = result;
+      return res.json(payload);
+   } catch (err) {
+      console.error("🔴 POST /tasks/:id/complete error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+/**
+ * DELETE /api/tasks/:id  (manual tasks only; dismiss source tasks instead)
+ */
+router.delete("/:id", requireAccess("task", "write"), async (req, res) => {
+   const task = req.access.task;
+   if (task.source_type !== "manual") {
+      return res.status(400).json({ error: "Only manual tasks can be deleted (dismiss it instead)" });
+   }
+
+   try {
+      await pool.query(`DELETE FROM tasks WHERE task_id = $1`, [task.task_id]);
+      return res.json({ message: "🗑️ Task deleted" });
+   } catch (err) {
+      console.error("🔴 DELETE /tasks/:id error:", err);
+      return res.status(500).json({ error: "Server error" });
+   }
+});
+
+module.exports = router;
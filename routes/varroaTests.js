@@ -3,65 +3,74 @@ const router = express.Router();
 
 const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { loadApiaryAccess, loadHiveAccess } = require("../services/accessControl");
+const pool = require("../db");
+const {
+  BEE_SAMPLE_TYPES,
+  DEFAULT_THRESHOLDS,
+  toNumber,
+  seasonFor,
+  validateThresholds,
+  mergeThresholds,
+  loadThresholds,
+  validateTestValues,
+  scoreVarroaTest,
+  scoringContextFor,
+  createVarroaTest,
+} = require("../services/varroaTestService");
+const { analyzeApiaryVarroa } = require("../services/varroaAnalysis");
+const {
+  SAMPLING_MODES,
+  CONFIDENCE_LEVELS,
+  DEFAULT_CONFIDENCE,
+  DEFAULT_MARGIN,
+  buildSamplingPlan,
+  historicalSd,
+  loadApiaryHives,
+  getActivePlan,
+  estimateApiaryInfestation,
+} = require("../services/varroaSampling");
 
 // -------------------------
 // Helpers
 // -------------------------
-function toNumber(value) {
-  if (value === null || value === undefined || value === "") return null;
-  const n = Number(value);
-  return Number.isNaN(n) ? null : n;
+function sendAccessError(res, access) {
+  return res.status(access.status).json({
+    success: false,
+    message: access.error,
+  });
 }
 
-function calculateInfestationRate(testType, mitesCount, beesSampled) {
-  if (testType === "alcohol_wash" || testType === "sugar_roll") {
-    if (!beesSampled || beesSampled <= 0) return null;
-    return Number(((mitesCount / beesSampled) * 100).toFixed(3));
+// a scoring input is unchanged when it has the same value, whatever its
+// representation ("2025-05-01" vs a timestamptz, "3" vs 3)
+function sameInput(key, a, b) {
+  if (key === "test_type") return (a ?? null) === (b ?? null);
+  if (key === "tested_at") {
+    if (!a || !b) return !a && !b;
+    const ta = new Date(a).getTime();
+    const tb = new Date(b).getTime();
+    return Number.isNaN(ta) || Number.isNaN(tb) ? String(a) === String(b) : ta === tb;
   }
-
-  // sticky_board لا نحسب له infestation_rate بنفس المعادلة
-  return null;
-}
-
-function calculateRiskLevel(testType, infestationRate, mitesCount) {
-  if (testType === "alcohol_wash" || testType === "sugar_roll") {
-    if (infestationRate == null) return null;
-    if (infestationRate < 2) return "low";
-    if (infestationRate < 3) return "moderate";
-    return "high";
-  }
-
-  if (testType === "sticky_board") {
-    if (mitesCount <= 2) return "low";
-    if (mitesCount <= 5) return "moderate";
-    return "high";
-  }
-
-  return null;
+  return toNumber(a) === toNumber(b);
 }
 
-function buildRecommendation(testType, riskLevel) {
-  if (!riskLevel) return null;
-
-  if (testType === "sticky_board") {
-    if (riskLevel === "low") return "Natural mite fall is low. Continue monitoring.";
-    if (riskLevel === "moderate") return "Monitor this hive closely and repeat the sticky board test soon.";
-    if (riskLevel === "high") return "High natural mite fall detected. Treatment is recommended.";
-  }
-
-  if (riskLevel === "low") {
-    return "No treatment needed now. Continue monitoring.";
-  }
-
-  if (riskLevel === "moderate") {
-    return "Monitor closely and repeat the test soon.";
-  }
-
-  if (riskLevel === "high") {
-    return "Treatment is recommended for this hive/apiary.";
+// a test is reachable through its hive (same rule as inspections)
+async function getTestIfAllowed(id, userId, action) {
+  const { data: existing } = await supabase
+    .from("varroa_tests")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (!existing) return { ok: false, status: 404, error: "Varroa test not found" };
+
+  const access = await loadHiveAccess(existing.hive_id, userId, action);
+  if (!access.ok) {
+    return access.status === 404
+      ? { ok: false, status: 404, error: "Varroa test not found" }
+      : access;
   }
-
-  return null;
+  return { ok: true, status: 200, test: existing };
 }
 
 function getRequestUserId(req) {
@@ -88,100 +97,116 @@ router.post("/", authenticateUser, async (req, res) => {
       });
     }
 
-    const hive_id = toNumber(req.body.hive_id);
-    const apiary_id = toNumber(req.body.apiary_id);
-    const test_type = req.body.test_type;
-    const mites_count = toNumber(req.body.mites_count);
-    const bees_sampled = toNumber(req.body.bees_sampled);
-    const notes = req.body.notes || null;
-    const tested_at = req.body.tested_at || new Date().toISOString();
+    const result = await createVarroaTest(userId, req.body);
 
-    const allowedTypes = ["alcohol_wash", "sugar_roll", "sticky_board"];
-
-    if (!hive_id || !apiary_id || !test_type || mites_count === null) {
-      return res.status(400).json({
+    if (!result.ok) {
+      return res.status(result.status).json({
         success: false,
-        message: "hive_id, apiary_id, test_type and mites_count are required",
+        message: result.error,
+        ...(result.details ? { error: result.details } : {}),
       });
     }
 
-    if (!allowedTypes.includes(test_type)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid test_type",
-      });
-    }
-
-    if (mites_count < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "mites_count must be 0 or greater",
-      });
-    }
+    const data = result.test;
 
-    if (
-      (test_type === "alcohol_wash" || test_type === "sugar_roll") &&
-      (!bees_sampled || bees_sampled <= 0)
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "bees_sampled is required and must be > 0 for alcohol_wash and sugar_roll",
-      });
-    }
+    return res.status(201).json({
+      success: true,
+      message: "Varroa test created successfully",
+      data,
+    });
+  } catch (err) {
+    console.error("POST /varroa-tests server error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while creating varroa test",
+    });
+  }
+});
 
-    const infestation_rate = calculateInfestationRate(
-      test_type,
-      mites_count,
-      bees_sampled
-    );
+// -------------------------
+// GET /api/varroa-tests/thresholds
+// Defaults, the user's overrides and the effective thresholds
+// (the apiary owner's thresholds apply to every test of their apiaries)
+// -------------------------
+router.get("/thresholds", authenticateUser, async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
 
-    const risk_level = calculateRiskLevel(
-      test_type,
-      infestation_rate,
-      mites_count
+    const { rows } = await pool.query(
+      `SELECT thresholds, updated_at FROM varroa_threshold_settings WHERE owner_user_id = $1`,
+      [userId]
     );
 
-    const recommendation = buildRecommendation(test_type, risk_level);
-
-    const payload = {
-      hive_id,
-      apiary_id,
-      user_id: userId,
-      test_type,
-      mites_count,
-      bees_sampled,
-      infestation_rate,
-      risk_level,
-      recommendation,
-      notes,
-      tested_at,
-    };
+    return res.status(200).json({
+      success: true,
+      data: {
+        defaults: DEFAULT_THRESHOLDS,
+        overrides: rows[0]?.thresholds || {},
+        effective: await loadThresholds(userId),
+        updated_at: rows[0]?.updated_at || null,
+      },
+    });
+  } catch (err) {
+    console.error("GET /varroa-tests/thresholds server error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while fetching varroa thresholds",
+    });
+  }
+});
 
-    const { data, error } = await supabase
-      .from("varroa_tests")
-      .insert([payload])
-      .select()
-      .single();
+// -------------------------
+// PUT /api/varroa-tests/thresholds
+// body: { thresholds: { <test_type>: { <season>: { moderate, high } } }, reset?: true }
+// Overrides are merged into the stored ones; reset drops them first.
+// Existing tests keep their stored risk until edited.
+// -------------------------
+router.put("/thresholds", authenticateUser, async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
 
-    if (error) {
-      console.error("POST /varroa-tests error:", error);
-      return res.status(500).json({
+    const valid = validateThresholds(req.body?.thresholds || {});
+    if (!valid.ok) {
+      return res.status(valid.status).json({
         success: false,
-        message: "Failed to create varroa test",
-        error: error.message,
+        message: valid.error,
       });
     }
 
-    return res.status(201).json({
+    const { rows: current } = await pool.query(
+      `SELECT thresholds FROM varroa_threshold_settings WHERE owner_user_id = $1`,
+      [userId]
+    );
+
+    const base = req.body?.reset ? {} : current[0]?.thresholds || {};
+    const overrides = { ...base };
+    for (const [type, seasons] of Object.entries(valid.thresholds)) {
+      overrides[type] = { ...(overrides[type] || {}), ...seasons };
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO varroa_threshold_settings (owner_user_id, thresholds, updated_at)
+       VALUES ($1, $2, now())
+       ON CONFLICT (owner_user_id)
+       DO UPDATE SET thresholds = EXCLUDED.thresholds, updated_at = now()
+       RETURNING thresholds, updated_at`,
+      [userId, JSON.stringify(overrides)]
+    );
+
+    return res.status(200).json({
       success: true,
-      message: "Varroa test created successfully",
-      data,
+      message: "Varroa thresholds updated successfully",
+      data: {
+        overrides: rows[0].thresholds,
+        effective: mergeThresholds(DEFAULT_THRESHOLDS, rows[0].thresholds),
+        updated_at: rows[0].updated_at,
+      },
     });
   } catch (err) {
-    console.error("POST /varroa-tests server error:", err);
+    console.error("PUT /varroa-tests/thresholds server error:", err);
     return res.status(500).json({
       success: false,
-      message: "Server error while creating varroa test",
+      message: "Server error while updating varroa thresholds",
     });
   }
 });
@@ -209,10 +234,12 @@ router.get("/hive/:hiveId", authenticateUser, async (req, res) => {
       });
     }
 
+    const access = await loadHiveAccess(hiveId, userId, "read");
+    if (!access.ok) return sendAccessError(res, access);
+
     const { data, error } = await supabase
       .from("varroa_tests")
       .select("*")
-      .eq("user_id", userId)
       .eq("hive_id", hiveId)
       .order("tested_at", { ascending: false });
 
@@ -261,10 +288,12 @@ router.get("/apiary/:apiaryId", authenticateUser, async (req, res) => {
       });
     }
 
+    const access = await loadApiaryAccess(apiaryId, userId, "read");
+    if (!access.ok) return sendAccessError(res, access);
+
     const { data, error } = await supabase
       .from("varroa_tests")
       .select("*")
-      .eq("user_id", userId)
       .eq("apiary_id", apiaryId)
       .order("tested_at", { ascending: false });
 
@@ -290,6 +319,172 @@ router.get("/apiary/:apiaryId", authenticateUser, async (req, res) => {
   }
 });
 
+// -------------------------
+// Sampling plan helpers
+// -------------------------
+function parseSamplingOptions(src) {
+  const mode = src.mode || "random";
+  if (!SAMPLING_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${SAMPLING_MODES.join(", ")}` };
+  }
+
+  const confidence = src.confidence !== undefined ? toNumber(src.confidence) : DEFAULT_CONFIDENCE;
+  if (!CONFIDENCE_LEVELS.includes(confidence)) {
+    return { error: `confidence must be one of: ${CONFIDENCE_LEVELS.join(", ")}` };
+  }
+
+  const margin = src.margin !== undefined ? toNumber(src.margin) : DEFAULT_MARGIN;
+  if (margin === null || margin <= 0 || margin > 10) {
+    return { error: "margin must be between 0 and 10 (infestation % points)" };
+  }
+
+  return { mode, confidence, margin, seed: src.seed || null };
+}
+
+async function suggestPlan(apiaryId, options) {
+  const hives = await loadApiaryHives(apiaryId);
+
+  // between-colony spread of this apiary, when known
+  const { data: history } = await supabase
+    .from("varroa_tests")
+    .select("hive_id, test_type, infestation_rate, tested_at")
+    .eq("apiary_id", apiaryId)
+    .order("tested_at", { ascending: false })
+    .limit(500);
+
+  const sd = historicalSd(history || []);
+  return buildSamplingPlan(hives, { ...options, ...(sd ? { sd } : {}) });
+}
+
+// -------------------------
+// GET /api/varroa-tests/apiary/:apiaryId/sampling-plan?mode=random|stratified&confidence=0.95&margin=1
+// Active plan (with progress) + a suggested plan (not saved)
+// -------------------------
+router.get("/apiary/:apiaryId/sampling-plan", authenticateUser, async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const apiaryId = toNumber(req.params.apiaryId);
+
+    if (!apiaryId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid apiaryId",
+      });
+    }
+
+    const access = await loadApiaryAccess(apiaryId, userId, "read");
+    if (!access.ok) return sendAccessError(res, access);
+
+    const options = parseSamplingOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error,
+      });
+    }
+
+    const active = await getActivePlan(apiaryId);
+    let progress = null;
+    if (active) {
+      const { data: tested } = await supabase
+        .from("varroa_tests")
+        .select("hive_id")
+        .eq("apiary_id", apiaryId)
+        .gte("tested_at", new Date(active.created_at).toISOString())
+        .in("hive_id", active.hive_ids);
+
+      const done = new Set((tested || []).map((t) => t.hive_id));
+      progress = {
+        tested_hive_ids: active.hive_ids.filter((id) => done.has(id)),
+        remaining_hive_ids: active.hive_ids.filter((id) => !done.has(id)),
+      };
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        active_plan: active ? { ...active, progress } : null,
+        suggestion: await suggestPlan(apiaryId, options),
+      },
+    });
+  } catch (err) {
+    console.error("GET /varroa-tests/apiary/:apiaryId/sampling-plan server error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while building varroa sampling plan",
+    });
+  }
+});
+
+// -------------------------
+// POST /api/varroa-tests/apiary/:apiaryId/sampling-plan
+// body: { mode?, confidence?, margin?, seed? }
+// Starts a new sampling round (becomes the active plan of the apiary)
+// -------------------------
+router.post("/apiary/:apiaryId/sampling-plan", authenticateUser, async (req, res) => {
+  try {
+    const userId = getRequestUserId(req);
+    const apiaryId = toNumber(req.params.apiaryId);
+
+    if (!apiaryId) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid apiaryId",
+      });
+    }
+
+    const access = await loadApiaryAccess(apiaryId, userId, "write");
+    if (!access.ok) return sendAccessError(res, access);
+
+    const options = parseSamplingOptions(req.body || {});
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error,
+      });
+    }
+
+    const plan = await suggestPlan(apiaryId, options);
+    if (!plan.hives.length) {
+      return res.status(400).json({
+        success: false,
+        message: "This apiary has no hives to sample",
+      });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO varroa_sampling_plans
+         (apiary_id, created_by, mode, population, target_size, confidence, margin, hive_ids, strata, seed)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        apiaryId,
+        userId,
+        plan.mode,
+        plan.population,
+        plan.target_size,
+        plan.confidence,
+        plan.margin,
+        plan.hives.map((h) => h.hive_id),
+        JSON.stringify(plan.strata),
+        plan.seed,
+      ]
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Varroa sampling plan created successfully",
+      data: { ...rows[0], hives: plan.hives },
+    });
+  } catch (err) {
+    console.error("POST /varroa-tests/apiary/:apiaryId/sampling-plan server error:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Server error while creating varroa sampling plan",
+    });
+  }
+});
+
 // -------------------------
 // GET /api/varroa-tests/apiary/:apiaryId/summary
 // Get latest summary for one apiary
@@ -313,10 +508,12 @@ router.get("/apiary/:apiaryId/summary", authenticateUser, async (req, res) => {
       });
     }
 
+    const access = await loadApiaryAccess(apiaryId, userId, "read");
+    if (!access.ok) return sendAccessError(res, access);
+
     const { data, error } = await supabase
       .from("varroa_tests")
       .select("*")
-      .eq("user_id", userId)
       .eq("apiary_id", apiaryId)
       .order("tested_at", { ascending: false });
 
@@ -340,18 +537,10 @@ router.get("/apiary/:apiaryId/summary", authenticateUser, async (req, res) => {
 
     const latestPerHive = Array.from(latestPerHiveMap.values());
 
-    const numericRates = latestPerHive
-      .map((item) => Number(item.infestation_rate))
-      .filter((n) => !Number.isNaN(n));
-
-    const average_infestation_rate =
-      numericRates.length > 0
-        ? Number(
-            (
-              numericRates.reduce((sum, n) => sum + n, 0) / numericRates.length
-            ).toFixed(3)
-          )
-        : null;
+    // apiary infestation from the sampled hives (active sampling plan or recent tests),
+    // % of infested bees only (drone cells / sticky boards are not comparable)
+    const apiary_estimate = await estimateApiaryInfestation(apiaryId, tests);
+    const average_infestation_rate = apiary_estimate.mean;
 
     const counts = {
       low: latestPerHive.filter((t) => t.risk_level === "low").length,
@@ -359,30 +548,50 @@ router.get("/apiary/:apiaryId/summary", authenticateUser, async (req, res) => {
       high: latestPerHive.filter((t) => t.risk_level === "high").length,
     };
 
+    // apiary average against this season's alcohol wash thresholds of the owner
+    const scoring = await scoringContextFor(access.apiary);
+    const season = seasonFor(new Date(), scoring.latitude);
+    const limits = scoring.thresholds.alcohol_wash[season];
+
     let risk_level = "low";
     let recommendation = "Continue monitoring this apiary.";
 
-    if (counts.high > 0 || (average_infestation_rate !== null && average_infestation_rate >= 3)) {
+    if (counts.high > 0 || (average_infestation_rate !== null && average_infestation_rate >= limits.high)) {
       risk_level = "high";
       recommendation = "High varroa risk detected. Treatment is recommended for this apiary.";
     } else if (
       counts.moderate > 0 ||
-      (average_infestation_rate !== null && average_infestation_rate >= 2)
+      (average_infestation_rate !== null && average_infestation_rate >= limits.moderate)
     ) {
       risk_level = "moderate";
       recommendation = "Moderate varroa risk detected. Monitor closely and repeat testing soon.";
     }
 
+    // treatment efficacy (pre vs post tests) + next test date per hive
+    const varroa = await analyzeApiaryVarroa(apiaryId, tests, scoring);
+
+    if (varroa.failed_treatment_hives.length > 0) {
+      risk_level = "high";
+      recommendation =
+        "Treatment failed on some hives. Re-test and consider a different active substance.";
+    }
+
     return res.status(200).json({
       success: true,
       data: {
         apiary_id: apiaryId,
         tested_hives_count: latestPerHive.length,
         average_infestation_rate,
+        apiary_estimate,
+        season,
+        thresholds: limits,
         risk_level,
         recommendation,
-        counts,
+        counts: { ...counts, treatment_failed: varroa.failed_treatment_hives.length },
         latest_tests_per_hive: latestPerHive,
+        treatment_efficacy: varroa.treatment_efficacy,
+        failed_treatment_hives: varroa.failed_treatment_hives,
+        next_tests: varroa.next_tests,
       },
     });
   } catch (err) {
@@ -417,92 +626,51 @@ router.put("/:id", authenticateUser, async (req, res) => {
       });
     }
 
-    const { data: existing, error: fetchError } = await supabase
-      .from("varroa_tests")
-      .select("*")
-      .eq("id", id)
-      .eq("user_id", userId)
-      .single();
+    const allowed = await getTestIfAllowed(id, userId, "write");
+    if (!allowed.ok) return sendAccessError(res, allowed);
+    const existing = allowed.test;
+
+    const pick = (key, parse = toNumber) =>
+      req.body[key] !== undefined ? parse(req.body[key]) : existing[key];
+    const keep = (v) => v;
+
+    const inputs = {
+      test_type: pick("test_type", keep) || existing.test_type,
+      mites_count: pick("mites_count"),
+      bees_sampled: pick("bees_sampled"),
+      cells_inspected: pick("cells_inspected"),
+      exposure_days: pick("exposure_days"),
+      tested_at: pick("tested_at", keep),
+    };
 
-    if (fetchError || !existing) {
-      return res.status(404).json({
+    const invalid = validateTestValues(inputs);
+    if (invalid) {
+      return res.status(400).json({
         success: false,
-        message: "Varroa test not found",
+        message: invalid,
       });
     }
 
-    const test_type = req.body.test_type || existing.test_type;
-    const mites_count =
-      req.body.mites_count !== undefined
-        ? toNumber(req.body.mites_count)
-        : existing.mites_count;
-
-    const bees_sampled =
-      req.body.bees_sampled !== undefined
-        ? toNumber(req.body.bees_sampled)
-        : existing.bees_sampled;
-
     const notes =
       req.body.notes !== undefined ? req.body.notes : existing.notes;
 
-    const tested_at =
-      req.body.tested_at !== undefined ? req.body.tested_at : existing.tested_at;
-
-    const allowedTypes = ["alcohol_wash", "sugar_roll", "sticky_board"];
-    if (!allowedTypes.includes(test_type)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid test_type",
-      });
-    }
-
-    if (mites_count === null || mites_count < 0) {
-      return res.status(400).json({
-        success: false,
-        message: "mites_count must be 0 or greater",
-      });
-    }
-
-    if (
-      (test_type === "alcohol_wash" || test_type === "sugar_roll") &&
-      (!bees_sampled || bees_sampled <= 0)
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: "bees_sampled is required and must be > 0 for alcohol_wash and sugar_roll",
-      });
-    }
+    const payload = { ...inputs, notes };
 
-    const infestation_rate = calculateInfestationRate(
-      test_type,
-      mites_count,
-      bees_sampled
+    // re-score only when a scoring input changed (keeps the thresholds the test was scored with)
+    const inputsChanged = Object.keys(inputs).some(
+      (key) => !sameInput(key, inputs[key], existing[key])
     );
+    if (inputsChanged || !existing.risk_level) {
+      const hiveAccess = await loadHiveAccess(existing.hive_id, userId, "read");
+      if (!hiveAccess.ok) return sendAccessError(res, hiveAccess);
 
-    const risk_level = calculateRiskLevel(
-      test_type,
-      infestation_rate,
-      mites_count
-    );
-
-    const recommendation = buildRecommendation(test_type, risk_level);
-
-    const payload = {
-      test_type,
-      mites_count,
-      bees_sampled,
-      infestation_rate,
-      risk_level,
-      recommendation,
-      notes,
-      tested_at,
-    };
+      Object.assign(payload, scoreVarroaTest(inputs, await scoringContextFor(hiveAccess.apiary)));
+    }
 
     const { data, error } = await supabase
       .from("varroa_tests")
       .update(payload)
       .eq("id", id)
-      .eq("user_id", userId)
       .select()
       .single();
 
@@ -552,11 +720,13 @@ router.delete("/:id", authenticateUser, async (req, res) => {
       });
     }
 
+    const allowed = await getTestIfAllowed(id, userId, "write");
+    if (!allowed.ok) return sendAccessError(res, allowed);
+
     const { error } = await supabase
       .from("varroa_tests")
       .delete()
-      .eq("id", id)
-      .eq("user_id", userId);
+      .eq("id", id);
 
     if (error) {
       console.error("DELETE /varroa-tests/:id error:", error);
@@ -2,48 +2,32 @@
 const express = require("express");
 const router = express.Router();
 
-const supabase = require("../utils/supabaseClient");
 const authenticateUser = require("../middlewares/authMiddleware");
+const { loadApiaryAccess, orThrow } = require("../services/accessControl");
 
-const { fetchWeather } = require("../services/weather.service");
+const { fetchWeather, parseLatLng } = require("../services/weather.service");
 const {
    buildWeatherInsights,
    buildWeeklyWeatherInsights,
    buildDayDetails,
 } = require("../services/weatherRules");
-const { getCached, setCached } = require("../services/weatherCache");
-
-function parseLatLng(locationStr) {
-   if (!locationStr) return null;
-   const [latStr, lngStr] = String(locationStr)
-      .split(",")
-      .map((s) => s.trim());
-
-   const lat = Number(latStr);
-   const lng = Number(lngStr);
-
-   if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-   return { lat, lng };
+const {
+   MAX_RANGE_DAYS,
+   getApiaryWeatherHistory,
+   loadApiaryActivity,
+} = require("../services/weatherArchive");
+const { addDays } = require("../services/weatherProviders");
+
+// YYYY-MM-DD that exists in the calendar (2025-02-31 does not survive the round trip)
+function isCalendarDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
 }
 
-async function getApiaryAndWeather(apiaryId, userId) {
-  const { data: apiary, error: apiErr } = await supabase
-    .from("apiaries")
-    .select("apiary_id, location, owner_user_id, apiary_name")
-    .eq("apiary_id", apiaryId)
-    .single();
-
-  if (apiErr || !apiary) {
-    const err = new Error(apiErr?.message || "Apiary not found");
-    err.status = 404;
-    throw err;
-  }
-
-  if (apiary.owner_user_id && userId && apiary.owner_user_id !== userId) {
-    const err = new Error("Forbidden");
-    err.status = 403;
-    throw err;
-  }
+// Access is checked before any cache lookup (roles can be revoked)
+async function getApiaryWithCoords(apiaryId, userId) {
+  const { apiary } = await orThrow(loadApiaryAccess(apiaryId, userId, "read"));
 
   const coords = parseLatLng(apiary.location);
   if (!coords) {
@@ -52,8 +36,7 @@ async function getApiaryAndWeather(apiaryId, userId) {
     throw err;
   }
 
-  const weather = await fetchWeather(coords.lat, coords.lng);
-  return { apiary, coords, weather };
+  return { apiary, coords };
 }
 
 // GET /api/weather/:apiaryId
@@ -64,34 +47,10 @@ router.get("/:apiaryId", authenticateUser, async (req, res) => {
          return res.status(400).json({ error: "Invalid apiaryId" });
       }
 
-      // ✅ Cache per apiary per user (30 min)
-      const userId = req.user?.id || "anonymous";
-      const cacheKey = `weather:apiary:${apiaryId}:user:${userId}`;
-      const cached = getCached(cacheKey);
-      if (cached) return res.json(cached);
-
-      // 1) Fetch apiary location
-      const { data: apiary, error: apiErr } = await supabase
-         .from("apiaries")
-         .select("apiary_id, location, owner_user_id")
-         .eq("apiary_id", apiaryId)
-         .single();
-
-      if (apiErr || !apiary) {
-         return res.status(404).json({ error: apiErr?.message || "Apiary not found" });
-      }
-
-      // Optional extra protection (لو RLS مش كافي)
-      if (apiary.owner_user_id && req.user?.id && apiary.owner_user_id !== req.user.id) {
-         return res.status(403).json({ error: "Forbidden" });
-      }
-
-      const coords = parseLatLng(apiary.location);
-      if (!coords) {
-         return res.status(400).json({ error: "Invalid location format. Expected 'lat,lng'" });
-      }
+      // 1) Check access + apiary location
+      const { apiary, coords } = await getApiaryWithCoords(apiaryId, req.user?.id);
 
-      // 2) Fetch weather from provider
+      // 2) Fetch weather (cached per area, shared by every user)
       const weather = await fetchWeather(coords.lat, coords.lng);
 
       // 3) Insights (scores + best windows + advice codes)
@@ -105,11 +64,10 @@ router.get("/:apiaryId", authenticateUser, async (req, res) => {
          ...insights, // activities + advice
       };
 
-      setCached(cacheKey, payload, 30 * 60 * 1000); // 30 min
       return res.json(payload);
    } catch (e) {
       console.error("Weather endpoint error:", e);
-      return res.status(500).json({ error: "Internal server error" });
+      return res.status(e.status || 500).json({ error: e.message || "Internal server error" });
    }
 });
 
@@ -120,12 +78,9 @@ router.get("/:apiaryId/weekly", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "Invalid apiaryId" });
     }
 
-    const userId = req.user?.id || "anonymous";
-    const cacheKey = `weather:weekly:apiary:${apiaryId}:user:${userId}`;
-    const cached = getCached(cacheKey);
-    if (cached) return res.json(cached);
+    const { apiary, coords } = await getApiaryWithCoords(apiaryId, req.user?.id);
 
-    const { apiary, weather } = await getApiaryAndWeather(apiaryId, req.user?.id);
+    const weather = await fetchWeather(coords.lat, coords.lng);
     const weekly = buildWeeklyWeatherInsights(weather);
 
     const payload = {
@@ -136,7 +91,6 @@ router.get("/:apiaryId/weekly", authenticateUser, async (req, res) => {
       days: weekly.days,
     };
 
-    setCached(cacheKey, payload, 30 * 60 * 1000);
     return res.json(payload);
   } catch (e) {
     console.error("Weekly weather endpoint error:", e);
@@ -157,12 +111,9 @@ router.get("/:apiaryId/day", authenticateUser, async (req, res) => {
       return res.status(400).json({ error: "Invalid date. Expected YYYY-MM-DD" });
     }
 
-    const userId = req.user?.id || "anonymous";
-    const cacheKey = `weather:day:apiary:${apiaryId}:date:${date}:user:${userId}`;
-    const cached = getCached(cacheKey);
-    if (cached) return res.json(cached);
+    const { apiary, coords } = await getApiaryWithCoords(apiaryId, req.user?.id);
 
-    const { apiary, weather } = await getApiaryAndWeather(apiaryId, req.user?.id);
+    const weather = await fetchWeather(coords.lat, coords.lng);
     const details = buildDayDetails(weather, String(date));
 
     if (!details) {
@@ -177,7 +128,6 @@ router.get("/:apiaryId/day", authenticateUser, async (req, res) => {
       ...details,
     };
 
-    setCached(cacheKey, payload, 30 * 60 * 1000);
     return res.json(payload);
   } catch (e) {
     console.error("Day weather endpoint error:", e);
@@ -185,4 +135,58 @@ router.get("/:apiaryId/day", authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/weather/:apiaryId/history?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Observed daily weather of the apiary (archive, missing days fetched on demand)
+ * with the harvests and inspections of each day.
+ */
+router.get("/:apiaryId/history", authenticateUser, async (req, res) => {
+   try {
+      const apiaryId = Number(req.params.apiaryId);
+      if (!Number.isFinite(apiaryId)) {
+         return res.status(400).json({ error: "Invalid apiaryId" });
+      }
+
+      const today = new Date().toISOString().slice(0, 10);
+      const to = req.query.to || today;
+      if (!isCalendarDate(to)) {
+         return res.status(400).json({ error: "Invalid from/to. Expected YYYY-MM-DD" });
+      }
+      const from = req.query.from || addDays(to, -29);
+      if (!isCalendarDate(from)) {
+         return res.status(400).json({ error: "Invalid from/to. Expected YYYY-MM-DD" });
+      }
+      if (from > to) return res.status(400).json({ error: "from must be before to" });
+
+      const spanDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+      if (spanDays > MAX_RANGE_DAYS) {
+         return res.status(400).json({ error: `Range too long (max ${MAX_RANGE_DAYS} days)` });
+      }
+
+      const { apiary } = await orThrow(loadApiaryAccess(apiaryId, req.user?.id, "read"));
+
+      const { days, missing } = await getApiaryWeatherHistory(apiary, from, to, {
+         fill: req.query.fill !== "false",
+      });
+      const activity = await loadApiaryActivity(apiary.apiary_id, from, to);
+
+      return res.json({
+         apiary_id: apiary.apiary_id,
+         apiary_name: apiary.apiary_name || null,
+         location: apiary.location,
+         from,
+         to,
+         missing_days: missing,
+         days: days.map((d) => ({
+            ...d,
+            harvests: activity.get(d.date)?.harvests || null,
+            inspections: activity.get(d.date)?.inspections || null,
+         })),
+      });
+   } catch (e) {
+      console.error("Weather history endpoint error:", e);
+      return res.status(e.status || 500).json({ error: e.message || "Internal server error" });
+   }
+});
+
 module.exports = router;
@@ -0,0 +1,26 @@
+// scripts/archive-weather.js
+// Usage: node scripts/archive-weather.js [--days N]
+// Daily cron: stores the observed weather of the last N days (default 3, providers
+// publish observations with a delay) for every apiary with a location, and purges
+// expired entries of the shared weather cache.
+require("dotenv").config();
+const pool = require("../db");
+const { archiveAllApiaries } = require("../services/weatherArchive");
+const { purgeExpired } = require("../services/weatherCache");
+
+const daysArg = process.argv.indexOf("--days");
+const days = daysArg > -1 ? Math.min(Math.max(Number(process.argv[daysArg + 1]) || 3, 1), 366) : 3;
+
+(async () => {
+  try {
+    const summary = await archiveAllApiaries({ days });
+    const purged = await purgeExpired();
+    console.log(`✅ Done: ${JSON.stringify(summary)}, ${purged} expired cache entries purged`);
+    if (summary.failed) process.exitCode = 1;
+  } catch (err) {
+    console.error("🔴 Weather archive failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
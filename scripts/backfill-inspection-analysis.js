@@ -0,0 +1,41 @@
+// scripts/backfill-inspection-analysis.js
+// Usage: node scripts/backfill-inspection-analysis.js [--all]
+// Stores the coach analysis of inspections that have none yet (--all re-scores every
+// inspection with the current rules; new analyses are written on create / edit).
+require("dotenv").config();
+const pool = require("../db");
+const { storeAnalyses } = require("../services/inspectionAnalysisService");
+
+const BATCH = 500;
+const all = process.argv.includes("--all");
+
+(async () => {
+  let total = 0;
+  let lastId = 0;
+  try {
+    for (;;) {
+      const { rows } = await pool.query(
+        `SELECT i.*
+         FROM hive_inspections i
+         WHERE i.inspection_id > $1
+           AND ($2 OR NOT EXISTS (
+             SELECT 1 FROM inspection_analyses ia WHERE ia.inspection_id = i.inspection_id
+           ))
+         ORDER BY i.inspection_id
+         LIMIT $3`,
+        [lastId, all, BATCH]
+      );
+      if (!rows.length) break;
+
+      total += await storeAnalyses(rows);
+      lastId = rows[rows.length - 1].inspection_id;
+      console.log(`… ${total} inspections analyzed`);
+    }
+    console.log(`✅ Done: ${total} inspections analyzed`);
+  } catch (err) {
+    console.error("🔴 Backfill failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -1,4 +1,9 @@
-const jwt = require("jsonwebtoken");
+// scripts/mint-station-token.js
+// Usage: node scripts/mint-station-token.js <station_code> [label]
+// (same as POST /api/stations/:id/tokens — the token is revocable from the app)
+require("dotenv").config();
+const pool = require("../db");
+const { mintStationToken } = require("../services/stationService");
 
 const SECRET = process.env.JWT_SECRET;
 if (!SECRET) {
@@ -6,13 +11,24 @@ if (!SECRET) {
   process.exit(1);
 }
 
-// Identity of THIS Pi station:
-const payload = {
-  sub: "device:tarn_scale_01",
-  role: "station",
-  station: "tarn_scale_01",
-};
+const stationCode = process.argv[2] || "tarn_scale_01";
+const label = process.argv[3] || null;
 
-// 1-year validity (rotate annually if you want)
-const token = jwt.sign(payload, SECRET, { expiresIn: "365d" });
-console.log(token);
+(async () => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT station_id, station_code FROM stations WHERE station_code = $1`,
+      [stationCode]
+    );
+    if (!rows.length) {
+      console.error(`Station '${stationCode}' is not registered (POST /api/stations first).`);
+      process.exit(1);
+    }
+
+    // 1-year validity (rotate annually if you want)
+    const { token } = await mintStationToken(rows[0], { label, expiresInDays: 365 });
+    console.log(token);
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,25 @@
+// scripts/send-notifications.js
+// Usage: node scripts/send-notifications.js [--dry-run]
+// One run of the notification job (for an external cron, e.g. every 15 min).
+// The server can also run it itself with NOTIFICATION_JOB_INTERVAL_MINUTES.
+require("dotenv").config();
+const pool = require("../db");
+const { runNotificationJobLocked } = require("../services/notificationService");
+
+const dryRun = process.argv.includes("--dry-run");
+
+(async () => {
+  try {
+    const summary = await runNotificationJobLocked({ dryRun });
+    if (!summary) {
+      console.log("⏭️ Notification job already running elsewhere, skipped");
+    } else {
+      console.log(`✅ Done: ${JSON.stringify(summary, null, dryRun ? 2 : 0)}`);
+    }
+  } catch (err) {
+    console.error("🔴 Notification job failed:", err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,476 @@
+// services/accessControl.js
+// Shared authorization layer: who can read / write / manage what.
+//
+// An apiary is reachable by:
+//   - its owner_user_id                       → role "owner"
+//   - members of apiaries.company_id          → role from staff_members.role_id
+//   - the company owner (companies.owner_user_id) → role "owner"
+// Hives, supers, queens, inspections and sessions inherit the role of their apiary.
+// Honey lots span apiaries: owner_user_id, or members of honey_lots.company_id.
+//
+// Loaders return { ok, status, error, ... } (same shape as the old getHiveIfOwnedByUser):
+//   400 bad id · 404 not found OR not visible · 403 visible but role too low
+const pool = require("../db");
+
+const ACTIONS = ["read", "write", "manage", "admin"];
+
+// read   → see data
+// write  → field work: create/edit hives, supers, inspections, harvests…
+// manage → apiary settings, deleting hives/supers
+// admin  → delete apiaries, company membership
+const ROLE_PERMISSIONS = {
+   owner: ["read", "write", "manage", "admin"],
+   manager: ["read", "write", "manage"],
+   field_worker: ["read", "write"],
+   read_only: ["read"],
+};
+
+const ROLE_RANK = { read_only: 1, field_worker: 2, manager: 3, owner: 4 };
+
+const ROLE_ALIASES = {
+   owner: "owner",
+   admin: "manager",
+   company_admin: "manager",
+   manager: "manager",
+   field_worker: "field_worker",
+   worker: "field_worker",
+   seasonal_worker: "field_worker",
+   beekeeper: "field_worker",
+   read_only: "read_only",
+   readonly: "read_only",
+   viewer: "read_only",
+};
+
+function normalizeRole(name) {
+   if (!name) return null;
+   const key = String(name)
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, "_");
+   return ROLE_ALIASES[key] || null;
+}
+
+function roleAllows(role, action = "read") {
+   return !!role && (ROLE_PERMISSIONS[role] || []).includes(action);
+}
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function parseId(value) {
+   const n = Number(value);
+   return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Map company_id → best role of userId in that company
+ */
+async function getCompanyRoles(userId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT c.company_id, 'owner' AS role_name
+       FROM companies c
+       WHERE c.owner_user_id = $1
+       UNION ALL
+       SELECT sm.company_id, r.name AS role_name
+       FROM staff_members sm
+       LEFT JOIN roles r ON r.role_id = sm.role_id
+       WHERE sm.user_id = $1
+         AND sm.active = TRUE`,
+      [userId]
+   );
+
+   const roles = new Map();
+   for (const row of rows) {
+      const role = normalizeRole(row.role_name);
+      if (!role) continue;
+      const cur = roles.get(row.company_id);
+      if (!cur || ROLE_RANK[role] > ROLE_RANK[cur]) roles.set(row.company_id, role);
+   }
+   return roles;
+}
+
+async function resolveApiaryRole(apiary, userId, client = pool) {
+   if (!apiary || !userId) return null;
+   if (apiary.owner_user_id === userId) return "owner";
+   if (!apiary.company_id) return null;
+
+   const roles = await getCompanyRoles(userId, client);
+   return roles.get(apiary.company_id) || null;
+}
+
+function checkRole(role, action, notFoundMessage) {
+   if (!role) return fail(404, notFoundMessage);
+   if (!roleAllows(role, action)) return fail(403, `Forbidden: role '${role}' cannot ${action}`);
+   return null;
+}
+
+/**
+ * → { ok, companyId, role }
+ */
+async function loadCompanyAccess(companyIdParam, userId, action = "read", client = pool) {
+   const companyId = parseId(companyIdParam);
+   if (!companyId) return fail(400, "Invalid company id");
+
+   const roles = await getCompanyRoles(userId, client);
+   const denied = checkRole(roles.get(companyId) || null, action, "Company not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, companyId, role: roles.get(companyId) };
+}
+
+/**
+ * Apiaries userId can access for `action`, with the role on each
+ * → [{ apiary_id, role }]
+ */
+async function getAccessibleApiaries(userId, action = "read", client = pool) {
+   const companyRoles = await getCompanyRoles(userId, client);
+   const companyIds = [...companyRoles.keys()];
+
+   const { rows } = await client.query(
+      `SELECT apiary_id, owner_user_id, company_id
+       FROM apiaries
+       WHERE owner_user_id = $1
+          OR company_id = ANY($2)`,
+      [userId, companyIds]
+   );
+
+   return rows
+      .map((a) => ({
+         apiary_id: a.apiary_id,
+         role: a.owner_user_id === userId ? "owner" : companyRoles.get(a.company_id) || null,
+      }))
+      .filter((a) => roleAllows(a.role, action));
+}
+
+async function getAccessibleApiaryIds(userId, action = "read", client = pool) {
+   const list = await getAccessibleApiaries(userId, action, client);
+   return list.map((a) => a.apiary_id);
+}
+
+async function getAccessibleHiveIds(userId, action = "read", client = pool) {
+   const apiaryIds = await getAccessibleApiaryIds(userId, action, client);
+   if (apiaryIds.length === 0) return [];
+
+   const { rows } = await client.query(
+      `SELECT hive_id FROM hives WHERE apiary_id = ANY($1::int[])`,
+      [apiaryIds]
+   );
+   return rows.map((r) => r.hive_id);
+}
+
+/**
+ * → { ok, apiary, role, apiaryId }
+ */
+async function loadApiaryAccess(apiaryIdParam, userId, action = "read", client = pool) {
+   const apiaryId = parseId(apiaryIdParam);
+   if (!apiaryId) return fail(400, "Invalid apiary id");
+
+   const { rows } = await client.query(`SELECT * FROM apiaries WHERE apiary_id = $1`, [apiaryId]);
+   const apiary = rows[0];
+   if (!apiary) return fail(404, "Apiary not found");
+
+   const role = await resolveApiaryRole(apiary, userId, client);
+   const denied = checkRole(role, action, "Apiary not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, apiary, apiaryId, role };
+}
+
+const HIVE_SELECT = `
+   SELECT h.*,
+          a.apiary_name,
+          a.owner_user_id AS apiary_owner_user_id,
+          a.company_id    AS apiary_company_id
+   FROM hives h
+   JOIN apiaries a ON a.apiary_id = h.apiary_id`;
+
+function splitHiveRow(row) {
+   const { apiary_name, apiary_owner_user_id, apiary_company_id, ...hive } = row;
+   return {
+      hive,
+      apiary: {
+         apiary_id: hive.apiary_id,
+         apiary_name,
+         owner_user_id: apiary_owner_user_id,
+         company_id: apiary_company_id,
+      },
+   };
+}
+
+async function hiveAccessFromRow(row, userId, action, client) {
+   if (!row) return fail(404, "Hive not found");
+   const { hive, apiary } = splitHiveRow(row);
+
+   const role = await resolveApiaryRole(apiary, userId, client);
+   const denied = checkRole(role, action, "Hive not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, hive, apiary, role };
+}
+
+/**
+ * → { ok, hive, apiary, role }
+ */
+async function loadHiveAccess(hiveIdParam, userId, action = "read", client = pool) {
+   const hiveId = parseId(hiveIdParam);
+   if (!hiveId) return fail(400, "Invalid hive id");
+
+   const { rows } = await client.query(`${HIVE_SELECT} WHERE h.hive_id = $1`, [hiveId]);
+   return hiveAccessFromRow(rows[0], userId, action, client);
+}
+
+async function loadHiveByPublicKeyAccess(publicKey, userId, action = "read", client = pool) {
+   const key = String(publicKey || "").trim();
+   if (!key) return fail(400, "public_key is required");
+
+   const { rows } = await client.query(`${HIVE_SELECT} WHERE h.public_key = $1`, [key]);
+   return hiveAccessFromRow(rows[0], userId, action, client);
+}
+
+// hive_code is unique per owner only → look it up among the apiaries the user can reach,
+// own apiaries first
+async function loadHiveByCodeAccess(code, userId, action = "read", client = pool) {
+   const hiveCode = String(code || "").trim();
+   if (!hiveCode) return fail(400, "hive_code is required");
+
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read", client);
+   const { rows } = await client.query(
+      `${HIVE_SELECT}
+       WHERE h.hive_code = $1
+         AND h.apiary_id = ANY($2::int[])
+       ORDER BY (a.owner_user_id = $3) DESC, h.hive_id ASC
+       LIMIT 1`,
+      [hiveCode, apiaryIds, userId]
+   );
+   return hiveAccessFromRow(rows[0], userId, action, client);
+}
+
+/**
+ * Supers belong to owner_user_id; once linked to a hive they are also
+ * reachable through the hive's apiary.
+ * ref: super_id (number) or { publicKey }
+ * → { ok, super, role }
+ */
+async function loadSuperAccess(ref, userId, action = "read", client = pool) {
+   let where;
+   let param;
+
+   if (ref && typeof ref === "object" && ref.publicKey !== undefined) {
+      param = String(ref.publicKey || "").trim();
+      if (!param) return fail(400, "public_key is required");
+      where = "s.public_key = $1";
+   } else {
+      param = parseId(ref);
+      if (!param) return fail(400, "Invalid super id");
+      where = "s.super_id = $1";
+   }
+
+   const { rows } = await client.query(
+      `SELECT s.*,
+              a.apiary_id     AS apiary_id,
+              a.owner_user_id AS apiary_owner_user_id,
+              a.company_id    AS apiary_company_id
+       FROM supers s
+       LEFT JOIN hives h    ON h.hive_id = s.hive_id
+       LEFT JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE ${where}`,
+      [param]
+   );
+   const row = rows[0];
+   if (!row) return fail(404, "Super not found");
+
+   const { apiary_id, apiary_owner_user_id, apiary_company_id, ...superRow } = row;
+
+   let role = superRow.owner_user_id === userId ? "owner" : null;
+   if (!role && apiary_id) {
+      role = await resolveApiaryRole(
+         { owner_user_id: apiary_owner_user_id, company_id: apiary_company_id },
+         userId,
+         client
+      );
+   }
+
+   const denied = checkRole(role, action, "Super not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, super: superRow, apiaryId: apiary_id || null, role };
+}
+
+/**
+ * → { ok, inspection, hive, apiary, role }
+ */
+async function loadInspectionAccess(inspectionIdParam, userId, action = "read", client = pool) {
+   const inspectionId = parseId(inspectionIdParam);
+   if (!inspectionId) return fail(400, "Invalid inspection id");
+
+   const { rows } = await client.query(
+      `SELECT inspection_id, hive_id, user_id FROM hive_inspections WHERE inspection_id = $1`,
+      [inspectionId]
+   );
+   const inspection = rows[0];
+   if (!inspection) return fail(404, "Inspection not found");
+
+   const access = await loadHiveAccess(inspection.hive_id, userId, action, client);
+   if (!access.ok) {
+      return access.status === 404 ? fail(404, "Inspection not found") : access;
+   }
+
+   return { ...access, inspection };
+}
+
+/**
+ * Queens belong to owner_user_id; a queen placed in a hive is also
+ * reachable through the hive's apiary (same rule as supers).
+ * → { ok, queen, apiaryId, role }
+ */
+async function loadQueenAccess(queenIdParam, userId, action = "read", client = pool) {
+   const queenId = String(queenIdParam ?? "").trim();
+   if (!queenId) return fail(400, "Invalid queen id");
+
+   const { rows } = await client.query(
+      `SELECT q.*,
+              a.apiary_id     AS apiary_id,
+              a.owner_user_id AS apiary_owner_user_id,
+              a.company_id    AS apiary_company_id
+       FROM queens q
+       LEFT JOIN hives h    ON h.hive_id = q.hive_id
+       LEFT JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE q.queen_id::text = $1`,
+      [queenId]
+   );
+   const row = rows[0];
+   if (!row) return fail(404, "Queen not found");
+
+   const { apiary_id, apiary_owner_user_id, apiary_company_id, ...queen } = row;
+
+   let role = queen.owner_user_id === userId ? "owner" : null;
+   if (!role && apiary_id) {
+      role = await resolveApiaryRole(
+         { owner_user_id: apiary_owner_user_id, company_id: apiary_company_id },
+         userId,
+         client
+      );
+   }
+
+   const denied = checkRole(role, action, "Queen not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, queen, apiaryId: apiary_id || null, role };
+}
+
+// Every field session is attached to one apiary (apiary_id column).
+// Ids are numeric or uuid depending on the table → compared as text.
+const SESSION_TABLES = {
+   swarm: { table: "swarm_sessions", idColumn: "swarm_session_id", label: "Swarm session" },
+   pairing: { table: "pairing_sessions", idColumn: "id", label: "Session" },
+   nuc: { table: "nuc_sessions", idColumn: "id", label: "Session" },
+   nuc_cycle: { table: "nuc_cycles", idColumn: "id", label: "Nuc cycle" },
+   notation: { table: "notations_sessions", idColumn: "id", label: "Session" },
+   inventory: { table: "inventory_sessions", idColumn: "id", label: "Inventory session" },
+};
+
+/**
+ * loadSessionAccess("nuc", id, userId, "write")
+ * → { ok, session, apiary, role }
+ */
+async function loadSessionAccess(kind, sessionIdParam, userId, action = "read", client = pool) {
+   const def = SESSION_TABLES[kind];
+   if (!def) throw new Error(`loadSessionAccess: unknown session kind '${kind}'`);
+
+   const sessionId = String(sessionIdParam ?? "").trim();
+   if (!sessionId) return fail(400, `Invalid ${def.label.toLowerCase()} id`);
+
+   const { rows } = await client.query(
+      `SELECT * FROM ${def.table} WHERE ${def.idColumn}::text = $1`,
+      [sessionId]
+   );
+   const session = rows[0];
+   if (!session) return fail(404, `${def.label} not found`);
+
+   const access = await loadApiaryAccess(session.apiary_id, userId, action, client);
+   if (!access.ok) {
+      return access.status === 403 ? access : fail(404, `${def.label} not found`);
+   }
+
+   return { ok: true, status: 200, session, apiary: access.apiary, role: access.role };
+}
+
+/**
+ * → { ok, lot, role }
+ */
+async function loadLotAccess(lotIdParam, userId, action = "read", client = pool) {
+   const lotId = parseId(lotIdParam);
+   if (!lotId) return fail(400, "Invalid lot id");
+
+   const { rows } = await client.query(`SELECT * FROM honey_lots WHERE lot_id = $1`, [lotId]);
+   const lot = rows[0];
+   if (!lot) return fail(404, "Lot not found");
+
+   const role = await resolveApiaryRole(lot, userId, client);
+   const denied = checkRole(role, action, "Lot not found");
+   if (denied) return denied;
+
+   return { ok: true, status: 200, lot, role };
+}
+
+/**
+ * Tasks of an apiary follow the apiary role; tasks without apiary
+ * (e.g. graft steps) belong to owner_user_id only.
+ * → { ok, task, role }
+ */
+async function loadTaskAccess(taskIdParam, userId, action = "read", client = pool) {
+   const taskId = parseId(taskIdParam);
+   if (!taskId) return fail(400, "Invalid task id");
+
+   const { rows } = await client.query(`SELECT * FROM tasks WHERE task_id = $1`, [taskId]);
+   const task = rows[0];
+   if (!task) return fail(404, "Task not found");
+
+   if (task.apiary_id) {
+      const access = await loadApiaryAccess(task.apiary_id, userId, action, client);
+      if (!access.ok) return access.status === 404 ? fail(404, "Task not found") : access;
+      return { ok: true, status: 200, task, role: access.role };
+   }
+
+   if (task.owner_user_id !== userId) return fail(404, "Task not found");
+   return { ok: true, status: 200, task, role: "owner" };
+}
+
+/**
+ * For routers using the throw/catch style (err.status):
+ *   const { hive } = await orThrow(loadHiveAccess(id, userId, "write"));
+ */
+async function orThrow(promise) {
+   const result = await promise;
+   if (!result.ok) {
+      const err = new Error(result.error);
+      err.status = result.status;
+      throw err;
+   }
+   return result;
+}
+
+module.exports = {
+   ACTIONS,
+   ROLE_PERMISSIONS,
+   normalizeRole,
+   roleAllows,
+   getCompanyRoles,
+   resolveApiaryRole,
+   loadCompanyAccess,
+   getAccessibleApiaries,
+   getAccessibleApiaryIds,
+   getAccessibleHiveIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadHiveByPublicKeyAccess,
+   loadHiveByCodeAccess,
+   loadSuperAccess,
+   loadInspectionAccess,
+   loadQueenAccess,
+   loadSessionAccess,
+   loadLotAccess,
+   loadTaskAccess,
+   orThrow,
+};
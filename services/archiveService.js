@@ -0,0 +1,480 @@
+// services/archiveService.js
+// Soft archiving of apiaries, hives, supers and queens: archived rows are hidden from
+// lists but kept for history and analytics, and can be restored. The dependency report
+// reads the foreign keys from the database catalog, so it lists every table a hard
+// deletion would cascade to, nullify or be refused by.
+const pool = require("../db");
+const {
+   getAccessibleApiaryIds,
+   getAccessibleHiveIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadSuperAccess,
+   loadQueenAccess,
+} = require("./accessControl");
+
+const ARCHIVE_REASONS = ["manual", "dead", "sold", "merged"];
+
+// reasons set on rows archived together with their parent (restored with it)
+const CASCADE_REASONS = { apiary: "apiary_archived", hive: "hive_lost" };
+
+const LOSS_CAUSES = [
+   "varroa",
+   "starvation",
+   "queen_failure",
+   "disease",
+   "pesticide",
+   "predators",
+   "weather",
+   "swarming",
+   "robbing",
+   "unknown",
+   "other",
+];
+
+// action required to archive / restore = the one required to delete
+const ENTITIES = {
+   apiary: {
+      table: "apiaries",
+      pk: "apiary_id",
+      label: "Apiary",
+      action: "admin",
+      load: (id, userId, action, client) => loadApiaryAccess(id, userId, action, client),
+      row: (access) => access.apiary,
+   },
+   hive: {
+      table: "hives",
+      pk: "hive_id",
+      label: "Hive",
+      action: "manage",
+      load: (id, userId, action, client) => loadHiveAccess(id, userId, action, client),
+      row: (access) => access.hive,
+   },
+   super: {
+      table: "supers",
+      pk: "super_id",
+      label: "Super",
+      action: "manage",
+      load: (id, userId, action, client) => loadSuperAccess(id, userId, action, client),
+      row: (access) => access.super,
+   },
+   queen: {
+      table: "queens",
+      pk: "queen_id",
+      label: "Queen",
+      action: "manage",
+      load: (id, userId, action, client) => loadQueenAccess(id, userId, action, client),
+      row: (access) => access.queen,
+   },
+};
+
+// cascade depth followed by the dependency report
+const MAX_REPORT_DEPTH = 4;
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function quoteIdent(name) {
+   return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function text(v) {
+   return v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim();
+}
+
+async function loadEntity(kind, id, userId, client = pool) {
+   const entity = ENTITIES[kind];
+   if (!entity) return fail(400, `kind must be one of: ${Object.keys(ENTITIES).join(", ")}`);
+
+   const access = await entity.load(id, userId, entity.action, client);
+   if (!access.ok) return access;
+
+   return { ok: true, status: 200, entity, access, row: entity.row(access) };
+}
+
+// ----------------------------------------------------
+// Dependency report (dry run of a hard delete)
+// ----------------------------------------------------
+
+let fkCache = null;
+
+/**
+ * Single-column foreign keys of the public schema, grouped by referenced table.
+ * → Map(table → [{ table, column, refColumn, onDelete, constraint }])
+ */
+async function loadForeignKeys() {
+   if (fkCache) return fkCache;
+
+   const { rows } = await pool.query(
+      `SELECT c.conname AS constraint,
+              child.relname AS table,
+              ca.attname AS column,
+              parent.relname AS ref_table,
+              pa.attname AS ref_column,
+              CASE c.confdeltype
+                 WHEN 'c' THEN 'cascade'
+                 WHEN 'n' THEN 'set_null'
+                 WHEN 'd' THEN 'set_default'
+                 WHEN 'r' THEN 'restrict'
+                 ELSE 'no_action'
+              END AS on_delete
+       FROM pg_constraint c
+       JOIN pg_class child ON child.oid = c.conrelid
+       JOIN pg_class parent ON parent.oid = c.confrelid
+       JOIN pg_namespace n ON n.oid = child.relnamespace
+       JOIN pg_attribute ca ON ca.attrelid = c.conrelid AND ca.attnum = c.conkey[1]
+       JOIN pg_attribute pa ON pa.attrelid = c.confrelid AND pa.attnum = c.confkey[1]
+       WHERE c.contype = 'f'
+         AND n.nspname = 'public'
+         AND array_length(c.conkey, 1) = 1`
+   );
+
+   fkCache = new Map();
+   for (const r of rows) {
+      if (!fkCache.has(r.ref_table)) fkCache.set(r.ref_table, []);
+      fkCache.get(r.ref_table).push({
+         table: r.table,
+         column: r.column,
+         refColumn: r.ref_column,
+         onDelete: r.on_delete,
+         constraint: r.constraint,
+      });
+   }
+   return fkCache;
+}
+
+/**
+ * Every record a hard delete of <kind, id> would touch: cascaded deletes (followed
+ * MAX_REPORT_DEPTH levels down), references set to NULL, and references that block
+ * the delete (restrict / no action).
+ * → { ok, status, report: { kind, id, dependents, blocking, cascaded_rows, can_delete } }
+ */
+async function buildDependencyReport(kind, id, userId) {
+   const loaded = await loadEntity(kind, id, userId);
+   if (!loaded.ok) return loaded;
+
+   const { entity, row } = loaded;
+   const fks = await loadForeignKeys();
+   const dependents = [];
+
+   // rowsSql: SELECT <all columns> of the rows deleted at this level
+   async function walk(table, rowsSql, params, path, depth) {
+      for (const fk of fks.get(table) || []) {
+         if (path.includes(fk.table)) continue; // self / cyclic references
+
+         const childSql = `SELECT * FROM ${quoteIdent(fk.table)}
+                           WHERE ${quoteIdent(fk.column)} IN (SELECT ${quoteIdent(fk.refColumn)} FROM (${rowsSql}) p)`;
+         const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM (${childSql}) c`, params);
+         const count = rows[0].count;
+         if (!count) continue;
+
+         dependents.push({
+            table: fk.table,
+            column: fk.column,
+            on_delete: fk.onDelete,
+            count,
+            via: path.join(" → "),
+            depth,
+         });
+
+         if (fk.onDelete === "cascade" && depth < MAX_REPORT_DEPTH) {
+            await walk(fk.table, childSql, params, [...path, fk.table], depth + 1);
+         }
+      }
+   }
+
+   await walk(
+      entity.table,
+      `SELECT * FROM ${quoteIdent(entity.table)} WHERE ${quoteIdent(entity.pk)}::text = $1`,
+      [String(row[entity.pk])],
+      [entity.table],
+      1
+   );
+
+   const blocking = dependents.filter((d) => d.on_delete === "restrict" || d.on_delete === "no_action");
+
+   return {
+      ok: true,
+      status: 200,
+      report: {
+         kind,
+         id: row[entity.pk],
+         archived_at: row.archived_at ?? null,
+         dependents,
+         blocking,
+         cascaded_rows: dependents
+            .filter((d) => d.on_delete === "cascade")
+            .reduce((sum, d) => sum + d.count, 0),
+         can_delete: blocking.length === 0,
+      },
+   };
+}
+
+// ----------------------------------------------------
+// Archive / restore
+// ----------------------------------------------------
+
+function validateArchive(kind, input) {
+   const reason = input.reason ? String(input.reason).trim().toLowerCase() : "manual";
+   if (!ARCHIVE_REASONS.includes(reason)) {
+      return fail(400, `reason must be one of: ${ARCHIVE_REASONS.join(", ")}`);
+   }
+   if (reason === "dead" && kind !== "hive" && kind !== "queen") {
+      return fail(400, "reason 'dead' applies to hives and queens only");
+   }
+
+   let lossCause = null;
+   let lostAt = null;
+   if (kind === "hive" && reason === "dead") {
+      lossCause = input.loss_cause ? String(input.loss_cause).trim().toLowerCase() : "unknown";
+      if (!LOSS_CAUSES.includes(lossCause)) {
+         return fail(400, `loss_cause must be one of: ${LOSS_CAUSES.join(", ")}`);
+      }
+      lostAt = input.lost_at ? String(input.lost_at).slice(0, 10) : new Date().toISOString().slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(lostAt) || Number.isNaN(Date.parse(lostAt))) {
+         return fail(400, "lost_at must be YYYY-MM-DD");
+      }
+   }
+
+   return { ok: true, reason, lossCause, lostAt, notes: text(input.notes) };
+}
+
+/**
+ * Archive an apiary, hive, super or queen.
+ * input: { reason?, notes?, loss_cause?, lost_at? } (loss_* for hives archived as dead)
+ * An archived apiary takes its active hives with it; a dead hive takes its queens
+ * (no longer alive). Both are restored with their parent.
+ * → { ok, status, item, cascaded }
+ */
+async function archiveEntity(kind, id, userId, input = {}) {
+   const v = validateArchive(kind, input);
+   if (!v.ok) return v;
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const loaded = await loadEntity(kind, id, userId, client);
+      if (!loaded.ok) {
+         await client.query("ROLLBACK");
+         return loaded;
+      }
+      const { entity, row } = loaded;
+      if (row.archived_at) {
+         await client.query("ROLLBACK");
+         return fail(409, `${entity.label} is already archived`);
+      }
+
+      const key = String(row[entity.pk]);
+      // children archived in the same transaction share the parent's archived_at (now())
+      const { rows } = await client.query(
+         `UPDATE ${entity.table}
+          SET archived_at = now(), archived_by = $2, archive_reason = $3, archive_notes = $4
+          WHERE ${entity.pk}::text = $1
+          RETURNING *`,
+         [key, userId, v.reason, v.notes]
+      );
+      const item = rows[0];
+      const cascaded = {};
+
+      if (kind === "apiary") {
+         const { rowCount } = await client.query(
+            `UPDATE hives
+             SET archived_at = now(), archived_by = $2, archive_reason = $3
+             WHERE apiary_id = $1 AND archived_at IS NULL`,
+            [row.apiary_id, userId, CASCADE_REASONS.apiary]
+         );
+         cascaded.hives = rowCount;
+      }
+
+      if (kind === "hive" && v.reason === "dead") {
+         const { rows: lost } = await client.query(
+            `UPDATE hives SET loss_cause = $2, lost_at = $3 WHERE hive_id = $1 RETURNING *`,
+            [row.hive_id, v.lossCause, v.lostAt]
+         );
+         Object.assign(item, lost[0]);
+
+         const { rowCount } = await client.query(
+            `UPDATE queens
+             SET is_alive = false, archived_at = now(), archived_by = $2, archive_reason = $3
+             WHERE hive_id = $1 AND archived_at IS NULL`,
+            [row.hive_id, userId, CASCADE_REASONS.hive]
+         );
+         cascaded.queens = rowCount;
+      }
+
+      if (kind === "queen" && v.reason === "dead") {
+         await client.query(`UPDATE queens SET is_alive = false WHERE queen_id::text = $1`, [key]);
+         item.is_alive = false;
+      }
+
+      await client.query("COMMIT");
+      return { ok: true, status: 200, item, cascaded };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Restore an archived row (and the rows archived together with it).
+ * A hive or super can only come back once its apiary / hive is restored.
+ * → { ok, status, item, cascaded }
+ */
+async function restoreEntity(kind, id, userId) {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const loaded = await loadEntity(kind, id, userId, client);
+      if (!loaded.ok) {
+         await client.query("ROLLBACK");
+         return loaded;
+      }
+      const { entity, row } = loaded;
+      if (!row.archived_at) {
+         await client.query("ROLLBACK");
+         return fail(409, `${entity.label} is not archived`);
+      }
+
+      if (kind === "hive") {
+         const { rows: parent } = await client.query(
+            `SELECT archived_at FROM apiaries WHERE apiary_id = $1`,
+            [row.apiary_id]
+         );
+         if (parent[0]?.archived_at) {
+            await client.query("ROLLBACK");
+            return fail(409, "The hive's apiary is archived: restore the apiary first");
+         }
+      }
+
+      if (kind === "super" && row.hive_id) {
+         const { rows: parent } = await client.query(
+            `SELECT archived_at FROM hives WHERE hive_id = $1`,
+            [row.hive_id]
+         );
+         if (parent[0]?.archived_at) {
+            await client.query("ROLLBACK");
+            return fail(409, "The super's hive is archived: restore the hive first");
+         }
+      }
+
+      // rows archived with the parent first: matched on the parent's archived_at
+      const cascaded = {};
+
+      if (kind === "apiary") {
+         const { rowCount } = await client.query(
+            `UPDATE hives h
+             SET archived_at = NULL, archived_by = NULL, archive_reason = NULL
+             FROM apiaries a
+             WHERE a.apiary_id = $1 AND h.apiary_id = a.apiary_id
+               AND h.archive_reason = $2 AND h.archived_at = a.archived_at`,
+            [row.apiary_id, CASCADE_REASONS.apiary]
+         );
+         cascaded.hives = rowCount;
+      }
+
+      if (kind === "hive") {
+         const { rowCount } = await client.query(
+            `UPDATE queens q
+             SET is_alive = true, archived_at = NULL, archived_by = NULL, archive_reason = NULL
+             FROM hives h
+             WHERE h.hive_id = $1 AND q.hive_id = h.hive_id
+               AND q.archive_reason = $2 AND q.archived_at = h.archived_at`,
+            [row.hive_id, CASCADE_REASONS.hive]
+         );
+         cascaded.queens = rowCount;
+      }
+
+      const key = String(row[entity.pk]);
+      const { rows } = await client.query(
+         `UPDATE ${entity.table}
+          SET archived_at = NULL, archived_by = NULL, archive_reason = NULL, archive_notes = NULL
+              ${kind === "hive" ? ", loss_cause = NULL, lost_at = NULL" : ""}
+          WHERE ${entity.pk}::text = $1
+          RETURNING *`,
+         [key]
+      );
+      const item = rows[0];
+
+      if (kind === "queen" && row.archive_reason === "dead") {
+         await client.query(`UPDATE queens SET is_alive = true WHERE queen_id::text = $1`, [key]);
+         item.is_alive = true;
+      }
+
+      await client.query("COMMIT");
+      return { ok: true, status: 200, item, cascaded };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+// ----------------------------------------------------
+// Archived lists / losses
+// ----------------------------------------------------
+
+/**
+ * Archived rows of one kind visible to the user, newest first.
+ */
+async function listArchived(kind, userId, { limit = 50, offset = 0 } = {}) {
+   const entity = ENTITIES[kind];
+   if (!entity) return fail(400, `kind must be one of: ${Object.keys(ENTITIES).join(", ")}`);
+
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   let where;
+   let params;
+
+   if (kind === "apiary" || kind === "hive") {
+      where = "apiary_id = ANY($1::int[])";
+      params = [apiaryIds];
+   } else {
+      const hiveIds = await getAccessibleHiveIds(userId, "read");
+      where = "(owner_user_id = $1 OR hive_id = ANY($2::int[]))";
+      params = [userId, hiveIds];
+   }
+
+   const { rows } = await pool.query(
+      `SELECT * FROM ${entity.table}
+       WHERE archived_at IS NOT NULL AND ${where}
+       ORDER BY archived_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+   );
+   return { ok: true, status: 200, items: rows };
+}
+
+/**
+ * Colony losses per year and cause over the user's apiaries.
+ * → [{ year, loss_cause, hives }]
+ */
+async function summarizeLosses(userId, { year = null } = {}) {
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   const { rows } = await pool.query(
+      `SELECT EXTRACT(YEAR FROM lost_at)::int AS year, loss_cause, COUNT(*)::int AS hives
+       FROM hives
+       WHERE archive_reason = 'dead'
+         AND apiary_id = ANY($1::int[])
+         AND ($2::int IS NULL OR EXTRACT(YEAR FROM lost_at)::int = $2::int)
+       GROUP BY 1, 2
+       ORDER BY 1 DESC, 3 DESC`,
+      [apiaryIds, year]
+   );
+   return rows;
+}
+
+module.exports = {
+   ARCHIVE_REASONS,
+   LOSS_CAUSES,
+   ENTITY_KINDS: Object.keys(ENTITIES),
+   buildDependencyReport,
+   archiveEntity,
+   restoreEntity,
+   listArchived,
+   summarizeLosses,
+};
@@ -0,0 +1,366 @@
+// services/bloomCalendar.js
+// Bloom calendar per apiary: flora sources inside the apiary's flight range, with their
+// bloom window projected on the season and shifted by growing degree days (GDD).
+//
+// Model: a source blooms when the season's accumulated GDD reaches what had accumulated
+// at its nominal date in the reference season (previous year, from the weather archive).
+// Season accumulation = observed days (archive) → 7-day forecast → reference increments.
+const pool = require("../db");
+const { getAccessibleApiaryIds } = require("./accessControl");
+const { parseLatLng, fetchWeather } = require("./weather.service");
+const { getApiaryWeatherHistory } = require("./weatherArchive");
+const { addDays } = require("./weatherProviders");
+
+const GDD_BASE_TEMP = 5; // °C, common base for flowering of temperate plants
+const MIN_SIGNAL_GDD = 10;
+const DEFAULT_FLIGHT_RANGE_KM = 3.0;
+
+// nectar_potential / pollen_potential may be stored as a level or a number
+const POTENTIAL_LEVELS = { none: 0, low: 1, medium: 2, moderate: 2, high: 3, very_high: 4 };
+
+// a week with this much nectar potential in bloom counts as a flow (supers on)
+const FLOW_NECTAR_SCORE = 3;
+const SUPERS_LEAD_DAYS = 7;
+// horizon used to compare apiaries for moves
+const MOVE_HORIZON_DAYS = 30;
+
+function todayStr() {
+   return new Date().toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+   return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / 86400000);
+}
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+   const rad = (d) => (d * Math.PI) / 180;
+   const dLat = rad(lat2 - lat1);
+   const dLng = rad(lng2 - lng1);
+   const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+   return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function potentialScore(value) {
+   if (value === null || value === undefined || value === "") return 0;
+   const n = Number(value);
+   if (Number.isFinite(n)) return n;
+   return POTENTIAL_LEVELS[String(value).trim().toLowerCase()] ?? 0;
+}
+
+function dailyGdd(day) {
+   const mean =
+      day.temp_mean !== null && day.temp_mean !== undefined
+         ? Number(day.temp_mean)
+         : day.temp_max !== null && day.temp_min !== null
+           ? (Number(day.temp_max) + Number(day.temp_min)) / 2
+           : null;
+   return mean === null || Number.isNaN(mean) ? null : Math.max(0, mean - GDD_BASE_TEMP);
+}
+
+/**
+ * Season of `year` at a latitude: Jan → Dec (north), Jul → Jun (south).
+ */
+function seasonWindow(year, latitude) {
+   if (latitude !== null && latitude < 0) return { start: `${year}-07-01`, end: `${year + 1}-06-30` };
+   return { start: `${year}-01-01`, end: `${year}-12-31` };
+}
+
+// flora bloom dates are a recurring month-day: place them inside the season
+function projectOnSeason(dateValue, season) {
+   if (!dateValue) return null;
+   const d = dateValue instanceof Date ? dateValue : new Date(dateValue);
+   if (Number.isNaN(d.getTime())) return null;
+
+   const md = `${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+   const startYear = Number(season.start.slice(0, 4));
+   const candidate = `${startYear}-${md}`;
+   return candidate >= season.start ? candidate : `${startYear + 1}-${md}`;
+}
+
+/**
+ * Flora sources of the apiary owner / requesting user inside the flight range
+ * (sources attached to the apiary are always included).
+ */
+async function loadFloraInRange(apiary, userId) {
+   const coords = parseLatLng(apiary.location);
+   const rangeKm = Number(apiary.flight_range_km) || DEFAULT_FLIGHT_RANGE_KM;
+
+   const { rows } = await pool.query(
+      `SELECT *
+       FROM flora_sources
+       WHERE user_id = ANY($1::uuid[])
+         AND (apiary_id = $2 OR (latitude IS NOT NULL AND longitude IS NOT NULL))`,
+      [[...new Set([apiary.owner_user_id, userId].filter(Boolean))], apiary.apiary_id]
+   );
+
+   const out = [];
+   for (const f of rows) {
+      const lat = f.latitude === null ? null : Number(f.latitude);
+      const lng = f.longitude === null ? null : Number(f.longitude);
+      const distance =
+         coords && Number.isFinite(lat) && Number.isFinite(lng) ? haversineKm(coords.lat, coords.lng, lat, lng) : null;
+
+      if (Number(f.apiary_id) === Number(apiary.apiary_id) || (distance !== null && distance <= rangeKm)) {
+         out.push({ ...f, distance_km: distance === null ? null : Math.round(distance * 100) / 100 });
+      }
+   }
+   return out;
+}
+
+/**
+ * Daily GDD of the season and of the reference season (one year before).
+ * → { dates, current: [{ gdd, basis }], reference: [gdd] } | null (no location / no data)
+ */
+async function buildGddSeries(apiary, season) {
+   const coords = parseLatLng(apiary.location);
+   if (!coords) return null;
+
+   const refStart = `${Number(season.start.slice(0, 4)) - 1}${season.start.slice(4)}`;
+   const refEnd = `${Number(season.end.slice(0, 4)) - 1}${season.end.slice(4)}`;
+
+   const today = todayStr();
+   const reference = await getApiaryWeatherHistory(apiary, refStart, refEnd > today ? addDays(today, -1) : refEnd);
+   if (!reference.days.length) return null;
+
+   const observedEnd = season.end < today ? season.end : addDays(today, -1);
+   const observed = season.start <= observedEnd ? await getApiaryWeatherHistory(apiary, season.start, observedEnd) : { days: [] };
+
+   const observedByDate = new Map(observed.days.map((d) => [d.date, d]));
+   const refByOffset = new Map(reference.days.map((d) => [daysBetween(refStart, d.date), d]));
+
+   const forecastByDate = new Map();
+   if (season.end >= today) {
+      try {
+         const weather = await fetchWeather(coords.lat, coords.lng);
+         (weather?.daily?.time || []).forEach((date, i) => {
+            forecastByDate.set(date, {
+               temp_max: weather.daily.temperature_2m_max?.[i] ?? null,
+               temp_min: weather.daily.temperature_2m_min?.[i] ?? null,
+            });
+         });
+      } catch (err) {
+         console.error("🔴 bloom calendar forecast failed:", apiary.apiary_id, err.message);
+      }
+   }
+
+   const dates = [];
+   const current = [];
+   const ref = [];
+   let lastRef = 0;
+
+   for (let date = season.start, i = 0; date <= season.end; date = addDays(date, 1), i++) {
+      const refDay = refByOffset.get(i);
+      const refGdd = refDay ? dailyGdd(refDay) : null;
+      lastRef = refGdd ?? lastRef; // gaps: repeat the previous day
+
+      let gdd = null;
+      let basis = "projected";
+      if (observedByDate.has(date)) {
+         gdd = dailyGdd(observedByDate.get(date));
+         basis = "observed";
+      } else if (forecastByDate.has(date)) {
+         gdd = dailyGdd(forecastByDate.get(date));
+         basis = "forecast";
+      }
+
+      dates.push(date);
+      ref.push(refGdd ?? lastRef);
+      current.push({ gdd: gdd ?? refGdd ?? lastRef, basis: gdd === null ? "projected" : basis });
+   }
+
+   return { dates, current, reference: ref };
+}
+
+function cumulative(values) {
+   let sum = 0;
+   return values.map((v) => (sum += v));
+}
+
+/**
+ * Predicted date (and its basis) when the season reaches the reference GDD of nominalDate.
+ */
+function shiftByGdd(nominalDate, series, curCum, refCum) {
+   const idx = series.dates.indexOf(nominalDate);
+   if (idx === -1) return { date: nominalDate, basis: null };
+
+   const target = refCum[idx];
+   // winter plateau: no thermal signal yet, keep the nominal date
+   if (target < MIN_SIGNAL_GDD) return { date: nominalDate, basis: null };
+
+   const hit = curCum.findIndex((v) => v >= target);
+   if (hit === -1) return { date: series.dates[series.dates.length - 1], basis: "projected" };
+   return { date: series.dates[hit], basis: series.current[hit].basis };
+}
+
+function bloomStatus(start, end, today) {
+   if (!start || !end) return null;
+   if (today < start) return "upcoming";
+   if (today > end) return "finished";
+   return "blooming";
+}
+
+/**
+ * Bloom calendar of one apiary for a season (year).
+ */
+async function buildApiaryBloomCalendar(apiary, userId, { year } = {}) {
+   const coords = parseLatLng(apiary.location);
+   const seasonYear = Number(year) || new Date().getFullYear();
+   const season = seasonWindow(seasonYear, coords?.lat ?? null);
+   const today = todayStr();
+
+   const flora = await loadFloraInRange(apiary, userId);
+
+   let series = null;
+   try {
+      series = flora.length ? await buildGddSeries(apiary, season) : null;
+   } catch (err) {
+      console.error("🔴 bloom calendar GDD failed:", apiary.apiary_id, err.message);
+   }
+
+   const curCum = series ? cumulative(series.current.map((d) => d.gdd)) : null;
+   const refCum = series ? cumulative(series.reference) : null;
+
+   const sources = flora
+      .map((f) => {
+         const nominalStart = projectOnSeason(f.bloom_start, season);
+         let nominalEnd = projectOnSeason(f.bloom_end, season);
+         if (nominalStart && nominalEnd && nominalEnd < nominalStart) nominalEnd = addDays(nominalEnd, 365);
+
+         let predicted = { start: nominalStart, end: nominalEnd };
+         let basis = null;
+         if (series && nominalStart && nominalEnd) {
+            const s = shiftByGdd(nominalStart, series, curCum, refCum);
+            const e = shiftByGdd(nominalEnd, series, curCum, refCum);
+            predicted = { start: s.date, end: e.date < s.date ? s.date : e.date };
+            basis = s.basis;
+         }
+
+         return {
+            id: f.id,
+            name: f.name,
+            category: f.category,
+            scope: f.scope,
+            location_name: f.location_name,
+            distance_km: f.distance_km,
+            nectar_potential: f.nectar_potential,
+            pollen_potential: f.pollen_potential,
+            nominal: { start: nominalStart, end: nominalEnd },
+            predicted,
+            shift_days: nominalStart && predicted.start ? daysBetween(nominalStart, predicted.start) : null,
+            basis,
+            status: bloomStatus(predicted.start, predicted.end, today),
+         };
+      })
+      .filter((s) => s.predicted.start)
+      .sort((a, b) => a.predicted.start.localeCompare(b.predicted.start));
+
+   // weekly view (Monday-based weeks of the season)
+   const weeks = [];
+   let weekStart = season.start;
+   const firstDow = new Date(`${weekStart}T00:00:00Z`).getUTCDay();
+   weekStart = addDays(weekStart, -((firstDow + 6) % 7));
+   for (; weekStart <= season.end; weekStart = addDays(weekStart, 7)) {
+      const weekEnd = addDays(weekStart, 6);
+      const blooming = sources.filter((s) => s.predicted.start <= weekEnd && s.predicted.end >= weekStart);
+      weeks.push({
+         week_start: weekStart,
+         blooming: blooming.map((s) => s.id),
+         nectar_score: blooming.reduce((sum, s) => sum + potentialScore(s.nectar_potential), 0),
+         pollen_score: blooming.reduce((sum, s) => sum + potentialScore(s.pollen_potential), 0),
+      });
+   }
+
+   // supers: a week before the first upcoming nectar flow
+   const nextFlow = weeks.find((w) => w.nectar_score >= FLOW_NECTAR_SCORE && addDays(w.week_start, 6) >= today);
+   const superDate = nextFlow ? addDays(nextFlow.week_start, -SUPERS_LEAD_DAYS) : null;
+
+   const horizonEnd = addDays(today, MOVE_HORIZON_DAYS);
+   const upcomingNectar = sources
+      .filter((s) => s.predicted.start <= horizonEnd && s.predicted.end >= today)
+      .reduce((sum, s) => sum + potentialScore(s.nectar_potential), 0);
+
+   // accumulation up to today (whole season once it is over)
+   let todayIdx = series ? series.dates.indexOf(today) : -1;
+   if (series && todayIdx === -1 && season.end < today) todayIdx = series.dates.length - 1;
+   const seasonGddToDate = todayIdx >= 0 ? curCum[todayIdx] : null;
+   const refGddToDate = todayIdx >= 0 ? refCum[todayIdx] : null;
+
+   return {
+      apiary_id: apiary.apiary_id,
+      apiary_name: apiary.apiary_name,
+      location: apiary.location,
+      flight_range_km: Number(apiary.flight_range_km) || DEFAULT_FLIGHT_RANGE_KM,
+      season: { year: seasonYear, ...season },
+      gdd: series
+         ? {
+              base_temp: GDD_BASE_TEMP,
+              season_to_date: seasonGddToDate === null ? null : Math.round(seasonGddToDate),
+              reference_to_date: refGddToDate === null ? null : Math.round(refGddToDate),
+              adjusted: true,
+           }
+         : { base_temp: GDD_BASE_TEMP, adjusted: false },
+      sources,
+      weeks,
+      supers: nextFlow
+         ? {
+              flow_week: nextFlow.week_start,
+              put_supers_on: superDate < today ? today : superDate,
+              nectar_score: nextFlow.nectar_score,
+           }
+         : null,
+      upcoming_nectar_score: upcomingNectar,
+   };
+}
+
+/**
+ * Hive move suggestions: apiaries without flow in the next MOVE_HORIZON_DAYS next to
+ * apiaries of the same user with the strongest upcoming flow.
+ */
+function buildMoveSuggestions(calendars) {
+   const ranked = [...calendars].sort((a, b) => b.upcoming_nectar_score - a.upcoming_nectar_score);
+   const best = ranked[0];
+   if (!best || best.upcoming_nectar_score < FLOW_NECTAR_SCORE) return [];
+
+   return ranked
+      .filter((c) => c.apiary_id !== best.apiary_id && c.upcoming_nectar_score < FLOW_NECTAR_SCORE)
+      .map((c) => ({
+         from_apiary_id: c.apiary_id,
+         from_apiary_name: c.apiary_name,
+         to_apiary_id: best.apiary_id,
+         to_apiary_name: best.apiary_name,
+         from_nectar_score: c.upcoming_nectar_score,
+         to_nectar_score: best.upcoming_nectar_score,
+         horizon_days: MOVE_HORIZON_DAYS,
+      }));
+}
+
+/**
+ * Calendars of every apiary the user can read + move suggestions between them.
+ */
+async function buildUserBloomCalendars(userId, { year } = {}) {
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   if (!apiaryIds.length) return { apiaries: [], move_suggestions: [] };
+
+   const { rows: apiaries } = await pool.query(
+      `SELECT * FROM apiaries WHERE apiary_id = ANY($1::int[]) ORDER BY apiary_name`,
+      [apiaryIds]
+   );
+
+   const calendars = [];
+   for (const apiary of apiaries) {
+      calendars.push(await buildApiaryBloomCalendar(apiary, userId, { year }));
+   }
+
+   return { apiaries: calendars, move_suggestions: buildMoveSuggestions(calendars) };
+}
+
+module.exports = {
+   GDD_BASE_TEMP,
+   haversineKm,
+   seasonWindow,
+   projectOnSeason,
+   loadFloraInRange,
+   buildApiaryBloomCalendar,
+   buildMoveSuggestions,
+   buildUserBloomCalendars,
+};
@@ -0,0 +1,546 @@
+// services/breedingValues.js
+// Breeding values per queen and per strain from repeated colony phenotypes
+// (hive_evaluations, colony_notations, hive_descriptors.queen_line).
+//
+// 1. Records are averaged per hive, year and source (evaluation column or notation type).
+// 2. Apiary and year effects: each hive-year is compared with its contemporaries (same
+//    apiary, same year, same source); groups with a single hive carry no information.
+// 3. Deviations are standardized by the pooled within-group SD and oriented so that
+//    positive = better.
+// 4. Queen value: parent average (genealogy) + repeatability index of her own records:
+//    b = n·h² / (1 + (n − 1)·r), EBV = PA + b·(P̄ − PA), reliability ≈ b on top of PA's.
+// 5. Strain value: mean deviation of its colonies shrunk by n / (n + (1 − h²) / h²).
+// Values are in phenotypic SD units; the selection index is their weighted sum.
+const pool = require("../db");
+const { getAccessibleApiaryIds } = require("./accessControl");
+const { apiaryAtSql } = require("./hiveMovementService");
+const { loadAncestry, createKinship } = require("./genealogyService");
+
+// h2 / r: heritability and repeatability of colony phenotypes (honey bee literature, rounded)
+// higherIsBetter: orientation of the recorded score
+// notation: colony_notations whose notation_config characteristic / label feed the trait
+const TRAITS = {
+   honey_yield: {
+      label: "Honey yield",
+      column: "honey_yield_kg",
+      h2: 0.25,
+      repeatability: 0.35,
+      higherIsBetter: true,
+      weight: 0.4,
+      notation: /honey|miel|yield|r[ée]colte/i,
+   },
+   temperament: {
+      label: "Temperament (gentleness)",
+      column: "temperament_score",
+      h2: 0.35,
+      repeatability: 0.45,
+      higherIsBetter: true,
+      weight: 0.2,
+      notation: /temper|gentle|douceur|calm/i,
+   },
+   swarming: {
+      label: "Swarming tendency",
+      column: "swarming_tendency",
+      h2: 0.25,
+      repeatability: 0.35,
+      higherIsBetter: false,
+      weight: 0.2,
+      notation: /swarm|essaim/i,
+   },
+   varroa: {
+      label: "Varroa level",
+      column: "varroa_level",
+      h2: 0.2,
+      repeatability: 0.3,
+      higherIsBetter: false,
+      weight: 0.2,
+      notation: /varroa/i,
+   },
+};
+
+const TRAIT_KEYS = Object.keys(TRAITS);
+
+// reliability can never reach 1 from phenotypes
+const MAX_RELIABILITY = 0.99;
+
+// parents are followed this many generations up for the parent average
+const PEDIGREE_GENERATIONS = 4;
+
+function round(v, digits = 3) {
+   if (v === null || v === undefined || !Number.isFinite(v)) return null;
+   const f = 10 ** digits;
+   return Math.round(v * f) / f;
+}
+
+function toNumber(v) {
+   if (v === null || v === undefined || v === "") return null;
+   const n = Number(v);
+   return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * "honey_yield:2,temperament:1" → normalized weights over TRAITS (defaults otherwise)
+ * → { ok, weights } | { ok: false, status, error }
+ */
+function parseWeights(value) {
+   const weights = Object.fromEntries(TRAIT_KEYS.map((k) => [k, TRAITS[k].weight]));
+   if (value) {
+      for (const k of TRAIT_KEYS) weights[k] = 0;
+      for (const part of String(value).split(",")) {
+         const [key, raw] = part.split(":").map((s) => s.trim());
+         if (!TRAITS[key]) {
+            return { ok: false, status: 400, error: `Unknown trait '${key}' (${TRAIT_KEYS.join(", ")})` };
+         }
+         const w = Number(raw);
+         if (!Number.isFinite(w) || w < 0) {
+            return { ok: false, status: 400, error: `Invalid weight for ${key}` };
+         }
+         weights[key] = w;
+      }
+   }
+
+   const total = Object.values(weights).reduce((s, w) => s + w, 0);
+   if (!total) return { ok: false, status: 400, error: "At least one weight must be positive" };
+   for (const k of TRAIT_KEYS) weights[k] = weights[k] / total;
+   return { ok: true, weights };
+}
+
+// ----------------------------------------------------
+// Loading
+// ----------------------------------------------------
+
+// numeric value of a column that may be stored as text
+function numericSql(expr) {
+   return `CASE WHEN ${expr}::text ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN ${expr}::text::float8 END`;
+}
+
+/**
+ * Phenotype records of the given apiaries.
+ * → [{ trait, source, hive_id, apiary_id, year, value, queen_id }]
+ */
+async function loadRecords(apiaryIds, { fromYear = null, toYear = null } = {}) {
+   const evalColumns = TRAIT_KEYS.map((k) => `${numericSql(`e.${TRAITS[k].column}`)} AS ${k}`).join(",\n              ");
+
+   const { rows: evaluations } = await pool.query(
+      `SELECT e.hive_id, e.apiary_id, EXTRACT(YEAR FROM e.eval_date)::int AS year,
+              ${evalColumns}
+       FROM hive_evaluations e
+       WHERE e.apiary_id = ANY($1::int[])
+         AND ($2::int IS NULL OR EXTRACT(YEAR FROM e.eval_date) >= $2::int)
+         AND ($3::int IS NULL OR EXTRACT(YEAR FROM e.eval_date) <= $3::int)`,
+      [apiaryIds, fromYear, toYear]
+   );
+
+   const { rows: notations } = await pool.query(
+      `SELECT n.hive_id, n.queen_id::text AS queen_id, n.notation_id,
+              ${numericSql("n.value")} AS value,
+              EXTRACT(YEAR FROM n.date_recorded)::int AS year,
+              c.characteristic, c.label,
+              ${apiaryAtSql("n.hive_id", "n.date_recorded::timestamptz", "h.apiary_id")} AS apiary_id
+       FROM colony_notations n
+       JOIN hives h ON h.hive_id = n.hive_id
+       LEFT JOIN notation_config c ON c.id = n.notation_id
+       WHERE n.date_recorded IS NOT NULL
+         AND ($2::int IS NULL OR EXTRACT(YEAR FROM n.date_recorded) >= $2::int)
+         AND ($3::int IS NULL OR EXTRACT(YEAR FROM n.date_recorded) <= $3::int)
+         AND ${apiaryAtSql("n.hive_id", "n.date_recorded::timestamptz", "h.apiary_id")} = ANY($1::int[])`,
+      [apiaryIds, fromYear, toYear]
+   );
+
+   const records = [];
+   for (const e of evaluations) {
+      for (const trait of TRAIT_KEYS) {
+         if (e[trait] === null) continue;
+         records.push({
+            trait,
+            source: "evaluation",
+            hive_id: e.hive_id,
+            apiary_id: e.apiary_id,
+            year: e.year,
+            value: e[trait],
+            queen_id: null,
+         });
+      }
+   }
+
+   for (const n of notations) {
+      if (n.value === null) continue;
+      const name = `${n.characteristic || ""} ${n.label || ""}`;
+      const trait = TRAIT_KEYS.find((k) => TRAITS[k].notation.test(name));
+      if (!trait) continue;
+      records.push({
+         trait,
+         source: `notation:${n.notation_id}`,
+         hive_id: n.hive_id,
+         apiary_id: n.apiary_id,
+         year: n.year,
+         value: n.value,
+         queen_id: n.queen_id,
+      });
+   }
+
+   return records;
+}
+
+/**
+ * Queens that headed the hives and strain labels per hive-year.
+ * Queen of a hive-year: queen recorded on the notation, otherwise the latest queen
+ * linked to the hive that existed that year.
+ */
+async function loadHiveContext(hiveIds) {
+   const { rows: queens } = await pool.query(
+      `SELECT q.queen_id::text AS queen_id, q.queen_code, q.hive_id, q.owner_user_id,
+              q.is_alive, q.archived_at, q.queen_year,
+              COALESCE(s.name, q.strain_name) AS strain,
+              EXTRACT(YEAR FROM COALESCE(q.grafting_date::timestamptz, q.created_at))::int AS since_year
+       FROM queens q
+       LEFT JOIN queen_strains s ON s.id::text = q.strain_id::text
+       WHERE q.hive_id = ANY($1::int[])`,
+      [hiveIds]
+   );
+
+   const { rows: descriptors } = await pool.query(
+      `SELECT DISTINCT ON (hive_id, year) hive_id, year, queen_line
+       FROM hive_descriptors
+       WHERE hive_id = ANY($1::int[]) AND queen_line IS NOT NULL
+       ORDER BY hive_id, year, created_at DESC`,
+      [hiveIds]
+   );
+
+   const queensByHive = new Map();
+   for (const q of queens) {
+      if (!queensByHive.has(q.hive_id)) queensByHive.set(q.hive_id, []);
+      queensByHive.get(q.hive_id).push(q);
+   }
+   for (const list of queensByHive.values()) {
+      list.sort((a, b) => (b.since_year || 0) - (a.since_year || 0));
+   }
+
+   const lineByHiveYear = new Map(descriptors.map((d) => [`${d.hive_id}|${d.year}`, d.queen_line]));
+
+   return {
+      queenFor(hiveId, year) {
+         const list = queensByHive.get(hiveId) || [];
+         return list.find((q) => !q.since_year || q.since_year <= year) || null;
+      },
+      lineFor(hiveId, year) {
+         return lineByHiveYear.get(`${hiveId}|${year}`) || null;
+      },
+   };
+}
+
+async function loadQueens(queenIds) {
+   if (!queenIds.length) return new Map();
+   const { rows } = await pool.query(
+      `SELECT q.queen_id::text AS queen_id, q.queen_code, q.hive_id, q.owner_user_id, q.is_alive,
+              q.archived_at, q.queen_year, COALESCE(s.name, q.strain_name) AS strain,
+              h.apiary_id
+       FROM queens q
+       LEFT JOIN queen_strains s ON s.id::text = q.strain_id::text
+       LEFT JOIN hives h ON h.hive_id = q.hive_id
+       WHERE q.queen_id::text = ANY($1::text[])`,
+      [queenIds]
+   );
+   return new Map(rows.map((q) => [q.queen_id, q]));
+}
+
+// ----------------------------------------------------
+// Estimation (pure)
+// ----------------------------------------------------
+
+/**
+ * Hive-year phenotypes adjusted for apiary × year (contemporary groups), standardized
+ * and oriented (positive = better).
+ * → { hiveYears: [{ trait, source, hive_id, apiary_id, year, n, z, queen_id }], groups, excluded }
+ */
+function adjustForContemporaries(records) {
+   // 1. mean per hive-year-source (repeated records of the same season)
+   const hy = new Map();
+   for (const r of records) {
+      const key = `${r.trait}|${r.source}|${r.hive_id}|${r.apiary_id}|${r.year}`;
+      if (!hy.has(key)) hy.set(key, { ...r, sum: 0, n: 0 });
+      const e = hy.get(key);
+      e.sum += r.value;
+      e.n += 1;
+      if (r.queen_id) e.queen_id = r.queen_id;
+   }
+
+   // 2. contemporary groups: trait, source, apiary, year
+   const groups = new Map();
+   for (const e of hy.values()) {
+      e.mean = e.sum / e.n;
+      const key = `${e.trait}|${e.source}|${e.apiary_id}|${e.year}`;
+      if (!groups.has(key)) {
+         groups.set(key, { trait: e.trait, source: e.source, apiary_id: e.apiary_id, year: e.year, members: [] });
+      }
+      groups.get(key).members.push(e);
+   }
+
+   // 3. deviations + pooled within-group variance per trait and source
+   const pooled = new Map(); // trait|source → { ss, df }
+   let excluded = 0;
+   for (const g of groups.values()) {
+      g.mean = g.members.reduce((s, m) => s + m.mean, 0) / g.members.length;
+      if (g.members.length < 2) {
+         excluded += g.members.length;
+         continue;
+      }
+      const key = `${g.trait}|${g.source}`;
+      if (!pooled.has(key)) pooled.set(key, { ss: 0, df: 0 });
+      const p = pooled.get(key);
+      for (const m of g.members) {
+         m.deviation = m.mean - g.mean;
+         p.ss += m.deviation ** 2;
+      }
+      p.df += g.members.length - 1;
+   }
+
+   const hiveYears = [];
+   for (const g of groups.values()) {
+      if (g.members.length < 2) continue;
+      const p = pooled.get(`${g.trait}|${g.source}`);
+      const sd = p && p.df > 0 ? Math.sqrt(p.ss / p.df) : 0;
+      if (!sd) continue;
+      const sign = TRAITS[g.trait].higherIsBetter ? 1 : -1;
+      for (const m of g.members) {
+         hiveYears.push({
+            trait: m.trait,
+            source: m.source,
+            hive_id: m.hive_id,
+            apiary_id: m.apiary_id,
+            year: m.year,
+            n: m.n,
+            raw_mean: m.mean,
+            z: (sign * m.deviation) / sd,
+            queen_id: m.queen_id || null,
+         });
+      }
+   }
+
+   const apiaryEffects = [...groups.values()]
+      .filter((g) => g.members.length >= 2)
+      .map((g) => ({
+         trait: g.trait,
+         source: g.source,
+         apiary_id: g.apiary_id,
+         year: g.year,
+         mean: round(g.mean),
+         hives: g.members.length,
+      }));
+
+   return { hiveYears, apiaryEffects, excluded };
+}
+
+/**
+ * Breeding values of queens from their own hive-years and their parents.
+ * own: Map(queen_id → Map(trait → [z])); parentsOf(queen_id) → { dam, sire }
+ * → (queen_id, trait) → { value, reliability, records } | null
+ */
+function createQueenEstimator(own, parentsOf) {
+   const memo = new Map();
+   const inProgress = new Set();
+
+   return function estimate(queenId, trait) {
+      if (!queenId) return null;
+      const key = `${queenId}|${trait}`;
+      if (memo.has(key)) return memo.get(key);
+      if (inProgress.has(key)) return null;
+      inProgress.add(key);
+
+      const { h2, repeatability: r } = TRAITS[trait];
+      const { dam, sire } = parentsOf(queenId);
+      const m = estimate(dam, trait);
+      const s = estimate(sire, trait);
+
+      const pa = 0.5 * ((m?.value || 0) + (s?.value || 0));
+      const relPa = 0.25 * ((m?.reliability || 0) + (s?.reliability || 0));
+
+      const zs = own.get(queenId)?.get(trait) || [];
+      let result = null;
+      if (zs.length) {
+         const n = zs.length;
+         const mean = zs.reduce((sum, z) => sum + z, 0) / n;
+         const b = (n * h2) / (1 + (n - 1) * r);
+         result = {
+            value: pa + b * (mean - pa),
+            reliability: Math.min(relPa + (1 - relPa) * b, MAX_RELIABILITY),
+            records: n,
+            from_parents: relPa > 0,
+         };
+      } else if (relPa > 0) {
+         result = { value: pa, reliability: relPa, records: 0, from_parents: true };
+      }
+
+      inProgress.delete(key);
+      memo.set(key, result);
+      return result;
+   };
+}
+
+function indexOf(values, weights) {
+   let index = 0;
+   let reliability = 0;
+   for (const t of TRAIT_KEYS) {
+      index += weights[t] * (values[t]?.value || 0);
+      reliability += weights[t] * (values[t]?.reliability || 0);
+   }
+   return { index: round(index), reliability: round(reliability) };
+}
+
+// ----------------------------------------------------
+// Entry points
+// ----------------------------------------------------
+
+/**
+ * Breeding values of the queens and strains of the user's apiaries.
+ * options: { weights, fromYear, toYear }
+ * → { traits, weights, queens, strains, apiary_effects, records, excluded_hive_years }
+ */
+async function estimateBreedingValues(userId, { weights, fromYear = null, toYear = null } = {}) {
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   const records = apiaryIds.length ? await loadRecords(apiaryIds, { fromYear, toYear }) : [];
+   const { hiveYears, apiaryEffects, excluded } = adjustForContemporaries(records);
+
+   const hiveIds = [...new Set(hiveYears.map((h) => h.hive_id))];
+   const context = hiveIds.length ? await loadHiveContext(hiveIds) : null;
+
+   // attribute hive-years to queens and strains
+   const own = new Map();
+   const strainZ = new Map(); // strain → Map(trait → [z])
+   for (const h of hiveYears) {
+      const queen = h.queen_id ? { queen_id: h.queen_id } : context.queenFor(h.hive_id, h.year);
+      h.queen_id = queen?.queen_id || null;
+      h.strain = queen?.strain || context.lineFor(h.hive_id, h.year);
+
+      if (h.queen_id) {
+         if (!own.has(h.queen_id)) own.set(h.queen_id, new Map());
+         const byTrait = own.get(h.queen_id);
+         if (!byTrait.has(h.trait)) byTrait.set(h.trait, []);
+         byTrait.get(h.trait).push(h.z);
+      }
+      if (h.strain) {
+         if (!strainZ.has(h.strain)) strainZ.set(h.strain, new Map());
+         const byTrait = strainZ.get(h.strain);
+         if (!byTrait.has(h.trait)) byTrait.set(h.trait, []);
+         byTrait.get(h.trait).push(h.z);
+      }
+   }
+
+   // queens of the user (evaluated or not: young queens get their parent average)
+   const { rows: ownQueens } = await pool.query(
+      `SELECT q.queen_id::text AS queen_id
+       FROM queens q
+       LEFT JOIN hives h ON h.hive_id = q.hive_id
+       WHERE q.owner_user_id = $1 OR h.apiary_id = ANY($2::int[])`,
+      [userId, apiaryIds]
+   );
+   const candidateIds = [...new Set([...ownQueens.map((q) => q.queen_id), ...own.keys()])];
+
+   const lineage = await loadAncestry(candidateIds, PEDIGREE_GENERATIONS);
+   const { inbreeding } = createKinship(lineage);
+   const parentsOf = (id) => {
+      const row = lineage.get(id);
+      return { dam: row?.mother_queen_id || null, sire: row?.drone_source_queen_id || null };
+   };
+   const estimate = createQueenEstimator(own, parentsOf);
+
+   const visible = new Set(ownQueens.map((q) => q.queen_id));
+   const info = await loadQueens(candidateIds);
+
+   const queens = [];
+   for (const queenId of candidateIds) {
+      if (!visible.has(queenId)) continue;
+      const values = {};
+      for (const t of TRAIT_KEYS) {
+         const e = estimate(queenId, t);
+         if (e) values[t] = { ...e, value: round(e.value), reliability: round(e.reliability) };
+      }
+      if (!Object.keys(values).length) continue;
+
+      const q = info.get(queenId) || { queen_id: queenId };
+      queens.push({
+         queen_id: queenId,
+         queen_code: q.queen_code ?? null,
+         strain: q.strain ?? null,
+         queen_year: q.queen_year ?? null,
+         hive_id: q.hive_id ?? null,
+         is_alive: q.is_alive ?? null,
+         archived: !!q.archived_at,
+         inbreeding_coefficient: round(inbreeding(queenId), 4),
+         values,
+         ...indexOf(values, weights),
+      });
+   }
+   queens.sort((a, b) => b.index - a.index);
+   queens.forEach((q, i) => (q.rank = i + 1));
+
+   const strains = [];
+   for (const [strain, byTrait] of strainZ) {
+      const values = {};
+      for (const [t, zs] of byTrait) {
+         const { h2 } = TRAITS[t];
+         const n = zs.length;
+         const shrink = n / (n + (1 - h2) / h2);
+         const mean = zs.reduce((s, z) => s + z, 0) / n;
+         values[t] = { value: round(shrink * mean), reliability: round(shrink), records: n };
+      }
+      strains.push({ strain, values, ...indexOf(values, weights) });
+   }
+   strains.sort((a, b) => b.index - a.index);
+
+   return {
+      traits: Object.fromEntries(
+         TRAIT_KEYS.map((k) => [
+            k,
+            {
+               label: TRAITS[k].label,
+               h2: TRAITS[k].h2,
+               repeatability: TRAITS[k].repeatability,
+               higher_is_better: TRAITS[k].higherIsBetter,
+            },
+         ])
+      ),
+      weights: Object.fromEntries(TRAIT_KEYS.map((k) => [k, round(weights[k])])),
+      queens,
+      strains,
+      apiary_effects: apiaryEffects,
+      records: hiveYears.length,
+      excluded_hive_years: excluded,
+   };
+}
+
+/**
+ * Ranked selection list: living, non-archived queens with a minimum index reliability,
+ * flagged when already used as breeder.
+ */
+async function buildSelectionList(userId, { weights, fromYear, toYear, minReliability = 0, limit = 50 } = {}) {
+   const result = await estimateBreedingValues(userId, { weights, fromYear, toYear });
+
+   const { rows: breeders } = await pool.query(
+      `SELECT id, code, queen_id FROM queen_breeders WHERE owner_id = $1 AND queen_id IS NOT NULL`,
+      [userId]
+   );
+   const breederByQueen = new Map(breeders.map((b) => [b.queen_id, b]));
+
+   const candidates = result.queens
+      .filter((q) => q.is_alive !== false && !q.archived && q.reliability >= minReliability)
+      .slice(0, limit)
+      .map((q) => ({
+         ...q,
+         breeder: breederByQueen.has(q.queen_id)
+            ? { id: breederByQueen.get(q.queen_id).id, code: breederByQueen.get(q.queen_id).code }
+            : null,
+      }));
+
+   return { weights: result.weights, traits: result.traits, candidates };
+}
+
+module.exports = {
+   TRAITS,
+   TRAIT_KEYS,
+   parseWeights,
+   adjustForContemporaries,
+   createQueenEstimator,
+   estimateBreedingValues,
+   buildSelectionList,
+};
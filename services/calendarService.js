@@ -0,0 +1,354 @@
+// services/calendarService.js
+// iCalendar feed of a user's planned work: graft milestones (G10, emergence, expected
+// laying), nuc checks, swarm laying checks, inspection revisits and planned interventions.
+// Events are rebuilt from their records on every fetch, with stable UIDs, so calendar
+// apps move them when the underlying dates change.
+const crypto = require("crypto");
+const pool = require("../db");
+const { getAccessibleApiaryIds } = require("./accessControl");
+const { getOrCreateQueenSettings, computeGraftDerivedDates } = require("../utils/queenUtils");
+
+const EVENT_TYPES = ["graft", "nuc_check", "swarm_check", "inspection_revisit", "intervention"];
+
+// feed window (calendar apps keep what they already imported)
+const PAST_DAYS = 90;
+const FUTURE_DAYS = 365;
+
+const UID_DOMAIN = "bstats.app";
+
+/* ---------------------------------- feed ---------------------------------- */
+
+function newToken() {
+   return crypto.randomBytes(24).toString("hex");
+}
+
+async function getOrCreateFeed(userId, client = pool) {
+   const { rows } = await client.query(
+      `INSERT INTO calendar_feeds (user_id, token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+       RETURNING *`,
+      [userId, newToken()]
+   );
+   return rows[0];
+}
+
+async function rotateFeed(userId, client = pool) {
+   const { rows } = await client.query(
+      `INSERT INTO calendar_feeds (user_id, token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, rotated_at = now()
+       RETURNING *`,
+      [userId, newToken()]
+   );
+   return rows[0];
+}
+
+async function deleteFeed(userId, client = pool) {
+   const { rowCount } = await client.query(`DELETE FROM calendar_feeds WHERE user_id = $1`, [userId]);
+   return rowCount > 0;
+}
+
+async function findFeedByToken(token, client = pool) {
+   const { rows } = await client.query(
+      `UPDATE calendar_feeds SET last_accessed_at = now()
+       WHERE token = $1
+       RETURNING *`,
+      [token]
+   );
+   return rows[0] || null;
+}
+
+/* --------------------------------- events --------------------------------- */
+
+// DATE columns come back as local-midnight Dates
+function dateOnly(value) {
+   if (!value) return null;
+   const d = value instanceof Date ? value : new Date(value);
+   if (Number.isNaN(d.getTime())) return null;
+   const pad = (n) => String(n).padStart(2, "0");
+   return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function hiveList(codes) {
+   const list = (codes || []).filter(Boolean);
+   return list.length ? `hive${list.length > 1 ? "s" : ""} ${list.join(", ")}` : null;
+}
+
+function joinParts(...parts) {
+   return parts.filter(Boolean).join(" · ");
+}
+
+async function graftEvents(userId, window) {
+   const { rows } = await pool.query(
+      `SELECT gs.id AS session_id, gs.graft_date, gs.graft_index_season, gs.season,
+              MAX(gl.updated_at) AS lines_updated_at,
+              json_agg(json_build_object('lot_code', gl.lot_code, 'strain', s.name,
+                                         'cells_accepted', gl.cells_accepted)
+                       ORDER BY gl.line_index_in_session) AS lines
+       FROM queen_graft_sessions gs
+       JOIN queen_graft_lines gl ON gl.session_id = gs.id
+       LEFT JOIN queen_strains s ON s.id = gl.strain_id
+       WHERE gs.owner_id = $1
+         AND gs.graft_date >= CURRENT_DATE - $2::int - 30
+         AND gs.graft_date <= CURRENT_DATE + $3::int
+       GROUP BY gs.id`,
+      [userId, window.pastDays, window.futureDays]
+   );
+   if (!rows.length) return [];
+
+   const settings = await getOrCreateQueenSettings(userId);
+   const milestones = [
+      ["g10", "G10: move the cells"],
+      ["emergence", "Queens emerging"],
+      ["laying", "Expected laying"],
+   ];
+
+   const events = [];
+   for (const session of rows) {
+      const dates = computeGraftDerivedDates(session.graft_date, settings);
+      const lots = session.lines.map((l) => l.lot_code).filter(Boolean);
+      const description = session.lines
+         .map((l) => joinParts(l.lot_code, l.strain, l.cells_accepted != null ? `${l.cells_accepted} cells accepted` : null))
+         .join("\n");
+
+      for (const [key, label] of milestones) {
+         events.push({
+            uid: `graft-${session.session_id}-${key}`,
+            type: "graft",
+            date: dateOnly(dates[key]),
+            summary: `🐝 ${label} — graft #${session.graft_index_season}/${session.season}${lots.length ? ` (${lots.join(", ")})` : ""}`,
+            description: `Grafted on ${dateOnly(session.graft_date)}\n${description}`,
+            updatedAt: session.lines_updated_at,
+         });
+      }
+   }
+   return events;
+}
+
+async function nucCheckEvents(apiaryIds, window) {
+   const { rows } = await pool.query(
+      `SELECT nc.id, nc.check_due_at, nc.cell_batch, nc.cell_introduced_at,
+              a.apiary_name, a.location, h.hive_code
+       FROM nuc_cycles nc
+       JOIN apiaries a ON a.apiary_id = nc.apiary_id
+       LEFT JOIN hives h ON h.hive_id = nc.ruchette_hive_id
+       WHERE nc.apiary_id = ANY($1::int[])
+         AND nc.closed_at IS NULL
+         AND nc.check_due_at IS NOT NULL
+         AND nc.check_due_at::date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $3::int`,
+      [apiaryIds, window.pastDays, window.futureDays]
+   );
+
+   return rows.map((r) => ({
+      uid: `nuc-check-${r.id}`,
+      type: "nuc_check",
+      date: dateOnly(r.check_due_at),
+      summary: `🔍 Nuc laying check — ${joinParts(r.apiary_name, hiveList([r.hive_code]))}`,
+      description: joinParts(
+         r.cell_batch ? `Cell batch ${r.cell_batch}` : null,
+         r.cell_introduced_at ? `cell introduced ${dateOnly(r.cell_introduced_at)}` : null
+      ),
+      location: r.apiary_name,
+      geo: r.location,
+   }));
+}
+
+async function swarmCheckEvents(apiaryIds, window) {
+   const { rows } = await pool.query(
+      `SELECT sa.swarm_alert_id, sa.planned_for, sa.updated_at, a.apiary_name, a.location, h.hive_code
+       FROM swarm_alerts sa
+       JOIN apiaries a ON a.apiary_id = sa.apiary_id
+       LEFT JOIN swarm_colonies c ON c.swarm_colony_id = sa.swarm_colony_id
+       LEFT JOIN hives h ON h.hive_id = c.hive_id
+       WHERE sa.apiary_id = ANY($1::int[])
+         AND sa.alert_type = 'check_laying'
+         AND sa.is_done = FALSE
+         AND sa.planned_for::date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $3::int`,
+      [apiaryIds, window.pastDays, window.futureDays]
+   );
+
+   return rows.map((r) => ({
+      uid: `swarm-check-${r.swarm_alert_id}`,
+      type: "swarm_check",
+      date: dateOnly(r.planned_for),
+      summary: `🐝 Swarm laying check — ${joinParts(r.apiary_name, hiveList([r.hive_code]))}`,
+      location: r.apiary_name,
+      geo: r.location,
+      updatedAt: r.updated_at,
+   }));
+}
+
+async function revisitEvents(apiaryIds, window) {
+   const { rows } = await pool.query(
+      `SELECT i.inspection_id, i.revisit_date, i.inspection_date, i.updated_at,
+              a.apiary_name, a.location, h.hive_code
+       FROM hive_inspections i
+       JOIN hives h    ON h.hive_id = i.hive_id
+       JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE h.apiary_id = ANY($1::int[])
+         AND i.revisit_needed = TRUE
+         AND i.revisit_date IS NOT NULL
+         AND i.revisit_date::date BETWEEN CURRENT_DATE - $2::int AND CURRENT_DATE + $3::int`,
+      [apiaryIds, window.pastDays, window.futureDays]
+   );
+
+   return rows.map((r) => ({
+      uid: `inspection-revisit-${r.inspection_id}`,
+      type: "inspection_revisit",
+      date: dateOnly(r.revisit_date),
+      summary: `📋 Revisit — ${joinParts(r.apiary_name, hiveList([r.hive_code]))}`,
+      description: `Follow-up of the inspection of ${dateOnly(r.inspection_date)}`,
+      location: r.apiary_name,
+      geo: r.location,
+      updatedAt: r.updated_at,
+   }));
+}
+
+// interventions dated in the future = planned
+async function interventionEvents(apiaryIds, window) {
+   const { rows } = await pool.query(
+      `SELECT iv.id AS intervention_id, iv.date_time, iv.treatment_end_at, iv.notes,
+              COALESCE(p.name, iv.product_used) AS product_name,
+              a.apiary_name, a.location,
+              array_remove(array_agg(h.hive_code ORDER BY h.hive_code), NULL) AS hive_codes
+       FROM interventions iv
+       JOIN apiaries a ON a.apiary_id = iv.apiary_id
+       LEFT JOIN products p ON p.id = iv.product_id
+       LEFT JOIN intervention_hives ih ON ih.intervention_id = iv.id
+       LEFT JOIN hives h ON h.hive_id = ih.hive_id
+       WHERE iv.apiary_id = ANY($1::int[])
+         AND iv.date_time >= now()
+         AND iv.date_time::date <= CURRENT_DATE + $2::int
+       GROUP BY iv.id, p.name, a.apiary_name, a.location`,
+      [apiaryIds, window.futureDays]
+   );
+
+   return rows.map((r) => ({
+      uid: `intervention-${r.intervention_id}`,
+      type: "intervention",
+      start: new Date(r.date_time),
+      end: r.treatment_end_at ? new Date(r.treatment_end_at) : null,
+      summary: `💊 ${r.product_name || "Intervention"} — ${r.apiary_name}`,
+      description: joinParts(hiveList(r.hive_codes) || "all hives", r.notes),
+      location: r.apiary_name,
+      geo: r.location,
+   }));
+}
+
+/**
+ * All events of a user's feed (apiary events follow the current apiary access).
+ * types: subset of EVENT_TYPES
+ */
+async function collectEvents(userId, { types = EVENT_TYPES } = {}) {
+   const window = { pastDays: PAST_DAYS, futureDays: FUTURE_DAYS };
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   const wanted = (type) => types.includes(type);
+
+   const events = [];
+   if (wanted("graft")) events.push(...(await graftEvents(userId, window)));
+   if (apiaryIds.length) {
+      if (wanted("nuc_check")) events.push(...(await nucCheckEvents(apiaryIds, window)));
+      if (wanted("swarm_check")) events.push(...(await swarmCheckEvents(apiaryIds, window)));
+      if (wanted("inspection_revisit")) events.push(...(await revisitEvents(apiaryIds, window)));
+      if (wanted("intervention")) events.push(...(await interventionEvents(apiaryIds, window)));
+   }
+
+   return events.filter((e) => e.date || e.start);
+}
+
+/* ----------------------------------- ICS ---------------------------------- */
+
+function escapeText(value) {
+   return String(value ?? "")
+      .replace(/\\/g, "\\\\")
+      .replace(/\r?\n/g, "\\n")
+      .replace(/[,;]/g, (c) => `\\${c}`);
+}
+
+// RFC 5545: lines longer than 75 octets are folded (continuation starts with a space)
+function foldLine(line) {
+   const out = [];
+   let current = "";
+   let bytes = 0;
+
+   for (const char of line) {
+      const size = Buffer.byteLength(char);
+      if (bytes + size > 75) {
+         out.push(current);
+         current = " ";
+         bytes = 1;
+      }
+      current += char;
+      bytes += size;
+   }
+   out.push(current);
+   return out.join("\r\n");
+}
+
+function icsDate(dateStr) {
+   return dateStr.replace(/-/g, "");
+}
+
+function icsDateTime(date) {
+   return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDay(dateStr) {
+   const d = new Date(`${dateStr}T00:00:00Z`);
+   d.setUTCDate(d.getUTCDate() + 1);
+   return d.toISOString().slice(0, 10);
+}
+
+function parseGeo(location) {
+   const [lat, lng] = String(location || "")
+      .split(",")
+      .map((s) => Number(s.trim()));
+   return Number.isFinite(lat) && Number.isFinite(lng) ? `${lat};${lng}` : null;
+}
+
+function buildIcs(events, { name = "BStats", now = new Date() } = {}) {
+   const stamp = icsDateTime(now);
+   const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//BStats//Beekeeping calendar//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(name)}`,
+      "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+      "X-PUBLISHED-TTL:PT1H",
+   ];
+
+   for (const e of events) {
+      lines.push("BEGIN:VEVENT", `UID:${e.uid}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`);
+
+      if (e.start) {
+         const end = e.end && e.end > e.start ? e.end : new Date(e.start.getTime() + 60 * 60 * 1000);
+         lines.push(`DTSTART:${icsDateTime(e.start)}`, `DTEND:${icsDateTime(end)}`);
+      } else {
+         lines.push(`DTSTART;VALUE=DATE:${icsDate(e.date)}`, `DTEND;VALUE=DATE:${icsDate(nextDay(e.date))}`);
+      }
+
+      if (e.updatedAt) lines.push(`LAST-MODIFIED:${icsDateTime(new Date(e.updatedAt))}`);
+      lines.push(`SUMMARY:${escapeText(e.summary)}`);
+      if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+      if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+      const geo = parseGeo(e.geo);
+      if (geo) lines.push(`GEO:${geo}`);
+      lines.push(`CATEGORIES:${e.type.toUpperCase()}`, "TRANSP:TRANSPARENT", "END:VEVENT");
+   }
+
+   lines.push("END:VCALENDAR");
+   return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+   EVENT_TYPES,
+   getOrCreateFeed,
+   rotateFeed,
+   deleteFeed,
+   findFeedByToken,
+   collectEvents,
+   buildIcs,
+};
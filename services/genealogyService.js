@@ -0,0 +1,660 @@
+// services/genealogyService.js
+// Queen genealogy: mother queen + drone source per queen (queen_lineage), ancestry /
+// descendant trees and Wright's inbreeding coefficient from shared ancestors.
+// The drone-producing queen stands in for the sire: a drone passes one gamete of his
+// mother unchanged, so the daughter's kinship to her is the usual parent one (1/4).
+const pool = require("../db");
+const {
+   getAccessibleApiaryIds,
+   loadHiveAccess,
+   loadQueenAccess,
+} = require("./accessControl");
+
+const DRONE_SOURCE_TYPES = ["queen", "colony", "station", "open", "instrumental"];
+
+const DEFAULT_GENERATIONS = 4;
+const MAX_GENERATIONS = 10;
+
+// planned matings: F from this value on is reported as a risk
+const INBREEDING_THRESHOLDS = { low: 0, moderate: 0.0625, high: 0.125 };
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function text(v) {
+   return v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim();
+}
+
+// YYYY-MM-DD that exists in the calendar (2025-02-31 does not survive the round trip)
+function isCalendarDate(s) {
+   if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+   const d = new Date(`${s}T00:00:00Z`);
+   return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+function idText(v) {
+   return v === undefined || v === null || v === "" ? null : String(v).trim();
+}
+
+function clampGenerations(value, fallback = DEFAULT_GENERATIONS) {
+   const n = parseInt(value, 10);
+   return Number.isFinite(n) ? Math.min(Math.max(n, 1), MAX_GENERATIONS) : fallback;
+}
+
+const LINEAGE_COLUMNS = `
+   queen_id, mother_queen_id, mother_label, drone_source_type, drone_source_queen_id,
+   drone_source_hive_id, drone_source_label, to_char(mating_date, 'YYYY-MM-DD') AS mating_date,
+   source, mating_id, notes, created_by, created_at, updated_at`;
+
+// ----------------------------------------------------
+// Graph loading
+// ----------------------------------------------------
+
+async function loadLineageRows(queenIds, client = pool) {
+   if (!queenIds.length) return [];
+   const { rows } = await client.query(
+      `SELECT ${LINEAGE_COLUMNS} FROM queen_lineage WHERE queen_id = ANY($1::text[])`,
+      [queenIds]
+   );
+   return rows;
+}
+
+/**
+ * Lineage rows of the given queens and their ancestors, `generations` levels up.
+ * → Map(queen_id → lineage row)
+ */
+async function loadAncestry(queenIds, generations, client = pool) {
+   const lineage = new Map();
+   let frontier = [...new Set(queenIds.filter(Boolean))];
+
+   for (let gen = 0; gen <= generations && frontier.length; gen++) {
+      const rows = await loadLineageRows(frontier, client);
+      const next = new Set();
+      for (const row of rows) {
+         lineage.set(row.queen_id, row);
+         for (const parent of [row.mother_queen_id, row.drone_source_queen_id]) {
+            if (parent && !lineage.has(parent)) next.add(parent);
+         }
+      }
+      frontier = [...next];
+   }
+
+   return lineage;
+}
+
+/**
+ * Display info of queens; queens the user cannot read are reduced to code / strain.
+ * → Map(queen_id → info)
+ */
+async function loadQueenInfo(queenIds, userId) {
+   const ids = [...new Set(queenIds.filter(Boolean))];
+   if (!ids.length) return new Map();
+
+   const { rows } = await pool.query(
+      `SELECT q.queen_id::text AS queen_id, q.queen_code, q.strain_name, q.queen_year,
+              q.opalite_color, q.is_alive, q.archived_at, q.hive_id, q.owner_user_id,
+              h.apiary_id
+       FROM queens q
+       LEFT JOIN hives h ON h.hive_id = q.hive_id
+       WHERE q.queen_id::text = ANY($1::text[])`,
+      [ids]
+   );
+
+   const apiaryIds = new Set(await getAccessibleApiaryIds(userId, "read"));
+   const info = new Map();
+   for (const { owner_user_id, apiary_id, ...q } of rows) {
+      const readable = owner_user_id === userId || (apiary_id && apiaryIds.has(apiary_id));
+      info.set(
+         q.queen_id,
+         readable
+            ? { ...q, restricted: false }
+            : {
+                 queen_id: q.queen_id,
+                 queen_code: q.queen_code,
+                 strain_name: q.strain_name,
+                 queen_year: q.queen_year,
+                 restricted: true,
+              }
+      );
+   }
+   return info;
+}
+
+// ----------------------------------------------------
+// Kinship / inbreeding
+// ----------------------------------------------------
+
+/**
+ * Kinship calculator over a loaded lineage map (unknown parents = unrelated founders).
+ * → { kinship(a, b), inbreeding(x), ancestorsOf(x) }
+ */
+function createKinship(lineage) {
+   const parentsOf = (id) => {
+      const row = lineage.get(id);
+      return { dam: row?.mother_queen_id || null, sire: row?.drone_source_queen_id || null };
+   };
+
+   const ancestorCache = new Map();
+   function ancestorsOf(id) {
+      if (ancestorCache.has(id)) return ancestorCache.get(id);
+      ancestorCache.set(id, new Set()); // guards corrupt (cyclic) data
+      const set = new Set();
+      const { dam, sire } = parentsOf(id);
+      for (const p of [dam, sire]) {
+         if (!p) continue;
+         set.add(p);
+         for (const a of ancestorsOf(p)) set.add(a);
+      }
+      ancestorCache.set(id, set);
+      return set;
+   }
+
+   const memo = new Map();
+   const inProgress = new Set();
+
+   function kinship(a, b) {
+      if (!a || !b) return 0;
+      if (a === b) return (1 + inbreeding(a)) / 2;
+
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (memo.has(key)) return memo.get(key);
+      if (inProgress.has(key)) return 0;
+      inProgress.add(key);
+
+      // expand the one that is not an ancestor of the other
+      let [x, y] = ancestorsOf(b).has(a) ? [b, a] : [a, b];
+      let p = parentsOf(x);
+      if (!p.dam && !p.sire && !ancestorsOf(x).has(y)) {
+         [x, y] = [y, x];
+         p = parentsOf(x);
+      }
+
+      const value = p.dam || p.sire ? (kinship(p.dam, y) + kinship(p.sire, y)) / 2 : 0;
+
+      inProgress.delete(key);
+      memo.set(key, value);
+      return value;
+   }
+
+   function inbreeding(x) {
+      const { dam, sire } = parentsOf(x);
+      return dam && sire ? kinship(dam, sire) : 0;
+   }
+
+   return { kinship, inbreeding, ancestorsOf };
+}
+
+function round4(v) {
+   return Math.round(v * 10000) / 10000;
+}
+
+function riskLevel(f) {
+   if (f >= INBREEDING_THRESHOLDS.high) return "high";
+   if (f >= INBREEDING_THRESHOLDS.moderate) return "moderate";
+   if (f > INBREEDING_THRESHOLDS.low) return "low";
+   return "none";
+}
+
+/**
+ * Closest family relationship between two queens (mother lines only: sisters share
+ * their mother, cousins their grandmother), null when none is found.
+ */
+function classifyRelationship(lineage, a, b) {
+   if (a === b) return "same_queen";
+
+   const motherOf = (id) => lineage.get(id)?.mother_queen_id || null;
+   const ma = motherOf(a);
+   const mb = motherOf(b);
+
+   if (ma === b || mb === a) return "mother_daughter";
+   if (ma && ma === mb) return "sisters";
+   if ((ma && motherOf(ma) === b) || (mb && motherOf(mb) === a)) return "grandmother_granddaughter";
+   if ((ma && motherOf(ma) && motherOf(ma) === mb) || (mb && motherOf(mb) && motherOf(mb) === ma)) {
+      return "aunt_niece";
+   }
+   if (ma && mb && motherOf(ma) && motherOf(ma) === motherOf(mb)) return "cousins";
+   return null;
+}
+
+// ----------------------------------------------------
+// Trees
+// ----------------------------------------------------
+
+/**
+ * N-generation ancestry / descendant tree of a queen.
+ * direction: ancestors | descendants | both
+ * → { queen, inbreeding_coefficient, ancestors?, descendants? }
+ */
+async function buildQueenTree(queenId, userId, { generations, direction = "both" } = {}) {
+   const gens = clampGenerations(generations);
+   const id = String(queenId);
+   const wantAncestors = direction !== "descendants";
+   const wantDescendants = direction !== "ancestors";
+
+   // F needs the ancestry further up than the displayed tree
+   const lineage = await loadAncestry([id], Math.max(gens, DEFAULT_GENERATIONS * 2));
+   const { inbreeding } = createKinship(lineage);
+
+   // descendants: walk down generation by generation
+   const children = new Map(); // queen_id → [{ queen_id, via }]
+   if (wantDescendants) {
+      let frontier = [id];
+      const seen = new Set([id]);
+      for (let gen = 1; gen <= gens && frontier.length; gen++) {
+         const { rows } = await pool.query(
+            `SELECT ${LINEAGE_COLUMNS}
+             FROM queen_lineage
+             WHERE mother_queen_id = ANY($1::text[]) OR drone_source_queen_id = ANY($1::text[])`,
+            [frontier]
+         );
+         const next = [];
+         for (const row of rows) {
+            const via = [];
+            if (frontier.includes(row.mother_queen_id)) via.push(["mother", row.mother_queen_id]);
+            if (frontier.includes(row.drone_source_queen_id)) {
+               via.push(["drone_source", row.drone_source_queen_id]);
+            }
+            for (const [role, parentId] of via) {
+               if (!children.has(parentId)) children.set(parentId, []);
+               children.get(parentId).push({ queen_id: row.queen_id, via: role });
+            }
+            if (!lineage.has(row.queen_id)) lineage.set(row.queen_id, row);
+            if (!seen.has(row.queen_id)) {
+               seen.add(row.queen_id);
+               next.push(row.queen_id);
+            }
+         }
+         frontier = next;
+      }
+   }
+
+   const allIds = new Set([id]);
+   for (const row of lineage.values()) {
+      allIds.add(row.queen_id);
+      if (row.mother_queen_id) allIds.add(row.mother_queen_id);
+      if (row.drone_source_queen_id) allIds.add(row.drone_source_queen_id);
+   }
+   const info = await loadQueenInfo([...allIds], userId);
+   const queenNode = (qid) => info.get(qid) || { queen_id: qid, missing: true };
+
+   function ancestorNode(qid, depth) {
+      const row = lineage.get(qid);
+      const node = { queen: queenNode(qid), inbreeding_coefficient: round4(inbreeding(qid)) };
+      if (!row || depth >= gens) return node;
+
+      node.mother = row.mother_queen_id
+         ? ancestorNode(row.mother_queen_id, depth + 1)
+         : row.mother_label
+           ? { label: row.mother_label }
+           : null;
+      node.drone_source = {
+         type: row.drone_source_type,
+         hive_id: row.drone_source_hive_id,
+         label: row.drone_source_label,
+         mating_date: row.mating_date,
+         queen: row.drone_source_queen_id ? ancestorNode(row.drone_source_queen_id, depth + 1) : null,
+      };
+      return node;
+   }
+
+   function descendantNodes(qid, depth, path) {
+      if (depth >= gens) return [];
+      return (children.get(qid) || [])
+         .filter((c) => !path.has(c.queen_id))
+         .map((c) => ({
+            queen: queenNode(c.queen_id),
+            via: c.via,
+            inbreeding_coefficient: round4(inbreeding(c.queen_id)),
+            descendants: descendantNodes(c.queen_id, depth + 1, new Set([...path, c.queen_id])),
+         }));
+   }
+
+   return {
+      queen: queenNode(id),
+      generations: gens,
+      inbreeding_coefficient: round4(inbreeding(id)),
+      ...(wantAncestors ? { ancestors: ancestorNode(id, 0) } : {}),
+      ...(wantDescendants ? { descendants: descendantNodes(id, 0, new Set([id])) } : {}),
+   };
+}
+
+// ----------------------------------------------------
+// Lineage of one queen
+// ----------------------------------------------------
+
+async function getLineage(queenId) {
+   const rows = await loadLineageRows([String(queenId)]);
+   const row = rows[0] || null;
+
+   const lineage = await loadAncestry([String(queenId)], DEFAULT_GENERATIONS * 2);
+   const { inbreeding } = createKinship(lineage);
+   return { lineage: row, inbreeding_coefficient: round4(inbreeding(String(queenId))) };
+}
+
+/**
+ * The alive queen heading a hive (drone source given as a colony).
+ */
+async function findHiveQueenId(hiveId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT queen_id::text AS queen_id
+       FROM queens
+       WHERE hive_id = $1 AND is_alive = true AND archived_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [hiveId]
+   );
+   return rows[0]?.queen_id || null;
+}
+
+/**
+ * Validate a lineage body for queenId (null: queen not created yet).
+ * Linked queens / hives must be readable by the user, and a parent cannot be one of
+ * the queen's own descendants.
+ * → { ok, lineage } | { ok: false, status, error }
+ */
+async function validateLineage(userId, input = {}, queenId = null) {
+   const motherId = idText(input.mother_queen_id);
+   let droneQueenId = idText(input.drone_source_queen_id);
+   const droneHiveRaw = input.drone_source_hive_id;
+
+   const mating = text(input.mating_date);
+   if (mating && !isCalendarDate(mating)) {
+      return fail(400, "mating_date must be YYYY-MM-DD");
+   }
+
+   for (const [field, value] of [
+      ["mother_queen_id", motherId],
+      ["drone_source_queen_id", droneQueenId],
+   ]) {
+      if (!value) continue;
+      if (queenId && value === String(queenId)) return fail(400, `${field} cannot be the queen itself`);
+      const access = await loadQueenAccess(value, userId, "read");
+      if (!access.ok) return fail(access.status, `${field}: ${access.error}`);
+   }
+
+   let droneHiveId = null;
+   if (droneHiveRaw !== undefined && droneHiveRaw !== null && droneHiveRaw !== "") {
+      const hive = await loadHiveAccess(droneHiveRaw, userId, "read");
+      if (!hive.ok) return fail(hive.status, `drone_source_hive_id: ${hive.error}`);
+      droneHiveId = hive.hive.hive_id;
+      if (!droneQueenId) {
+         droneQueenId = await findHiveQueenId(droneHiveId);
+         if (queenId && droneQueenId === String(queenId)) droneQueenId = null;
+      }
+   }
+
+   let droneType = input.drone_source_type ? String(input.drone_source_type).trim().toLowerCase() : null;
+   if (droneType && !DRONE_SOURCE_TYPES.includes(droneType)) {
+      return fail(400, `drone_source_type must be one of: ${DRONE_SOURCE_TYPES.join(", ")}`);
+   }
+   if (!droneType) droneType = droneQueenId ? "queen" : droneHiveId ? "colony" : "open";
+
+   // no cycles: the queen must not be an ancestor of her own parents
+   if (queenId && (motherId || droneQueenId)) {
+      const lineage = await loadAncestry([motherId, droneQueenId].filter(Boolean), MAX_GENERATIONS * 2);
+      const { ancestorsOf } = createKinship(lineage);
+      for (const parent of [motherId, droneQueenId].filter(Boolean)) {
+         if (ancestorsOf(parent).has(String(queenId))) {
+            return fail(409, "A queen cannot descend from one of her descendants");
+         }
+      }
+   }
+
+   return {
+      ok: true,
+      lineage: {
+         mother_queen_id: motherId,
+         mother_label: text(input.mother_label),
+         drone_source_type: droneType,
+         drone_source_queen_id: droneQueenId,
+         drone_source_hive_id: droneHiveId,
+         drone_source_label: text(input.drone_source_label),
+         mating_date: mating,
+         notes: text(input.notes),
+      },
+   };
+}
+
+function hasLineage(input = {}) {
+   return [
+      "mother_queen_id",
+      "mother_label",
+      "drone_source_type",
+      "drone_source_queen_id",
+      "drone_source_hive_id",
+      "drone_source_label",
+   ].some((k) => input[k] !== undefined && input[k] !== null && input[k] !== "");
+}
+
+/**
+ * Insert or replace the lineage of a queen (validated by validateLineage).
+ * lineage.mating_id: the mating record that wrote it (matingService); any other save clears it.
+ */
+async function saveLineage(queenId, lineage, userId, source = "manual", client = pool) {
+   const { rows } = await client.query(
+      `INSERT INTO queen_lineage (
+          queen_id, mother_queen_id, mother_label, drone_source_type, drone_source_queen_id,
+          drone_source_hive_id, drone_source_label, mating_date, source, mating_id, notes, created_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (queen_id) DO UPDATE SET
+          mother_queen_id = EXCLUDED.mother_queen_id,
+          mother_label = EXCLUDED.mother_label,
+          drone_source_type = EXCLUDED.drone_source_type,
+          drone_source_queen_id = EXCLUDED.drone_source_queen_id,
+          drone_source_hive_id = EXCLUDED.drone_source_hive_id,
+          drone_source_label = EXCLUDED.drone_source_label,
+          mating_date = EXCLUDED.mating_date,
+          source = EXCLUDED.source,
+          mating_id = EXCLUDED.mating_id,
+          notes = EXCLUDED.notes,
+          updated_at = now()
+       RETURNING ${LINEAGE_COLUMNS}`,
+      [
+         String(queenId),
+         lineage.mother_queen_id,
+         lineage.mother_label,
+         lineage.drone_source_type,
+         lineage.drone_source_queen_id,
+         lineage.drone_source_hive_id,
+         lineage.drone_source_label,
+         lineage.mating_date,
+         source,
+         lineage.mating_id ?? null,
+         lineage.notes,
+         userId,
+      ]
+   );
+   return rows[0];
+}
+
+/**
+ * Lineage of a queen raised from a grafted cell: mother = queen of the graft line's
+ * breeder colony (queen_breeders.queen_id), labels from the strain lines.
+ * → saved lineage row | null (cell unknown)
+ */
+async function linkQueenFromCell(queenId, cellLot, userId) {
+   if (!cellLot) return null;
+
+   const { rows } = await pool.query(
+      `SELECT b.queen_id AS breeder_queen_id, b.code AS breeder_code,
+              s.female_line, s.male_line, s.name AS strain_name
+       FROM queen_cells c
+       JOIN queen_graft_lines gl ON gl.id = c.line_id
+       LEFT JOIN queen_breeders b ON b.id = gl.breeder_id
+       LEFT JOIN queen_strains s ON s.id = gl.strain_id
+       WHERE c.full_lot_number = $1
+       LIMIT 1`,
+      [cellLot]
+   );
+   const cell = rows[0];
+   if (!cell) return null;
+
+   return saveLineage(
+      queenId,
+      {
+         mother_queen_id: cell.breeder_queen_id || null,
+         mother_label: cell.breeder_queen_id ? null : cell.female_line || cell.breeder_code || null,
+         drone_source_type: "open",
+         drone_source_queen_id: null,
+         drone_source_hive_id: null,
+         drone_source_label: cell.male_line || null,
+         mating_date: null,
+         notes: null,
+      },
+      userId,
+      "cell"
+   );
+}
+
+// ----------------------------------------------------
+// Planned matings
+// ----------------------------------------------------
+
+/**
+ * Inbreeding of the daughters of a planned mating (mother × drone-producing queen).
+ * → { ok, status, check: { inbreeding_coefficient, risk, relationship, shared_ancestors } }
+ */
+async function checkMating(userId, input = {}) {
+   const motherId = idText(input.mother_queen_id);
+   if (!motherId) return fail(400, "mother_queen_id is required");
+
+   const mother = await loadQueenAccess(motherId, userId, "read");
+   if (!mother.ok) return fail(mother.status, `mother_queen_id: ${mother.error}`);
+
+   let droneId = idText(input.drone_source_queen_id);
+   if (!droneId && input.drone_source_hive_id) {
+      const hive = await loadHiveAccess(input.drone_source_hive_id, userId, "read");
+      if (!hive.ok) return fail(hive.status, `drone_source_hive_id: ${hive.error}`);
+      droneId = await findHiveQueenId(hive.hive.hive_id);
+      if (!droneId) return fail(404, "No living queen is recorded for the drone source hive");
+   }
+   if (!droneId) return fail(400, "drone_source_queen_id or drone_source_hive_id is required");
+
+   const drone = await loadQueenAccess(droneId, userId, "read");
+   if (!drone.ok) return fail(drone.status, `drone_source_queen_id: ${drone.error}`);
+
+   const lineage = await loadAncestry([motherId, droneId], MAX_GENERATIONS);
+   const { kinship, ancestorsOf } = createKinship(lineage);
+
+   const f = kinship(motherId, droneId);
+   const motherSide = new Set([motherId, ...ancestorsOf(motherId)]);
+   const sharedIds = [droneId, ...ancestorsOf(droneId)].filter((a) => motherSide.has(a));
+   const info = await loadQueenInfo(sharedIds, userId);
+
+   return {
+      ok: true,
+      status: 200,
+      check: {
+         mother_queen_id: motherId,
+         drone_source_queen_id: droneId,
+         inbreeding_coefficient: round4(f),
+         risk: riskLevel(f),
+         relationship: classifyRelationship(lineage, motherId, droneId),
+         shared_ancestors: sharedIds.map((a) => info.get(a) || { queen_id: a, missing: true }),
+         thresholds: INBREEDING_THRESHOLDS,
+      },
+   };
+}
+
+// ----------------------------------------------------
+// Legacy lineage import
+// ----------------------------------------------------
+
+function splitCross(value) {
+   if (!value || typeof value !== "string") return [null, null];
+   const parts = value.split(/\s+x\s+/i).map((s) => s.trim());
+   return [parts[0] || null, parts[1] || null];
+}
+
+/**
+ * Build lineage rows for the user's queens that have none, from queen_pedigree,
+ * the QR "parents" string and the strain lines. Parents whose text matches one of the
+ * user's queen codes are linked, the others kept as labels.
+ * → { scanned, imported, linked, items }
+ */
+async function importLegacyLineage(userId, { dryRun = false } = {}) {
+   const { rows: queens } = await pool.query(
+      `SELECT q.queen_id::text AS queen_id, q.queen_code, q.parents, q.source_cell_lot,
+              s.female_line, s.male_line,
+              p.female_parent, p.male_parent
+       FROM queens q
+       LEFT JOIN queen_lineage l ON l.queen_id = q.queen_id::text
+       LEFT JOIN queen_strains s ON s.id::text = q.strain_id::text
+       LEFT JOIN LATERAL (
+          SELECT female_parent, male_parent
+          FROM queen_pedigree qp
+          WHERE qp.queen_id::text = q.queen_id::text
+          LIMIT 1
+       ) p ON true
+       WHERE q.owner_user_id = $1 AND l.queen_id IS NULL`,
+      [userId]
+   );
+
+   const { rows: codes } = await pool.query(
+      `SELECT queen_id::text AS queen_id, lower(trim(queen_code)) AS code
+       FROM queens WHERE owner_user_id = $1 AND queen_code IS NOT NULL`,
+      [userId]
+   );
+   const byCode = new Map(codes.map((c) => [c.code, c.queen_id]));
+   const resolve = (label, self) => {
+      const id = label ? byCode.get(label.trim().toLowerCase()) : null;
+      return id && id !== self ? id : null;
+   };
+
+   const items = [];
+   for (const q of queens) {
+      const [qrMother, qrDrone] = splitCross(typeof q.parents === "string" ? q.parents : null);
+      const motherLabel = text(q.female_parent) || qrMother || text(q.female_line);
+      const droneLabel = text(q.male_parent) || qrDrone || text(q.male_line);
+      if (!motherLabel && !droneLabel) continue;
+
+      const motherId = resolve(motherLabel, q.queen_id);
+      const droneId = resolve(droneLabel, q.queen_id);
+      items.push({
+         queen_id: q.queen_id,
+         queen_code: q.queen_code,
+         lineage: {
+            mother_queen_id: motherId,
+            mother_label: motherId ? null : motherLabel,
+            drone_source_type: droneId ? "queen" : "open",
+            drone_source_queen_id: droneId,
+            drone_source_hive_id: null,
+            drone_source_label: droneId ? null : droneLabel,
+            mating_date: null,
+            notes: null,
+         },
+      });
+   }
+
+   if (!dryRun) {
+      for (const item of items) await saveLineage(item.queen_id, item.lineage, userId, "legacy");
+   }
+
+   return {
+      scanned: queens.length,
+      imported: dryRun ? 0 : items.length,
+      linked: items.filter((i) => i.lineage.mother_queen_id || i.lineage.drone_source_queen_id).length,
+      items,
+   };
+}
+
+module.exports = {
+   DRONE_SOURCE_TYPES,
+   DEFAULT_GENERATIONS,
+   MAX_GENERATIONS,
+   INBREEDING_THRESHOLDS,
+   clampGenerations,
+   createKinship,
+   findHiveQueenId,
+   loadAncestry,
+   buildQueenTree,
+   getLineage,
+   validateLineage,
+   hasLineage,
+   saveLineage,
+   linkQueenFromCell,
+   checkMating,
+   importLegacyLineage,
+};
@@ -0,0 +1,447 @@
+// services/graftPlanner.js
+// Backward graft planner: from a number of laying queens wanted by a date, work back
+// through the queen settings offsets (computeGraftDerivedDates in reverse) to the latest
+// graft date, then size the graft with the historic success rates of the cell funnel
+// (services/queenCellLifecycle.js): strips to graft, accepted cells, mating nucs.
+// The mating window is checked against the forecast, or the same dates of previous
+// years in the weather archive when it is beyond the forecast horizon.
+const pool = require("../db");
+const { loadApiaryAccess } = require("./accessControl");
+const { parseLatLng, fetchWeather } = require("./weather.service");
+const { getApiaryWeatherHistory } = require("./weatherArchive");
+const { addDays } = require("./weatherProviders");
+const { FUNNEL_RATES, buildCellFunnel } = require("./queenCellLifecycle");
+const { loadStation } = require("./matingService");
+const { getOrCreateQueenSettings } = require("../utils/queenUtils");
+
+// used when there is not enough history (%, same scale as the funnel rates)
+const DEFAULT_RATES = { acceptance: 70, capping: 95, introduction: 95, emergence: 90, mating: 80, laying: 95 };
+
+// a strain / mating apiary needs this many cells behind its rates to be trusted
+const MIN_HISTORY_CELLS = 30;
+const MIN_HISTORY_NUCS = 10;
+
+// extra queens planned on top of the target (losses after laying, rejects at marking)
+const DEFAULT_SAFETY_MARGIN = 0.1;
+
+// virgins start mating flights ~5 days after emergence
+const VIRGIN_MATURATION_DAYS = 5;
+
+// mating flight day: warm, little wind, no rain
+const FLIGHT_MIN_TEMP_C = 20;
+const FLIGHT_MAX_WIND_KMH = 25;
+const FLIGHT_MAX_RAIN_MM = 1;
+// flight days wanted in the mating window
+const MIN_FLIGHT_DAYS = 3;
+// previous years read from the archive for windows beyond the forecast
+const REFERENCE_YEARS = 3;
+
+const MAX_TARGET_QUEENS = 5000;
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function todayStr() {
+   return new Date().toISOString().slice(0, 10);
+}
+
+// Date.parse rolls 2025-02-31 over to March; the round trip does not
+function isDate(s) {
+   if (typeof s !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+   const d = new Date(`${s}T00:00:00Z`);
+   return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+function isFlightDay(day) {
+   if (day.temp_max === null || day.temp_max === undefined) return null;
+   return (
+      Number(day.temp_max) >= FLIGHT_MIN_TEMP_C &&
+      Number(day.wind_speed_max ?? 0) <= FLIGHT_MAX_WIND_KMH &&
+      Number(day.precipitation_sum ?? 0) < FLIGHT_MAX_RAIN_MM
+   );
+}
+
+// ----------------------------------------------------
+// Input
+// ----------------------------------------------------
+
+/**
+ * body: { target_date, target_queens?, strain_id?, breeder_id?,
+ *         lines?: [{ strain_id, breeder_id?, queens }], mating_apiary_id? | station_id?,
+ *         safety_margin?, graft_date? }
+ * → { ok, input } | { ok: false, status, error }
+ */
+async function validatePlanInput(ownerId, userId, body = {}) {
+   if (!isDate(body.target_date)) return fail(400, "target_date (YYYY-MM-DD) is required");
+
+   let lines = body.lines;
+   if (lines === undefined) {
+      lines = [{ strain_id: body.strain_id, breeder_id: body.breeder_id, queens: body.target_queens }];
+   }
+   if (!Array.isArray(lines) || !lines.length || lines.length > 20) {
+      return fail(400, "lines must be a non-empty array (at most 20 lines)");
+   }
+
+   const parsed = [];
+   for (const [i, line] of lines.entries()) {
+      const queens = Number(line.queens);
+      if (!Number.isInteger(queens) || queens < 1 || queens > MAX_TARGET_QUEENS) {
+         return fail(400, `lines[${i}].queens must be an integer between 1 and ${MAX_TARGET_QUEENS}`);
+      }
+      if (!line.strain_id) return fail(400, `lines[${i}].strain_id is required`);
+
+      const { rows: strains } = await pool.query(
+         `SELECT id, name FROM queen_strains WHERE id::text = $1 AND owner_id = $2 AND archived_at IS NULL`,
+         [String(line.strain_id), ownerId]
+      );
+      if (!strains.length) return fail(404, `lines[${i}]: strain not found`);
+
+      let breeder = null;
+      if (line.breeder_id) {
+         const { rows } = await pool.query(
+            `SELECT id, code FROM queen_breeders WHERE id::text = $1 AND owner_id = $2`,
+            [String(line.breeder_id), ownerId]
+         );
+         if (!rows.length) return fail(404, `lines[${i}]: breeder not found`);
+         breeder = rows[0];
+      }
+
+      parsed.push({
+         strain_id: strains[0].id,
+         strain_name: strains[0].name,
+         breeder_id: breeder?.id ?? null,
+         breeder_code: breeder?.code ?? null,
+         queens,
+      });
+   }
+
+   const margin = body.safety_margin === undefined ? DEFAULT_SAFETY_MARGIN : Number(body.safety_margin);
+   if (!Number.isFinite(margin) || margin < 0 || margin > 2) {
+      return fail(400, "safety_margin must be between 0 and 2");
+   }
+
+   // where the virgins will mate: an apiary, or a mating station
+   let site = null;
+   if (body.mating_apiary_id) {
+      const access = await loadApiaryAccess(body.mating_apiary_id, userId, "read");
+      if (!access.ok) return fail(access.status, `mating_apiary_id: ${access.error}`);
+      site = { apiary: access.apiary, coords: parseLatLng(access.apiary.location), name: access.apiary.apiary_name };
+   } else if (body.station_id) {
+      const loaded = await loadStation(body.station_id, userId, "read");
+      if (!loaded.ok) return fail(loaded.status, `station_id: ${loaded.error}`);
+      const station = loaded.station;
+      let apiary = null;
+      if (station.apiary_id) {
+         const { rows } = await pool.query(`SELECT * FROM apiaries WHERE apiary_id = $1`, [station.apiary_id]);
+         apiary = rows[0] || null;
+      }
+      const coords =
+         station.latitude !== null && station.longitude !== null
+            ? { lat: Number(station.latitude), lng: Number(station.longitude) }
+            : parseLatLng(apiary?.location);
+      site = { apiary, station, coords, name: station.name };
+   }
+
+   if (body.graft_date !== undefined && !isDate(body.graft_date)) {
+      return fail(400, "graft_date must be YYYY-MM-DD");
+   }
+
+   return {
+      ok: true,
+      input: { targetDate: body.target_date, lines: parsed, margin, site, graftDate: body.graft_date || null },
+   };
+}
+
+// ----------------------------------------------------
+// Rates
+// ----------------------------------------------------
+
+// rates of a funnel group when it has enough history, per rate (null = no data)
+function groupRates(group, minCount, fromStage) {
+   if (!group || (group.counts?.[fromStage] || 0) < minCount) return {};
+   return Object.fromEntries(Object.entries(group.rates).filter(([, v]) => v !== null));
+}
+
+/**
+ * Success rates for one line: strain history → all lines history → defaults, with the
+ * post-introduction rates of the mating apiary when it has enough nucs behind them.
+ * → { rates: {rate: %}, sources: {rate: strain|overall|mating_apiary|default} }
+ */
+function ratesForLine(funnel, strainId, matingApiaryId) {
+   const apiaryGroup = funnel.per_mating_apiary.find((g) => g.mating_apiary_id === matingApiaryId);
+   const strainGroup = funnel.per_strain.find((g) => String(g.strain_id) === String(strainId));
+   const layers = [
+      ["mating_apiary", groupRates(apiaryGroup, MIN_HISTORY_NUCS, "introduced")],
+      ["strain", groupRates(strainGroup, MIN_HISTORY_CELLS, "grafted")],
+      ["overall", groupRates(funnel.overall, MIN_HISTORY_CELLS, "grafted")],
+      ["default", DEFAULT_RATES],
+   ];
+
+   const rates = {};
+   const sources = {};
+   for (const rate of FUNNEL_RATES) {
+      for (const [source, values] of layers) {
+         if (values[rate] !== undefined && values[rate] > 0) {
+            rates[rate] = values[rate];
+            sources[rate] = source;
+            break;
+         }
+      }
+   }
+   return { rates, sources };
+}
+
+/**
+ * Sizing of one line, working back from the queens wanted:
+ *   nucs = queens / (emergence · mating · laying)
+ *   accepted cells = nucs / (capping · introduction)
+ *   grafted cells = accepted / acceptance → strips
+ */
+function sizeLine(queens, margin, rates, cellsPerStrip) {
+   const p = (k) => rates[k] / 100;
+   const nucSuccess = p("emergence") * p("mating") * p("laying");
+   const cellToNuc = p("capping") * p("introduction");
+
+   const wanted = Math.ceil(queens * (1 + margin));
+   const nucs = Math.ceil(wanted / nucSuccess);
+   const acceptedCells = Math.ceil(nucs / cellToNuc);
+   const graftedCells = Math.ceil(acceptedCells / p("acceptance"));
+   const strips = Math.ceil(graftedCells / cellsPerStrip);
+
+   const planned = strips * cellsPerStrip;
+   return {
+      queens_with_margin: wanted,
+      cells_to_graft: planned,
+      num_strips: strips,
+      expected_accepted_cells: Math.floor(planned * p("acceptance")),
+      mating_nucs: nucs,
+      expected_laying_queens: Math.floor(planned * p("acceptance") * cellToNuc * nucSuccess),
+      yield_per_cell: Math.round(p("acceptance") * cellToNuc * nucSuccess * 1000) / 1000,
+   };
+}
+
+// ----------------------------------------------------
+// Mating weather
+// ----------------------------------------------------
+
+/**
+ * Flight days in the mating window at the mating site.
+ * Days inside the forecast → forecast; later days → share of the REFERENCE_YEARS
+ * previous years (archive) that were flight days on the same date.
+ * → { status: suitable | marginal | unsuitable | unknown, expected_flight_days, days, basis }
+ */
+async function assessMatingWeather(site, from, to) {
+   const result = {
+      from,
+      to,
+      location: site?.name || null,
+      criteria: {
+         min_temp_c: FLIGHT_MIN_TEMP_C,
+         max_wind_kmh: FLIGHT_MAX_WIND_KMH,
+         max_rain_mm: FLIGHT_MAX_RAIN_MM,
+         min_flight_days: MIN_FLIGHT_DAYS,
+      },
+   };
+   if (!site?.coords) return { ...result, status: "unknown", reason: "no_location", days: [] };
+
+   const forecastByDate = new Map();
+   if (to >= todayStr()) {
+      try {
+         const weather = await fetchWeather(site.coords.lat, site.coords.lng);
+         (weather?.daily?.time || []).forEach((date, i) => {
+            forecastByDate.set(date, {
+               temp_max: weather.daily.temperature_2m_max?.[i] ?? null,
+               wind_speed_max: weather.daily.wind_speed_10m_max?.[i] ?? null,
+               precipitation_sum: weather.daily.precipitation_sum?.[i] ?? null,
+            });
+         });
+      } catch (err) {
+         console.error("🔴 graft planner forecast failed:", site.name, err.message);
+      }
+   }
+
+   // same dates in previous years (the archive is kept per apiary)
+   const reference = new Map(); // MM-DD → [flight day?]
+   const needReference = [];
+   for (let d = from; d <= to; d = addDays(d, 1)) {
+      if (!forecastByDate.has(d)) needReference.push(d);
+   }
+   if (needReference.length && site.apiary) {
+      const year = Number(from.slice(0, 4));
+      for (let back = 1; back <= REFERENCE_YEARS; back++) {
+         const refFrom = `${year - back}${from.slice(4)}`;
+         const refTo = `${Number(to.slice(0, 4)) - back}${to.slice(4)}`;
+         if (!isDate(refFrom) || !isDate(refTo) || refTo >= todayStr()) continue;
+         const { days } = await getApiaryWeatherHistory(site.apiary, refFrom, refTo);
+         for (const day of days) {
+            const flight = isFlightDay(day);
+            if (flight === null) continue;
+            const key = day.date.slice(5);
+            if (!reference.has(key)) reference.set(key, []);
+            reference.get(key).push(flight);
+         }
+      }
+   }
+
+   const days = [];
+   let expected = 0;
+   let known = 0;
+   for (let d = from; d <= to; d = addDays(d, 1)) {
+      if (forecastByDate.has(d)) {
+         const flight = isFlightDay(forecastByDate.get(d));
+         if (flight !== null) {
+            expected += flight ? 1 : 0;
+            known++;
+         }
+         days.push({
+            date: d,
+            basis: "forecast",
+            flight_probability: flight === null ? null : flight ? 1 : 0,
+            ...forecastByDate.get(d),
+         });
+         continue;
+      }
+      const ref = reference.get(d.slice(5));
+      const probability = ref?.length ? ref.filter(Boolean).length / ref.length : null;
+      if (probability !== null) {
+         expected += probability;
+         known++;
+      }
+      days.push({
+         date: d,
+         basis: probability === null ? "unknown" : "reference",
+         flight_probability: probability === null ? null : Math.round(probability * 100) / 100,
+         reference_years: ref?.length || 0,
+      });
+   }
+
+   let status = "unknown";
+   if (known) {
+      status = expected >= MIN_FLIGHT_DAYS ? "suitable" : expected >= MIN_FLIGHT_DAYS / 2 ? "marginal" : "unsuitable";
+   }
+   return {
+      ...result,
+      status,
+      expected_flight_days: Math.round(expected * 10) / 10,
+      known_days: known,
+      days,
+   };
+}
+
+// ----------------------------------------------------
+// Plan
+// ----------------------------------------------------
+
+/**
+ * Backward plan for <body> (see validatePlanInput).
+ * → { ok, plan } | { ok: false, status, error }
+ */
+async function buildGraftPlan(ownerId, userId, body) {
+   const valid = await validatePlanInput(ownerId, userId, body);
+   if (!valid.ok) return valid;
+   const { targetDate, lines, margin, site, graftDate } = valid.input;
+
+   const settings = await getOrCreateQueenSettings(ownerId);
+   const layingOffset = Number(settings.laying_offset_days);
+   const latestGraftDate = addDays(targetDate, -layingOffset);
+   const today = todayStr();
+
+   const warnings = [];
+   if (graftDate && graftDate > latestGraftDate) {
+      return fail(409, `graft_date is after the latest graft date (${latestGraftDate}) for laying queens by ${targetDate}`);
+   }
+   const plannedGraft = graftDate || latestGraftDate;
+   const feasible = plannedGraft >= today;
+   if (!feasible) {
+      warnings.push({
+         code: "graft_date_passed",
+         message: `Latest graft date ${latestGraftDate} is past: queens grafted today lay from ${addDays(today, layingOffset)}`,
+      });
+   }
+
+   const emergence = addDays(plannedGraft, Number(settings.emergence_offset_days));
+   const laying = addDays(plannedGraft, layingOffset);
+   const matingWindow = { from: addDays(emergence, VIRGIN_MATURATION_DAYS), to: laying };
+
+   const funnel = await buildCellFunnel(ownerId);
+   const matingApiaryId = site?.apiary?.apiary_id ?? null;
+   const cellsPerStrip = Number(settings.cells_per_strip) || 1;
+
+   const plannedLines = lines.map((line) => {
+      const { rates, sources } = ratesForLine(funnel, line.strain_id, matingApiaryId);
+      if (Object.values(sources).includes("default")) {
+         warnings.push({
+            code: "default_rates",
+            message: `Not enough history for ${line.strain_name}: default rates used for ${Object.keys(sources)
+               .filter((k) => sources[k] === "default")
+               .join(", ")}`,
+         });
+      }
+      return { ...line, rates, rate_sources: sources, ...sizeLine(line.queens, margin, rates, cellsPerStrip) };
+   });
+
+   const weather = await assessMatingWeather(site, matingWindow.from, matingWindow.to);
+   if (weather.status === "unsuitable" || weather.status === "marginal") {
+      warnings.push({
+         code: `mating_weather_${weather.status}`,
+         message: `${weather.expected_flight_days} expected flight days between ${matingWindow.from} and ${matingWindow.to}`,
+      });
+   }
+
+   const sum = (k) => plannedLines.reduce((s, l) => s + l[k], 0);
+   return {
+      ok: true,
+      plan: {
+         target_date: targetDate,
+         target_queens: lines.reduce((s, l) => s + l.queens, 0),
+         safety_margin: margin,
+         feasible,
+         latest_graft_date: latestGraftDate,
+         dates: {
+            graft: plannedGraft,
+            g10: addDays(plannedGraft, Number(settings.g10_offset_days)),
+            emergence,
+            mating_window: matingWindow,
+            laying,
+         },
+         settings: {
+            cells_per_strip: cellsPerStrip,
+            g10_offset_days: settings.g10_offset_days,
+            emergence_offset_days: settings.emergence_offset_days,
+            laying_offset_days: settings.laying_offset_days,
+         },
+         lines: plannedLines,
+         totals: {
+            num_strips: sum("num_strips"),
+            cells_to_graft: sum("cells_to_graft"),
+            mating_nucs: sum("mating_nucs"),
+            expected_laying_queens: sum("expected_laying_queens"),
+         },
+         mating_site: site
+            ? { apiary_id: matingApiaryId, station_id: site.station?.station_id ?? null, name: site.name }
+            : null,
+         weather,
+         warnings,
+         // body of POST /queen/grafts
+         graft_session: {
+            graft_date: plannedGraft,
+            lines: plannedLines.map((l) => ({
+               strain_id: l.strain_id,
+               breeder_id: l.breeder_id,
+               num_strips: l.num_strips,
+            })),
+         },
+      },
+   };
+}
+
+module.exports = {
+   DEFAULT_RATES,
+   MIN_FLIGHT_DAYS,
+   isFlightDay,
+   sizeLine,
+   ratesForLine,
+   assessMatingWeather,
+   buildGraftPlan,
+};
@@ -0,0 +1,138 @@
+// services/harvestService.js
+const pool = require("../db");
+const { loadSuperAccess } = require("./accessControl");
+const { findActiveWithdrawals } = require("./treatmentService");
+
+/**
+ * Resolve a super userId can write on (by public_key preferred, else super_id)
+ * with its tare + hive/apiary snapshot.
+ */
+async function resolveSuperForHarvest({ userId, publicKey, superId }, client = pool) {
+   let ref;
+
+   if (publicKey && String(publicKey).trim()) {
+      ref = { publicKey: String(publicKey).trim() };
+   } else if (Number.isFinite(+superId) && superId !== null && superId !== "") {
+      ref = +superId;
+   } else {
+      return { ok: false, status: 400, error: "Provide public_key (preferred) or super_id" };
+   }
+
+   const access = await loadSuperAccess(ref, userId, "write", client);
+   if (!access.ok) {
+      return access.status === 404
+         ? { ok: false, status: 404, error: "Super not found for this user" }
+         : access;
+   }
+
+   return {
+      ok: true,
+      status: 200,
+      super: {
+         super_id: access.super.super_id,
+         weight_empty: access.super.weight_empty,
+         hive_id: access.apiaryId ? access.super.hive_id : null,
+         apiary_id: access.apiaryId,
+      },
+   };
+}
+
+/**
+ * Validate gross weight, resolve the super and insert the harvest
+ * (gross + empty + net + location + user_id + hive/apiary snapshot).
+ * harvestDate defaults to NOW() (manual weighing); stations pass their own timestamp.
+ * Harvests from a hive under a treatment withdrawal period are refused (409) unless
+ * overrideWithdrawal is set; the harvest is then flagged withdrawal_override.
+ */
+async function createHarvest(
+   { userId, publicKey, superId, grossWeight, location, harvestDate, overrideWithdrawal = false },
+   client = pool
+) {
+   // 1) Validate gross
+   const gross = Number(grossWeight);
+   if (!Number.isFinite(gross) || gross <= 0) {
+      return { ok: false, status: 400, error: "full_weight must be a positive number in kg" };
+   }
+
+   // 2) Resolve the super and get its tare + hive/apiary snapshot
+   const resolved = await resolveSuperForHarvest({ userId, publicKey, superId }, client);
+   if (!resolved.ok) return resolved;
+
+   const tare = Number(resolved.super.weight_empty);
+   if (!Number.isFinite(tare) || tare <= 0) {
+      return {
+         ok: false,
+         status: 400,
+         error:
+            "This super has no valid empty weight (tare). Set it via super type or manual before harvesting.",
+      };
+   }
+
+   // 3) Compute net = gross - tare
+   const net = +(gross - tare).toFixed(3);
+   if (net < 0) {
+      return {
+         ok: false,
+         status: 400,
+         error: "Computed net honey is negative. Check scale reading or empty weight.",
+         details: { full_weight_kg: gross, empty_weight_kg: tare, net_honey_kg: net },
+      };
+   }
+
+   // 4) Treatment withdrawal period on the hive
+   const withdrawals = await findActiveWithdrawals(
+      {
+         hiveId: resolved.super.hive_id,
+         apiaryId: resolved.super.apiary_id,
+         at: harvestDate || new Date(),
+      },
+      client
+   );
+
+   if (withdrawals.length && !overrideWithdrawal) {
+      return {
+         ok: false,
+         status: 409,
+         error: "Hive is under a treatment withdrawal period",
+         details: { withdrawals },
+      };
+   }
+
+   // 5) Insert harvest
+   const { rows } = await client.query(
+      `
+      INSERT INTO harvests (
+        super_id,
+        full_weight,
+        empty_weight_kg,
+        net_honey_kg,
+        location,
+        harvest_date,
+        user_id,
+        hive_id,
+        apiary_id,
+        withdrawal_override
+      ) VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamptz, NOW()), $7, $8, $9, $10)
+      RETURNING *;
+    `,
+      [
+         resolved.super.super_id,
+         gross,
+         tare,
+         net,
+         location || null,
+         harvestDate || null,
+         userId,
+         resolved.super.hive_id || null,
+         resolved.super.apiary_id || null,
+         withdrawals.length > 0,
+      ]
+   );
+
+   return { ok: true, status: 201, harvest: rows[0], super: resolved.super, withdrawals };
+}
+
+module.exports = {
+   resolveSuperForHarvest,
+   createHarvest,
+};
@@ -0,0 +1,376 @@
+// services/hiveMovementService.js
+// Hive movement log: every change of hives.apiary_id goes through moveHives() so the
+// site a hive was on at any date can be answered (harvest / inspection attribution,
+// migratory operations).
+const pool = require("../db");
+const { loadApiaryAccess, loadHiveAccess } = require("./accessControl");
+
+const MOVEMENT_REASONS = ["pollination", "honey_flow", "wintering", "quarantine", "merge", "sale", "other"];
+
+// hives moved in one request (one transport)
+const MAX_BATCH_HIVES = 200;
+
+// moves may be recorded a little ahead of the server clock (device time drift)
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function parseId(value) {
+   const n = Number(value);
+   return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * "YYYY-MM-DD" → end of that day (where the hive was on that date),
+ * ISO timestamp → that instant, empty → now. → Date | null (invalid)
+ */
+function parseInstant(value) {
+   if (value === undefined || value === null || value === "") return new Date();
+   const s = String(value).trim();
+   const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T23:59:59.999Z`) : new Date(s);
+   return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * SQL expression: apiary of hive <hiveExpr> at instant <atExpr>.
+ * Last movement at or before the instant → its destination; otherwise the first later
+ * movement → its origin; no movement logged → <fallbackExpr> (current apiary / snapshot).
+ */
+function apiaryAtSql(hiveExpr, atExpr, fallbackExpr) {
+   return `COALESCE(
+      (SELECT m.to_apiary_id FROM hive_movements m
+       WHERE m.hive_id = ${hiveExpr} AND m.moved_at <= ${atExpr}
+       ORDER BY m.moved_at DESC, m.movement_id DESC LIMIT 1),
+      (SELECT m.from_apiary_id FROM hive_movements m
+       WHERE m.hive_id = ${hiveExpr} AND m.moved_at > ${atExpr}
+       ORDER BY m.moved_at, m.movement_id LIMIT 1),
+      ${fallbackExpr}
+   )`;
+}
+
+const MOVEMENT_SELECT = `
+   SELECT m.movement_id,
+          m.hive_id,
+          h.hive_code,
+          m.from_apiary_id,
+          fa.apiary_name AS from_apiary_name,
+          m.to_apiary_id,
+          ta.apiary_name AS to_apiary_name,
+          m.moved_at,
+          m.reason,
+          m.batch_id,
+          b.transport_ref,
+          m.notes,
+          m.moved_by,
+          m.created_at
+   FROM hive_movements m
+   JOIN hives h ON h.hive_id = m.hive_id
+   LEFT JOIN apiaries fa ON fa.apiary_id = m.from_apiary_id
+   LEFT JOIN apiaries ta ON ta.apiary_id = m.to_apiary_id
+   LEFT JOIN hive_movement_batches b ON b.batch_id = m.batch_id`;
+
+function validateMove(input) {
+   const rawIds = Array.isArray(input.hive_ids) ? input.hive_ids : [];
+   const hiveIds = [...new Set(rawIds.map(parseId))];
+   if (!hiveIds.length) return fail(400, "hive_ids must be a non-empty array of hive ids");
+   if (hiveIds.includes(null)) return fail(400, "Invalid hive id in hive_ids");
+   if (hiveIds.length > MAX_BATCH_HIVES) {
+      return fail(400, `At most ${MAX_BATCH_HIVES} hives can be moved at once`);
+   }
+
+   if (!input.to_apiary_id) return fail(400, "to_apiary_id is required");
+
+   const movedAt = parseInstant(input.moved_at);
+   if (!movedAt) return fail(400, "moved_at must be a date (YYYY-MM-DD) or an ISO timestamp");
+   if (movedAt.getTime() > Date.now() + FUTURE_TOLERANCE_MS) {
+      return fail(400, "moved_at cannot be in the future");
+   }
+
+   const reason = input.reason ? String(input.reason).trim().toLowerCase() : "other";
+   if (!MOVEMENT_REASONS.includes(reason)) {
+      return fail(400, `reason must be one of: ${MOVEMENT_REASONS.join(", ")}`);
+   }
+
+   const text = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim());
+
+   return {
+      ok: true,
+      hiveIds,
+      toApiaryId: input.to_apiary_id,
+      movedAt,
+      reason,
+      transportRef: text(input.transport_ref),
+      notes: text(input.notes),
+   };
+}
+
+/**
+ * Move hives to another apiary and log each movement.
+ * input: { hive_ids, to_apiary_id, moved_at?, reason?, transport_ref?, notes? }
+ * Several hives (or a transport_ref) → one movement batch.
+ * Write access is required on every hive and on the destination apiary.
+ * hiveFields: other hives columns (already allow-listed by the caller) written in the
+ * same transaction, so an edit that also moves the hive is applied entirely or not at all.
+ * → { ok, status, batch, movements }
+ */
+async function moveHives(userId, input = {}, { hiveFields = {} } = {}) {
+   const v = validateMove(input);
+   if (!v.ok) return v;
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const target = await loadApiaryAccess(v.toApiaryId, userId, "write", client);
+      if (!target.ok) {
+         await client.query("ROLLBACK");
+         return target;
+      }
+      if (target.apiary.archived_at) {
+         await client.query("ROLLBACK");
+         return fail(409, "The destination apiary is archived");
+      }
+
+      // lock the hives so concurrent moves are logged in order
+      await client.query(`SELECT hive_id FROM hives WHERE hive_id = ANY($1::int[]) FOR UPDATE`, [
+         v.hiveIds,
+      ]);
+
+      const hives = [];
+      for (const hiveId of v.hiveIds) {
+         const owned = await loadHiveAccess(hiveId, userId, "write", client);
+         if (!owned.ok) {
+            await client.query("ROLLBACK");
+            return fail(owned.status, `${owned.error} (hive ${hiveId})`);
+         }
+         if (owned.hive.archived_at) {
+            await client.query("ROLLBACK");
+            return fail(409, `Hive ${owned.hive.hive_code || hiveId} is archived`);
+         }
+         if (owned.hive.apiary_id === target.apiaryId) {
+            await client.query("ROLLBACK");
+            return fail(409, `Hive ${owned.hive.hive_code || hiveId} is already in this apiary`);
+         }
+         hives.push(owned.hive);
+      }
+
+      // a backdated move must not land before an already logged one (the chain would break)
+      const { rows: later } = await client.query(
+         `SELECT m.hive_id, h.hive_code
+          FROM hive_movements m
+          JOIN hives h ON h.hive_id = m.hive_id
+          WHERE m.hive_id = ANY($1::int[]) AND m.moved_at > $2
+          LIMIT 1`,
+         [v.hiveIds, v.movedAt]
+      );
+      if (later.length) {
+         await client.query("ROLLBACK");
+         return fail(
+            409,
+            `Hive ${later[0].hive_code || later[0].hive_id} already has a movement after moved_at`
+         );
+      }
+
+      let batch = null;
+      if (hives.length > 1 || v.transportRef) {
+         const { rows } = await client.query(
+            `INSERT INTO hive_movement_batches (to_apiary_id, moved_at, reason, transport_ref, notes, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [target.apiaryId, v.movedAt, v.reason, v.transportRef, v.notes, userId]
+         );
+         batch = rows[0];
+      }
+
+      const movementIds = [];
+      for (const hive of hives) {
+         const { rows } = await client.query(
+            `INSERT INTO hive_movements (
+                hive_id, from_apiary_id, to_apiary_id, moved_at, reason, batch_id, notes, moved_by
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING movement_id`,
+            [
+               hive.hive_id,
+               hive.apiary_id,
+               target.apiaryId,
+               v.movedAt,
+               v.reason,
+               batch ? batch.batch_id : null,
+               v.notes,
+               userId,
+            ]
+         );
+         movementIds.push(rows[0].movement_id);
+      }
+
+      await client.query(`UPDATE hives SET apiary_id = $1 WHERE hive_id = ANY($2::int[])`, [
+         target.apiaryId,
+         v.hiveIds,
+      ]);
+
+      const columns = Object.keys(hiveFields);
+      if (columns.length) {
+         await client.query(
+            `UPDATE hives
+             SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(", ")}
+             WHERE hive_id = ANY($1::int[])`,
+            [v.hiveIds, ...columns.map((c) => hiveFields[c])]
+         );
+      }
+
+      await client.query("COMMIT");
+
+      const { rows: movements } = await pool.query(
+         `${MOVEMENT_SELECT} WHERE m.movement_id = ANY($1::int[]) ORDER BY m.movement_id`,
+         [movementIds]
+      );
+
+      return { ok: true, status: 201, batch, movements };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Movement history of a hive, oldest first.
+ */
+async function listHiveMovements(hiveId) {
+   const { rows } = await pool.query(
+      `${MOVEMENT_SELECT} WHERE m.hive_id = $1 ORDER BY m.moved_at, m.movement_id`,
+      [hiveId]
+   );
+   return rows;
+}
+
+/**
+ * Where a hive was at an instant.
+ * source: movement (after a logged move) | before_first_move (origin of the first
+ * later move) | current (no move logged around that date)
+ * → { hive_id, at, apiary_id, apiary_name, since, movement_id, source }
+ */
+async function getHiveLocationAt(hive, at) {
+   const { rows: before } = await pool.query(
+      `SELECT m.movement_id, m.to_apiary_id AS apiary_id, m.moved_at
+       FROM hive_movements m
+       WHERE m.hive_id = $1 AND m.moved_at <= $2
+       ORDER BY m.moved_at DESC, m.movement_id DESC
+       LIMIT 1`,
+      [hive.hive_id, at]
+   );
+
+   let location;
+   if (before[0]) {
+      location = { ...before[0], since: before[0].moved_at, source: "movement" };
+   } else {
+      const { rows: after } = await pool.query(
+         `SELECT m.from_apiary_id AS apiary_id
+          FROM hive_movements m
+          WHERE m.hive_id = $1 AND m.moved_at > $2
+          ORDER BY m.moved_at, m.movement_id
+          LIMIT 1`,
+         [hive.hive_id, at]
+      );
+      location = after[0]
+         ? { apiary_id: after[0].apiary_id, source: "before_first_move" }
+         : { apiary_id: hive.apiary_id, source: "current" };
+   }
+
+   let apiaryName = null;
+   if (location.apiary_id) {
+      const { rows } = await pool.query(`SELECT apiary_name FROM apiaries WHERE apiary_id = $1`, [
+         location.apiary_id,
+      ]);
+      apiaryName = rows[0]?.apiary_name ?? null;
+   }
+
+   return {
+      hive_id: hive.hive_id,
+      at: at.toISOString(),
+      apiary_id: location.apiary_id ?? null,
+      apiary_name: apiaryName,
+      since: location.since ?? null,
+      movement_id: location.movement_id ?? null,
+      source: location.source,
+   };
+}
+
+/**
+ * Hives that were on an apiary at an instant (hives created later are left out).
+ */
+async function listApiaryHivesAt(apiaryId, at) {
+   const { rows } = await pool.query(
+      `SELECT h.hive_id, h.hive_code, h.hive_type, h.hive_purpose, h.apiary_id AS current_apiary_id
+       FROM hives h
+       WHERE (h.apiary_id = $1
+              OR EXISTS (SELECT 1 FROM hive_movements m
+                         WHERE m.hive_id = h.hive_id
+                           AND (m.from_apiary_id = $1 OR m.to_apiary_id = $1)))
+         AND (h.created_at IS NULL OR h.created_at <= $2)
+         AND ${apiaryAtSql("h.hive_id", "$2::timestamptz", "h.apiary_id")} = $1
+       ORDER BY h.hive_code`,
+      [apiaryId, at]
+   );
+   return rows;
+}
+
+/**
+ * Movement batches touching the given apiaries (origin or destination), newest first.
+ */
+async function listMovementBatches(apiaryIds, { limit = 50, offset = 0 } = {}) {
+   const { rows } = await pool.query(
+      `SELECT b.*,
+              ta.apiary_name AS to_apiary_name,
+              COUNT(m.movement_id)::int AS hives_count,
+              ARRAY_AGG(DISTINCT m.from_apiary_id) FILTER (WHERE m.from_apiary_id IS NOT NULL)
+                 AS from_apiary_ids
+       FROM hive_movement_batches b
+       JOIN hive_movements m ON m.batch_id = b.batch_id
+       LEFT JOIN apiaries ta ON ta.apiary_id = b.to_apiary_id
+       WHERE b.batch_id IN (
+          SELECT batch_id FROM hive_movements
+          WHERE batch_id IS NOT NULL
+            AND (to_apiary_id = ANY($1::int[]) OR from_apiary_id = ANY($1::int[]))
+       )
+       GROUP BY b.batch_id, ta.apiary_name
+       ORDER BY b.moved_at DESC, b.batch_id DESC
+       LIMIT $2 OFFSET $3`,
+      [apiaryIds, limit, offset]
+   );
+   return rows;
+}
+
+/**
+ * One batch with its movements. → { ok, status, batch, movements }
+ */
+async function getMovementBatch(batchId) {
+   const id = parseId(batchId);
+   if (!id) return fail(400, "Invalid batch id");
+
+   const { rows } = await pool.query(`SELECT * FROM hive_movement_batches WHERE batch_id = $1`, [id]);
+   if (!rows[0]) return fail(404, "Movement batch not found");
+
+   const { rows: movements } = await pool.query(
+      `${MOVEMENT_SELECT} WHERE m.batch_id = $1 ORDER BY h.hive_code`,
+      [id]
+   );
+   return { ok: true, status: 200, batch: rows[0], movements };
+}
+
+module.exports = {
+   MOVEMENT_REASONS,
+   MAX_BATCH_HIVES,
+   parseInstant,
+   apiaryAtSql,
+   moveHives,
+   listHiveMovements,
+   getHiveLocationAt,
+   listApiaryHivesAt,
+   listMovementBatches,
+   getMovementBatch,
+};
@@ -0,0 +1,305 @@
+// services/inspectionAnalysisService.js
+// Stored BeeStats Coach analysis (inspection_analyses) + colony health timelines.
+// Rows are written on create / edit; the analysis keeps the rules meta it was scored with.
+const pool = require("../db");
+const { STATUS, analyzeInspection, analyzeInspections, loadRulesForHive } = require("./inspectionRules");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUSES = [STATUS.GREEN, STATUS.YELLOW, STATUS.RED];
+
+function dateOnly(value) {
+   if (!value) return null;
+   if (typeof value === "string") return value.slice(0, 10);
+   return new Date(value).toISOString().slice(0, 10);
+}
+
+function daysBetween(a, b) {
+   return Math.max(0, Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS));
+}
+
+/**
+ * Upsert the analysis of one inspection.
+ */
+async function saveInspectionAnalysis(inspection, analysis, client = pool) {
+   await client.query(
+      `INSERT INTO inspection_analyses (
+         inspection_id, hive_id, inspection_date, status, score, confidence,
+         reason_codes, action_codes, suggested_revisit_days, rules, analyzed_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now())
+       ON CONFLICT (inspection_id) DO UPDATE SET
+         hive_id = EXCLUDED.hive_id,
+         inspection_date = EXCLUDED.inspection_date,
+         status = EXCLUDED.status,
+         score = EXCLUDED.score,
+         confidence = EXCLUDED.confidence,
+         reason_codes = EXCLUDED.reason_codes,
+         action_codes = EXCLUDED.action_codes,
+         suggested_revisit_days = EXCLUDED.suggested_revisit_days,
+         rules = EXCLUDED.rules,
+         analyzed_at = now()`,
+      [
+         inspection.inspection_id,
+         inspection.hive_id,
+         dateOnly(inspection.inspection_date) || dateOnly(new Date()),
+         analysis.status,
+         analysis.score,
+         analysis.confidence,
+         analysis.reason_codes,
+         analysis.action_codes,
+         analysis.suggested_revisit_days ?? null,
+         JSON.stringify(analysis.rules || {}),
+      ]
+   );
+}
+
+/**
+ * Analyze with the hive's current rules and store. → analysis
+ */
+async function analyzeAndStore(inspection, client = pool) {
+   const analysis = analyzeInspection(inspection, await loadRulesForHive(inspection.hive_id, client));
+   await saveInspectionAnalysis(inspection, analysis, client);
+   return analysis;
+}
+
+/**
+ * Analyze + store a batch (backfill). → number of rows written
+ */
+async function storeAnalyses(inspections, client = pool) {
+   const analyses = await analyzeInspections(inspections, client);
+   for (let i = 0; i < inspections.length; i++) {
+      await saveInspectionAnalysis(inspections[i], analyses[i], client);
+   }
+   return inspections.length;
+}
+
+async function loadAnalysisRows(hiveIds, to, client = pool) {
+   const { rows } = await client.query(
+      `SELECT
+         ia.inspection_id,
+         ia.hive_id,
+         h.hive_code,
+         h.apiary_id,
+         to_char(ia.inspection_date, 'YYYY-MM-DD') AS inspection_date,
+         ia.status,
+         ia.score,
+         ia.confidence::float8 AS confidence,
+         ia.reason_codes,
+         ia.action_codes,
+         ia.rules
+       FROM inspection_analyses ia
+       JOIN hives h ON h.hive_id = ia.hive_id
+       WHERE ia.hive_id = ANY($1::int[])
+         AND ($2::date IS NULL OR ia.inspection_date <= $2)
+       ORDER BY ia.hive_id, ia.inspection_date, ia.inspection_id`,
+      [hiveIds, to]
+   );
+   return rows;
+}
+
+/**
+ * Status segments / transitions / time in state for one hive.
+ * rows: that hive's analyses, oldest first. Window = [from, until].
+ */
+function buildHiveTimeline(rows, { from = null, until }) {
+   const segments = [];
+   const transitions = [];
+   let prev = null;
+
+   for (const r of rows) {
+      if (!prev || prev.status !== r.status) {
+         if (segments.length) segments[segments.length - 1].to = r.inspection_date;
+
+         segments.push({
+            status: r.status,
+            from: r.inspection_date,
+            to: null, // still current
+            started_by: {
+               inspection_id: r.inspection_id,
+               score: r.score,
+               reason_codes: r.reason_codes,
+            },
+            inspections: 0,
+         });
+
+         const prevReasons = new Set(prev?.reason_codes || []);
+         const reasons = new Set(r.reason_codes || []);
+         transitions.push({
+            inspection_id: r.inspection_id,
+            date: r.inspection_date,
+            from_status: prev?.status ?? null,
+            to_status: r.status,
+            score: r.score,
+            score_delta: prev ? r.score - prev.score : null,
+            reasons_added: [...reasons].filter((c) => !prevReasons.has(c)),
+            reasons_removed: [...prevReasons].filter((c) => !reasons.has(c)),
+            rules: r.rules,
+         });
+      }
+      segments[segments.length - 1].inspections++;
+      prev = r;
+   }
+
+   // clip to the window
+   const time_in_state = { green: 0, yellow: 0, red: 0 };
+   const visible = [];
+   for (const s of segments) {
+      const start = from && s.from < from ? from : s.from;
+      const end = s.to && s.to < until ? s.to : until;
+      if (end < start || (s.to && from && s.to <= from)) continue;
+
+      const days = daysBetween(start, end);
+      if (time_in_state[s.status] !== undefined) time_in_state[s.status] += days;
+      visible.push({ ...s, days });
+   }
+
+   const last = rows[rows.length - 1] || null;
+   const current = last
+      ? {
+           status: last.status,
+           score: last.score,
+           since: segments[segments.length - 1].from,
+           last_inspection_date: last.inspection_date,
+        }
+      : null;
+
+   return {
+      current,
+      time_in_state,
+      segments: visible,
+      transitions: transitions.filter((t) => !from || t.date >= from),
+   };
+}
+
+/**
+ * Timelines for a set of hives. → [{ hive_id, hive_code, apiary_id, ...timeline }]
+ */
+async function getHiveTimelines(hives, { from = null, to = null } = {}, client = pool) {
+   const fromDate = dateOnly(from);
+   const toDate = dateOnly(to);
+   const until = toDate || dateOnly(new Date());
+
+   const rows = await loadAnalysisRows(
+      hives.map((h) => h.hive_id),
+      toDate,
+      client
+   );
+
+   const byHive = new Map(hives.map((h) => [h.hive_id, []]));
+   for (const r of rows) byHive.get(r.hive_id)?.push(r);
+
+   return hives.map((h) => ({
+      hive_id: h.hive_id,
+      hive_code: h.hive_code ?? null,
+      apiary_id: h.apiary_id ?? null,
+      ...buildHiveTimeline(byHive.get(h.hive_id), { from: fromDate, until }),
+   }));
+}
+
+/**
+ * Apiary view: per-hive timelines + hive-days per state + all transitions (latest first).
+ */
+async function getApiaryTimeline(apiaryId, { from = null, to = null } = {}, client = pool) {
+   const { rows: hives } = await client.query(
+      `SELECT hive_id, hive_code, apiary_id FROM hives WHERE apiary_id = $1 ORDER BY hive_code`,
+      [apiaryId]
+   );
+
+   const timelines = await getHiveTimelines(hives, { from, to }, client);
+
+   const time_in_state = { green: 0, yellow: 0, red: 0 };
+   const current = { green: 0, yellow: 0, red: 0, not_inspected: 0 };
+   const transitions = [];
+
+   for (const t of timelines) {
+      for (const st of STATUSES) time_in_state[st] += t.time_in_state[st];
+      if (t.current) current[t.current.status]++;
+      else current.not_inspected++;
+      for (const tr of t.transitions) transitions.push({ hive_id: t.hive_id, hive_code: t.hive_code, ...tr });
+   }
+
+   transitions.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : b.inspection_id - a.inspection_id));
+
+   return {
+      apiary_id: Number(apiaryId),
+      current,
+      time_in_state, // hive-days
+      transitions,
+      hives: timelines,
+   };
+}
+
+/**
+ * Inspections where a hive changed status (first analysis counts as a change from null).
+ * e.g. { toStatus: "red", from: "2025-06-01" } = hives that went red since June 1st.
+ */
+async function listStatusChanges({ hiveIds, toStatus = null, from = null, to = null }, client = pool) {
+   if (!hiveIds.length) return [];
+
+   const { rows } = await client.query(
+      `SELECT c.*, h.hive_code, h.apiary_id, a.apiary_name
+       FROM (
+          SELECT
+             ia.inspection_id,
+             ia.hive_id,
+             to_char(ia.inspection_date, 'YYYY-MM-DD') AS date,
+             LAG(ia.status) OVER w AS from_status,
+             ia.status AS to_status,
+             ia.score,
+             ia.score - LAG(ia.score) OVER w AS score_delta,
+             ia.reason_codes,
+             ia.inspection_date AS sort_date
+          FROM inspection_analyses ia
+          WHERE ia.hive_id = ANY($1::int[])
+          WINDOW w AS (PARTITION BY ia.hive_id ORDER BY ia.inspection_date, ia.inspection_id)
+       ) c
+       JOIN hives h ON h.hive_id = c.hive_id
+       LEFT JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE c.from_status IS DISTINCT FROM c.to_status
+         AND ($2::text IS NULL OR c.to_status = $2)
+         AND ($3::date IS NULL OR c.sort_date >= $3)
+         AND ($4::date IS NULL OR c.sort_date <= $4)
+       ORDER BY c.sort_date DESC, c.inspection_id DESC`,
+      [hiveIds, toStatus, dateOnly(from), dateOnly(to)]
+   );
+
+   return rows.map(({ sort_date, ...r }) => r);
+}
+
+/**
+ * Latest stored status per hive → { green, yellow, red, not_inspected }
+ */
+async function countLatestStatuses(hiveIds, client = pool) {
+   const counts = { green: 0, yellow: 0, red: 0, not_inspected: hiveIds.length };
+   if (!hiveIds.length) return counts;
+
+   const { rows } = await client.query(
+      `SELECT status, COUNT(*)::int AS n
+       FROM (
+          SELECT DISTINCT ON (hive_id) hive_id, status
+          FROM inspection_analyses
+          WHERE hive_id = ANY($1::int[])
+          ORDER BY hive_id, inspection_date DESC, inspection_id DESC
+       ) latest
+       GROUP BY status`,
+      [hiveIds]
+   );
+
+   for (const r of rows) {
+      if (counts[r.status] === undefined) continue;
+      counts[r.status] = r.n;
+      counts.not_inspected -= r.n;
+   }
+   return counts;
+}
+
+module.exports = {
+   saveInspectionAnalysis,
+   analyzeAndStore,
+   storeAnalyses,
+   buildHiveTimeline,
+   getHiveTimelines,
+   getApiaryTimeline,
+   listStatusChanges,
+   countLatestStatuses,
+};
@@ -0,0 +1,576 @@
+// services/inspectionRules.js
+// BeeStats Coach (Rules Engine), versioned and parameterized.
+//
+// Effective params for a hive = DEFAULT_PARAMS
+//   ← built-in preset for its hive_type (e.g. nucs)
+//   ← the apiary owner's default profile
+//   ← the apiary owner's profile for that hive_type
+// Profiles are stored as immutable versions (inspection_rule_profiles); every
+// analysis carries `rules` = { engine_version, hive_type, profiles: [{ profile_id, version }] }
+// so a historic score can be explained and reproduced.
+const pool = require("../db");
+
+// Bump when the logic below changes (not when params change)
+const ENGINE_VERSION = "2025.2";
+
+// Enumerations (codes only)
+const STATUS = {
+   GREEN: "green",
+   YELLOW: "yellow",
+   RED: "red",
+};
+
+// -------- Helpers --------
+const uniq = (arr) => [...new Set(arr)];
+const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+function safeNum(v) {
+   const n = Number(v);
+   return Number.isFinite(n) ? n : null;
+}
+
+function normalizeFood(food_storage) {
+   if (!food_storage) return null;
+   const v = String(food_storage).toLowerCase();
+   if (["weak", "poor", "low", "faible", "pauvre"].includes(v)) return "low";
+   if (["good", "ok", "medium", "correct", "moyen"].includes(v)) return "ok";
+   if (["excellent", "high", "strong", "fort"].includes(v)) return "high";
+   return "ok";
+}
+
+function normalizeBroodQuality(brood_quality) {
+   if (!brood_quality) return null;
+   const v = String(brood_quality).toLowerCase();
+   if (["poor", "weak", "bad", "faible", "mauvais"].includes(v)) return "low";
+   if (["good", "ok", "medium", "correct", "moyen"].includes(v)) return "ok";
+   if (["excellent", "great", "high", "fort"].includes(v)) return "high";
+   return "ok";
+}
+
+function normalizeVarroa(varroa_level) {
+   if (!varroa_level) return null;
+   const v = String(varroa_level).toLowerCase();
+   const allowed = new Set(["not_checked", "low", "medium", "high"]);
+   return allowed.has(v) ? v : null;
+}
+
+// ----------------------------
+// Scoring / Confidence Model
+// ----------------------------
+const DEFAULT_PENALTIES = {
+   // Critical
+   SICKNESS_SIGNS_REPORTED: 60,
+   QUEEN_SUSPECT_NO_EGGS_NO_LARVAE: 55,
+   SWARM_RISK_HIGH: 50,
+   VARROA_HIGH: 45,
+
+   // Medium
+   QUEEN_SUSPECT_LARVAE_NO_EGGS: 25,
+   QUEEN_CELLS_PRESENT_MONITOR: 20,
+   VARROA_MEDIUM: 20,
+   FOOD_LOW: 20,
+   COLONY_WEAK: 15,
+   BROOD_QUALITY_LOW: 15,
+   BROOD_SMALL_BUT_EGGS_PRESENT: 10,
+
+   // Positive/neutral (no penalty)
+   VARROA_LOW: 0,
+   FOOD_OK: 0,
+   BROOD_QUALITY_OK: 0,
+   INSPECTION_STABLE: 0,
+
+   // Missing data (tiny penalty)
+   DATA_MISSING_FRAME_COUNT: 5,
+   DATA_MISSING_BEE_FRAMES: 5,
+   DATA_MISSING_BROOD_FRAMES: 5,
+   DATA_MISSING_LARVAE: 5,
+   DATA_MISSING_VARROA: 5,
+};
+
+// Missing-data reasons used to compute confidence
+const MISSING_DATA_REASONS = new Set([
+   "DATA_MISSING_FRAME_COUNT",
+   "DATA_MISSING_BEE_FRAMES",
+   "DATA_MISSING_BROOD_FRAMES",
+   "DATA_MISSING_LARVAE",
+   "DATA_MISSING_VARROA",
+]);
+
+function computeScore(status, reason_codes, penalties = DEFAULT_PENALTIES) {
+   let score = 100;
+   for (const r of reason_codes || []) {
+      score -= penalties[r] ?? 0;
+   }
+   score = clamp(score, 0, 100);
+
+   // enforce bands by status (UI-friendly)
+   if (status === STATUS.RED) score = Math.min(score, 49);
+   if (status === STATUS.YELLOW) score = Math.min(score, 79);
+   if (status === STATUS.GREEN) score = Math.max(score, 80);
+
+   return score;
+}
+
+function computeConfidence(reason_codes) {
+   // Start high, subtract a bit per missing critical metric
+   let c = 1.0;
+   const missing = (reason_codes || []).filter((r) => MISSING_DATA_REASONS.has(r)).length;
+   c -= missing * 0.12;
+   return clamp(Number(c.toFixed(2)), 0.35, 1.0);
+}
+
+// ----------------------------
+// Smart chips generator (codes only)
+// ----------------------------
+function buildSmartChips(analysis) {
+   // Return small UI-ready chips as codes (no language here)
+   const chips = [];
+
+   if (analysis.status === STATUS.GREEN) chips.push("CHIP_STABLE");
+   if (analysis.status === STATUS.YELLOW) chips.push("CHIP_NEEDS_ATTENTION");
+   if (analysis.status === STATUS.RED) chips.push("CHIP_URGENT");
+
+   // pick up to 3 strong reasons to display
+   const priority = [
+      "SICKNESS_SIGNS_REPORTED",
+      "QUEEN_SUSPECT_NO_EGGS_NO_LARVAE",
+      "SWARM_RISK_HIGH",
+      "VARROA_HIGH",
+      "FOOD_LOW",
+      "QUEEN_SUSPECT_LARVAE_NO_EGGS",
+      "VARROA_MEDIUM",
+      "COLONY_WEAK",
+      "BROOD_QUALITY_LOW",
+      "BROOD_SMALL_BUT_EGGS_PRESENT",
+      "VARROA_NOT_CHECKED",
+   ];
+
+   for (const p of priority) {
+      if (analysis.reason_codes.includes(p)) chips.push(`CHIP_${p}`);
+      if (chips.length >= 5) break;
+   }
+
+   return uniq(chips);
+}
+
+// ----------------------------
+// Params (thresholds) + presets
+// ----------------------------
+const DEFAULT_PARAMS = {
+   // swarm risk: strong colony (either test) + heavy brood (either test)
+   strong_min_bee_frames: 7,
+   strong_min_bee_ratio: 0.7,
+   heavy_brood_min_frames: 4,
+   heavy_brood_min_ratio: 0.35,
+   // secondary hints (GREEN → YELLOW)
+   weak_max_bee_ratio: 0.4,
+   small_brood_max_ratio: 0.2,
+   default_revisit_days: 7,
+   penalties: DEFAULT_PENALTIES,
+};
+
+// Built-in presets by normalized hive_type name (Dadant / Langstroth 10 frames use the defaults)
+const HIVE_TYPE_PRESETS = {
+   nuc: { strong_min_bee_frames: 4, heavy_brood_min_frames: 2 },
+   ruchette: { strong_min_bee_frames: 4, heavy_brood_min_frames: 2 },
+   mini_plus: { strong_min_bee_frames: 3, heavy_brood_min_frames: 2 },
+};
+
+const NUMERIC_PARAMS = {
+   strong_min_bee_frames: [0, 30],
+   strong_min_bee_ratio: [0, 1],
+   heavy_brood_min_frames: [0, 30],
+   heavy_brood_min_ratio: [0, 1],
+   weak_max_bee_ratio: [0, 1],
+   small_brood_max_ratio: [0, 1],
+   default_revisit_days: [1, 60],
+};
+
+function normalizeHiveType(name) {
+   if (!name) return null;
+   return String(name).trim().toLowerCase().replace(/[\s-]+/g, "_") || null;
+}
+
+/**
+ * Validate a (partial) params object from a client.
+ * → { ok: true, params } | { ok: false, status: 400, error }
+ */
+function validateParams(input) {
+   if (!input || typeof input !== "object" || Array.isArray(input)) {
+      return { ok: false, status: 400, error: "params must be an object" };
+   }
+
+   const params = {};
+   for (const [key, value] of Object.entries(input)) {
+      if (key === "penalties") {
+         if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return { ok: false, status: 400, error: "penalties must be an object" };
+         }
+         params.penalties = {};
+         for (const [code, p] of Object.entries(value)) {
+            if (!(code in DEFAULT_PENALTIES)) {
+               return { ok: false, status: 400, error: `Unknown penalty code: ${code}` };
+            }
+            const n = Number(p);
+            if (!Number.isFinite(n) || n < 0 || n > 100) {
+               return { ok: false, status: 400, error: `penalties.${code} must be between 0 and 100` };
+            }
+            params.penalties[code] = n;
+         }
+         continue;
+      }
+
+      const range = NUMERIC_PARAMS[key];
+      if (!range) return { ok: false, status: 400, error: `Unknown rule parameter: ${key}` };
+
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < range[0] || n > range[1]) {
+         return { ok: false, status: 400, error: `${key} must be between ${range[0]} and ${range[1]}` };
+      }
+      params[key] = n;
+   }
+
+   return { ok: true, params };
+}
+
+function mergeParams(base, override) {
+   if (!override) return base;
+   return {
+      ...base,
+      ...override,
+      penalties: { ...base.penalties, ...(override.penalties || {}) },
+   };
+}
+
+/**
+ * Build the rules object used by analyzeInspection.
+ * profiles: stored profile rows, least specific first ({ profile_id, version, params })
+ */
+function buildRules({ hiveType = null, profiles = [], overrideParams = null } = {}) {
+   const typeKey = normalizeHiveType(hiveType);
+
+   let params = mergeParams(DEFAULT_PARAMS, HIVE_TYPE_PRESETS[typeKey]);
+   for (const p of profiles) params = mergeParams(params, p.params);
+   if (overrideParams) params = mergeParams(params, overrideParams);
+
+   return {
+      params,
+      meta: {
+         engine_version: ENGINE_VERSION,
+         hive_type: typeKey,
+         preset: HIVE_TYPE_PRESETS[typeKey] ? typeKey : null,
+         profiles: profiles.map((p) => ({ profile_id: p.profile_id, version: p.version })),
+         ...(overrideParams ? { preview: true } : {}),
+      },
+   };
+}
+
+const DEFAULT_RULES = buildRules();
+
+// ----------------------------
+// Main analysis function
+// ----------------------------
+function analyzeInspection(insp, rules = DEFAULT_RULES) {
+   const P = rules.params;
+
+   const {
+      queen_seen,
+      eggs_seen,
+      larvae_present,
+      queen_cell_present,
+      brood_quality,
+      food_storage,
+      sickness_signs,
+      frame_count,
+      bee_frames,
+      brood_frames,
+      varroa_level,
+   } = insp;
+
+   const fc = safeNum(frame_count);
+   const bf = safeNum(bee_frames);
+   const brf = safeNum(brood_frames);
+
+   const beeRatio = fc && bf != null ? bf / fc : null;
+   const broodRatio = fc && brf != null ? brf / fc : null;
+
+   const food = normalizeFood(food_storage);
+   const broodQ = normalizeBroodQuality(brood_quality);
+   const varroa = normalizeVarroa(varroa_level);
+
+   const reason_codes = [];
+   const action_codes = [];
+
+   let status = STATUS.GREEN;
+   let suggested_revisit_days = P.default_revisit_days;
+
+   // ---------- Missing data (affects confidence, not always status) ----------
+   if (fc === null) reason_codes.push("DATA_MISSING_FRAME_COUNT");
+   if (bf === null) reason_codes.push("DATA_MISSING_BEE_FRAMES");
+   if (brf === null) reason_codes.push("DATA_MISSING_BROOD_FRAMES");
+   if (larvae_present === null || larvae_present === undefined)
+      reason_codes.push("DATA_MISSING_LARVAE");
+   if (varroa === null || varroa === undefined) reason_codes.push("DATA_MISSING_VARROA");
+
+   // ---------- Priority 1: sickness ----------
+   if (sickness_signs === true) {
+      status = STATUS.RED;
+      reason_codes.push("SICKNESS_SIGNS_REPORTED");
+      action_codes.push("ACTION_TAKE_PHOTOS_AND_CONFIRM");
+      action_codes.push("ACTION_AVOID_TOOL_FRAME_TRANSFER");
+      action_codes.push("ACTION_CONTACT_ASSOCIATION_LAB");
+      suggested_revisit_days = Math.min(suggested_revisit_days, 2);
+   }
+
+   // ---------- Priority 2: queen / brood continuity ----------
+   if (status !== STATUS.RED) {
+      const noEggs = eggs_seen === false;
+      const noLarvae = larvae_present === false;
+
+      // Eggs + larvae missing is strong warning (queen issue or just too early)
+      if (noEggs && noLarvae) {
+         status = STATUS.RED;
+         reason_codes.push("QUEEN_SUSPECT_NO_EGGS_NO_LARVAE");
+         action_codes.push("ACTION_RECHECK_IN_3_4_DAYS");
+         action_codes.push("ACTION_TEST_WITH_BROOD_FRAME_OR_PREPARE_QUEEN");
+         action_codes.push("ACTION_AVOID_EXPANSION_UNTIL_STABLE");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 3);
+      } else if (noEggs && larvae_present === true) {
+         status = STATUS.YELLOW;
+         reason_codes.push("QUEEN_SUSPECT_LARVAE_NO_EGGS");
+         action_codes.push("ACTION_RECHECK_IN_5_6_DAYS");
+         action_codes.push("ACTION_MONITOR_QUEEN_PERFORMANCE");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 5);
+      }
+   }
+
+   // ---------- Priority 3: swarm / supersedure risk ----------
+   if (status !== STATUS.RED && queen_cell_present === true) {
+      const strongByFrames = bf != null ? bf >= P.strong_min_bee_frames : false;
+      const strongByRatio = beeRatio != null ? beeRatio >= P.strong_min_bee_ratio : false;
+      const strong = strongByFrames || strongByRatio;
+
+      const heavyBrood =
+         brf != null
+            ? brf >= P.heavy_brood_min_frames
+            : broodRatio != null
+              ? broodRatio >= P.heavy_brood_min_ratio
+              : false;
+
+      if (strong && heavyBrood) {
+         status = STATUS.RED;
+         reason_codes.push("SWARM_RISK_HIGH");
+         action_codes.push("ACTION_ADD_SPACE_OR_SPLIT");
+         action_codes.push("ACTION_RECHECK_QUEEN_CELLS_SOON");
+         action_codes.push("ACTION_IMPROVE_VENTILATION");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 3);
+      } else {
+         status = STATUS.YELLOW;
+         reason_codes.push("QUEEN_CELLS_PRESENT_MONITOR");
+         // Use existing action codes (avoid unknown keys)
+         action_codes.push("ACTION_RECHECK_QUEEN_CELLS_SOON");
+         action_codes.push("ACTION_ADD_SPACE_OR_SPLIT");
+         action_codes.push("ACTION_FEED_APPROPRIATELY_SEASON");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 5);
+      }
+   }
+
+   // ---------- Priority 4: varroa ----------
+   if (varroa === "high") {
+      status = STATUS.RED;
+      reason_codes.push("VARROA_HIGH");
+      action_codes.push("ACTION_PLAN_VARROA_TREATMENT");
+      action_codes.push("ACTION_RECHECK_VARROA_AFTER_TREATMENT");
+      suggested_revisit_days = Math.min(suggested_revisit_days, 3);
+   } else if (status === STATUS.GREEN && varroa === "medium") {
+      status = STATUS.YELLOW;
+      reason_codes.push("VARROA_MEDIUM");
+      action_codes.push("ACTION_MONITOR_VARROA_AND_PLAN_WINDOW");
+      suggested_revisit_days = Math.min(suggested_revisit_days, 7);
+   } else if (varroa === "low") {
+      reason_codes.push("VARROA_LOW");
+   } else if (varroa === "not_checked") {
+      reason_codes.push("VARROA_NOT_CHECKED");
+      action_codes.push("ACTION_CHECK_VARROA_NEXT_VISIT");
+   }
+
+   // ---------- Priority 5: food ----------
+   if (food === "low") {
+      if (status === STATUS.GREEN) status = STATUS.YELLOW;
+      reason_codes.push("FOOD_LOW");
+      action_codes.push("ACTION_FEED_APPROPRIATELY_SEASON");
+      action_codes.push("ACTION_AVOID_EXPANSION_UNTIL_FOOD_OK");
+      suggested_revisit_days = Math.min(suggested_revisit_days, 5);
+   } else if (food === "high" || food === "ok") {
+      reason_codes.push("FOOD_OK");
+   }
+
+   // ---------- Secondary: strength / brood pattern hints ----------
+   if (status === STATUS.GREEN) {
+      if (beeRatio != null && beeRatio < P.weak_max_bee_ratio) {
+         status = STATUS.YELLOW;
+         reason_codes.push("COLONY_WEAK");
+         action_codes.push("ACTION_AVOID_EXPANSION_SUPPORT_GROWTH");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 7);
+      }
+
+      if (broodRatio != null && broodRatio < P.small_brood_max_ratio && eggs_seen === true) {
+         status = STATUS.YELLOW;
+         reason_codes.push("BROOD_SMALL_BUT_EGGS_PRESENT");
+         action_codes.push("ACTION_MONITOR_BROOD_AND_NUTRITION");
+         suggested_revisit_days = Math.min(suggested_revisit_days, 7);
+      }
+   }
+
+   // Brood quality context
+   if (broodQ === "low") {
+      if (status === STATUS.GREEN) status = STATUS.YELLOW;
+      reason_codes.push("BROOD_QUALITY_LOW");
+      action_codes.push("ACTION_CHECK_QUEEN_AND_VARROA");
+      suggested_revisit_days = Math.min(suggested_revisit_days, 6);
+   } else if (broodQ === "high" || broodQ === "ok") {
+      reason_codes.push("BROOD_QUALITY_OK");
+   }
+
+   if (reason_codes.length === 0) reason_codes.push("INSPECTION_STABLE");
+
+   if (action_codes.length === 0) {
+      action_codes.push("ACTION_CONTINUE_WEEKLY_INSPECTIONS");
+      action_codes.push("ACTION_KEEP_NOTES_CONSISTENT");
+   }
+
+   const reasonU = uniq(reason_codes);
+   const actionU = uniq(action_codes);
+
+   const score = computeScore(status, reasonU, P.penalties);
+   const confidence = computeConfidence(reasonU);
+
+   const analysis = {
+      status, // green | yellow | red
+      score, // 0..100
+      confidence, // 0.35..1
+      reason_codes: reasonU,
+      action_codes: actionU,
+      metrics: {
+         bee_ratio: beeRatio,
+         brood_ratio: broodRatio,
+         frame_count: fc,
+         bee_frames: bf,
+         brood_frames: brf,
+      },
+      suggested_revisit_days,
+      rules: rules.meta,
+   };
+
+   return {
+      ...analysis,
+      chips: buildSmartChips(analysis), // UI helper
+      smart_summary: {
+         // codes only - UI translates
+         top_reasons: reasonU.slice(0, 3),
+         top_actions: actionU.slice(0, 3),
+      },
+   };
+}
+
+// ----------------------------
+// Stored profiles (per apiary owner, per hive type)
+// ----------------------------
+
+/**
+ * Latest profile version of each (owner, hive_type); hive_type '' = all types.
+ * → Map owner_user_id → Map hive_type → row
+ */
+async function loadActiveProfiles(ownerIds, client = pool) {
+   const byOwner = new Map();
+   const ids = [...new Set(ownerIds.filter(Boolean))];
+   if (!ids.length) return byOwner;
+
+   const { rows } = await client.query(
+      `SELECT DISTINCT ON (owner_user_id, hive_type)
+         profile_id, owner_user_id, hive_type, version, params, created_at
+       FROM inspection_rule_profiles
+       WHERE owner_user_id = ANY($1::uuid[])
+       ORDER BY owner_user_id, hive_type, version DESC`,
+      [ids]
+   );
+
+   for (const row of rows) {
+      if (!byOwner.has(row.owner_user_id)) byOwner.set(row.owner_user_id, new Map());
+      byOwner.get(row.owner_user_id).set(row.hive_type, row);
+   }
+   return byOwner;
+}
+
+function profilesFor(byOwner, ownerId, hiveType) {
+   const owned = byOwner.get(ownerId);
+   if (!owned) return [];
+   const typeKey = normalizeHiveType(hiveType);
+   return [owned.get(""), typeKey ? owned.get(typeKey) : null].filter(Boolean);
+}
+
+/**
+ * Rules for each hive (the apiary owner's profiles apply to every member).
+ * → Map hive_id → rules
+ */
+async function loadRulesForHives(hiveIds, client = pool) {
+   const out = new Map();
+   const ids = [...new Set(hiveIds.map(Number).filter(Number.isInteger))];
+   if (!ids.length) return out;
+
+   const { rows: hives } = await client.query(
+      `SELECT h.hive_id, h.hive_type, a.owner_user_id
+       FROM hives h
+       JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE h.hive_id = ANY($1::int[])`,
+      [ids]
+   );
+
+   const byOwner = await loadActiveProfiles(hives.map((h) => h.owner_user_id), client);
+
+   for (const h of hives) {
+      out.set(
+         h.hive_id,
+         buildRules({
+            hiveType: h.hive_type,
+            profiles: profilesFor(byOwner, h.owner_user_id, h.hive_type),
+         })
+      );
+   }
+   return out;
+}
+
+async function loadRulesForHive(hiveId, client = pool) {
+   const map = await loadRulesForHives([hiveId], client);
+   return map.get(Number(hiveId)) || DEFAULT_RULES;
+}
+
+/**
+ * Analyze a list of inspections, resolving rules once per hive.
+ */
+async function analyzeInspections(inspections, client = pool) {
+   const rulesByHive = await loadRulesForHives(
+      (inspections || []).map((i) => i.hive_id),
+      client
+   );
+   return (inspections || []).map((insp) =>
+      analyzeInspection(insp, rulesByHive.get(Number(insp.hive_id)) || DEFAULT_RULES)
+   );
+}
+
+module.exports = {
+   ENGINE_VERSION,
+   STATUS,
+   DEFAULT_PARAMS,
+   DEFAULT_PENALTIES,
+   HIVE_TYPE_PRESETS,
+   normalizeHiveType,
+   validateParams,
+   buildRules,
+   analyzeInspection,
+   analyzeInspections,
+   loadActiveProfiles,
+   profilesFor,
+   loadRulesForHives,
+   loadRulesForHive,
+};
@@ -0,0 +1,299 @@
+// services/inspectionService.js
+// Inspection creation (POST /inspections + offline sync), edits and their audit trail.
+const pool = require("../db");
+const supabase = require("../utils/supabaseClient");
+const { loadHiveAccess, loadInspectionAccess } = require("./accessControl");
+const { analyzeAndStore } = require("./inspectionAnalysisService");
+
+const VARROA_LEVELS = new Set(["not_checked", "low", "medium", "high"]);
+
+const toIntOrNull = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+const isInt = (v) => Number.isInteger(v);
+
+/**
+ * Validate an inspection payload.
+ * → { ok: true, values } | { ok: false, status: 400, error }
+ */
+function validateInspection(body = {}) {
+   const bad = (error) => ({ ok: false, status: 400, error });
+
+   if (!body.hive_id) return bad("hive_id is required");
+
+   // parse ints
+   const fc = toIntOrNull(body.frame_count);
+   const bf = toIntOrNull(body.bee_frames);
+   const brf = toIntOrNull(body.brood_frames);
+
+   if (fc !== null && (!Number.isFinite(fc) || !isInt(fc) || fc < 0 || fc > 30)) {
+      return bad("frame_count must be an integer between 0 and 30");
+   }
+   if (bf !== null && (!Number.isFinite(bf) || !isInt(bf) || bf < 0)) {
+      return bad("bee_frames must be a non-negative integer");
+   }
+   if (brf !== null && (!Number.isFinite(brf) || !isInt(brf) || brf < 0)) {
+      return bad("brood_frames must be a non-negative integer");
+   }
+   if (fc !== null && bf !== null && bf > fc) {
+      return bad("bee_frames cannot be greater than frame_count");
+   }
+   if (fc !== null && brf !== null && brf > fc) {
+      return bad("brood_frames cannot be greater than frame_count");
+   }
+   // beekeeping logic: brood frames cannot exceed bee-covered frames
+   if (bf !== null && brf !== null && brf > bf) {
+      return bad("brood_frames cannot be greater than bee_frames");
+   }
+
+   const { larvae_present, varroa_level, sickness_signs } = body;
+
+   if (larvae_present !== undefined && larvae_present !== null && typeof larvae_present !== "boolean") {
+      return bad("larvae_present must be boolean");
+   }
+
+   if (varroa_level !== undefined && varroa_level !== null && !VARROA_LEVELS.has(String(varroa_level))) {
+      return bad("varroa_level must be one of: not_checked, low, medium, high");
+   }
+
+   // sickness_signs: allow legacy "true"/"false" strings, but store boolean
+   let sicknessBool = sickness_signs;
+   if (sickness_signs === "false") sicknessBool = false;
+   if (sickness_signs === "true") sicknessBool = true;
+   if (sicknessBool !== undefined && sicknessBool !== null && typeof sicknessBool !== "boolean") {
+      return bad("sickness_signs must be boolean");
+   }
+
+   return {
+      ok: true,
+      values: {
+         hive_id: body.hive_id,
+         inspection_date: body.inspection_date || new Date().toISOString().split("T")[0],
+         queen_seen: body.queen_seen,
+         eggs_seen: body.eggs_seen,
+         queen_cell_present: body.queen_cell_present,
+         brood_quality: body.brood_quality,
+         food_storage: body.food_storage,
+         sickness_signs: sicknessBool,
+         frame_count: fc,
+
+         bee_frames: bf,
+         brood_frames: brf,
+         larvae_present: larvae_present ?? null,
+         varroa_level: varroa_level ?? null,
+
+         revisit_needed: body.revisit_needed,
+         revisit_date: body.revisit_date,
+         notes: body.notes,
+      },
+   };
+}
+
+/**
+ * Validate + check hive write access + insert + store the coach analysis.
+ * → { ok, status, error?, inspection?, analysis? }
+ */
+async function createInspection(userId, body) {
+   const valid = validateInspection(body);
+   if (!valid.ok) return valid;
+
+   const access = await loadHiveAccess(valid.values.hive_id, userId, "write");
+   if (!access.ok) return access;
+
+   const { data, error } = await supabase
+      .from("hive_inspections")
+      .insert([{ ...valid.values, user_id: userId }])
+      .select();
+
+   if (error) return { ok: false, status: 400, error: error.message };
+
+   const inspection = data[0];
+
+   try {
+      await recordRevision({
+         inspectionId: inspection.inspection_id,
+         hiveId: inspection.hive_id,
+         action: "create",
+         userId,
+         changes: diffFields({}, inspection),
+      });
+   } catch (err) {
+      console.error("🔴 inspection revision not stored:", err.message);
+   }
+
+   // the inspection is saved even if scoring fails (backfill script re-scores)
+   let analysis = null;
+   try {
+      analysis = await analyzeAndStore(inspection);
+   } catch (err) {
+      console.error("🔴 inspection analysis not stored:", err.message);
+   }
+
+   return { ok: true, status: 201, inspection, analysis };
+}
+
+// ----------------------------
+// Edits + audit trail (inspection_revisions)
+// ----------------------------
+
+// every field of validateInspection().values except hive_id (an inspection never moves)
+const EDITABLE_FIELDS = Object.keys(validateInspection({ hive_id: 1 }).values).filter((f) => f !== "hive_id");
+const DATE_FIELDS = ["inspection_date", "revisit_date"];
+
+// pg returns DATE columns as local-midnight Date objects; the API uses YYYY-MM-DD
+function normalizeRow(row) {
+   const out = { ...row };
+   for (const f of DATE_FIELDS) {
+      const d = out[f];
+      if (d instanceof Date) {
+         out[f] = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+      }
+   }
+   return out;
+}
+
+/**
+ * { field: { from, to } } for each editable field that differs.
+ */
+function diffFields(before, after) {
+   const changes = {};
+   for (const f of EDITABLE_FIELDS) {
+      const from = before[f] ?? null;
+      const to = after[f] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) changes[f] = { from, to };
+   }
+   return changes;
+}
+
+async function recordRevision({ inspectionId, hiveId, action, userId, changes }, client = pool) {
+   await client.query(
+      `INSERT INTO inspection_revisions (inspection_id, hive_id, action, changed_by, changes)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [inspectionId, hiveId ?? null, action, userId, JSON.stringify(changes || {})]
+   );
+}
+
+/**
+ * PUT (partial = false): body replaces every editable field (omitted → null,
+ *   except inspection_date which is kept).
+ * PATCH (partial = true): only the fields present in body change.
+ * The merged inspection goes through the same validation as POST.
+ * base_updated_at (optional) = updated_at the client last saw → 409 if the row changed since.
+ * → { ok, status, error?, inspection?, changes?, analysis? }
+ */
+async function updateInspection(userId, inspectionId, body = {}, { partial = false } = {}) {
+   const access = await loadInspectionAccess(inspectionId, userId, "write");
+   if (!access.ok) return access;
+
+   const id = access.inspection.inspection_id;
+
+   if (body.hive_id !== undefined && String(body.hive_id) !== String(access.inspection.hive_id)) {
+      return { ok: false, status: 400, error: "hive_id cannot be changed" };
+   }
+
+   let base = null;
+   if (body.base_updated_at !== undefined && body.base_updated_at !== null) {
+      base = new Date(body.base_updated_at);
+      if (Number.isNaN(base.getTime())) {
+         return { ok: false, status: 400, error: "base_updated_at must be a valid timestamp" };
+      }
+   }
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const { rows } = await client.query(
+         `SELECT * FROM hive_inspections WHERE inspection_id = $1 FOR UPDATE`,
+         [id]
+      );
+      if (!rows[0]) {
+         await client.query("ROLLBACK");
+         return { ok: false, status: 404, error: "Inspection not found" };
+      }
+      const current = normalizeRow(rows[0]);
+
+      // clients only see millisecond precision
+      if (base && current.updated_at && new Date(current.updated_at).getTime() > base.getTime()) {
+         await client.query("ROLLBACK");
+         return {
+            ok: false,
+            status: 409,
+            error: "Inspection was modified by someone else",
+            inspection: current,
+         };
+      }
+
+      const { base_updated_at, ...fields } = body;
+      const input = partial
+         ? { ...current, ...fields, hive_id: current.hive_id }
+         : {
+              ...fields,
+              hive_id: current.hive_id,
+              inspection_date: fields.inspection_date || current.inspection_date,
+           };
+
+      const valid = validateInspection(input);
+      if (!valid.ok) {
+         await client.query("ROLLBACK");
+         return valid;
+      }
+
+      const changes = diffFields(current, valid.values);
+      const changed = Object.keys(changes);
+      if (!changed.length) {
+         await client.query("COMMIT");
+         return { ok: true, status: 200, inspection: current, changes, analysis: null };
+      }
+
+      const params = [id, ...changed.map((f) => changes[f].to)];
+      const { rows: updated } = await client.query(
+         `UPDATE hive_inspections
+          SET ${changed.map((f, i) => `${f} = $${i + 2}`).join(", ")}
+          WHERE inspection_id = $1
+          RETURNING *`,
+         params
+      );
+      const inspection = normalizeRow(updated[0]);
+
+      await recordRevision(
+         { inspectionId: id, hiveId: inspection.hive_id, action: "update", userId, changes },
+         client
+      );
+
+      // stored analysis follows the edit
+      const analysis = await analyzeAndStore(inspection, client);
+
+      await client.query("COMMIT");
+      return { ok: true, status: 200, inspection, changes, analysis };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Revisions of an inspection, oldest first, with the editor's name.
+ */
+async function getInspectionRevisions(inspectionId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT r.revision_id, r.inspection_id, r.hive_id, r.action,
+              r.changed_by, p.full_name AS changed_by_name,
+              r.changed_at, r.changes
+       FROM inspection_revisions r
+       LEFT JOIN user_profiles p ON p.user_id = r.changed_by
+       WHERE r.inspection_id = $1
+       ORDER BY r.changed_at ASC, r.revision_id ASC`,
+      [inspectionId]
+   );
+   return rows;
+}
+
+module.exports = {
+   validateInspection,
+   createInspection,
+   updateInspection,
+   recordRevision,
+   diffFields,
+   getInspectionRevisions,
+};
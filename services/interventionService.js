@@ -0,0 +1,192 @@
+// services/interventionService.js
+// Intervention creation shared by POST /interventions and the offline sync endpoint.
+const supabase = require("../utils/supabaseClient");
+const { loadApiaryAccess } = require("./accessControl");
+const { toDateOrNull, computeWithdrawalUntil } = require("./treatmentService");
+
+const QUANTITY_MODES = ["PER_HIVE", "TOTAL_APIARY"];
+
+const trimOrNull = (v) => (v === undefined || v === null ? null : String(v).trim() || null);
+
+/**
+ * Validate + check apiary write access + insert the intervention and its hive links.
+ * Treatment fields (batch_number, prescription_ref, prescriber, treatment_end_at,
+ * withdrawal_days) are optional; withdrawal_until is computed from them and the
+ * product defaults.
+ * → { ok, status, error?, intervention?, hives_linked? }
+ */
+async function createIntervention(userId, body = {}) {
+   const {
+      apiary_id,
+      intervention_type_id,
+      product_id,
+      product_used,
+      date_time,
+      quantity_mode,
+      qty_per_hive,
+      qty_total_apiary,
+      unit,
+      hive_ids = [],
+      apply_to_all_hives = false,
+      notes,
+      batch_number,
+      prescription_ref,
+      prescriber,
+      treatment_end_at,
+      withdrawal_days,
+   } = body;
+
+   const bad = (error) => ({ ok: false, status: 400, error });
+
+   // Basic validation
+   if (!apiary_id || !intervention_type_id || !quantity_mode) {
+      return bad("apiary_id, intervention_type_id and quantity_mode are required");
+   }
+
+   if (!QUANTITY_MODES.includes(quantity_mode)) return bad("Invalid quantity_mode");
+
+   if (quantity_mode === "PER_HIVE" && qty_per_hive == null) {
+      return bad("qty_per_hive is required");
+   }
+
+   if (quantity_mode === "TOTAL_APIARY" && qty_total_apiary == null) {
+      return bad("qty_total_apiary is required");
+   }
+
+   if (!Array.isArray(hive_ids)) return bad("hive_ids must be an array");
+
+   const startAt = date_time ? toDateOrNull(date_time) : new Date();
+   if (!startAt) return bad("date_time must be a valid timestamp");
+
+   const endAt = toDateOrNull(treatment_end_at);
+   if (treatment_end_at && !endAt) return bad("treatment_end_at must be a valid timestamp");
+   if (endAt && endAt < startAt) return bad("treatment_end_at cannot be before date_time");
+
+   const withdrawalDays =
+      withdrawal_days === undefined || withdrawal_days === null || withdrawal_days === ""
+         ? null
+         : Number(withdrawal_days);
+   if (withdrawalDays !== null && (!Number.isInteger(withdrawalDays) || withdrawalDays < 0)) {
+      return bad("withdrawal_days must be a non-negative integer");
+   }
+
+   const access = await loadApiaryAccess(apiary_id, userId, "write");
+   if (!access.ok) return access;
+
+   // ------------------------------------------------------------------
+   // Resolve hive list
+   // ------------------------------------------------------------------
+   let finalHiveIds = hive_ids;
+
+   if (apply_to_all_hives) {
+      const { data: hives, error: hivesError } = await supabase
+         .from("hives")
+         .select("hive_id")
+         .eq("apiary_id", apiary_id)
+         .eq("in_service", true);
+
+      if (hivesError) throw hivesError;
+
+      finalHiveIds = (hives || []).map((h) => h.hive_id);
+   }
+
+   // every linked hive must belong to this apiary
+   if (!apply_to_all_hives && finalHiveIds.length > 0) {
+      const { data: inApiary, error: checkError } = await supabase
+         .from("hives")
+         .select("hive_id")
+         .eq("apiary_id", apiary_id)
+         .in("hive_id", finalHiveIds);
+
+      if (checkError) throw checkError;
+
+      if ((inApiary || []).length !== new Set(finalHiveIds.map(Number)).size) {
+         return bad("All hives must belong to this apiary");
+      }
+   }
+
+   const colonies_count = finalHiveIds.length > 0 ? finalHiveIds.length : null;
+
+   // ------------------------------------------------------------------
+   // Withdrawal period (explicit values win over the product defaults)
+   // ------------------------------------------------------------------
+   let product = null;
+   if (product_id) {
+      const { data, error: productError } = await supabase
+         .from("products")
+         .select("id, treatment_days, withdrawal_days")
+         .eq("id", product_id)
+         .maybeSingle();
+
+      if (productError) throw productError;
+      if (!data) return bad("Unknown product_id");
+      product = data;
+   }
+
+   const effectiveWithdrawalDays = withdrawalDays ?? product?.withdrawal_days ?? null;
+   const withdrawalUntil = computeWithdrawalUntil({
+      dateTime: startAt,
+      treatmentEndAt: endAt,
+      treatmentDays: product?.treatment_days ?? null,
+      withdrawalDays: effectiveWithdrawalDays,
+   });
+
+   // ------------------------------------------------------------------
+   // Insert into interventions (main table)
+   // ------------------------------------------------------------------
+   const { data: intervention, error: interventionError } = await supabase
+      .from("interventions")
+      .insert({
+         apiary_id,
+         user_id: userId,
+         intervention_type_id,
+         date_time: startAt.toISOString(),
+         product_id,
+         product_used,
+         quantity_mode,
+         qty_per_hive,
+         qty_total_apiary,
+         unit,
+         colonies_count,
+         notes,
+         batch_number: trimOrNull(batch_number),
+         prescription_ref: trimOrNull(prescription_ref),
+         prescriber: trimOrNull(prescriber),
+         treatment_end_at: endAt ? endAt.toISOString() : null,
+         withdrawal_days: effectiveWithdrawalDays,
+         withdrawal_until: withdrawalUntil ? withdrawalUntil.toISOString() : null,
+      })
+      .select("*")
+      .single();
+
+   if (interventionError) throw interventionError;
+
+   // ------------------------------------------------------------------
+   // Insert into intervention_hives (link table)
+   // ------------------------------------------------------------------
+   let hiveLinks = [];
+
+   if (finalHiveIds.length > 0) {
+      const rows = finalHiveIds.map((hiveId) => ({
+         intervention_id: intervention.id,
+         hive_id: hiveId,
+         qty_for_this_hive: quantity_mode === "PER_HIVE" ? qty_per_hive : null,
+      }));
+
+      const { data: insertedLinks, error: linkError } = await supabase
+         .from("intervention_hives")
+         .insert(rows)
+         .select("*");
+
+      if (linkError) throw linkError;
+
+      hiveLinks = insertedLinks;
+   }
+
+   return { ok: true, status: 201, intervention, hives_linked: hiveLinks };
+}
+
+module.exports = {
+   QUANTITY_MODES,
+   createIntervention,
+};
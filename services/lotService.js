@@ -0,0 +1,317 @@
+// services/lotService.js
+// Honey lots: harvests grouped into extraction batches, packaged into jars,
+// traceable back to supers/hives/treatments and forward from a hive or treatment.
+const { v4: uuidv4 } = require("uuid");
+const pool = require("../db");
+const { loadApiaryAccess } = require("./accessControl");
+
+// treatments counted as "applied" to a harvest: up to this long before it
+const TREATMENT_LOOKBACK_DAYS = 365;
+
+function fail(status, error, details) {
+   return details ? { ok: false, status, error, details } : { ok: false, status, error };
+}
+
+function newPublicKey() {
+   return uuidv4();
+}
+
+function defaultLotCode(extractionDate) {
+   const day = (extractionDate || new Date().toISOString().slice(0, 10)).replaceAll("-", "");
+   return `L${day}-${uuidv4().slice(0, 4).toUpperCase()}`;
+}
+
+/**
+ * Check userId can put these harvests in a lot (write on the harvest's apiary,
+ * or own harvest without apiary snapshot) and that none is already in a lot.
+ */
+async function checkHarvestsForLot(harvestIds, userId, lotId = null, client = pool) {
+   const ids = [...new Set((harvestIds || []).map(Number))];
+   if (!ids.length || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return fail(400, "harvest_ids must be a non-empty array of harvest ids");
+   }
+
+   const { rows } = await client.query(
+      `SELECT h.id, h.user_id, h.apiary_id, lh.lot_id
+       FROM harvests h
+       LEFT JOIN honey_lot_harvests lh ON lh.harvest_id = h.id
+       WHERE h.id = ANY($1::int[])`,
+      [ids]
+   );
+
+   const found = new Map(rows.map((r) => [r.id, r]));
+   const missing = ids.filter((id) => !found.has(id));
+   if (missing.length) return fail(404, "Harvest not found", { harvest_ids: missing });
+
+   const checked = new Map();
+   for (const h of rows) {
+      if (h.apiary_id) {
+         if (!checked.has(h.apiary_id)) {
+            checked.set(h.apiary_id, await loadApiaryAccess(h.apiary_id, userId, "write", client));
+         }
+         const access = checked.get(h.apiary_id);
+         if (!access.ok) {
+            return access.status === 404 ? fail(404, "Harvest not found", { harvest_ids: [h.id] }) : access;
+         }
+      } else if (h.user_id !== userId) {
+         return fail(404, "Harvest not found", { harvest_ids: [h.id] });
+      }
+   }
+
+   const taken = rows.filter((r) => r.lot_id && r.lot_id !== lotId).map((r) => r.id);
+   if (taken.length) return fail(409, "Harvest already assigned to another lot", { harvest_ids: taken });
+
+   return { ok: true, status: 200, harvestIds: ids };
+}
+
+async function addHarvestsToLot(lotId, harvestIds, client = pool) {
+   await client.query(
+      `INSERT INTO honey_lot_harvests (lot_id, harvest_id)
+       SELECT $1, unnest($2::int[])
+       ON CONFLICT (harvest_id) DO NOTHING`,
+      [lotId, harvestIds]
+   );
+}
+
+/**
+ * → lot + harvests + packaging runs + weight totals
+ */
+async function getLotDetails(lot, client = pool) {
+   const { rows: harvests } = await client.query(
+      `SELECT
+         h.id AS harvest_id,
+         h.harvest_date,
+         h.net_honey_kg::float8 AS net_honey_kg,
+         h.super_id,
+         s.super_code,
+         h.hive_id,
+         hv.hive_code,
+         h.apiary_id,
+         a.apiary_name,
+         h.withdrawal_override
+       FROM honey_lot_harvests lh
+       JOIN harvests h      ON h.id = lh.harvest_id
+       LEFT JOIN supers s   ON s.super_id = h.super_id
+       LEFT JOIN hives hv   ON hv.hive_id = h.hive_id
+       LEFT JOIN apiaries a ON a.apiary_id = h.apiary_id
+       WHERE lh.lot_id = $1
+       ORDER BY h.harvest_date ASC, h.id ASC`,
+      [lot.lot_id]
+   );
+
+   const { rows: runs } = await client.query(
+      `SELECT run_id, packaged_at, jar_size_g, jar_count, notes, created_at,
+              (jar_size_g * jar_count / 1000.0)::float8 AS packaged_kg
+       FROM honey_packaging_runs
+       WHERE lot_id = $1
+       ORDER BY packaged_at ASC, run_id ASC`,
+      [lot.lot_id]
+   );
+
+   const netKg = harvests.reduce((s, h) => s + (h.net_honey_kg || 0), 0);
+   const packagedKg = runs.reduce((s, r) => s + r.packaged_kg, 0);
+
+   return {
+      ...lot,
+      totals: {
+         harvests: harvests.length,
+         net_honey_kg: +netKg.toFixed(3),
+         packaged_kg: +packagedKg.toFixed(3),
+         remaining_kg: +(netKg - packagedKg).toFixed(3),
+         jars: runs.reduce((s, r) => s + r.jar_count, 0),
+      },
+      harvests,
+      packaging_runs: runs,
+   };
+}
+
+/**
+ * Veterinary treatments applied to the hives of a lot before each harvest
+ * (hive-linked interventions, or apiary-wide ones without hive links).
+ */
+async function getLotTreatments(lotId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT DISTINCT ON (i.id)
+         i.id AS intervention_id,
+         i.date_time,
+         i.treatment_end_at,
+         i.batch_number,
+         i.withdrawal_until,
+         i.apiary_id,
+         p.name AS product_name,
+         p.amm_number
+       FROM honey_lot_harvests lh
+       JOIN harvests h ON h.id = lh.harvest_id
+       JOIN interventions i
+         ON i.date_time <= h.harvest_date
+        AND i.date_time > h.harvest_date - make_interval(days => $2)
+        AND (
+           EXISTS (
+              SELECT 1 FROM intervention_hives ih
+              WHERE ih.intervention_id = i.id AND ih.hive_id = h.hive_id
+           )
+           OR (
+              i.apiary_id = h.apiary_id
+              AND NOT EXISTS (SELECT 1 FROM intervention_hives ih WHERE ih.intervention_id = i.id)
+           )
+        )
+       JOIN products p ON p.id = i.product_id AND p.is_veterinary = TRUE
+       WHERE lh.lot_id = $1
+       ORDER BY i.id, i.date_time`,
+      [lotId, TREATMENT_LOOKBACK_DAYS]
+   );
+
+   return rows.sort((a, b) => new Date(a.date_time) - new Date(b.date_time));
+}
+
+/**
+ * Backward trace: lot → apiaries → hives → supers/harvests + treatments
+ */
+async function traceLot(lot, client = pool) {
+   const details = await getLotDetails(lot, client);
+   const treatments = await getLotTreatments(lot.lot_id, client);
+
+   const apiaries = new Map();
+   for (const h of details.harvests) {
+      if (!h.apiary_id) continue;
+      if (!apiaries.has(h.apiary_id)) {
+         apiaries.set(h.apiary_id, { apiary_id: h.apiary_id, apiary_name: h.apiary_name, hives: new Map() });
+      }
+      const apiary = apiaries.get(h.apiary_id);
+      if (!h.hive_id) continue;
+      if (!apiary.hives.has(h.hive_id)) {
+         apiary.hives.set(h.hive_id, { hive_id: h.hive_id, hive_code: h.hive_code, harvests: [] });
+      }
+      apiary.hives.get(h.hive_id).harvests.push({
+         harvest_id: h.harvest_id,
+         harvest_date: h.harvest_date,
+         super_id: h.super_id,
+         super_code: h.super_code,
+         net_honey_kg: h.net_honey_kg,
+      });
+   }
+
+   return {
+      lot: { ...lot, totals: details.totals },
+      apiaries: [...apiaries.values()].map((a) => ({ ...a, hives: [...a.hives.values()] })),
+      harvests: details.harvests,
+      treatments,
+      packaging_runs: details.packaging_runs,
+   };
+}
+
+const FORWARD_SELECT = `
+   SELECT
+      l.lot_id,
+      l.lot_code,
+      l.extraction_date,
+      l.floral_type,
+      COUNT(h.id)::int               AS harvests_from_source,
+      SUM(h.net_honey_kg)::float8    AS net_kg_from_source,
+      MIN(h.harvest_date)            AS first_harvest_date,
+      MAX(h.harvest_date)            AS last_harvest_date,
+      (SELECT COALESCE(SUM(r.jar_count), 0)::int
+       FROM honey_packaging_runs r
+       WHERE r.lot_id = l.lot_id)    AS jars
+   FROM honey_lots l
+   JOIN honey_lot_harvests lh ON lh.lot_id = l.lot_id
+   JOIN harvests h ON h.id = lh.harvest_id`;
+
+/**
+ * Forward trace: every lot with honey harvested from this hive (optional date range)
+ */
+async function traceHiveForward(hiveId, { from = null, to = null } = {}, client = pool) {
+   const { rows } = await client.query(
+      `${FORWARD_SELECT}
+       WHERE h.hive_id = $1
+         AND ($2::timestamptz IS NULL OR h.harvest_date >= $2)
+         AND ($3::timestamptz IS NULL OR h.harvest_date < $3)
+       GROUP BY l.lot_id
+       ORDER BY MIN(h.harvest_date) ASC`,
+      [hiveId, from, to]
+   );
+   return rows;
+}
+
+/**
+ * Forward trace: lots with honey harvested after a treatment from the treated hives
+ * (all hives of the apiary when the intervention has no hive links).
+ */
+async function traceInterventionForward(intervention, client = pool) {
+   const { rows } = await client.query(
+      `${FORWARD_SELECT}
+       WHERE h.harvest_date >= $2::timestamptz
+         AND h.harvest_date < $2::timestamptz + make_interval(days => $4)
+         AND (
+            h.hive_id IN (SELECT ih.hive_id FROM intervention_hives ih WHERE ih.intervention_id = $1)
+            OR (
+               h.apiary_id = $3
+               AND NOT EXISTS (SELECT 1 FROM intervention_hives ih WHERE ih.intervention_id = $1)
+            )
+         )
+       GROUP BY l.lot_id
+       ORDER BY MIN(h.harvest_date) ASC`,
+      [intervention.id, intervention.date_time, intervention.apiary_id, TREATMENT_LOOKBACK_DAYS]
+   );
+   return rows;
+}
+
+/**
+ * What a customer sees when scanning the jar label: origin and treatments,
+ * no owner / user identifiers.
+ */
+async function getPublicLot(publicKey, client = pool) {
+   const { rows } = await client.query(`SELECT * FROM honey_lots WHERE public_key = $1`, [
+      String(publicKey || "").trim(),
+   ]);
+   const lot = rows[0];
+   if (!lot) return null;
+
+   const trace = await traceLot(lot, client);
+
+   const { rows: apiaryRows } = await client.query(
+      `SELECT apiary_id, apiary_name, commune, department
+       FROM apiaries
+       WHERE apiary_id = ANY($1::int[])`,
+      [trace.apiaries.map((a) => a.apiary_id)]
+   );
+   const apiaryInfo = new Map(apiaryRows.map((a) => [a.apiary_id, a]));
+
+   const dates = trace.harvests.map((h) => h.harvest_date).filter(Boolean);
+
+   return {
+      lot_code: lot.lot_code,
+      floral_type: lot.floral_type,
+      extraction_date: lot.extraction_date,
+      moisture_pct: lot.moisture_pct,
+      harvest_dates: {
+         first: dates[0] || null,
+         last: dates[dates.length - 1] || null,
+      },
+      origin: trace.apiaries.map((a) => ({
+         apiary_name: a.apiary_name,
+         commune: apiaryInfo.get(a.apiary_id)?.commune ?? null,
+         department: apiaryInfo.get(a.apiary_id)?.department ?? null,
+         hives: a.hives.map((h) => h.hive_code),
+      })),
+      treatments: trace.treatments.map((t) => ({
+         product_name: t.product_name,
+         amm_number: t.amm_number,
+         date: t.date_time,
+         treatment_end_at: t.treatment_end_at,
+      })),
+   };
+}
+
+module.exports = {
+   newPublicKey,
+   defaultLotCode,
+   checkHarvestsForLot,
+   addHarvestsToLot,
+   getLotDetails,
+   getLotTreatments,
+   traceLot,
+   traceHiveForward,
+   traceInterventionForward,
+   getPublicLot,
+};
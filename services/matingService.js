@@ -0,0 +1,879 @@
+// services/matingService.js
+// Mating control: mating stations (isolated sites with their drone-source colonies per
+// season) and the mating record of each virgin queen — open mating, station mating or
+// instrumental insemination with its drone donors. The drone side of a mating is written
+// to the queen's lineage (genealogyService) and summarized in the queen certificate.
+const pool = require("../db");
+const {
+   getAccessibleApiaryIds,
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadQueenAccess,
+} = require("./accessControl");
+const {
+   findHiveQueenId,
+   getLineage,
+   validateLineage,
+   saveLineage,
+} = require("./genealogyService");
+const { advanceQueenCell } = require("./queenCellLifecycle");
+
+const MATING_METHODS = ["open", "station", "instrumental"];
+const MATING_OUTCOMES = ["pending", "mated", "failed"];
+const STATION_TYPES = ["isolated", "island", "valley", "protected_area", "insemination_lab", "other"];
+
+// donors of one insemination (usual practice: 1 to ~20 colonies pooled)
+const MAX_DONORS = 50;
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function text(v) {
+   return v === undefined || v === null || String(v).trim() === "" ? null : String(v).trim();
+}
+
+function num(v) {
+   if (v === undefined || v === null || v === "") return null;
+   const n = Number(v);
+   return Number.isFinite(n) ? n : NaN;
+}
+
+function dateText(v) {
+   const s = text(v);
+   if (!s) return null;
+   return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)) ? s : undefined;
+}
+
+// ----------------------------------------------------
+// Stations
+// ----------------------------------------------------
+
+const STATION_COLUMNS = `
+   s.station_id, s.owner_user_id, s.apiary_id, a.apiary_name, s.name, s.station_type,
+   s.isolation_radius_km::float8 AS isolation_radius_km, s.latitude, s.longitude,
+   s.operator, s.certification_ref, s.notes, s.active, s.created_at, s.updated_at`;
+
+/**
+ * Station owned by the user, or run on an apiary the user can access for <action>.
+ * → { ok, station } | { ok: false, status, error }
+ */
+async function loadStation(stationId, userId, action = "read", client = pool) {
+   const id = Number(stationId);
+   if (!Number.isInteger(id) || id <= 0) return fail(400, "Invalid station id");
+
+   const { rows } = await client.query(
+      `SELECT ${STATION_COLUMNS}
+       FROM mating_stations s
+       LEFT JOIN apiaries a ON a.apiary_id = s.apiary_id
+       WHERE s.station_id = $1`,
+      [id]
+   );
+   const station = rows[0];
+   if (!station) return fail(404, "Mating station not found");
+   if (station.owner_user_id === userId) return { ok: true, station };
+
+   if (station.apiary_id) {
+      const access = await loadApiaryAccess(station.apiary_id, userId, action, client);
+      if (access.ok) return { ok: true, station };
+   }
+   return fail(404, "Mating station not found");
+}
+
+/**
+ * Station body → column values. partial: only the given fields (PUT).
+ * → { ok, values } | { ok: false, status, error }
+ */
+async function validateStation(userId, body = {}, partial = false) {
+   const values = {};
+   const has = (k) => body[k] !== undefined;
+
+   if (!partial || has("name")) {
+      values.name = text(body.name);
+      if (!values.name) return fail(400, "name is required");
+   }
+   if (!partial || has("station_type")) {
+      values.station_type = text(body.station_type) || "isolated";
+      if (!STATION_TYPES.includes(values.station_type)) {
+         return fail(400, `station_type must be one of: ${STATION_TYPES.join(", ")}`);
+      }
+   }
+   if (!partial || has("apiary_id")) {
+      values.apiary_id = null;
+      if (text(body.apiary_id)) {
+         const access = await loadApiaryAccess(body.apiary_id, userId, "write");
+         if (!access.ok) return fail(access.status, `apiary_id: ${access.error}`);
+         values.apiary_id = access.apiaryId;
+      }
+   }
+   for (const k of ["isolation_radius_km", "latitude", "longitude"]) {
+      if (partial && !has(k)) continue;
+      values[k] = num(body[k]);
+      if (Number.isNaN(values[k])) return fail(400, `${k} must be a number`);
+   }
+   if (values.isolation_radius_km !== undefined && values.isolation_radius_km !== null && values.isolation_radius_km < 0) {
+      return fail(400, "isolation_radius_km must be >= 0");
+   }
+   for (const k of ["operator", "certification_ref", "notes"]) {
+      if (!partial || has(k)) values[k] = text(body[k]);
+   }
+   if (!partial || has("active")) values.active = body.active === undefined ? true : !!body.active;
+
+   return { ok: true, values };
+}
+
+/**
+ * Stations of the user and of the apiaries shared with them, with the drone sources
+ * count of <season> and the mating results at the station.
+ */
+async function listStations(userId, { season = null, includeInactive = false } = {}) {
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+   const { rows } = await pool.query(
+      `SELECT ${STATION_COLUMNS},
+              (SELECT COUNT(*)::int FROM mating_station_drone_sources d
+               WHERE d.station_id = s.station_id
+                 AND ($3::int IS NULL OR d.season = $3::int)) AS drone_sources_count,
+              (SELECT COUNT(*)::int FROM queen_matings m
+               WHERE m.station_id = s.station_id
+                 AND ($3::int IS NULL OR EXTRACT(YEAR FROM COALESCE(m.mated_on, m.placed_on)) = $3::int))
+                 AS matings_count,
+              (SELECT COUNT(*)::int FROM queen_matings m
+               WHERE m.station_id = s.station_id AND m.outcome = 'mated'
+                 AND ($3::int IS NULL OR EXTRACT(YEAR FROM COALESCE(m.mated_on, m.placed_on)) = $3::int))
+                 AS mated_count
+       FROM mating_stations s
+       LEFT JOIN apiaries a ON a.apiary_id = s.apiary_id
+       WHERE (s.owner_user_id = $1 OR s.apiary_id = ANY($2::int[]))
+         AND ($4::boolean OR s.active)
+       ORDER BY s.name`,
+      [userId, apiaryIds, season, includeInactive]
+   );
+   return rows;
+}
+
+async function createStation(userId, body) {
+   const valid = await validateStation(userId, body);
+   if (!valid.ok) return valid;
+   const v = valid.values;
+
+   const { rows } = await pool.query(
+      `INSERT INTO mating_stations (
+          owner_user_id, apiary_id, name, station_type, isolation_radius_km, latitude, longitude,
+          operator, certification_ref, notes, active
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING station_id`,
+      [
+         userId,
+         v.apiary_id,
+         v.name,
+         v.station_type,
+         v.isolation_radius_km,
+         v.latitude,
+         v.longitude,
+         v.operator,
+         v.certification_ref,
+         v.notes,
+         v.active,
+      ]
+   );
+   return getStation(userId, rows[0].station_id);
+}
+
+async function updateStation(userId, stationId, body) {
+   const loaded = await loadStation(stationId, userId, "write");
+   if (!loaded.ok) return loaded;
+
+   const valid = await validateStation(userId, body, true);
+   if (!valid.ok) return valid;
+
+   const entries = Object.entries(valid.values);
+   if (entries.length) {
+      const sets = entries.map(([k], i) => `${k} = $${i + 2}`);
+      await pool.query(
+         `UPDATE mating_stations SET ${sets.join(", ")}, updated_at = now() WHERE station_id = $1`,
+         [loaded.station.station_id, ...entries.map(([, v]) => v)]
+      );
+   }
+   return getStation(userId, loaded.station.station_id);
+}
+
+// matings keep their record (station_id set to NULL)
+async function deleteStation(userId, stationId) {
+   const loaded = await loadStation(stationId, userId, "manage");
+   if (!loaded.ok) return loaded;
+
+   await pool.query(`DELETE FROM mating_stations WHERE station_id = $1`, [loaded.station.station_id]);
+   return { ok: true };
+}
+
+/**
+ * Station with its drone sources (one season or all) and its mating results.
+ */
+async function getStation(userId, stationId, season = null) {
+   const loaded = await loadStation(stationId, userId, "read");
+   if (!loaded.ok) return loaded;
+   const station = loaded.station;
+
+   const { rows: droneSources } = await pool.query(
+      `SELECT d.source_id, d.season, d.hive_id, h.hive_code, d.queen_id, q.queen_code,
+              d.strain_id, d.strain_label, d.label, d.colonies_count, d.notes
+       FROM mating_station_drone_sources d
+       LEFT JOIN hives h ON h.hive_id = d.hive_id
+       LEFT JOIN queens q ON q.queen_id::text = d.queen_id
+       WHERE d.station_id = $1 AND ($2::int IS NULL OR d.season = $2::int)
+       ORDER BY d.season DESC, d.source_id`,
+      [station.station_id, season]
+   );
+
+   const { rows: results } = await pool.query(
+      `SELECT EXTRACT(YEAR FROM COALESCE(mated_on, placed_on))::int AS season,
+              COUNT(*)::int AS matings,
+              COUNT(*) FILTER (WHERE outcome = 'mated')::int AS mated,
+              COUNT(*) FILTER (WHERE outcome = 'failed')::int AS failed
+       FROM queen_matings
+       WHERE station_id = $1
+       GROUP BY 1
+       ORDER BY 1 DESC NULLS LAST`,
+      [station.station_id]
+   );
+
+   return {
+      ok: true,
+      station: {
+         ...station,
+         drone_sources: droneSources,
+         results: results.map((r) => ({
+            ...r,
+            success_rate: r.mated + r.failed ? Math.round((r.mated / (r.mated + r.failed)) * 1000) / 10 : null,
+         })),
+      },
+   };
+}
+
+/**
+ * Drone-source colony of a station for one season.
+ * body: { season?, hive_id? | label?, strain_id?, strain_label?, colonies_count?, notes? }
+ */
+async function addDroneSource(userId, stationId, body = {}) {
+   const loaded = await loadStation(stationId, userId, "write");
+   if (!loaded.ok) return loaded;
+
+   const season = body.season ? parseInt(body.season, 10) : new Date().getFullYear();
+   if (!Number.isInteger(season) || season < 1900 || season > 3000) return fail(400, "Invalid season");
+
+   const count = body.colonies_count === undefined ? 1 : parseInt(body.colonies_count, 10);
+   if (!Number.isInteger(count) || count < 1) return fail(400, "colonies_count must be a positive integer");
+
+   let hiveId = null;
+   let queenId = null;
+   let strainId = text(body.strain_id);
+   let strainLabel = text(body.strain_label);
+   if (text(body.hive_id)) {
+      const hive = await loadHiveAccess(body.hive_id, userId, "read");
+      if (!hive.ok) return fail(hive.status, `hive_id: ${hive.error}`);
+      hiveId = hive.hive.hive_id;
+      queenId = await findHiveQueenId(hiveId);
+
+      if (queenId && (!strainId || !strainLabel)) {
+         const { rows } = await pool.query(
+            `SELECT strain_id::text AS strain_id, strain_name FROM queens WHERE queen_id::text = $1`,
+            [queenId]
+         );
+         strainId = strainId || rows[0]?.strain_id || null;
+         strainLabel = strainLabel || rows[0]?.strain_name || null;
+      }
+   } else if (!text(body.label)) {
+      return fail(400, "hive_id or label is required");
+   }
+
+   try {
+      const { rows } = await pool.query(
+         `INSERT INTO mating_station_drone_sources (
+             station_id, season, hive_id, queen_id, strain_id, strain_label, label, colonies_count, notes
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *`,
+         [
+            loaded.station.station_id,
+            season,
+            hiveId,
+            queenId,
+            strainId,
+            strainLabel,
+            text(body.label),
+            count,
+            text(body.notes),
+         ]
+      );
+      return { ok: true, drone_source: rows[0] };
+   } catch (err) {
+      if (err.code === "23505") return fail(409, "This colony is already a drone source of the station for that season");
+      throw err;
+   }
+}
+
+async function deleteDroneSource(userId, stationId, sourceId) {
+   const loaded = await loadStation(stationId, userId, "write");
+   if (!loaded.ok) return loaded;
+
+   const { rowCount } = await pool.query(
+      `DELETE FROM mating_station_drone_sources WHERE source_id = $1 AND station_id = $2`,
+      [sourceId, loaded.station.station_id]
+   );
+   if (!rowCount) return fail(404, "Drone source not found");
+   return { ok: true };
+}
+
+// ----------------------------------------------------
+// Matings
+// ----------------------------------------------------
+
+const MATING_COLUMNS = `
+   m.mating_id, m.queen_id, m.method, m.station_id, s.name AS station_name,
+   m.mating_apiary_id, a.apiary_name AS mating_apiary_name,
+   to_char(m.placed_on, 'YYYY-MM-DD') AS placed_on,
+   to_char(m.mated_on, 'YYYY-MM-DD') AS mated_on,
+   to_char(m.laying_confirmed_on, 'YYYY-MM-DD') AS laying_confirmed_on,
+   m.outcome, m.inseminator, m.semen_volume_ul::float8 AS semen_volume_ul,
+   m.insemination_count, m.co2_treatments, m.notes, m.created_by, m.created_at, m.updated_at`;
+
+const MATING_FROM = `
+   FROM queen_matings m
+   LEFT JOIN mating_stations s ON s.station_id = m.station_id
+   LEFT JOIN apiaries a ON a.apiary_id = m.mating_apiary_id`;
+
+async function loadDonors(matingIds, client = pool) {
+   if (!matingIds.length) return new Map();
+   const { rows } = await client.query(
+      `SELECT d.donor_id, d.mating_id, d.hive_id, h.hive_code, d.queen_id, q.queen_code,
+              q.strain_name, d.label, d.volume_ul::float8 AS volume_ul, d.drone_count
+       FROM queen_mating_donors d
+       LEFT JOIN hives h ON h.hive_id = d.hive_id
+       LEFT JOIN queens q ON q.queen_id::text = d.queen_id
+       WHERE d.mating_id = ANY($1::int[])
+       ORDER BY d.donor_id`,
+      [matingIds]
+   );
+   const byMating = new Map();
+   for (const d of rows) {
+      if (!byMating.has(d.mating_id)) byMating.set(d.mating_id, []);
+      byMating.get(d.mating_id).push(d);
+   }
+   return byMating;
+}
+
+async function listQueenMatings(queenId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT ${MATING_COLUMNS}
+       ${MATING_FROM}
+       WHERE m.queen_id = $1
+       ORDER BY COALESCE(m.mated_on, m.placed_on) DESC NULLS LAST, m.mating_id DESC`,
+      [String(queenId)]
+   );
+   const donors = await loadDonors(rows.map((m) => m.mating_id), client);
+   return rows.map((m) => ({ ...m, donors: donors.get(m.mating_id) || [] }));
+}
+
+async function getMating(matingId, client = pool) {
+   const id = Number(matingId);
+   if (!Number.isInteger(id) || id <= 0) return null;
+   const { rows } = await client.query(`SELECT ${MATING_COLUMNS} ${MATING_FROM} WHERE m.mating_id = $1`, [id]);
+   if (!rows.length) return null;
+   const donors = await loadDonors([id], client);
+   return { ...rows[0], donors: donors.get(id) || [] };
+}
+
+/**
+ * Mating body (merged over the stored record on update) → validated record + donors.
+ * → { ok, mating, donors, station } | { ok: false, status, error }
+ */
+async function validateMating(userId, queenId, body = {}, current = null) {
+   const pick = (k) => (body[k] !== undefined ? body[k] : current ? current[k] : undefined);
+
+   const method = text(pick("method")) || "open";
+   if (!MATING_METHODS.includes(method)) {
+      return fail(400, `method must be one of: ${MATING_METHODS.join(", ")}`);
+   }
+   const outcome = text(pick("outcome")) || "pending";
+   if (!MATING_OUTCOMES.includes(outcome)) {
+      return fail(400, `outcome must be one of: ${MATING_OUTCOMES.join(", ")}`);
+   }
+
+   const dates = {};
+   for (const k of ["placed_on", "mated_on", "laying_confirmed_on"]) {
+      dates[k] = dateText(pick(k));
+      if (dates[k] === undefined) return fail(400, `${k} must be YYYY-MM-DD`);
+   }
+   if (dates.placed_on && dates.mated_on && dates.mated_on < dates.placed_on) {
+      return fail(400, "mated_on cannot be before placed_on");
+   }
+   if (dates.laying_confirmed_on && dates.mated_on && dates.laying_confirmed_on < dates.mated_on) {
+      return fail(400, "laying_confirmed_on cannot be before mated_on");
+   }
+
+   let station = null;
+   const stationId = text(pick("station_id"));
+   if (stationId) {
+      const loaded = await loadStation(stationId, userId, "read");
+      if (!loaded.ok) return fail(loaded.status, `station_id: ${loaded.error}`);
+      station = loaded.station;
+   } else if (method === "station") {
+      return fail(400, "station_id is required for a station mating");
+   }
+
+   // mating apiary: given, the station's apiary, or the apiary of the queen's nuc
+   let matingApiaryId = null;
+   const apiaryRaw = text(pick("mating_apiary_id"));
+   if (apiaryRaw) {
+      const access = await loadApiaryAccess(apiaryRaw, userId, "read");
+      if (!access.ok) return fail(access.status, `mating_apiary_id: ${access.error}`);
+      matingApiaryId = access.apiaryId;
+   } else if (station?.apiary_id) {
+      matingApiaryId = station.apiary_id;
+   } else if (method === "open") {
+      const { rows } = await pool.query(
+         `SELECT h.apiary_id FROM queens q JOIN hives h ON h.hive_id = q.hive_id WHERE q.queen_id::text = $1`,
+         [String(queenId)]
+      );
+      matingApiaryId = rows[0]?.apiary_id ?? null;
+   }
+
+   const numbers = {};
+   for (const k of ["semen_volume_ul", "insemination_count", "co2_treatments"]) {
+      numbers[k] = num(pick(k));
+      if (Number.isNaN(numbers[k]) || (numbers[k] !== null && numbers[k] < 0)) {
+         return fail(400, `${k} must be a positive number`);
+      }
+   }
+
+   // donors: only for instrumental insemination
+   let donors = [];
+   const donorsInput = body.donors !== undefined ? body.donors : current ? current.donors : [];
+   if (method === "instrumental") {
+      if (!Array.isArray(donorsInput) || donorsInput.length > MAX_DONORS) {
+         return fail(400, `donors must be an array of at most ${MAX_DONORS} colonies`);
+      }
+      for (const [i, d] of donorsInput.entries()) {
+         const donor = {
+            hive_id: null,
+            queen_id: text(d.queen_id),
+            label: text(d.label),
+            volume_ul: num(d.volume_ul),
+            drone_count: num(d.drone_count),
+         };
+         if (Number.isNaN(donor.volume_ul) || Number.isNaN(donor.drone_count)) {
+            return fail(400, `donors[${i}]: volume_ul and drone_count must be numbers`);
+         }
+         if (text(d.hive_id)) {
+            const hive = await loadHiveAccess(d.hive_id, userId, "read");
+            if (!hive.ok) return fail(hive.status, `donors[${i}].hive_id: ${hive.error}`);
+            donor.hive_id = hive.hive.hive_id;
+            if (!donor.queen_id) donor.queen_id = await findHiveQueenId(donor.hive_id);
+         }
+         if (donor.queen_id) {
+            if (donor.queen_id === String(queenId)) return fail(400, `donors[${i}] cannot be the queen itself`);
+            const access = await loadQueenAccess(donor.queen_id, userId, "read");
+            if (!access.ok) return fail(access.status, `donors[${i}].queen_id: ${access.error}`);
+         }
+         if (!donor.hive_id && !donor.queen_id && !donor.label) {
+            return fail(400, `donors[${i}]: hive_id, queen_id or label is required`);
+         }
+         donors.push(donor);
+      }
+   }
+
+   return {
+      ok: true,
+      station,
+      donors,
+      mating: {
+         method,
+         outcome,
+         station_id: station?.station_id ?? null,
+         mating_apiary_id: matingApiaryId,
+         ...dates,
+         inseminator: method === "instrumental" ? text(pick("inseminator")) : null,
+         ...(method === "instrumental"
+            ? numbers
+            : { semen_volume_ul: null, insemination_count: null, co2_treatments: null }),
+         notes: text(pick("notes")),
+      },
+   };
+}
+
+function donorLabel(d) {
+   return d.label || (d.hive_code ? `hive ${d.hive_code}` : d.hive_id ? `hive #${d.hive_id}` : `queen #${d.queen_id}`);
+}
+
+/**
+ * Drone side of the lineage from a mating:
+ *   instrumental, one donor → that colony / queen; several donors → pooled label
+ *   station → the single drone-source queen of the season, otherwise the station + strains
+ *   open → mating apiary label
+ */
+async function droneLineageFromMating(mating, donors, station) {
+   const season = Number(String(mating.mated_on || mating.placed_on || new Date().getFullYear()).slice(0, 4));
+   const base = {
+      drone_source_queen_id: null,
+      drone_source_hive_id: null,
+      mating_date: mating.mated_on || null,
+   };
+
+   if (mating.method === "instrumental") {
+      if (donors.length === 1 && (donors[0].queen_id || donors[0].hive_id)) {
+         return {
+            ...base,
+            drone_source_type: "instrumental",
+            drone_source_queen_id: donors[0].queen_id || null,
+            drone_source_hive_id: donors[0].hive_id || null,
+            drone_source_label: donors[0].label,
+         };
+      }
+      return {
+         ...base,
+         drone_source_type: "instrumental",
+         drone_source_label: donors.length ? `II pool: ${donors.map(donorLabel).join(", ")}` : "Instrumental insemination",
+      };
+   }
+
+   if (mating.method === "station") {
+      const { rows: sources } = await pool.query(
+         `SELECT hive_id, queen_id, strain_label, label, colonies_count
+          FROM mating_station_drone_sources
+          WHERE station_id = $1 AND season = $2`,
+         [station.station_id, season]
+      );
+      const strains = [...new Set(sources.map((s) => s.strain_label).filter(Boolean))];
+      const single = sources.length === 1 && sources[0].colonies_count === 1 && sources[0].queen_id ? sources[0] : null;
+      return {
+         ...base,
+         drone_source_type: "station",
+         drone_source_queen_id: single?.queen_id || null,
+         drone_source_hive_id: single?.hive_id || null,
+         drone_source_label: strains.length ? `${station.name} (${strains.join(", ")})` : station.name,
+      };
+   }
+
+   let label = "Open mating";
+   if (mating.mating_apiary_id) {
+      const { rows } = await pool.query(`SELECT apiary_name FROM apiaries WHERE apiary_id = $1`, [
+         mating.mating_apiary_id,
+      ]);
+      if (rows[0]?.apiary_name) label = `Open mating at ${rows[0].apiary_name}`;
+   }
+   return { ...base, drone_source_type: "open", drone_source_label: label };
+}
+
+/**
+ * Lineage of the queen with the drone side replaced by the mating (mother kept).
+ * → { ok, lineage } | { ok: false, status, error }
+ */
+async function pedigreeFromMating(userId, queenId, mating, donors, station) {
+   const { lineage: current } = await getLineage(queenId);
+   const drone = await droneLineageFromMating(mating, donors, station);
+
+   const valid = await validateLineage(
+      userId,
+      {
+         mother_queen_id: current?.mother_queen_id || null,
+         mother_label: current?.mother_label || null,
+         notes: current?.notes || null,
+         ...drone,
+      },
+      queenId
+   );
+   if (!valid.ok) return fail(valid.status, `pedigree: ${valid.error}`);
+   return valid;
+}
+
+async function saveDonors(matingId, donors, client) {
+   await client.query(`DELETE FROM queen_mating_donors WHERE mating_id = $1`, [matingId]);
+   for (const d of donors) {
+      await client.query(
+         `INSERT INTO queen_mating_donors (mating_id, hive_id, queen_id, label, volume_ul, drone_count)
+          VALUES ($1, $2, $3, $4, $5, $6)`,
+         [matingId, d.hive_id, d.queen_id, d.label, d.volume_ul, d.drone_count]
+      );
+   }
+}
+
+// queen_lineage columns saveLineage() takes back when a mating's lineage is undone
+const LINEAGE_SNAPSHOT_COLUMNS = `
+   mother_queen_id, mother_label, drone_source_type, drone_source_queen_id, drone_source_hive_id,
+   drone_source_label, to_char(mating_date, 'YYYY-MM-DD') AS mating_date, source, mating_id, notes,
+   created_by`;
+
+async function lockLineage(queenId, client) {
+   const { rows } = await client.query(
+      `SELECT ${LINEAGE_SNAPSHOT_COLUMNS} FROM queen_lineage WHERE queen_id = $1 FOR UPDATE`,
+      [String(queenId)]
+   );
+   return rows[0] || null;
+}
+
+/**
+ * Undo what a mating wrote into the queen's lineage (it failed, went back to pending
+ * or is deleted):
+ *   - lineage still written by this mating → the one it replaced is put back;
+ *   - lineage written by a later mating → that mating now falls back to this one's
+ *     snapshot instead of this mating's lineage;
+ *   - lineage edited by hand since → left as is.
+ * → restored lineage | null
+ */
+async function releaseLineage(queenId, matingId, client) {
+   const { rows } = await client.query(
+      `SELECT previous_lineage FROM queen_matings WHERE mating_id = $1`,
+      [matingId]
+   );
+   const previous = rows[0]?.previous_lineage || null;
+
+   await client.query(
+      `UPDATE queen_matings
+       SET previous_lineage = $3
+       WHERE queen_id = $1
+         AND mating_id <> $2
+         AND (previous_lineage->>'mating_id')::int = $2`,
+      [String(queenId), matingId, previous ? JSON.stringify(previous) : null]
+   );
+
+   const current = await lockLineage(queenId, client);
+   if (!current || current.mating_id !== matingId) return null;
+
+   if (!previous) {
+      await client.query(`DELETE FROM queen_lineage WHERE queen_id = $1`, [String(queenId)]);
+      return null;
+   }
+   return saveLineage(queenId, previous, previous.created_by, previous.source, client);
+}
+
+/**
+ * Create (matingId null) or update a mating record, then
+ *   - once mated, write the drone side into the queen's lineage (unless
+ *     apply_to_pedigree: false), keeping the lineage it replaces;
+ *   - when no longer mated (failed / back to pending), put that lineage back,
+ *   - move the queen's cell to mated / laying (services/queenCellLifecycle.js).
+ * → { ok, status, mating, lineage } | { ok: false, status, error }
+ */
+async function saveMating(userId, queenId, body = {}, matingId = null) {
+   const current = matingId ? await getMating(matingId) : null;
+   if (matingId && (!current || current.queen_id !== String(queenId))) return fail(404, "Mating not found");
+
+   const valid = await validateMating(userId, queenId, body, current);
+   if (!valid.ok) return valid;
+   const { mating, donors, station } = valid;
+
+   const applyPedigree = body.apply_to_pedigree !== false && mating.outcome === "mated";
+   let pedigree = null;
+   if (applyPedigree) {
+      pedigree = await pedigreeFromMating(userId, queenId, mating, donors, station);
+      if (!pedigree.ok) return pedigree;
+   }
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const values = [
+         mating.method,
+         mating.station_id,
+         mating.mating_apiary_id,
+         mating.placed_on,
+         mating.mated_on,
+         mating.laying_confirmed_on,
+         mating.outcome,
+         mating.inseminator,
+         mating.semen_volume_ul,
+         mating.insemination_count,
+         mating.co2_treatments,
+         mating.notes,
+      ];
+
+      let id = matingId;
+      if (current) {
+         await client.query(
+            `UPDATE queen_matings
+             SET method = $2, station_id = $3, mating_apiary_id = $4, placed_on = $5, mated_on = $6,
+                 laying_confirmed_on = $7, outcome = $8, inseminator = $9, semen_volume_ul = $10,
+                 insemination_count = $11, co2_treatments = $12, notes = $13, updated_at = now()
+             WHERE mating_id = $1`,
+            [current.mating_id, ...values]
+         );
+         id = current.mating_id;
+      } else {
+         const { rows } = await client.query(
+            `INSERT INTO queen_matings (
+                queen_id, method, station_id, mating_apiary_id, placed_on, mated_on,
+                laying_confirmed_on, outcome, inseminator, semen_volume_ul, insemination_count,
+                co2_treatments, notes, created_by
+             )
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+             RETURNING mating_id`,
+            [String(queenId), ...values, userId]
+         );
+         id = rows[0].mating_id;
+      }
+
+      await saveDonors(id, donors, client);
+
+      let lineage = null;
+      if (pedigree) {
+         const replaced = await lockLineage(queenId, client);
+         if (replaced?.mating_id !== id) {
+            await client.query(
+               `UPDATE queen_matings SET previous_lineage = $2 WHERE mating_id = $1`,
+               [id, replaced ? JSON.stringify(replaced) : null]
+            );
+         }
+         lineage = await saveLineage(queenId, { ...pedigree.lineage, mating_id: id }, userId, "mating", client);
+      } else if (current && mating.outcome !== "mated") {
+         lineage = await releaseLineage(queenId, id, client);
+      }
+
+      if (mating.outcome === "mated") {
+         const status = mating.laying_confirmed_on ? "laying" : "mated";
+         const at = mating.laying_confirmed_on || mating.mated_on;
+         await advanceQueenCell(queenId, status, userId, { at, source: "queen" }, client);
+      }
+
+      await client.query("COMMIT");
+      return { ok: true, status: current ? 200 : 201, mating: await getMating(id), lineage };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Mating record with access to its queen. → { ok, mating } | { ok: false, status, error }
+ */
+async function loadMatingAccess(matingId, userId, action = "read") {
+   const mating = await getMating(matingId);
+   if (!mating) return fail(404, "Mating not found");
+   const access = await loadQueenAccess(mating.queen_id, userId, action);
+   if (!access.ok) return fail(404, "Mating not found");
+   return { ok: true, mating };
+}
+
+// the lineage this mating wrote is undone first (see releaseLineage)
+async function deleteMating(userId, matingId) {
+   const loaded = await loadMatingAccess(matingId, userId, "write");
+   if (!loaded.ok) return loaded;
+   const { mating } = loaded;
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+      const lineage = await releaseLineage(mating.queen_id, mating.mating_id, client);
+      await client.query(`DELETE FROM queen_matings WHERE mating_id = $1`, [mating.mating_id]);
+      await client.query("COMMIT");
+      return { ok: true, lineage };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+// ----------------------------------------------------
+// Certificate
+// ----------------------------------------------------
+
+/**
+ * Breeding certificate data of a queen: identity, mother, mating record (station and its
+ * isolation, insemination details and donors) and inbreeding coefficient.
+ */
+async function buildCertificate(queen) {
+   const queenId = String(queen.queen_id);
+   const { lineage, inbreeding_coefficient } = await getLineage(queenId);
+   const matings = await listQueenMatings(queenId);
+   const mating = matings.find((m) => m.outcome === "mated") || matings[0] || null;
+
+   const parentIds = [lineage?.mother_queen_id, lineage?.drone_source_queen_id].filter(Boolean);
+   const { rows: parents } = parentIds.length
+      ? await pool.query(
+           `SELECT queen_id::text AS queen_id, queen_code, strain_name, queen_year
+            FROM queens WHERE queen_id::text = ANY($1::text[])`,
+           [parentIds]
+        )
+      : { rows: [] };
+   const parent = (id) => parents.find((p) => p.queen_id === id) || null;
+
+   let station = null;
+   if (mating?.station_id) {
+      const { rows } = await pool.query(
+         `SELECT name, station_type, isolation_radius_km::float8 AS isolation_radius_km,
+                 operator, certification_ref
+          FROM mating_stations WHERE station_id = $1`,
+         [mating.station_id]
+      );
+      station = rows[0] || null;
+   }
+
+   return {
+      queen: {
+         queen_id: queenId,
+         queen_code: queen.queen_code,
+         strain_name: queen.strain_name,
+         queen_year: queen.queen_year,
+         opalite_color: queen.opalite_color,
+         grafting_date: queen.grafting_date,
+      },
+      mother: lineage
+         ? { queen: parent(lineage.mother_queen_id), label: lineage.mother_label }
+         : null,
+      drone_source: lineage
+         ? {
+              type: lineage.drone_source_type,
+              queen: parent(lineage.drone_source_queen_id),
+              hive_id: lineage.drone_source_hive_id,
+              label: lineage.drone_source_label,
+           }
+         : null,
+      mating: mating
+         ? {
+              method: mating.method,
+              outcome: mating.outcome,
+              mated_on: mating.mated_on,
+              laying_confirmed_on: mating.laying_confirmed_on,
+              mating_apiary_name: mating.mating_apiary_name,
+              station,
+              inseminator: mating.inseminator,
+              semen_volume_ul: mating.semen_volume_ul,
+              donors: mating.donors.map((d) => ({
+                 label: donorLabel(d),
+                 queen_code: d.queen_code,
+                 strain_name: d.strain_name,
+                 volume_ul: d.volume_ul,
+                 drone_count: d.drone_count,
+              })),
+           }
+         : null,
+      inbreeding_coefficient,
+      // certified: mating controlled (station or insemination) and confirmed
+      controlled_mating: !!mating && mating.outcome === "mated" && mating.method !== "open",
+      issued_at: new Date().toISOString(),
+   };
+}
+
+module.exports = {
+   MATING_METHODS,
+   MATING_OUTCOMES,
+   STATION_TYPES,
+   loadStation,
+   listStations,
+   getStation,
+   createStation,
+   updateStation,
+   deleteStation,
+   addDroneSource,
+   deleteDroneSource,
+   listQueenMatings,
+   loadMatingAccess,
+   saveMating,
+   deleteMating,
+   buildCertificate,
+};
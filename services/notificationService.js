@@ -0,0 +1,529 @@
+// services/notificationService.js
+// Notification job: due tasks (revisits, swarm / nuc checks, graft steps, manual tasks)
+// and bad weather on days with planned work are delivered by push / email according to
+// each user's preferences. Every delivery is logged in notification_deliveries.
+const pool = require("../db");
+const supabaseAdmin = require("../utils/supabaseAdmin");
+const { refreshTasks } = require("./taskService");
+const { CHANNELS, getTransport } = require("./notificationTransports");
+const { fetchWeather, parseLatLng } = require("./weather.service");
+const { buildWeeklyWeatherInsights } = require("./weatherRules");
+
+// task source_type → preference category
+const TASK_CATEGORIES = {
+   inspection_revisit: "revisit",
+   apiary_note_revisit: "revisit",
+   swarm_check: "swarm_check",
+   nuc_check: "nuc_check",
+   graft_g10: "graft",
+   graft_emergence: "graft",
+   manual: "task",
+};
+
+const CATEGORIES = ["revisit", "swarm_check", "nuc_check", "graft", "task", "weather"];
+
+const DEFAULT_CHANNELS = { push: true, email: false };
+
+const DELIVERY_STATUSES = ["pending", "sent", "failed", "skipped"];
+
+// overdue tasks still notified (job downtime); older ones stay in the agenda only
+const DUE_LOOKBACK_DAYS = 3;
+// bad weather is announced for days with planned tasks up to this many days ahead
+const WEATHER_LOOKAHEAD_DAYS = 2;
+// failed deliveries are retried by the next runs up to this many attempts
+const MAX_ATTEMPTS = 3;
+// a delivery still 'pending' this long after its claim was interrupted (crash, deploy)
+// and is retried like a failed one
+const PENDING_STALE_MINUTES = 30;
+
+/* ------------------------------- preferences ------------------------------ */
+
+function mergePreferences(row) {
+   const categories = {};
+   for (const category of CATEGORIES) {
+      categories[category] = { ...DEFAULT_CHANNELS, ...(row?.categories?.[category] || {}) };
+   }
+   return { enabled: row ? row.enabled !== false : true, categories };
+}
+
+async function loadPreferences(userId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT enabled, categories FROM notification_preferences WHERE user_id = $1`,
+      [userId]
+   );
+   return mergePreferences(rows[0]);
+}
+
+/**
+ * input: { enabled?, categories?: { <category>: { push?, email? } } }
+ * → { ok: true, preferences } | { ok: false, status: 400, error }
+ */
+function validatePreferences(input, current) {
+   const bad = (error) => ({ ok: false, status: 400, error });
+   if (!input || typeof input !== "object") return bad("Body must be an object");
+
+   const next = {
+      enabled: current.enabled,
+      categories: JSON.parse(JSON.stringify(current.categories)),
+   };
+
+   if (input.enabled !== undefined) {
+      if (typeof input.enabled !== "boolean") return bad("enabled must be a boolean");
+      next.enabled = input.enabled;
+   }
+
+   if (input.categories !== undefined) {
+      if (!input.categories || typeof input.categories !== "object") return bad("categories must be an object");
+
+      for (const [category, channels] of Object.entries(input.categories)) {
+         if (!CATEGORIES.includes(category)) return bad(`Unknown category: ${category}`);
+         if (!channels || typeof channels !== "object") return bad(`categories.${category} must be an object`);
+
+         for (const [channel, value] of Object.entries(channels)) {
+            if (!CHANNELS.includes(channel)) return bad(`Unknown channel: ${channel}`);
+            if (typeof value !== "boolean") return bad(`categories.${category}.${channel} must be a boolean`);
+            next.categories[category][channel] = value;
+         }
+      }
+   }
+
+   return { ok: true, preferences: next };
+}
+
+async function savePreferences(userId, preferences, client = pool) {
+   await client.query(
+      `INSERT INTO notification_preferences (user_id, enabled, categories, updated_at)
+       VALUES ($1, $2, $3, now())
+       ON CONFLICT (user_id) DO UPDATE SET
+          enabled = EXCLUDED.enabled,
+          categories = EXCLUDED.categories,
+          updated_at = now()`,
+      [userId, preferences.enabled, JSON.stringify(preferences.categories)]
+   );
+   return preferences;
+}
+
+/* --------------------------------- devices -------------------------------- */
+
+// A token already registered by another account is not taken over: that account
+// has to remove it first (logout). → device | null when the token belongs to someone else
+async function registerDevice(userId, { token, platform = null }, client = pool) {
+   const { rows } = await client.query(
+      `INSERT INTO notification_devices (user_id, token, platform)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (token) DO UPDATE SET
+          platform = COALESCE(EXCLUDED.platform, notification_devices.platform),
+          last_seen_at = now()
+       WHERE notification_devices.user_id = EXCLUDED.user_id
+       RETURNING device_id, token, platform, created_at, last_seen_at`,
+      [userId, token, platform]
+   );
+   return rows[0] || null;
+}
+
+async function removeDevice(userId, token, client = pool) {
+   const { rowCount } = await client.query(
+      `DELETE FROM notification_devices WHERE user_id = $1 AND token = $2`,
+      [userId, token]
+   );
+   return rowCount > 0;
+}
+
+async function listDevices(userId, client = pool) {
+   const { rows } = await client.query(
+      `SELECT device_id, token, platform, created_at, last_seen_at
+       FROM notification_devices
+       WHERE user_id = $1
+       ORDER BY last_seen_at DESC`,
+      [userId]
+   );
+   return rows;
+}
+
+/* -------------------------------- delivery -------------------------------- */
+
+async function loadEmail(userId, cache) {
+   if (cache?.has(userId)) return cache.get(userId);
+
+   let email = null;
+   try {
+      const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+      if (error) throw error;
+      email = data?.user?.email || null;
+   } catch (err) {
+      console.error("🔴 notification email lookup failed:", userId, err.message || err);
+   }
+
+   cache?.set(userId, email);
+   return email;
+}
+
+async function recipientFor(channel, userId, ctx) {
+   if (channel === "push") {
+      const { rows } = await pool.query(`SELECT token FROM notification_devices WHERE user_id = $1`, [userId]);
+      return rows.length ? rows.map((r) => r.token) : null;
+   }
+   if (channel === "email") return loadEmail(userId, ctx.emails);
+   return null;
+}
+
+/**
+ * Send one notification to a user on each channel enabled for its category.
+ * notification: { category, dedupe_key, title, body, data }
+ * A (user, channel, dedupe_key) is sent once; failed ones, and pending ones left over
+ * by an interrupted run, are retried up to MAX_ATTEMPTS.
+ * → [{ channel, status, delivery_id }] (channels already handled are omitted)
+ */
+async function deliver(userId, notification, ctx = {}) {
+   const prefs = ctx.preferences?.get(userId) || (await loadPreferences(userId));
+   ctx.preferences?.set(userId, prefs);
+   if (!prefs.enabled) return [];
+
+   const results = [];
+   for (const channel of CHANNELS) {
+      if (!prefs.categories[notification.category]?.[channel]) continue;
+
+      const { name, transport } = getTransport(channel);
+
+      // claim the delivery (skips the ones already sent / in progress)
+      const { rows } = await pool.query(
+         `INSERT INTO notification_deliveries
+             (user_id, channel, transport, category, dedupe_key, title, body, data, attempts, claimed_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1, now())
+          ON CONFLICT (user_id, channel, dedupe_key) DO UPDATE SET
+             attempts = notification_deliveries.attempts + 1,
+             status = 'pending',
+             transport = EXCLUDED.transport,
+             error = NULL,
+             claimed_at = now()
+          WHERE (notification_deliveries.status = 'failed'
+                 OR (notification_deliveries.status = 'pending'
+                     AND notification_deliveries.claimed_at < now() - make_interval(mins => $10)))
+            AND notification_deliveries.attempts < $9
+          RETURNING delivery_id`,
+         [
+            userId,
+            channel,
+            name,
+            notification.category,
+            notification.dedupe_key,
+            notification.title,
+            notification.body || null,
+            JSON.stringify(notification.data || {}),
+            MAX_ATTEMPTS,
+            PENDING_STALE_MINUTES,
+         ]
+      );
+      if (!rows.length) continue;
+      const deliveryId = rows[0].delivery_id;
+
+      let status;
+      let error = null;
+
+      const recipient = await recipientFor(channel, userId, ctx);
+      if (!recipient) {
+         status = "skipped";
+         error = channel === "push" ? "No device registered" : "No email address";
+      } else {
+         try {
+            const sent = await transport.send(recipient, notification);
+            status = sent.ok ? "sent" : "failed";
+            error = sent.ok ? null : sent.error || "Delivery failed";
+
+            if (sent.invalidTokens?.length) {
+               await pool.query(`DELETE FROM notification_devices WHERE token = ANY($1::text[])`, [
+                  sent.invalidTokens,
+               ]);
+            }
+         } catch (err) {
+            status = "failed";
+            error = err.response?.data?.message || err.message || "Delivery failed";
+         }
+      }
+
+      await pool.query(
+         `UPDATE notification_deliveries
+          SET status = $2,
+              error = $3,
+              sent_at = CASE WHEN $2 = 'sent' THEN now() ELSE sent_at END
+          WHERE delivery_id = $1`,
+         [deliveryId, status, error]
+      );
+
+      results.push({ channel, status, delivery_id: deliveryId });
+   }
+
+   return results;
+}
+
+/* ------------------------------ notifications ----------------------------- */
+
+function taskMessage(task) {
+   const where = [task.apiary_name, task.hive_code ? `hive ${task.hive_code}` : null].filter(Boolean).join(" · ");
+   const suffix = where ? ` (${where})` : "";
+   const lot = task.details?.lot_code ? ` ${task.details.lot_code}` : "";
+
+   switch (task.source_type) {
+      case "inspection_revisit":
+         return { title: "Inspection revisit due", body: `Revisit planned for ${task.agenda_date}${suffix}.` };
+      case "apiary_note_revisit":
+         return {
+            title: "Apiary revisit due",
+            body: `${task.details?.note_text || "Revisit planned"}${suffix}`,
+         };
+      case "swarm_check":
+         return { title: "Swarm check due", body: `Check the swarm colony${suffix}.` };
+      case "nuc_check":
+         return { title: "Nuc laying check due", body: `Check eggs in the nuc${suffix}.` };
+      case "graft_g10":
+         return { title: `Graft${lot}: move the cells (G10)`, body: `Queen cells are ready to be moved today.` };
+      case "graft_emergence":
+         return { title: `Graft${lot}: queens emerging`, body: `Queens are expected to emerge today.` };
+      default:
+         return { title: task.title || "Task due", body: task.notes || `Due ${task.agenda_date}${suffix}.` };
+   }
+}
+
+/**
+ * Open tasks in the agenda between from and to (agenda date = due date or snooze date).
+ */
+async function loadOpenTasks(from, to) {
+   const { rows } = await pool.query(
+      `SELECT t.*, a.apiary_name, a.location, h.hive_code,
+              to_char(GREATEST(t.due_date, COALESCE(t.snoozed_until, t.due_date)), 'YYYY-MM-DD') AS agenda_date
+       FROM tasks t
+       LEFT JOIN apiaries a ON a.apiary_id = t.apiary_id
+       LEFT JOIN hives h    ON h.hive_id = t.hive_id
+       WHERE t.status = 'open'
+         AND GREATEST(t.due_date, COALESCE(t.snoozed_until, t.due_date))
+             BETWEEN CURRENT_DATE + $1::int AND CURRENT_DATE + $2::int
+       ORDER BY t.task_id`,
+      [from, to]
+   );
+   return rows;
+}
+
+// assignee, otherwise the owner of the apiary / graft
+function taskRecipient(task) {
+   return task.assignee_user_id || task.owner_user_id;
+}
+
+function dueTaskNotifications(tasks) {
+   return tasks.map((task) => ({
+      userId: taskRecipient(task),
+      notification: {
+         category: TASK_CATEGORIES[task.source_type] || "task",
+         dedupe_key: `task:${task.task_id}:${task.agenda_date}`,
+         ...taskMessage(task),
+         data: {
+            type: "task",
+            task_id: task.task_id,
+            source_type: task.source_type,
+            apiary_id: task.apiary_id,
+            hive_id: task.hive_id,
+            date: task.agenda_date,
+         },
+      },
+   }));
+}
+
+async function weeklyWeatherFor(apiary) {
+   const coords = parseLatLng(apiary.location);
+   if (!coords) return null;
+   return buildWeeklyWeatherInsights(await fetchWeather(coords.lat, coords.lng));
+}
+
+/**
+ * Days with planned tasks whose forecast forbids opening hives ("forbidden"):
+ * one notification per recipient, apiary and day.
+ */
+async function badWeatherNotifications(upcomingTasks) {
+   const byApiary = new Map();
+   for (const task of upcomingTasks) {
+      if (!task.apiary_id || !task.location) continue;
+      if (!byApiary.has(task.apiary_id)) byApiary.set(task.apiary_id, []);
+      byApiary.get(task.apiary_id).push(task);
+   }
+
+   const out = [];
+   for (const tasks of byApiary.values()) {
+      const apiary = tasks[0];
+
+      let weekly;
+      try {
+         weekly = await weeklyWeatherFor(apiary);
+      } catch (err) {
+         console.error("🔴 notification weather fetch failed:", apiary.apiary_id, err.message);
+         continue;
+      }
+      if (!weekly) continue;
+
+      const forbidden = new Map(weekly.days.filter((d) => d.overall_status === "forbidden").map((d) => [d.date, d]));
+
+      const groups = new Map(); // recipient|date → tasks
+      for (const task of tasks) {
+         if (!forbidden.has(task.agenda_date)) continue;
+         const key = `${taskRecipient(task)}|${task.agenda_date}`;
+         if (!groups.has(key)) groups.set(key, []);
+         groups.get(key).push(task);
+      }
+
+      for (const [key, dayTasks] of groups) {
+         const [userId, date] = key.split("|");
+         const day = forbidden.get(date);
+
+         out.push({
+            userId,
+            notification: {
+               category: "weather",
+               dedupe_key: `weather:${apiary.apiary_id}:${date}`,
+               title: `Bad weather at ${apiary.apiary_name || "your apiary"} on ${date}`,
+               body:
+                  `${dayTasks.length} task(s) planned but conditions are not suitable for opening hives ` +
+                  `(max ${day.temp_max ?? "?"}°C, wind ${day.wind_max ?? "?"} km/h, rain ${day.rain_sum ?? 0} mm). ` +
+                  `Consider rescheduling.`,
+               data: {
+                  type: "weather",
+                  apiary_id: apiary.apiary_id,
+                  date,
+                  task_ids: dayTasks.map((t) => t.task_id),
+               },
+            },
+         });
+      }
+   }
+
+   return out;
+}
+
+/**
+ * Sync every task source, then build and deliver the notifications.
+ * dryRun: build only from the tasks as they are stored; tasks are not
+ * refreshed and nothing is logged or sent.
+ * → { tasks, weather, deliveries: { sent, failed, skipped }, notifications? }
+ */
+async function runNotificationJob({ dryRun = false } = {}) {
+   if (!dryRun) {
+      const { rows: apiaries } = await pool.query(`SELECT apiary_id FROM apiaries`);
+      const { rows: graftOwners } = await pool.query(
+         `SELECT DISTINCT owner_id FROM queen_graft_sessions WHERE owner_id IS NOT NULL`
+      );
+
+      await refreshTasks(null, apiaries.map((a) => a.apiary_id));
+      for (const { owner_id } of graftOwners) await refreshTasks(owner_id, []);
+   }
+
+   const dueTasks = await loadOpenTasks(-DUE_LOOKBACK_DAYS, 0);
+   const upcomingTasks = await loadOpenTasks(0, WEATHER_LOOKAHEAD_DAYS);
+
+   const notifications = [...dueTaskNotifications(dueTasks), ...(await badWeatherNotifications(upcomingTasks))];
+
+   const summary = {
+      tasks: dueTasks.length,
+      weather: notifications.filter((n) => n.notification.category === "weather").length,
+      deliveries: { sent: 0, failed: 0, skipped: 0 },
+   };
+   if (dryRun) return { ...summary, notifications };
+
+   const ctx = { preferences: new Map(), emails: new Map() };
+   for (const { userId, notification } of notifications) {
+      try {
+         const results = await deliver(userId, notification, ctx);
+         for (const r of results) summary.deliveries[r.status] = (summary.deliveries[r.status] || 0) + 1;
+      } catch (err) {
+         console.error("🔴 notification delivery error:", notification.dedupe_key, err);
+      }
+   }
+
+   return summary;
+}
+
+/**
+ * Runs the job unless another instance holds the lock.
+ * → summary | null (skipped)
+ */
+async function runNotificationJobLocked(options = {}) {
+   const client = await pool.connect();
+   try {
+      const { rows } = await client.query(`SELECT pg_try_advisory_lock(hashtext('notification_job')) AS locked`);
+      if (!rows[0].locked) return null;
+
+      try {
+         return await runNotificationJob(options);
+      } finally {
+         await client.query(`SELECT pg_advisory_unlock(hashtext('notification_job'))`);
+      }
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * In-process schedule (NOTIFICATION_JOB_INTERVAL_MINUTES); scripts/send-notifications.js
+ * does one run for an external cron instead.
+ */
+function startNotificationScheduler(intervalMinutes) {
+   const minutes = Number(intervalMinutes);
+   if (!Number.isFinite(minutes) || minutes <= 0) return null;
+
+   const tick = async () => {
+      try {
+         const summary = await runNotificationJobLocked();
+         if (summary) console.log("🔔 Notification job:", JSON.stringify(summary));
+      } catch (err) {
+         console.error("🔴 Notification job failed:", err);
+      }
+   };
+
+   const timer = setInterval(tick, minutes * 60 * 1000);
+   timer.unref();
+   console.log(`🔔 Notification job every ${minutes} min`);
+   return timer;
+}
+
+/**
+ * Delivery log. filters: { userId?, status, category, channel, from, to, limit }
+ */
+async function listDeliveries({ userId = null, status, category, channel, from, to, limit = 100 } = {}) {
+   const params = [];
+   const where = [];
+   const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replace("?", `$${params.length}`));
+   };
+
+   if (userId) add("d.user_id = ?", userId);
+   if (status) add("d.status = ?", status);
+   if (category) add("d.category = ?", category);
+   if (channel) add("d.channel = ?", channel);
+   if (from) add("d.created_at >= ?::date", from);
+   if (to) add("d.created_at < ?::date + 1", to);
+
+   params.push(Math.min(Math.max(Number(limit) || 100, 1), 500));
+
+   const { rows } = await pool.query(
+      `SELECT d.*
+       FROM notification_deliveries d
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY d.created_at DESC, d.delivery_id DESC
+       LIMIT $${params.length}`,
+      params
+   );
+   return rows;
+}
+
+module.exports = {
+   CATEGORIES,
+   DELIVERY_STATUSES,
+   loadPreferences,
+   validatePreferences,
+   savePreferences,
+   registerDevice,
+   removeDevice,
+   listDevices,
+   deliver,
+   runNotificationJob,
+   runNotificationJobLocked,
+   startNotificationScheduler,
+   listDeliveries,
+};
@@ -0,0 +1,99 @@
+// services/notificationTransports.js
+// Delivery transports per channel. Each transport: async send(recipient, message)
+// → { ok, error?, invalidTokens? }
+//   push:  recipient = [device tokens]   email: recipient = address
+// Picked with NOTIFY_PUSH_TRANSPORT / NOTIFY_EMAIL_TRANSPORT ("stub" keeps messages in memory).
+const axios = require("axios");
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const RESEND_URL = "https://api.resend.com/emails";
+
+// ✅ stub: nothing leaves the process (dev / tests)
+const stubOutbox = [];
+
+function stubTransport(channel) {
+   return {
+      async send(recipient, message) {
+         stubOutbox.push({ channel, recipient, message, at: new Date().toISOString() });
+         return { ok: true };
+      },
+   };
+}
+
+const expoPush = {
+   async send(tokens, message) {
+      const messages = tokens.map((to) => ({
+         to,
+         title: message.title,
+         body: message.body,
+         data: message.data,
+         sound: "default",
+      }));
+
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.EXPO_ACCESS_TOKEN) headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+
+      const { data } = await axios.post(EXPO_PUSH_URL, messages, { headers, timeout: 10000 });
+      const tickets = Array.isArray(data?.data) ? data.data : [];
+
+      const invalidTokens = [];
+      const errors = [];
+      tickets.forEach((ticket, i) => {
+         if (ticket.status !== "error") return;
+         if (ticket.details?.error === "DeviceNotRegistered") invalidTokens.push(tokens[i]);
+         else errors.push(ticket.message || ticket.details?.error || "push error");
+      });
+
+      const delivered = tickets.length - invalidTokens.length - errors.length;
+      if (delivered > 0) return { ok: true, invalidTokens };
+      return { ok: false, error: errors[0] || "No registered device", invalidTokens };
+   },
+};
+
+const resendEmail = {
+   async send(to, message) {
+      if (!process.env.RESEND_API_KEY || !process.env.NOTIFY_EMAIL_FROM) {
+         return { ok: false, error: "RESEND_API_KEY / NOTIFY_EMAIL_FROM not configured" };
+      }
+
+      await axios.post(
+         RESEND_URL,
+         { from: process.env.NOTIFY_EMAIL_FROM, to, subject: message.title, text: message.body },
+         { headers: { Authorization: `Bearer ${process.env.RESEND_API_KEY}` }, timeout: 10000 }
+      );
+      return { ok: true };
+   },
+};
+
+const TRANSPORTS = {
+   push: { expo: expoPush, stub: stubTransport("push") },
+   email: { resend: resendEmail, stub: stubTransport("email") },
+};
+
+function registerTransport(channel, name, transport) {
+   if (!TRANSPORTS[channel]) throw new Error(`Unknown notification channel: ${channel}`);
+   TRANSPORTS[channel][name] = transport;
+}
+
+function transportName(channel) {
+   if (channel === "push") return process.env.NOTIFY_PUSH_TRANSPORT || "expo";
+   if (channel === "email") return process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? "resend" : "stub");
+   return "stub";
+}
+
+/**
+ * → { name, transport } for the configured transport of a channel
+ */
+function getTransport(channel) {
+   const name = transportName(channel);
+   const transport = TRANSPORTS[channel]?.[name];
+   if (!transport) throw new Error(`Unknown ${channel} transport: ${name}`);
+   return { name, transport };
+}
+
+module.exports = {
+   CHANNELS: Object.keys(TRANSPORTS),
+   stubOutbox,
+   registerTransport,
+   getTransport,
+};
@@ -0,0 +1,66 @@
+// services/nucCycleService.js
+// Laying check of a nuc cycle, shared by POST /nuc-cycles/:id/check and task completion.
+const pool = require("../db");
+
+const CHECK_RESULTS = ["ok", "no_eggs"];
+
+const ADD_DAYS = (d, days) => {
+   const x = new Date(d);
+   x.setUTCDate(x.getUTCDate() + days);
+   return x.toISOString();
+};
+
+/**
+ * result 'ok' closes the cycle; 'no_eggs' keeps it open, optionally with a new cell
+ * (reintroduce) and a new check date.
+ * client: the caller's transaction (task completion), pool otherwise.
+ * → { ok, status, error?, cycle?, reintroduced? }
+ */
+async function checkNucCycle(id, { result, reintroduce = false, check_after_days = 15 } = {}, client = pool) {
+   if (!CHECK_RESULTS.includes(result || "")) {
+      return { ok: false, status: 400, error: "result must be 'ok' or 'no_eggs'" };
+   }
+   const afterDays = Number(check_after_days);
+   if (reintroduce && (!Number.isInteger(afterDays) || afterDays <= 0)) {
+      return { ok: false, status: 400, error: "check_after_days must be a positive integer" };
+   }
+
+   const now = new Date().toISOString();
+
+   let update;
+   if (result === "ok") {
+      update = { laying_status: "ok", laying_checked_at: now, closed_at: now };
+   } else if (reintroduce) {
+      update = {
+         laying_status: "no_eggs",
+         laying_checked_at: now,
+         cell_introduced_at: now,
+         check_due_at: ADD_DAYS(now, afterDays),
+      };
+   } else {
+      update = { laying_status: "no_eggs", laying_checked_at: now };
+   }
+
+   const columns = Object.keys(update);
+   const { rows } = await client.query(
+      `UPDATE nuc_cycles
+       SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(", ")}
+       WHERE id = $1 AND closed_at IS NULL
+       RETURNING *`,
+      [id, ...columns.map((c) => update[c])]
+   );
+   if (!rows.length) return { ok: false, status: 409, error: "Nuc cycle not found or already closed" };
+
+   return {
+      ok: true,
+      status: 200,
+      cycle: rows[0],
+      ...(result === "no_eggs" ? { reintroduced: Boolean(reintroduce) } : {}),
+   };
+}
+
+module.exports = {
+   CHECK_RESULTS,
+   ADD_DAYS,
+   checkNucCycle,
+};
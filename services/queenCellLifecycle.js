@@ -0,0 +1,590 @@
+// services/queenCellLifecycle.js
+// Queen cell lifecycle: grafted → accepted → capped → introduced (nuc) → emerged → mated
+// → laying, or lost at any point before laying. Scans of the printed cell labels move a
+// cell forward; the funnel analytics measure success per strain, breeder, graft session
+// and mating apiary.
+const pool = require("../db");
+const { loadHiveAccess } = require("./accessControl");
+const { parseInstant } = require("./hiveMovementService");
+
+const CELL_STAGES = ["grafted", "accepted", "capped", "introduced", "emerged", "mated", "laying"];
+const CELL_STATUSES = [...CELL_STAGES, "lost"];
+
+// transition rates reported by the funnel (stage i → stage i + 1)
+const FUNNEL_RATES = ["acceptance", "capping", "introduction", "emergence", "mating", "laying"];
+
+const EVENT_SOURCES = ["scan", "manual", "line", "queen"];
+
+// cells updated in one call on a graft line
+const MAX_LINE_CELLS = 500;
+
+function fail(status, error) {
+   return { ok: false, status, error };
+}
+
+function stageRank(status) {
+   return CELL_STAGES.indexOf(status);
+}
+
+function nextStatus(status) {
+   const rank = stageRank(status);
+   return rank >= 0 && rank < CELL_STAGES.length - 1 ? CELL_STAGES[rank + 1] : null;
+}
+
+/**
+ * Cell reference from a request: cell_id, cell_lot / full_lot_number or the scanned
+ * label (qr_payload, JSON string or object). → { cellId } | { cellLot } | null
+ */
+function parseCellRef({ cell_id, cell_lot, full_lot_number, qr_payload } = {}) {
+   if (cell_id !== undefined && cell_id !== null && cell_id !== "") return { cellId: String(cell_id) };
+   if (cell_lot || full_lot_number) return { cellLot: String(cell_lot || full_lot_number).trim() };
+   if (!qr_payload) return null;
+
+   let payload = qr_payload;
+   if (typeof payload === "string") {
+      try {
+         payload = JSON.parse(payload);
+      } catch (e) {
+         // plain lot number printed as text
+         return { cellLot: payload.trim() };
+      }
+   }
+   const lot = payload && (payload.cell_lot || payload.full_lot_number || payload.full_lot);
+   return lot ? { cellLot: String(lot).trim() } : null;
+}
+
+const CELL_SELECT = `
+   SELECT c.*, c.id::text AS cell_id,
+          gl.lot_code, gl.session_id, gl.strain_id, gl.breeder_id,
+          gs.season, to_char(gs.graft_date, 'YYYY-MM-DD') AS graft_date,
+          s.name AS strain_name, b.code AS breeder_code,
+          h.hive_code AS nuc_hive_code, a.apiary_name AS mating_apiary_name
+   FROM queen_cells c
+   JOIN queen_graft_lines gl ON gl.id = c.line_id
+   JOIN queen_graft_sessions gs ON gs.id = gl.session_id
+   LEFT JOIN queen_strains s ON s.id = gl.strain_id
+   LEFT JOIN queen_breeders b ON b.id = gl.breeder_id
+   LEFT JOIN hives h ON h.hive_id = c.nuc_hive_id
+   LEFT JOIN apiaries a ON a.apiary_id = c.mating_apiary_id
+`;
+
+/**
+ * Cell of a graft session owned by the user. forUpdate locks the row (transaction client).
+ * → { ok, cell } | { ok: false, status, error }
+ */
+async function loadCell(ref, userId, { client = pool, forUpdate = false } = {}) {
+   if (!ref) return fail(400, "cell_id, cell_lot or qr_payload is required");
+
+   const where = ref.cellId ? "c.id::text = $1" : "c.full_lot_number = $1";
+   const { rows } = await client.query(
+      `${CELL_SELECT}
+       WHERE ${where} AND gs.owner_id = $2
+       LIMIT 1
+       ${forUpdate ? "FOR UPDATE OF c" : ""}`,
+      [ref.cellId || ref.cellLot, userId]
+   );
+   if (!rows.length) return fail(404, "Queen cell not found");
+   return { ok: true, cell: rows[0] };
+}
+
+// open nuc cycle of a ruchette (routes/nucSessions.js) the cell is introduced into
+async function findOpenNucCycle(hiveId, client) {
+   const { rows } = await client.query(
+      `SELECT id FROM nuc_cycles
+       WHERE ruchette_hive_id = $1 AND closed_at IS NULL
+       ORDER BY started_at DESC NULLS LAST, id DESC
+       LIMIT 1`,
+      [hiveId]
+   );
+   return rows[0]?.id ?? null;
+}
+
+/**
+ * Moves one locked cell to <status> (default: next stage) and logs the event.
+ * Forward only; scanning a cell again at its current status is a no-op.
+ * options: { status, hiveId, at, lostReason, notes, source }
+ * → { ok, cell, event, unchanged? } | { ok: false, status, error }
+ */
+async function applyTransition(cell, userId, options, client) {
+   const { hiveId = null, lostReason = null, notes = null, source = "manual" } = options;
+   const target = options.status || nextStatus(cell.status);
+
+   if (!target) {
+      return fail(409, `Cell is ${cell.status}: no further status`);
+   }
+   if (!CELL_STATUSES.includes(target)) {
+      return fail(400, `status must be one of: ${CELL_STATUSES.join(", ")}`);
+   }
+   if (target === cell.status) {
+      return { ok: true, cell, event: null, unchanged: true };
+   }
+   if (cell.status === "lost" || cell.status === "laying") {
+      return fail(409, `Cell is already ${cell.status}`);
+   }
+   if (target !== "lost" && stageRank(target) < stageRank(cell.status)) {
+      return fail(409, `Cell is already ${cell.status}: cannot go back to ${target}`);
+   }
+
+   const at = parseInstant(options.at);
+   if (!at) return fail(400, "Invalid date");
+
+   // introduction needs the nuc; later stages accept it when the introduction was not scanned
+   let nuc = null;
+   if (hiveId) {
+      const access = await loadHiveAccess(hiveId, userId, "write", client);
+      if (!access.ok) return access;
+      if (access.hive.archived_at) return fail(409, "Hive is archived");
+      nuc = {
+         hiveId: access.hive.hive_id,
+         apiaryId: access.hive.apiary_id,
+         cycleId: await findOpenNucCycle(access.hive.hive_id, client),
+      };
+   } else if (target === "introduced" && !cell.nuc_hive_id) {
+      return fail(400, "hive_id (nuc) is required to introduce a cell");
+   }
+
+   const setNuc = nuc && (!cell.nuc_hive_id || target === "introduced");
+   const { rows } = await client.query(
+      `UPDATE queen_cells
+       SET status = $2,
+           status_at = $3,
+           lost_stage = CASE WHEN $2 = 'lost' THEN $4 ELSE NULL END,
+           lost_reason = CASE WHEN $2 = 'lost' THEN $5 ELSE NULL END,
+           nuc_hive_id = CASE WHEN $6::boolean THEN $7 ELSE nuc_hive_id END,
+           mating_apiary_id = CASE WHEN $6::boolean THEN $8 ELSE mating_apiary_id END,
+           nuc_cycle_id = CASE WHEN $6::boolean THEN $9 ELSE nuc_cycle_id END,
+           introduced_at = CASE
+              WHEN $6::boolean AND introduced_at IS NULL THEN $3
+              ELSE introduced_at
+           END
+       WHERE id::text = $1
+       RETURNING id::text AS cell_id, status, status_at, lost_stage, lost_reason,
+                 nuc_hive_id, mating_apiary_id, nuc_cycle_id, introduced_at, queen_id`,
+      [
+         cell.cell_id,
+         target,
+         at,
+         cell.status,
+         lostReason,
+         !!setNuc,
+         nuc?.hiveId ?? null,
+         nuc?.apiaryId ?? null,
+         nuc?.cycleId ?? null,
+      ]
+   );
+
+   const { rows: events } = await client.query(
+      `INSERT INTO queen_cell_events (cell_id, from_status, to_status, hive_id, apiary_id,
+                                      event_at, source, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+         cell.cell_id,
+         cell.status,
+         target,
+         nuc?.hiveId ?? cell.nuc_hive_id ?? null,
+         nuc?.apiaryId ?? cell.mating_apiary_id ?? null,
+         at,
+         source,
+         notes,
+         userId,
+      ]
+   );
+
+   return { ok: true, cell: { ...cell, ...rows[0] }, event: events[0] };
+}
+
+// graft lines keep cells_accepted in step with the cells that reached acceptance
+// (never lowered: the declared count may cover cells that were not labelled)
+async function syncLineAccepted(lineId, client) {
+   await client.query(
+      `UPDATE queen_graft_lines gl
+       SET cells_accepted = sub.accepted, updated_at = now()
+       FROM (
+          SELECT COUNT(*) FILTER (
+                    WHERE CASE WHEN status = 'lost' THEN COALESCE(lost_stage, 'grafted') ELSE status END
+                          <> 'grafted'
+                 )::int AS accepted
+          FROM queen_cells
+          WHERE line_id = $1
+       ) sub
+       WHERE gl.id = $1
+         AND sub.accepted > COALESCE(gl.cells_accepted, 0)`,
+      [lineId]
+   );
+}
+
+/**
+ * Scan / manual update of one cell.
+ * body: { cell_id | cell_lot | qr_payload, status?, hive_id?, at?, lost_reason?, notes? }
+ */
+async function transitionCell(userId, body, source = "scan") {
+   if (!EVENT_SOURCES.includes(source)) source = "manual";
+   const ref = parseCellRef(body);
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const loaded = await loadCell(ref, userId, { client, forUpdate: true });
+      if (!loaded.ok) {
+         await client.query("ROLLBACK");
+         return loaded;
+      }
+
+      const result = await applyTransition(
+         loaded.cell,
+         userId,
+         {
+            status: body.status,
+            hiveId: body.hive_id,
+            at: body.at,
+            lostReason: body.lost_reason,
+            notes: body.notes,
+            source,
+         },
+         client
+      );
+      if (!result.ok) {
+         await client.query("ROLLBACK");
+         return result;
+      }
+
+      if (!result.unchanged) await syncLineAccepted(loaded.cell.line_id, client);
+      await client.query("COMMIT");
+      return { ...result, next_status: nextStatus(result.cell.status) };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Bulk update of the cells of a graft line (acceptance / capping checks are done per bar,
+ * not per scanned cell).
+ * body: { status, cell_indexes?, lost_remaining?, at?, notes?, lost_reason? }
+ *   cell_indexes: cells moved to <status> (default: every cell at the previous stage)
+ *   lost_remaining: the other cells still at the previous stage are marked lost
+ * → { ok, updated, lost, skipped }
+ */
+async function updateLineCells(userId, lineId, body) {
+   const { status, cell_indexes, lost_remaining = false, at, notes, lost_reason } = body || {};
+
+   if (!CELL_STATUSES.includes(status)) {
+      return fail(400, `status must be one of: ${CELL_STATUSES.join(", ")}`);
+   }
+   if (status === "introduced") {
+      return fail(400, "Cells are introduced one by one (scan with the nuc hive_id)");
+   }
+   if (status === "lost" && !cell_indexes) {
+      return fail(400, "cell_indexes is required to mark cells as lost");
+   }
+   if (cell_indexes !== undefined && (!Array.isArray(cell_indexes) || cell_indexes.length > MAX_LINE_CELLS)) {
+      return fail(400, `cell_indexes must be an array of at most ${MAX_LINE_CELLS} indexes`);
+   }
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const { rows: cells } = await client.query(
+         `${CELL_SELECT}
+          WHERE c.line_id = $1 AND gs.owner_id = $2
+          ORDER BY c.cell_index
+          FOR UPDATE OF c`,
+         [lineId, userId]
+      );
+      if (!cells.length) {
+         await client.query("ROLLBACK");
+         return fail(404, "No cells found for this line");
+      }
+
+      const previous = status === "lost" ? null : CELL_STAGES[stageRank(status) - 1];
+      const selected = cell_indexes ? new Set(cell_indexes.map(Number)) : null;
+
+      const updated = [];
+      const lost = [];
+      const skipped = [];
+      for (const cell of cells) {
+         let target = null;
+         if (selected ? selected.has(cell.cell_index) : previous === null || cell.status === previous) {
+            target = status;
+         } else if (lost_remaining && previous && cell.status === previous) {
+            target = "lost";
+         }
+         if (!target || target === cell.status) continue;
+
+         const result = await applyTransition(
+            cell,
+            userId,
+            { status: target, at, notes, lostReason: target === "lost" ? lost_reason || null : null, source: "line" },
+            client
+         );
+         if (!result.ok) {
+            skipped.push({ cell_index: cell.cell_index, status: cell.status, error: result.error });
+            continue;
+         }
+         (target === "lost" && status !== "lost" ? lost : updated).push(cell.cell_index);
+      }
+
+      await syncLineAccepted(lineId, client);
+      await client.query("COMMIT");
+      return { ok: true, updated, lost, skipped };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Queen created from a scanned cell (POST /queens/from-cell): the cell is linked to the
+ * queen and counts as introduced into that hive. → cell | null (cell unknown)
+ */
+async function linkQueenToCell(cellLot, queenId, hiveId, userId) {
+   if (!cellLot) return null;
+
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const loaded = await loadCell({ cellLot }, userId, { client, forUpdate: true });
+      if (!loaded.ok) {
+         await client.query("ROLLBACK");
+         return null;
+      }
+
+      let cell = loaded.cell;
+      if (cell.status !== "lost" && stageRank(cell.status) < stageRank("introduced")) {
+         const result = await applyTransition(
+            cell,
+            userId,
+            { status: "introduced", hiveId, source: "queen" },
+            client
+         );
+         if (result.ok) cell = result.cell;
+      }
+
+      await client.query(`UPDATE queen_cells SET queen_id = $2 WHERE id::text = $1`, [
+         cell.cell_id,
+         String(queenId),
+      ]);
+      await syncLineAccepted(cell.line_id, client);
+      await client.query("COMMIT");
+      return { ...cell, queen_id: String(queenId) };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Moves the cell a queen was raised from up to <status> (mating records: mated / laying).
+ * Cells already further, lost, or unknown are left as they are. → cell | null
+ */
+async function advanceQueenCell(queenId, status, userId, { at = null, source = "queen" } = {}, client = pool) {
+   const { rows } = await client.query(
+      `${CELL_SELECT}
+       WHERE c.queen_id = $1 AND gs.owner_id = $2
+       ORDER BY c.status_at DESC NULLS LAST
+       LIMIT 1
+       FOR UPDATE OF c`,
+      [String(queenId), userId]
+   );
+   const cell = rows[0];
+   if (!cell || cell.status === "lost" || stageRank(cell.status) >= stageRank(status)) return null;
+
+   const result = await applyTransition(cell, userId, { status, at, source }, client);
+   return result.ok ? result.cell : null;
+}
+
+/**
+ * Cell with its transition history. → { ok, cell, events, next_status }
+ */
+async function getCellHistory(userId, ref) {
+   const loaded = await loadCell(ref, userId);
+   if (!loaded.ok) return loaded;
+
+   const { rows: events } = await pool.query(
+      `SELECT event_id, from_status, to_status, hive_id, apiary_id, event_at, source, notes
+       FROM queen_cell_events
+       WHERE cell_id = $1
+       ORDER BY event_at, event_id`,
+      [loaded.cell.cell_id]
+   );
+   return { ok: true, cell: loaded.cell, events, next_status: nextStatus(loaded.cell.status) };
+}
+
+// ----------------------------------------------------
+// Funnel analytics
+// ----------------------------------------------------
+
+function emptyCounts() {
+   return {
+      reached: Object.fromEntries(CELL_STAGES.map((s) => [s, 0])),
+      lost: Object.fromEntries(CELL_STAGES.map((s) => [s, 0])),
+   };
+}
+
+function addCounts(target, source) {
+   for (const s of CELL_STAGES) {
+      target.reached[s] += source.reached[s];
+      target.lost[s] += source.lost[s];
+   }
+}
+
+/**
+ * Funnel of a group: counts per stage and the success rate of each step, computed on
+ * resolved cells only (reached the next stage or lost at this one) so cells still in
+ * progress do not pull the rates down.
+ */
+function summarizeFunnel(counts, fromStage = "grafted") {
+   const start = stageRank(fromStage);
+   const stages = CELL_STAGES.slice(start);
+   const rates = {};
+   for (let i = Math.max(start, 0); i < CELL_STAGES.length - 1; i++) {
+      const stage = CELL_STAGES[i];
+      const next = CELL_STAGES[i + 1];
+      const resolved = counts.reached[next] + counts.lost[stage];
+      rates[FUNNEL_RATES[i]] = resolved ? Math.round((counts.reached[next] / resolved) * 1000) / 10 : null;
+   }
+
+   const first = counts.reached[fromStage];
+   const laying = counts.reached.laying;
+   const lost = stages.reduce((s, st) => s + counts.lost[st], 0);
+   return {
+      counts: Object.fromEntries(stages.map((s) => [s, counts.reached[s]])),
+      lost_at: Object.fromEntries(stages.map((s) => [s, counts.lost[s]])),
+      in_progress: Math.max(first - laying - lost, 0),
+      rates,
+      overall_rate: first ? Math.round((laying / first) * 1000) / 10 : null,
+   };
+}
+
+/**
+ * Cell funnel of the user's graft sessions (optionally one season), overall and per
+ * strain, breeder, graft session and mating apiary.
+ * Lines whose cells were generated from the accepted count contribute their grafted /
+ * accepted numbers from queen_graft_lines.
+ */
+async function buildCellFunnel(ownerId, season = null) {
+   const reachedExpr = "CASE WHEN c.status = 'lost' THEN COALESCE(c.lost_stage, 'grafted') ELSE c.status END";
+   const reachedCols = CELL_STAGES.map(
+      (s, i) =>
+         `COUNT(c.id) FILTER (WHERE array_position($3::text[], ${reachedExpr}) > ${i})::int AS reached_${s}`
+   ).join(",\n             ");
+   const lostCols = CELL_STAGES.map(
+      (s) => `COUNT(c.id) FILTER (WHERE c.status = 'lost' AND COALESCE(c.lost_stage, 'grafted') = '${s}')::int AS lost_${s}`
+   ).join(",\n             ");
+
+   const { rows } = await pool.query(
+      `SELECT gl.id AS line_id, gl.session_id, gl.cells_grafted, gl.cells_accepted,
+              to_char(gs.graft_date, 'YYYY-MM-DD') AS graft_date, gs.graft_index_season, gs.season,
+              gl.strain_id, s.name AS strain_name,
+              gl.breeder_id, b.code AS breeder_code, b.name AS breeder_name,
+              c.mating_apiary_id, a.apiary_name AS mating_apiary_name,
+              ${reachedCols},
+              ${lostCols}
+       FROM queen_graft_lines gl
+       JOIN queen_graft_sessions gs ON gs.id = gl.session_id
+       LEFT JOIN queen_strains s ON s.id = gl.strain_id
+       LEFT JOIN queen_breeders b ON b.id = gl.breeder_id
+       LEFT JOIN queen_cells c ON c.line_id = gl.id
+       LEFT JOIN apiaries a ON a.apiary_id = c.mating_apiary_id
+       WHERE gs.owner_id = $1
+         AND ($2::int IS NULL OR gs.season = $2::int)
+       GROUP BY gl.id, gs.id, s.name, b.code, b.name, c.mating_apiary_id, a.apiary_name`,
+      [ownerId, season, CELL_STAGES]
+   );
+
+   // one counts object per line (all mating apiaries), one per (line, mating apiary)
+   const lines = new Map();
+   const byApiary = new Map();
+   for (const row of rows) {
+      const counts = emptyCounts();
+      for (const s of CELL_STAGES) {
+         counts.reached[s] = row[`reached_${s}`];
+         counts.lost[s] = row[`lost_${s}`];
+      }
+
+      if (!lines.has(row.line_id)) lines.set(row.line_id, { row, counts: emptyCounts() });
+      addCounts(lines.get(row.line_id).counts, counts);
+
+      if (row.mating_apiary_id) {
+         const key = row.mating_apiary_id;
+         if (!byApiary.has(key)) {
+            byApiary.set(key, {
+               key: { mating_apiary_id: key, mating_apiary_name: row.mating_apiary_name },
+               counts: emptyCounts(),
+            });
+         }
+         addCounts(byApiary.get(key).counts, counts);
+      }
+   }
+
+   const groups = { strain: new Map(), breeder: new Map(), graft: new Map() };
+   const overall = emptyCounts();
+   for (const { row, counts } of lines.values()) {
+      // grafted / accepted declared on the line when cells were not generated for every graft
+      const grafted = Math.max(Number(row.cells_grafted) || 0, counts.reached.grafted);
+      const accepted = Math.max(Number(row.cells_accepted) || 0, counts.reached.accepted);
+      const acceptanceKnown = row.cells_accepted !== null || counts.reached.accepted > 0;
+      counts.reached.grafted = grafted;
+      counts.reached.accepted = accepted;
+      counts.lost.grafted = acceptanceKnown ? Math.max(grafted - accepted, 0) : 0;
+
+      addCounts(overall, counts);
+      const keys = {
+         strain: [row.strain_id, { strain_id: row.strain_id, strain_name: row.strain_name }],
+         breeder: [
+            row.breeder_id ?? "none",
+            { breeder_id: row.breeder_id, breeder_code: row.breeder_code, breeder_name: row.breeder_name },
+         ],
+         graft: [
+            row.session_id,
+            {
+               session_id: row.session_id,
+               graft_date: row.graft_date,
+               graft_index_season: row.graft_index_season,
+               season: row.season,
+            },
+         ],
+      };
+      for (const [dim, [id, key]] of Object.entries(keys)) {
+         if (!groups[dim].has(id)) groups[dim].set(id, { key, counts: emptyCounts() });
+         addCounts(groups[dim].get(id).counts, counts);
+      }
+   }
+
+   const list = (map, fromStage) =>
+      [...map.values()].map(({ key, counts }) => ({ ...key, ...summarizeFunnel(counts, fromStage) }));
+
+   return {
+      overall: summarizeFunnel(overall),
+      per_strain: list(groups.strain),
+      per_breeder: list(groups.breeder),
+      per_graft: list(groups.graft).sort((a, b) => String(b.graft_date).localeCompare(String(a.graft_date))),
+      // cells are attributed to a mating apiary at introduction
+      per_mating_apiary: list(byApiary, "introduced"),
+   };
+}
+
+module.exports = {
+   CELL_STAGES,
+   CELL_STATUSES,
+   FUNNEL_RATES,
+   nextStatus,
+   parseCellRef,
+   transitionCell,
+   updateLineCells,
+   linkQueenToCell,
+   advanceQueenCell,
+   getCellHistory,
+   summarizeFunnel,
+   buildCellFunnel,
+};
@@ -0,0 +1,319 @@
+// services/stationService.js
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const pool = require("../db");
+const { createHarvest } = require("./harvestService");
+
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Mint a token for a station: one station_tokens row per token (jti),
+ * so each token can be revoked on its own.
+ */
+async function mintStationToken(station, { label = null, expiresInDays = 365 } = {}, client = pool) {
+   const tokenId = uuidv4();
+   const expiresAt = expiresInDays
+      ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+   const { rows } = await client.query(
+      `INSERT INTO station_tokens (token_id, station_id, label, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING token_id, station_id, label, created_at, expires_at, revoked_at`,
+      [tokenId, station.station_id, label, expiresAt]
+   );
+
+   const payload = {
+      sub: `device:${station.station_code}`,
+      role: "station",
+      station: station.station_code,
+      station_id: station.station_id,
+   };
+
+   const token = jwt.sign(payload, process.env.JWT_SECRET, {
+      jwtid: tokenId,
+      ...(expiresInDays ? { expiresIn: `${Number(expiresInDays)}d` } : {}),
+   });
+
+   return { token, record: rows[0] };
+}
+
+/**
+ * Resolve a verified station JWT payload to its station + owner.
+ * - tokens with a jti must exist in station_tokens and not be revoked
+ * - legacy tokens (no jti) are accepted by station_code, while the station is active
+ *   and until its legacy_token_until (migration 026; revoking sets it to now)
+ * Returns null when the token must be rejected.
+ */
+async function resolveStationFromPayload(payload) {
+   if (payload?.jti) {
+      const { rows } = await pool.query(
+         `SELECT s.station_id, s.station_code, s.owner_user_id, s.active,
+                 t.token_id, t.revoked_at, t.expires_at
+          FROM station_tokens t
+          JOIN stations s ON s.station_id = t.station_id
+          WHERE t.token_id = $1`,
+         [payload.jti]
+      );
+
+      const row = rows[0];
+      if (!row || row.revoked_at || !row.active) return null;
+      if (row.expires_at && new Date(row.expires_at) < new Date()) return null;
+
+      await pool.query(
+         `UPDATE station_tokens SET last_used_at = now() WHERE token_id = $1`,
+         [row.token_id]
+      );
+
+      return row;
+   }
+
+   if (!payload?.station) return null;
+
+   const { rows } = await pool.query(
+      `SELECT station_id, station_code, owner_user_id, active, legacy_token_until
+       FROM stations
+       WHERE station_code = $1`,
+      [String(payload.station)]
+   );
+
+   const row = rows[0];
+   if (!row || !row.active) return null;
+   if (!row.legacy_token_until || new Date(row.legacy_token_until) <= new Date()) return null;
+
+   await pool.query(
+      `UPDATE stations SET legacy_token_last_used_at = now() WHERE station_id = $1`,
+      [row.station_id]
+   );
+
+   return { ...row, token_id: null };
+}
+
+function normalizeReading(raw) {
+   const seq = Number(raw?.seq ?? raw?.sequence);
+   const gross = Number(raw?.gross_weight_kg ?? raw?.full_weight);
+   const measuredAt = raw?.measured_at ? new Date(raw.measured_at) : null;
+   const publicKey = raw?.public_key ? String(raw.public_key).trim() : null;
+
+   if (!Number.isInteger(seq) || seq < 0) {
+      return { ok: false, error: "seq must be a non-negative integer" };
+   }
+   if (!measuredAt || Number.isNaN(measuredAt.getTime())) {
+      return { ok: false, seq, error: "measured_at must be a valid timestamp" };
+   }
+
+   return {
+      ok: true,
+      reading: {
+         seq,
+         public_key: publicKey,
+         gross_weight_kg: Number.isFinite(gross) ? gross : null,
+         measured_at: measuredAt.toISOString(),
+      },
+   };
+}
+
+/**
+ * Store one reading and, if it resolves to a super, create its harvest.
+ * Runs in its own transaction; (station_id, seq) makes replays no-ops.
+ */
+async function ingestOneReading(station, reading) {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const { rows: inserted } = await client.query(
+         `INSERT INTO station_readings (
+            station_id, seq, public_key, gross_weight_kg, measured_at
+          )
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (station_id, seq) DO NOTHING
+          RETURNING reading_id`,
+         [
+            station.station_id,
+            reading.seq,
+            reading.public_key,
+            reading.gross_weight_kg,
+            reading.measured_at,
+         ]
+      );
+
+      // Replay: already stored → report what happened the first time
+      if (!inserted.length) {
+         await client.query("ROLLBACK");
+         const { rows } = await pool.query(
+            `SELECT reading_id, status, reason, harvest_id
+             FROM station_readings
+             WHERE station_id = $1 AND seq = $2`,
+            [station.station_id, reading.seq]
+         );
+         return { seq: reading.seq, duplicate: true, ...rows[0] };
+      }
+
+      const readingId = inserted[0].reading_id;
+
+      if (!reading.public_key) {
+         await client.query(
+            `UPDATE station_readings SET status = 'unmatched', reason = $2 WHERE reading_id = $1`,
+            [readingId, "MISSING_PUBLIC_KEY"]
+         );
+         await client.query("COMMIT");
+         return {
+            seq: reading.seq,
+            reading_id: readingId,
+            status: "unmatched",
+            reason: "MISSING_PUBLIC_KEY",
+         };
+      }
+
+      await client.query("SAVEPOINT harvest");
+      const result = await createHarvest(
+         {
+            userId: station.owner_user_id,
+            publicKey: reading.public_key,
+            grossWeight: reading.gross_weight_kg,
+            location: station.station_code,
+            harvestDate: reading.measured_at,
+         },
+         client
+      );
+
+      if (!result.ok) {
+         await client.query("ROLLBACK TO SAVEPOINT harvest");
+         const status = result.status === 404 ? "unmatched" : "rejected";
+         await client.query(
+            `UPDATE station_readings SET status = $2, reason = $3 WHERE reading_id = $1`,
+            [readingId, status, result.error]
+         );
+         await client.query("COMMIT");
+         return { seq: reading.seq, reading_id: readingId, status, reason: result.error };
+      }
+
+      await client.query(
+         `UPDATE station_readings
+          SET status = 'matched', reason = NULL, super_id = $2, harvest_id = $3
+          WHERE reading_id = $1`,
+         [readingId, result.harvest.super_id, result.harvest.id]
+      );
+      await client.query("COMMIT");
+
+      return {
+         seq: reading.seq,
+         reading_id: readingId,
+         status: "matched",
+         harvest_id: result.harvest.id,
+         net_honey_kg: Number(result.harvest.net_honey_kg),
+      };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+/**
+ * Ingest a batch of buffered readings (in seq order).
+ * Invalid entries are reported per item, the rest of the batch still goes through.
+ */
+async function ingestReadings(station, readings) {
+   const results = [];
+
+   const normalized = readings.map(normalizeReading);
+   const valid = normalized
+      .filter((n) => n.ok)
+      .map((n) => n.reading)
+      .sort((a, b) => a.seq - b.seq);
+
+   for (const n of normalized) {
+      if (!n.ok) results.push({ seq: n.seq ?? null, status: "invalid", reason: n.error });
+   }
+
+   for (const reading of valid) {
+      results.push(await ingestOneReading(station, reading));
+   }
+
+   await pool.query(`UPDATE stations SET last_seen_at = now() WHERE station_id = $1`, [
+      station.station_id,
+   ]);
+
+   return results;
+}
+
+/**
+ * Reconciliation: attach an unmatched/rejected reading to a super
+ * (the user's own), which creates the missing harvest.
+ */
+async function resolveReading(
+   readingId,
+   userId,
+   { publicKey, superId, grossWeight, overrideWithdrawal = false }
+) {
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      const { rows } = await client.query(
+         `SELECT r.*, s.station_code
+          FROM station_readings r
+          JOIN stations s ON s.station_id = r.station_id
+          WHERE r.reading_id = $1
+            AND s.owner_user_id = $2
+          FOR UPDATE OF r`,
+         [readingId, userId]
+      );
+
+      const reading = rows[0];
+      if (!reading) {
+         await client.query("ROLLBACK");
+         return { ok: false, status: 404, error: "Reading not found" };
+      }
+      if (reading.status === "matched" || reading.harvest_id) {
+         await client.query("ROLLBACK");
+         return { ok: false, status: 409, error: "Reading already matched to a harvest" };
+      }
+
+      const result = await createHarvest(
+         {
+            userId,
+            publicKey: publicKey ?? (superId ? null : reading.public_key),
+            superId,
+            grossWeight: grossWeight ?? reading.gross_weight_kg,
+            location: reading.station_code,
+            harvestDate: reading.measured_at,
+            overrideWithdrawal,
+         },
+         client
+      );
+
+      if (!result.ok) {
+         await client.query("ROLLBACK");
+         return result;
+      }
+
+      const { rows: updated } = await client.query(
+         `UPDATE station_readings
+          SET status = 'matched', reason = NULL, super_id = $2, harvest_id = $3,
+              resolved_at = now(), resolved_by = $4
+          WHERE reading_id = $1
+          RETURNING *`,
+         [readingId, result.harvest.super_id, result.harvest.id, userId]
+      );
+
+      await client.query("COMMIT");
+      return { ok: true, status: 200, reading: updated[0], harvest: result.harvest };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+module.exports = {
+   MAX_BATCH_SIZE,
+   mintStationToken,
+   resolveStationFromPayload,
+   ingestReadings,
+   resolveReading,
+};
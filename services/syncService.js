@@ -0,0 +1,484 @@
+// services/syncService.js
+// Offline-first field capture: replay-safe client mutations + delta pulls.
+const pool = require("../db");
+const { getAccessibleApiaryIds, loadApiaryAccess } = require("./accessControl");
+const { createInspection } = require("./inspectionService");
+const { createVarroaTest } = require("./varroaTestService");
+const { createIntervention } = require("./interventionService");
+
+const MAX_MUTATIONS = 200;
+const DEFAULT_CHANGES_LIMIT = 500;
+const MAX_CHANGES_LIMIT = 2000;
+// a claim left "pending" longer than this (crash mid-apply) can be retried
+const STALE_CLAIM_MINUTES = 5;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CHECKLIST_COLUMNS =
+   "item_id, apiary_id, label, category, is_checked, sort_order, created_at, updated_at";
+
+function dateOnly(ts) {
+   return ts ? ts.slice(0, 10) : null;
+}
+
+// create handlers return the same { ok, status, error } shape as the routes
+function fromCreate(result, pick) {
+   if (!result.ok) return { status: "rejected", error: result.error };
+   const record = pick(result);
+   return { status: "applied", record };
+}
+
+/* ------------------------------------------------------------------
+   Mutation handlers: (userId, data, clientTs) → outcome
+   outcome: { status: applied | conflict | rejected, record?, server_record?, error? }
+   A missing date/time field defaults to the client timestamp, not the sync time.
+------------------------------------------------------------------ */
+
+async function createInspectionMutation(userId, data, clientTs) {
+   const body = { ...data, inspection_date: data.inspection_date || dateOnly(clientTs) };
+   return fromCreate(await createInspection(userId, body), (r) => r.inspection);
+}
+
+async function createVarroaTestMutation(userId, data, clientTs) {
+   const body = { ...data, tested_at: data.tested_at || clientTs };
+   return fromCreate(await createVarroaTest(userId, body), (r) => r.test);
+}
+
+async function createInterventionMutation(userId, data, clientTs) {
+   const body = { ...data, date_time: data.date_time || clientTs };
+   return fromCreate(await createIntervention(userId, body), (r) => ({
+      ...r.intervention,
+      hives_linked: r.hives_linked,
+   }));
+}
+
+async function createApiaryNoteMutation(userId, data, clientTs) {
+   const { apiary_id, note_text, note_date, revisit_needed, revisit_date } = data;
+
+   if (!apiary_id || !note_text) {
+      return { status: "rejected", error: "apiary_id and note_text are required" };
+   }
+
+   const access = await loadApiaryAccess(apiary_id, userId, "write");
+   if (!access.ok) return { status: "rejected", error: access.error };
+
+   const { rows } = await pool.query(
+      `INSERT INTO apiary_notes (apiary_id, note_text, note_date, revisit_needed, revisit_date, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+         access.apiary.apiary_id,
+         note_text,
+         note_date || dateOnly(clientTs) || new Date().toISOString().split("T")[0],
+         revisit_needed ?? null,
+         revisit_date || null,
+         userId,
+      ]
+   );
+
+   return { status: "applied", record: rows[0] };
+}
+
+async function createChecklistItemMutation(userId, data) {
+   const { apiary_id, label, category = null, sort_order = 0 } = data;
+
+   if (!label || typeof label !== "string" || !label.trim()) {
+      return { status: "rejected", error: "label is required" };
+   }
+
+   const access = await loadApiaryAccess(apiary_id, userId, "write");
+   if (!access.ok) return { status: "rejected", error: access.error };
+
+   const { rows } = await pool.query(
+      `INSERT INTO apiary_checklist_items (apiary_id, owner_user_id, label, category, is_checked, sort_order)
+       VALUES ($1, $2, $3, $4, FALSE, $5)
+       RETURNING ${CHECKLIST_COLUMNS}`,
+      [
+         access.apiary.apiary_id,
+         userId,
+         label.trim(),
+         category ? String(category).trim() : null,
+         Number.isFinite(Number(sort_order)) ? Number(sort_order) : 0,
+      ]
+   );
+
+   return { status: "applied", record: rows[0] };
+}
+
+/**
+ * Checklist toggles are sent as absolute values (is_checked: true/false), never as
+ * "toggle", so a replay cannot flip the item back. base_updated_at is the updated_at
+ * the client last saw: if the server row changed since, nothing is written and the
+ * server version is returned as a conflict.
+ * The item is item_id, or item_client_id = client_id of an earlier create mutation.
+ */
+async function updateChecklistItemMutation(userId, data) {
+   let itemId = data.item_id;
+
+   if (!itemId && data.item_client_id) {
+      const { rows } = await pool.query(
+         `SELECT server_id
+          FROM sync_mutations
+          WHERE user_id = $1
+            AND client_id::text = $2
+            AND entity = 'checklist_item'
+            AND status = 'applied'`,
+         [userId, String(data.item_client_id)]
+      );
+      itemId = rows[0]?.server_id;
+   }
+
+   itemId = Number(itemId);
+   if (!Number.isInteger(itemId) || itemId <= 0) {
+      return { status: "rejected", error: "item_id (or item_client_id) is required" };
+   }
+
+   const sets = [];
+   const params = [itemId, userId];
+   const { label, category, is_checked, sort_order, base_updated_at } = data;
+
+   if (label !== undefined) {
+      const t = String(label || "").trim();
+      if (!t) return { status: "rejected", error: "label cannot be empty" };
+      params.push(t);
+      sets.push(`label = $${params.length}`);
+   }
+   if (category !== undefined) {
+      params.push(category === null ? null : String(category || "").trim() || null);
+      sets.push(`category = $${params.length}`);
+   }
+   if (is_checked !== undefined) {
+      if (typeof is_checked !== "boolean") {
+         return { status: "rejected", error: "is_checked must be boolean" };
+      }
+      params.push(is_checked);
+      sets.push(`is_checked = $${params.length}`);
+   }
+   if (sort_order !== undefined) {
+      const so = Number(sort_order);
+      if (!Number.isFinite(so)) return { status: "rejected", error: "sort_order must be a number" };
+      params.push(so);
+      sets.push(`sort_order = $${params.length}`);
+   }
+   if (!sets.length) return { status: "rejected", error: "Nothing to update" };
+
+   let base = null;
+   if (base_updated_at !== undefined && base_updated_at !== null) {
+      base = new Date(base_updated_at);
+      if (Number.isNaN(base.getTime())) {
+         return { status: "rejected", error: "base_updated_at must be a valid timestamp" };
+      }
+   }
+   params.push(base ? base.toISOString() : null);
+
+   // clients only see millisecond precision
+   const { rows } = await pool.query(
+      `UPDATE apiary_checklist_items
+       SET ${sets.join(", ")}
+       WHERE item_id = $1
+         AND owner_user_id = $2
+         AND ($${params.length}::timestamptz IS NULL
+              OR date_trunc('milliseconds', updated_at) <= $${params.length}::timestamptz)
+       RETURNING ${CHECKLIST_COLUMNS}`,
+      params
+   );
+
+   if (rows.length) return { status: "applied", record: rows[0] };
+
+   const { rows: current } = await pool.query(
+      `SELECT ${CHECKLIST_COLUMNS}
+       FROM apiary_checklist_items
+       WHERE item_id = $1 AND owner_user_id = $2`,
+      [itemId, userId]
+   );
+
+   return current.length
+      ? { status: "conflict", error: "Checklist item changed on the server", server_record: current[0] }
+      : { status: "conflict", error: "Checklist item no longer exists", server_record: null };
+}
+
+const HANDLERS = {
+   inspection: { create: createInspectionMutation },
+   varroa_test: { create: createVarroaTestMutation },
+   intervention: { create: createInterventionMutation },
+   apiary_note: { create: createApiaryNoteMutation },
+   checklist_item: { create: createChecklistItemMutation, update: updateChecklistItemMutation },
+};
+
+const SERVER_ID_FIELDS = ["inspection_id", "item_id", "note_id", "id"];
+
+function serverIdOf(record) {
+   if (!record) return null;
+   const field = SERVER_ID_FIELDS.find((f) => record[f] !== undefined && record[f] !== null);
+   return field ? String(record[field]) : null;
+}
+
+/**
+ * Claim (user, client_id) in the ledger. Returns null when claimed, otherwise
+ * the result to send back for an already-known mutation.
+ */
+async function claimMutation(userId, m, clientTs) {
+   const { rows: claimed } = await pool.query(
+      `INSERT INTO sync_mutations (user_id, client_id, entity, op, client_ts)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, client_id) DO NOTHING
+       RETURNING client_id`,
+      [userId, m.client_id, m.entity, m.op, clientTs]
+   );
+   if (claimed.length) return null;
+
+   const { rows: reclaimed } = await pool.query(
+      `UPDATE sync_mutations
+       SET claimed_at = now()
+       WHERE user_id = $1
+         AND client_id = $2
+         AND status = 'pending'
+         AND claimed_at < now() - make_interval(mins => $3)
+       RETURNING client_id`,
+      [userId, m.client_id, STALE_CLAIM_MINUTES]
+   );
+   if (reclaimed.length) return null;
+
+   const { rows } = await pool.query(
+      `SELECT entity, op, status, response
+       FROM sync_mutations
+       WHERE user_id = $1 AND client_id = $2`,
+      [userId, m.client_id]
+   );
+   const prev = rows[0];
+
+   // released by a failed attempt in the meantime
+   if (!prev) return { client_id: m.client_id, entity: m.entity, op: m.op, status: "in_progress" };
+
+   if (prev.entity !== m.entity || prev.op !== m.op) {
+      return {
+         client_id: m.client_id,
+         status: "rejected",
+         error: "client_id already used for another mutation",
+      };
+   }
+   if (prev.status === "pending") {
+      return { client_id: m.client_id, entity: m.entity, op: m.op, status: "in_progress" };
+   }
+   return { ...prev.response, duplicate: true };
+}
+
+/**
+ * Apply one mutation: { client_id, entity, op?, client_ts?, data }.
+ * Never throws: unexpected errors release the claim so the client can retry.
+ */
+async function applyMutation(userId, raw) {
+   const m = {
+      client_id: String(raw?.client_id || "").trim(),
+      entity: String(raw?.entity || ""),
+      op: String(raw?.op || "create"),
+   };
+   const base = { client_id: m.client_id || null, entity: m.entity, op: m.op };
+
+   if (!UUID_RE.test(m.client_id)) {
+      return { ...base, status: "rejected", error: "client_id must be a UUID" };
+   }
+
+   const handler = HANDLERS[m.entity]?.[m.op];
+   if (!handler) {
+      return { ...base, status: "rejected", error: `Unsupported mutation ${m.entity}.${m.op}` };
+   }
+
+   let clientTs = null;
+   if (raw.client_ts !== undefined && raw.client_ts !== null) {
+      const d = new Date(raw.client_ts);
+      if (Number.isNaN(d.getTime())) {
+         return { ...base, status: "rejected", error: "client_ts must be a valid timestamp" };
+      }
+      clientTs = d.toISOString();
+   }
+
+   const data = raw.data && typeof raw.data === "object" ? raw.data : {};
+
+   const known = await claimMutation(userId, m, clientTs);
+   if (known) return known;
+
+   let outcome;
+   try {
+      outcome = await handler(userId, data, clientTs);
+   } catch (err) {
+      console.error(`🔴 sync ${m.entity}.${m.op} error:`, err);
+      await pool
+         .query(`DELETE FROM sync_mutations WHERE user_id = $1 AND client_id = $2`, [
+            userId,
+            m.client_id,
+         ])
+         .catch(() => {});
+      return { ...base, status: "error", error: "Server error, retry later" };
+   }
+
+   const result = { ...base, ...outcome, server_id: serverIdOf(outcome.record) };
+
+   await pool.query(
+      `UPDATE sync_mutations
+       SET status = $3, server_id = $4, response = $5, applied_at = now()
+       WHERE user_id = $1 AND client_id = $2`,
+      [userId, m.client_id, result.status, result.server_id, JSON.stringify(result)]
+   );
+
+   return result;
+}
+
+/**
+ * Apply mutations in order (a later item may reference an earlier create).
+ */
+async function applyMutations(userId, mutations) {
+   const results = [];
+   for (const m of mutations) {
+      results.push(await applyMutation(userId, m));
+   }
+   return results;
+}
+
+/* ------------------------------------------------------------------
+   Delta pulls
+   Pages through sync_changes (migration 024) on (xid, seq), scoped to apiaries
+   the user can read. Only transactions older than the oldest one still running
+   are returned, so a late commit can't land behind the cursor; a long-running
+   transaction delays the feed instead.
+   Rows that are gone (deleted, or moved out of the user's scope) come back as
+   tombstones in deleted: { entity: [key] }.
+   The cursor is opaque to clients: base64url JSON { xid, seq }. A cursor from
+   the older updated_at format restarts with a full pull.
+------------------------------------------------------------------ */
+
+const DELTA_SOURCES = {
+   inspection: {
+      table: "hive_inspections",
+      key: "inspection_id",
+      join: "JOIN hives h ON h.hive_id = x.hive_id",
+      scope: "h.apiary_id = ANY($1::int[])",
+      select: "x.*, h.apiary_id AS apiary_id",
+   },
+   varroa_test: { table: "varroa_tests", key: "id", scope: "x.apiary_id = ANY($1::int[])" },
+   intervention: { table: "interventions", key: "id", scope: "x.apiary_id = ANY($1::int[])" },
+   apiary_note: { table: "apiary_notes", key: "note_id", scope: "x.apiary_id = ANY($1::int[])" },
+   // checklists are personal (owner_user_id), like GET /apiary-checklist
+   checklist_item: {
+      table: "apiary_checklist_items",
+      key: "item_id",
+      scope: "x.apiary_id = ANY($1::int[]) AND x.owner_user_id::text = $3",
+   },
+};
+
+const DIGITS_RE = /^\d+$/;
+
+function badCursor() {
+   const err = new Error("Invalid cursor");
+   err.status = 400;
+   return err;
+}
+
+function decodeCursor(cursor) {
+   if (!cursor) return null;
+   let parsed;
+   try {
+      parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+   } catch {
+      throw badCursor();
+   }
+   if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw badCursor();
+
+   if (parsed.xid === undefined && parsed.seq === undefined) {
+      // { entity: [updated_at, key] } from before the change log
+      const legacy = Object.entries(parsed).every(
+         ([entity, pos]) => DELTA_SOURCES[entity] && Array.isArray(pos) && pos.length === 2
+      );
+      if (!legacy) throw badCursor();
+      return null;
+   }
+
+   if (!DIGITS_RE.test(String(parsed.xid)) || !DIGITS_RE.test(String(parsed.seq))) {
+      throw badCursor();
+   }
+   return { xid: String(parsed.xid), seq: String(parsed.seq) };
+}
+
+function encodeCursor(position) {
+   return Buffer.from(JSON.stringify(position), "utf8").toString("base64url");
+}
+
+/**
+ * → { changes: { entity: rows[] }, deleted: { entity: keys[] }, cursor, has_more }
+ */
+async function getChanges(userId, cursor, limitParam) {
+   const position = decodeCursor(cursor);
+   const limit = Math.min(
+      Math.max(parseInt(limitParam, 10) || DEFAULT_CHANGES_LIMIT, 1),
+      MAX_CHANGES_LIMIT
+   );
+
+   const apiaryIds = await getAccessibleApiaryIds(userId, "read");
+
+   const { rows: log } = await pool.query(
+      `SELECT c.xid::text AS xid, c.seq::text AS seq, c.entity, c.row_key
+       FROM sync_changes c
+       WHERE c.xid < pg_snapshot_xmin(pg_current_snapshot())
+         AND ($2::xid8 IS NULL OR (c.xid, c.seq) > ($2::xid8, $3::bigint))
+         AND c.apiary_id = ANY($1::int[])
+         AND (c.owner_user_id IS NULL OR c.owner_user_id = $4)
+       ORDER BY c.xid, c.seq
+       LIMIT $5`,
+      [apiaryIds, position?.xid ?? null, position?.seq ?? null, String(userId), limit + 1]
+   );
+
+   const hasMore = log.length > limit;
+   if (hasMore) log.length = limit;
+
+   // a row changed several times in one page is sent once, as it is now
+   const keysByEntity = {};
+   for (const entry of log) {
+      if (!DELTA_SOURCES[entry.entity]) continue;
+      (keysByEntity[entry.entity] ||= new Set()).add(entry.row_key);
+   }
+
+   const changes = {};
+   const deleted = {};
+
+   for (const [entity, src] of Object.entries(DELTA_SOURCES)) {
+      changes[entity] = [];
+      deleted[entity] = [];
+
+      const keys = [...(keysByEntity[entity] || [])];
+      if (keys.length === 0) continue;
+
+      const params = [apiaryIds, keys];
+      if (src.scope.includes("$3")) params.push(String(userId));
+
+      const { rows } = await pool.query(
+         `SELECT ${src.select || "x.*"}
+          FROM ${src.table} x
+          ${src.join || ""}
+          WHERE ${src.scope}
+            AND x.${src.key}::text = ANY($2::text[])
+          ORDER BY x.${src.key}`,
+         params
+      );
+
+      const found = new Set(rows.map((row) => String(row[src.key])));
+      changes[entity] = rows;
+      deleted[entity] = keys.filter((key) => !found.has(key));
+   }
+
+   const last = log[log.length - 1];
+   const next = last ? { xid: last.xid, seq: last.seq } : position;
+
+   return {
+      changes,
+      deleted,
+      cursor: next ? encodeCursor(next) : null,
+      has_more: hasMore,
+   };
+}
+
+module.exports = {
+   MAX_MUTATIONS,
+   applyMutation,
+   applyMutations,
+   getChanges,
+};
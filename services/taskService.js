@@ -0,0 +1,332 @@
+// services/taskService.js
+// Unified tasks: reminders spread over the modules (inspection / note revisits, swarm
+// alerts, nuc laying checks, graft steps) are materialized into `tasks` next to manual ones.
+// Completing a source task updates its source record.
+const pool = require("../db");
+const { recordRevision } = require("./inspectionService");
+const { checkNucCycle } = require("./nucCycleService");
+
+const TASK_STATUSES = ["open", "done", "dismissed"];
+
+// a reminder overdue by more than this is not materialized (old revisits / past seasons)
+const MATERIALIZE_HORIZON_DAYS = 60;
+
+/**
+ * Source definitions.
+ * pending: open records → (source_id, owner_user_id, apiary_id, hive_id, due_date, details)
+ *   scope "apiary": $1 = apiary ids; scope "owner": $1 = user id (no apiary)
+ * complete(task, { userId, body }, client): update the source record; a result with
+ *   keepOpen: { due_date } leaves the task open (source still pending) at that date
+ */
+const SOURCES = {
+   inspection_revisit: {
+      scope: "apiary",
+      pending: `
+         SELECT i.inspection_id::text AS source_id, a.owner_user_id, h.apiary_id, i.hive_id,
+                i.revisit_date::date AS due_date,
+                jsonb_build_object('inspection_id', i.inspection_id, 'inspection_date', i.inspection_date) AS details
+         FROM hive_inspections i
+         JOIN hives h    ON h.hive_id = i.hive_id
+         JOIN apiaries a ON a.apiary_id = h.apiary_id
+         WHERE i.revisit_needed = TRUE
+           AND i.revisit_date IS NOT NULL
+           AND h.apiary_id = ANY($1::int[])`,
+      async complete(task, { userId }, client) {
+         const { rowCount } = await client.query(
+            `UPDATE hive_inspections SET revisit_needed = FALSE
+             WHERE inspection_id = $1 AND revisit_needed = TRUE`,
+            [Number(task.source_id)]
+         );
+         if (rowCount) {
+            await recordRevision(
+               {
+                  inspectionId: Number(task.source_id),
+                  hiveId: task.hive_id,
+                  action: "update",
+                  userId,
+                  changes: { revisit_needed: { from: true, to: false } },
+               },
+               client
+            );
+         }
+      },
+   },
+
+   apiary_note_revisit: {
+      scope: "apiary",
+      pending: `
+         SELECT n.note_id::text AS source_id, a.owner_user_id, n.apiary_id, NULL::int AS hive_id,
+                n.revisit_date::date AS due_date,
+                jsonb_build_object('note_id', n.note_id, 'note_text', left(n.note_text, 140)) AS details
+         FROM apiary_notes n
+         JOIN apiaries a ON a.apiary_id = n.apiary_id
+         WHERE n.revisit_needed = TRUE
+           AND n.revisit_date IS NOT NULL
+           AND n.apiary_id = ANY($1::int[])`,
+      async complete(task, ctx, client) {
+         await client.query(`UPDATE apiary_notes SET revisit_needed = FALSE WHERE note_id = $1`, [
+            Number(task.source_id),
+         ]);
+      },
+   },
+
+   swarm_check: {
+      scope: "apiary",
+      pending: `
+         SELECT sa.swarm_alert_id::text AS source_id, a.owner_user_id, sa.apiary_id, c.hive_id,
+                sa.planned_for::date AS due_date,
+                jsonb_build_object('swarm_alert_id', sa.swarm_alert_id, 'alert_type', sa.alert_type,
+                                   'swarm_colony_id', sa.swarm_colony_id) AS details
+         FROM swarm_alerts sa
+         JOIN apiaries a ON a.apiary_id = sa.apiary_id
+         LEFT JOIN swarm_colonies c ON c.swarm_colony_id = sa.swarm_colony_id
+         WHERE sa.is_done = FALSE
+           AND sa.planned_for IS NOT NULL
+           AND sa.apiary_id = ANY($1::int[])`,
+      async complete(task, ctx, client) {
+         await client.query(
+            `UPDATE swarm_alerts
+             SET is_done = TRUE,
+                 done_at = now(),
+                 updated_at = now()
+             WHERE swarm_alert_id = $1
+               AND is_done = FALSE`,
+            [Number(task.source_id)]
+         );
+      },
+   },
+
+   nuc_check: {
+      scope: "apiary",
+      pending: `
+         SELECT nc.id::text AS source_id, a.owner_user_id, nc.apiary_id, nc.ruchette_hive_id AS hive_id,
+                nc.check_due_at::date AS due_date,
+                jsonb_build_object('nuc_cycle_id', nc.id, 'cell_batch', nc.cell_batch,
+                                   'cell_introduced_at', nc.cell_introduced_at) AS details
+         FROM nuc_cycles nc
+         JOIN apiaries a ON a.apiary_id = nc.apiary_id
+         WHERE nc.cell_introduced_at IS NOT NULL
+           AND nc.closed_at IS NULL
+           AND nc.check_due_at IS NOT NULL
+           AND nc.apiary_id = ANY($1::int[])`,
+      // body: { result: 'ok' | 'no_eggs', reintroduce?, check_after_days? } as POST /nuc-cycles/:id/check
+      // no eggs: the cycle stays open, so does the task (moved to the new check date on reintroduction)
+      async complete(task, { body }, client) {
+         if (!body.result) {
+            return { ok: false, status: 400, error: "result ('ok' | 'no_eggs') is required to complete a nuc check" };
+         }
+         const checked = await checkNucCycle(task.source_id, body, client);
+         if (!checked.ok || checked.cycle.closed_at) return checked;
+         return { ...checked, keepOpen: { due_date: checked.cycle.check_due_at } };
+      },
+   },
+
+   graft_g10: {
+      scope: "owner",
+      pending: `
+         SELECT gl.id::text AS source_id, gs.owner_id AS owner_user_id, NULL::int AS apiary_id, NULL::int AS hive_id,
+                gl.date_g10::date AS due_date,
+                jsonb_build_object('graft_line_id', gl.id, 'session_id', gs.id, 'lot_code', gl.lot_code) AS details
+         FROM queen_graft_lines gl
+         JOIN queen_graft_sessions gs ON gs.id = gl.session_id
+         WHERE gs.owner_id = $1
+           AND gl.date_g10 IS NOT NULL
+           AND gl.g10_done_at IS NULL`,
+      async complete(task, ctx, client) {
+         await client.query(`UPDATE queen_graft_lines SET g10_done_at = now() WHERE id = $1`, [
+            Number(task.source_id),
+         ]);
+      },
+   },
+
+   graft_emergence: {
+      scope: "owner",
+      pending: `
+         SELECT gl.id::text AS source_id, gs.owner_id AS owner_user_id, NULL::int AS apiary_id, NULL::int AS hive_id,
+                gl.date_emergence::date AS due_date,
+                jsonb_build_object('graft_line_id', gl.id, 'session_id', gs.id, 'lot_code', gl.lot_code) AS details
+         FROM queen_graft_lines gl
+         JOIN queen_graft_sessions gs ON gs.id = gl.session_id
+         WHERE gs.owner_id = $1
+           AND gl.date_emergence IS NOT NULL
+           AND gl.emergence_done_at IS NULL`,
+      async complete(task, ctx, client) {
+         await client.query(`UPDATE queen_graft_lines SET emergence_done_at = now() WHERE id = $1`, [
+            Number(task.source_id),
+         ]);
+      },
+   },
+};
+
+const SOURCE_TYPES = ["manual", ...Object.keys(SOURCES)];
+
+/**
+ * Upsert the open reminders of every source as tasks, and close the tasks whose
+ * source was handled elsewhere (e.g. the swarm alert was closed from its own screen).
+ * A source whose due date moved (nuc re-introduced…) reopens its task.
+ */
+async function refreshTasks(userId, apiaryIds, client = pool) {
+   for (const [type, source] of Object.entries(SOURCES)) {
+      const scopeParam = source.scope === "apiary" ? apiaryIds : userId;
+      if (source.scope === "apiary" && !apiaryIds.length) continue;
+
+      const taskScope =
+         source.scope === "apiary"
+            ? "t.apiary_id = ANY($1::int[])"
+            : "t.owner_user_id = $1 AND t.apiary_id IS NULL";
+
+      await client.query(
+         `WITH pending AS (${source.pending}),
+          upserted AS (
+             INSERT INTO tasks (owner_user_id, apiary_id, hive_id, source_type, source_id, details, due_date)
+             SELECT p.owner_user_id, p.apiary_id, p.hive_id, $2, p.source_id, p.details, p.due_date
+             FROM pending p
+             WHERE p.due_date IS NOT NULL
+               AND (p.due_date >= CURRENT_DATE - $3::int
+                    OR EXISTS (SELECT 1 FROM tasks x WHERE x.source_type = $2 AND x.source_id = p.source_id))
+             ON CONFLICT (source_type, source_id) DO UPDATE SET
+                apiary_id = EXCLUDED.apiary_id,
+                hive_id = EXCLUDED.hive_id,
+                details = EXCLUDED.details,
+                due_date = EXCLUDED.due_date,
+                status = CASE WHEN tasks.due_date <> EXCLUDED.due_date THEN 'open' ELSE tasks.status END,
+                snoozed_until = CASE WHEN tasks.due_date <> EXCLUDED.due_date THEN NULL ELSE tasks.snoozed_until END,
+                updated_at = CASE WHEN tasks.due_date <> EXCLUDED.due_date OR tasks.details <> EXCLUDED.details
+                                  THEN now() ELSE tasks.updated_at END
+             RETURNING task_id
+          )
+          UPDATE tasks t
+          SET status = 'done', completed_at = now(), updated_at = now()
+          WHERE t.source_type = $2
+            AND t.status = 'open'
+            AND ${taskScope}
+            AND t.source_id NOT IN (SELECT source_id FROM pending)`,
+         [scopeParam, type, MATERIALIZE_HORIZON_DAYS]
+      );
+   }
+}
+
+const TASK_SELECT = `
+   SELECT
+      t.*,
+      to_char(GREATEST(t.due_date, COALESCE(t.snoozed_until, t.due_date)), 'YYYY-MM-DD') AS agenda_date,
+      a.apiary_name,
+      h.hive_code,
+      p.full_name AS assignee_name
+   FROM tasks t
+   LEFT JOIN apiaries a ON a.apiary_id = t.apiary_id
+   LEFT JOIN hives h    ON h.hive_id = t.hive_id
+   LEFT JOIN user_profiles p ON p.user_id = t.assignee_user_id`;
+
+/**
+ * Tasks visible to userId (apiary tasks of accessible apiaries + own tasks without apiary).
+ * filters: { apiaryIds, status, from, to, assignee ('me' | 'unassigned' | uuid), sourceType }
+ * from / to apply to the agenda date (due date, or snoozed_until when later).
+ */
+async function listTasks(userId, { apiaryIds, includeOwn = true, status = "open", from = null, to = null, assignee = null, sourceType = null }, client = pool) {
+   const params = [apiaryIds, includeOwn ? userId : null];
+   const where = [`(t.apiary_id = ANY($1::int[]) OR (t.apiary_id IS NULL AND t.owner_user_id = $2))`];
+
+   if (status && status !== "all") {
+      params.push(status);
+      where.push(`t.status = $${params.length}`);
+   }
+   if (from) {
+      params.push(from);
+      where.push(`GREATEST(t.due_date, COALESCE(t.snoozed_until, t.due_date)) >= $${params.length}::date`);
+   }
+   if (to) {
+      params.push(to);
+      where.push(`GREATEST(t.due_date, COALESCE(t.snoozed_until, t.due_date)) <= $${params.length}::date`);
+   }
+   if (assignee === "unassigned") {
+      where.push(`t.assignee_user_id IS NULL`);
+   } else if (assignee) {
+      params.push(assignee === "me" ? userId : assignee);
+      where.push(`t.assignee_user_id = $${params.length}::uuid`);
+   }
+   if (sourceType) {
+      params.push(sourceType);
+      where.push(`t.source_type = $${params.length}`);
+   }
+
+   const { rows } = await client.query(
+      `${TASK_SELECT}
+       WHERE ${where.join(" AND ")}
+       ORDER BY agenda_date ASC, t.task_id ASC`,
+      params
+   );
+   return rows;
+}
+
+async function getTask(taskId, client = pool) {
+   const { rows } = await client.query(`${TASK_SELECT} WHERE t.task_id = $1`, [taskId]);
+   return rows[0] || null;
+}
+
+/**
+ * Complete a task: update its source record, then mark the task done, in one
+ * transaction. A source still pending afterwards (nuc without eggs) keeps the task open.
+ * → { ok, status, error?, task?, source? }
+ */
+async function completeTask(task, userId, body = {}) {
+   if (task.status === "done") return { ok: false, status: 409, error: "Task already done" };
+
+   const source = SOURCES[task.source_type];
+   const client = await pool.connect();
+   try {
+      await client.query("BEGIN");
+
+      let sourceResult = null;
+      if (source) {
+         sourceResult = await source.complete(task, { userId, body }, client);
+         if (sourceResult && sourceResult.ok === false) {
+            await client.query("ROLLBACK");
+            return sourceResult;
+         }
+      }
+
+      const { ok, status, keepOpen, ...sourcePayload } = sourceResult || {};
+
+      if (keepOpen) {
+         await client.query(
+            `UPDATE tasks
+             SET due_date = COALESCE($2::timestamptz::date, due_date),
+                 snoozed_until = NULL,
+                 updated_at = now()
+             WHERE task_id = $1`,
+            [task.task_id, keepOpen.due_date || null]
+         );
+      } else {
+         await client.query(
+            `UPDATE tasks
+             SET status = 'done', completed_at = now(), completed_by = $2, updated_at = now()
+             WHERE task_id = $1`,
+            [task.task_id, userId]
+         );
+      }
+
+      await client.query("COMMIT");
+
+      return {
+         ok: true,
+         status: 200,
+         task: await getTask(task.task_id),
+         ...(sourceResult ? { source: sourcePayload } : {}),
+      };
+   } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+   } finally {
+      client.release();
+   }
+}
+
+module.exports = {
+   TASK_STATUSES,
+   SOURCE_TYPES,
+   refreshTasks,
+   listTasks,
+   getTask,
+   completeTask,
+};
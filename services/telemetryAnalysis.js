@@ -0,0 +1,285 @@
+// services/telemetryAnalysis.js
+// Pure functions over down-sampled hive weight series (no DB access here).
+// A series row: { t: ISO string | Date, avg: kg, min: kg, max: kg, last: kg }
+
+const DOWNSAMPLE_MINUTES = 15;
+
+const DEFAULT_SIGNAL_OPTIONS = {
+   // nectar flow = N consecutive days with a net gain >= minDailyGainKg
+   flowMinDailyGainKg: 0.5,
+   flowConsecutiveDays: 3,
+   // swarm = loss of 1..4 kg between two consecutive buckets, during the day
+   swarmMinDropKg: 1,
+   swarmMaxDropKg: 4,
+   swarmMaxGapMinutes: 60,
+   // bigger drops are manipulations (super removal, harvest…)
+   manipulationMinDropKg: 4,
+   // winter = November → February (northern hemisphere)
+   winterMonths: [11, 12, 1, 2],
+};
+
+function round(n, digits = 3) {
+   if (n === null || n === undefined || !Number.isFinite(Number(n))) return null;
+   const f = 10 ** digits;
+   return Math.round(Number(n) * f) / f;
+}
+
+function toIso(t) {
+   return t instanceof Date ? t.toISOString() : new Date(t).toISOString();
+}
+
+function dayKey(t) {
+   return toIso(t).slice(0, 10);
+}
+
+function bucketStart(date, minutes = DOWNSAMPLE_MINUTES) {
+   const ms = minutes * 60 * 1000;
+   return new Date(Math.floor(new Date(date).getTime() / ms) * ms);
+}
+
+/**
+ * Aggregate raw samples [{ hive_id, weight_kg, measured_at }] into buckets
+ * (one per hive per DOWNSAMPLE_MINUTES), ready to be upserted.
+ */
+function downsample(samples, minutes = DOWNSAMPLE_MINUTES) {
+   const buckets = new Map();
+
+   const sorted = [...samples].sort(
+      (a, b) => new Date(a.measured_at) - new Date(b.measured_at),
+   );
+
+   for (const s of sorted) {
+      const start = bucketStart(s.measured_at, minutes);
+      const key = `${s.hive_id}|${start.toISOString()}`;
+      const w = Number(s.weight_kg);
+
+      const b = buckets.get(key);
+      if (!b) {
+         buckets.set(key, {
+            hive_id: s.hive_id,
+            bucket_start: start.toISOString(),
+            weight_sum_kg: w,
+            sample_count: 1,
+            min_weight_kg: w,
+            max_weight_kg: w,
+            last_weight_kg: w,
+            last_measured_at: new Date(s.measured_at).toISOString(),
+         });
+         continue;
+      }
+
+      b.weight_sum_kg += w;
+      b.sample_count += 1;
+      b.min_weight_kg = Math.min(b.min_weight_kg, w);
+      b.max_weight_kg = Math.max(b.max_weight_kg, w);
+      b.last_weight_kg = w;
+      b.last_measured_at = new Date(s.measured_at).toISOString();
+   }
+
+   return [...buckets.values()];
+}
+
+/**
+ * Daily summary: first/last/min/max + net change (last - first)
+ * and change vs. the previous day's last value (covers the night).
+ */
+function buildDailySeries(series) {
+   const days = new Map();
+
+   for (const row of series) {
+      const d = dayKey(row.t);
+      const cur = days.get(d);
+      if (!cur) {
+         days.set(d, {
+            date: d,
+            first_kg: row.avg,
+            last_kg: row.last ?? row.avg,
+            min_kg: row.min ?? row.avg,
+            max_kg: row.max ?? row.avg,
+            buckets: 1,
+         });
+         continue;
+      }
+      cur.last_kg = row.last ?? row.avg;
+      cur.min_kg = Math.min(cur.min_kg, row.min ?? row.avg);
+      cur.max_kg = Math.max(cur.max_kg, row.max ?? row.avg);
+      cur.buckets += 1;
+   }
+
+   const out = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+   let prevLast = null;
+   for (const day of out) {
+      day.intraday_change_kg = round(day.last_kg - day.first_kg);
+      day.daily_change_kg = prevLast === null ? null : round(day.last_kg - prevLast);
+      day.first_kg = round(day.first_kg);
+      day.last_kg = round(day.last_kg);
+      day.min_kg = round(day.min_kg);
+      day.max_kg = round(day.max_kg);
+      prevLast = day.last_kg;
+   }
+
+   return out;
+}
+
+/**
+ * Nectar flow onset: first day of each run of >= flowConsecutiveDays
+ * days gaining at least flowMinDailyGainKg.
+ */
+function detectFlowOnsets(daily, options = {}) {
+   const opts = { ...DEFAULT_SIGNAL_OPTIONS, ...options };
+   const onsets = [];
+
+   let run = [];
+   const flush = () => {
+      if (run.length >= opts.flowConsecutiveDays) {
+         onsets.push({
+            onset_date: run[0].date,
+            end_date: run[run.length - 1].date,
+            days: run.length,
+            total_gain_kg: round(run.reduce((s, d) => s + d.daily_change_kg, 0)),
+         });
+      }
+      run = [];
+   };
+
+   for (const day of daily) {
+      if (day.daily_change_kg !== null && day.daily_change_kg >= opts.flowMinDailyGainKg) {
+         run.push(day);
+      } else {
+         flush();
+      }
+   }
+   flush();
+
+   return onsets;
+}
+
+/**
+ * Sudden drops between consecutive buckets.
+ * 1..4 kg lost within an hour in daytime → SWARM_SUSPECTED
+ * >= 4 kg → MANIPULATION (super removed, harvest, hive opened…)
+ */
+function detectSuddenDrops(series, options = {}) {
+   const opts = { ...DEFAULT_SIGNAL_OPTIONS, ...options };
+   const events = [];
+
+   for (let i = 1; i < series.length; i++) {
+      const prev = series[i - 1];
+      const cur = series[i];
+
+      const gapMin = (new Date(cur.t) - new Date(prev.t)) / 60000;
+      if (gapMin <= 0 || gapMin > opts.swarmMaxGapMinutes) continue;
+
+      const drop = (prev.last ?? prev.avg) - (cur.last ?? cur.avg);
+      if (drop < opts.swarmMinDropKg) continue;
+
+      const hour = new Date(cur.t).getUTCHours();
+      let code = null;
+
+      if (drop >= opts.manipulationMinDropKg) code = "MANIPULATION";
+      else if (drop <= opts.swarmMaxDropKg && hour >= 8 && hour <= 17) code = "SWARM_SUSPECTED";
+
+      if (!code) continue;
+
+      events.push({
+         at: toIso(cur.t),
+         drop_kg: round(drop),
+         before_kg: round(prev.last ?? prev.avg),
+         after_kg: round(cur.last ?? cur.avg),
+         code,
+      });
+   }
+
+   return events;
+}
+
+/**
+ * Winter consumption: least-squares slope (kg/day) of the daily last weight
+ * over winter months, per winter (labelled by the year it starts).
+ */
+function computeWinterConsumption(daily, options = {}) {
+   const opts = { ...DEFAULT_SIGNAL_OPTIONS, ...options };
+   const winters = new Map();
+
+   for (const day of daily) {
+      const [y, m] = day.date.split("-").map(Number);
+      if (!opts.winterMonths.includes(m)) continue;
+      const winter = m >= 7 ? y : y - 1;
+      if (!winters.has(winter)) winters.set(winter, []);
+      winters.get(winter).push(day);
+   }
+
+   const out = [];
+   for (const [winter, days] of winters) {
+      if (days.length < 7) continue;
+
+      const t0 = new Date(days[0].date).getTime();
+      const xs = days.map((d) => (new Date(d.date).getTime() - t0) / 86400000);
+      const ys = days.map((d) => d.last_kg);
+      const n = xs.length;
+      const mx = xs.reduce((a, b) => a + b, 0) / n;
+      const my = ys.reduce((a, b) => a + b, 0) / n;
+
+      let num = 0;
+      let den = 0;
+      for (let i = 0; i < n; i++) {
+         num += (xs[i] - mx) * (ys[i] - my);
+         den += (xs[i] - mx) ** 2;
+      }
+      const slope = den ? num / den : 0;
+
+      out.push({
+         winter: `${winter}-${winter + 1}`,
+         from: days[0].date,
+         to: days[days.length - 1].date,
+         days: n,
+         consumption_kg_per_day: round(-slope),
+         total_loss_kg: round(days[0].last_kg - days[days.length - 1].last_kg),
+      });
+   }
+
+   return out.sort((a, b) => a.winter.localeCompare(b.winter));
+}
+
+function buildSignals(series, options = {}) {
+   const daily = buildDailySeries(series);
+   return {
+      daily,
+      flow_onsets: detectFlowOnsets(daily, options),
+      sudden_drops: detectSuddenDrops(series, options),
+      winter_consumption: computeWinterConsumption(daily, options),
+   };
+}
+
+/**
+ * Join daily weight changes with an Open-Meteo payload (daily block) by date.
+ */
+function joinDailyWithWeather(daily, weather) {
+   const w = weather?.daily;
+   const byDate = new Map();
+
+   (w?.time || []).forEach((d, i) => {
+      byDate.set(d, {
+         temp_max: w.temperature_2m_max?.[i] ?? null,
+         temp_min: w.temperature_2m_min?.[i] ?? null,
+         precipitation_sum: w.precipitation_sum?.[i] ?? null,
+         wind_max: w.wind_speed_10m_max?.[i] ?? null,
+         weather_code: w.weather_code?.[i] ?? null,
+      });
+   });
+
+   return daily.map((d) => ({ ...d, weather: byDate.get(d.date) || null }));
+}
+
+module.exports = {
+   DOWNSAMPLE_MINUTES,
+   DEFAULT_SIGNAL_OPTIONS,
+   downsample,
+   buildDailySeries,
+   detectFlowOnsets,
+   detectSuddenDrops,
+   computeWinterConsumption,
+   buildSignals,
+   joinDailyWithWeather,
+};
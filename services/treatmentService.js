@@ -0,0 +1,307 @@
+// services/treatmentService.js
+// Veterinary treatments: withdrawal periods + the yearly treatment register.
+const pool = require("../db");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateOrNull(value) {
+   if (value === undefined || value === null || value === "") return null;
+   const d = new Date(value);
+   return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * End of the withdrawal period:
+ * (treatment end, or start + usual treatment duration) + withdrawal days.
+ * null when neither a duration nor a withdrawal period is known.
+ */
+function computeWithdrawalUntil({ dateTime, treatmentEndAt, treatmentDays, withdrawalDays }) {
+   const start = toDateOrNull(dateTime);
+   if (!start) return null;
+
+   const hasDuration = treatmentEndAt || Number.isFinite(treatmentDays);
+   if (!hasDuration && !Number.isFinite(withdrawalDays)) return null;
+
+   const end = toDateOrNull(treatmentEndAt) || new Date(start.getTime() + (treatmentDays || 0) * DAY_MS);
+   return new Date(end.getTime() + (withdrawalDays || 0) * DAY_MS);
+}
+
+/**
+ * Treatments whose withdrawal period covers `at` for a hive.
+ * Interventions without hive links apply to the whole apiary.
+ */
+async function findActiveWithdrawals({ hiveId, apiaryId, at }, client = pool) {
+   if (!hiveId && !apiaryId) return [];
+
+   const { rows } = await client.query(
+      `SELECT
+         i.id AS intervention_id,
+         i.date_time,
+         i.treatment_end_at,
+         i.withdrawal_until,
+         i.batch_number,
+         p.name AS product_name
+       FROM interventions i
+       LEFT JOIN products p ON p.id = i.product_id
+       WHERE i.withdrawal_until IS NOT NULL
+         AND i.date_time <= $3::timestamptz
+         AND i.withdrawal_until > $3::timestamptz
+         AND (
+            EXISTS (
+               SELECT 1 FROM intervention_hives ih
+               WHERE ih.intervention_id = i.id AND ih.hive_id = $1
+            )
+            OR (
+               i.apiary_id = $2
+               AND NOT EXISTS (SELECT 1 FROM intervention_hives ih WHERE ih.intervention_id = i.id)
+            )
+         )
+       ORDER BY i.withdrawal_until DESC`,
+      [hiveId || null, apiaryId || null, (toDateOrNull(at) || new Date()).toISOString()]
+   );
+
+   return rows;
+}
+
+/**
+ * Register rows (one per veterinary treatment) for a calendar year.
+ */
+async function getTreatmentRegister({ apiaryIds, year }, client = pool) {
+   const { rows } = await client.query(
+      `SELECT
+         i.id AS intervention_id,
+         i.date_time,
+         i.treatment_end_at,
+         i.withdrawal_days,
+         i.withdrawal_until,
+         i.batch_number,
+         i.prescription_ref,
+         i.prescriber,
+         i.quantity_mode,
+         i.qty_per_hive::float8     AS qty_per_hive,
+         i.qty_total_apiary::float8 AS qty_total_apiary,
+         i.unit,
+         i.colonies_count,
+         i.notes,
+         a.apiary_id,
+         a.apiary_name,
+         p.name AS product_name,
+         p.amm_number,
+         COALESCE(
+            (SELECT string_agg(h.hive_code, ' ' ORDER BY h.hive_code)
+             FROM intervention_hives ih
+             JOIN hives h ON h.hive_id = ih.hive_id
+             WHERE ih.intervention_id = i.id),
+            ''
+         ) AS hive_codes
+       FROM interventions i
+       JOIN apiaries a ON a.apiary_id = i.apiary_id
+       JOIN products p ON p.id = i.product_id
+       WHERE p.is_veterinary = TRUE
+         AND i.apiary_id = ANY($1::int[])
+         AND i.date_time >= make_date($2, 1, 1)
+         AND i.date_time <  make_date($2 + 1, 1, 1)
+       ORDER BY i.date_time ASC, i.id ASC`,
+      [apiaryIds, year]
+   );
+
+   return rows;
+}
+
+function formatDate(value) {
+   const d = toDateOrNull(value);
+   return d ? d.toISOString().slice(0, 10) : "";
+}
+
+function formatDose(r) {
+   const unit = r.unit ? ` ${r.unit}` : "";
+   if (r.quantity_mode === "PER_HIVE" && r.qty_per_hive != null) return `${r.qty_per_hive}${unit} / hive`;
+   if (r.qty_total_apiary != null) return `${r.qty_total_apiary}${unit} total`;
+   return "";
+}
+
+const REGISTER_COLUMNS = [
+   { header: "date", value: (r) => formatDate(r.date_time) },
+   { header: "apiary", value: (r) => r.apiary_name || "" },
+   { header: "hives", value: (r) => r.hive_codes || "" },
+   { header: "colonies", value: (r) => r.colonies_count ?? "" },
+   { header: "product", value: (r) => r.product_name || "" },
+   { header: "amm_number", value: (r) => r.amm_number || "" },
+   { header: "batch_number", value: (r) => r.batch_number || "" },
+   { header: "dose", value: formatDose },
+   { header: "prescription_ref", value: (r) => r.prescription_ref || "" },
+   { header: "prescriber", value: (r) => r.prescriber || "" },
+   { header: "treatment_end", value: (r) => formatDate(r.treatment_end_at) },
+   { header: "withdrawal_days", value: (r) => r.withdrawal_days ?? "" },
+   { header: "withdrawal_until", value: (r) => formatDate(r.withdrawal_until) },
+   { header: "notes", value: (r) => r.notes || "" },
+];
+
+function csvCell(v) {
+   const s = String(v ?? "");
+   return /[",\n;]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function registerToCsv(rows) {
+   return [
+      REGISTER_COLUMNS.map((c) => c.header).join(","),
+      ...rows.map((r) => REGISTER_COLUMNS.map((c) => csvCell(c.value(r))).join(",")),
+   ].join("\n");
+}
+
+/**
+ * Draw the register as a landscape table on a pdfkit document (caller pipes + ends).
+ */
+function writeRegisterPdf(doc, rows, { title, subtitle }) {
+   const left = doc.page.margins.left;
+   const usableW = doc.page.width - left - doc.page.margins.right;
+   const bottom = doc.page.height - doc.page.margins.bottom;
+
+   // relative column widths, same order as REGISTER_COLUMNS
+   const weights = [6, 8, 9, 4, 9, 6, 6, 7, 7, 7, 6, 4, 6, 11];
+   const total = weights.reduce((a, b) => a + b, 0);
+   const widths = weights.map((w) => (w / total) * usableW);
+
+   const drawRow = (cells, y, { bold = false } = {}) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7);
+      const h =
+         Math.max(...cells.map((c, i) => doc.heightOfString(String(c), { width: widths[i] - 4 }))) + 4;
+
+      let x = left;
+      cells.forEach((c, i) => {
+         doc.text(String(c), x + 2, y + 2, { width: widths[i] - 4 });
+         x += widths[i];
+      });
+
+      doc.moveTo(left, y + h)
+         .lineTo(left + usableW, y + h)
+         .lineWidth(0.5)
+         .strokeColor("#CCCCCC")
+         .stroke()
+         .strokeColor("#000");
+
+      return y + h;
+   };
+
+   const headers = REGISTER_COLUMNS.map((c) => c.header.replaceAll("_", " "));
+
+   const drawHeader = () => {
+      doc.font("Helvetica-Bold").fontSize(14).fillColor("#000").text(title, left, doc.page.margins.top);
+      doc.font("Helvetica").fontSize(9).text(subtitle);
+      doc.moveDown(0.5);
+      return drawRow(headers, doc.y, { bold: true });
+   };
+
+   let y = drawHeader();
+
+   if (!rows.length) {
+      doc.font("Helvetica").fontSize(9).text("No veterinary treatment recorded.", left, y + 6);
+      return;
+   }
+
+   for (const r of rows) {
+      const cells = REGISTER_COLUMNS.map((c) => c.value(r));
+      doc.font("Helvetica").fontSize(7);
+      const h = Math.max(...cells.map((c, i) => doc.heightOfString(String(c), { width: widths[i] - 4 }))) + 4;
+
+      if (y + h > bottom) {
+         doc.addPage();
+         y = drawHeader();
+      }
+      y = drawRow(cells, y);
+   }
+}
+
+// ------------------------------------------------------------------
+// Product catalogue: the register only lists is_veterinary products
+// ------------------------------------------------------------------
+const PRODUCT_FIELDS = ["name", "is_veterinary", "amm_number", "treatment_days", "withdrawal_days"];
+
+/**
+ * Validate product create/update fields. Only the keys present in body are
+ * returned, so a PATCH leaves the others untouched.
+ * → { ok, values } | { ok: false, status: 400, error }
+ */
+function validateProductFields(body = {}, { requireName = false } = {}) {
+   const bad = (error) => ({ ok: false, status: 400, error });
+   const values = {};
+
+   if (body.name !== undefined) {
+      const name = String(body.name ?? "").trim();
+      if (!name) return bad("name cannot be empty");
+      values.name = name;
+   } else if (requireName) {
+      return bad("name is required");
+   }
+
+   if (body.is_veterinary !== undefined) {
+      if (typeof body.is_veterinary !== "boolean") return bad("is_veterinary must be a boolean");
+      values.is_veterinary = body.is_veterinary;
+   }
+
+   if (body.amm_number !== undefined) {
+      values.amm_number = body.amm_number === null ? null : String(body.amm_number).trim() || null;
+   }
+
+   for (const key of ["treatment_days", "withdrawal_days"]) {
+      if (body[key] === undefined) continue;
+      if (body[key] === null || body[key] === "") {
+         values[key] = null;
+         continue;
+      }
+      const n = Number(body[key]);
+      if (!Number.isInteger(n) || n < 0 || n > 365) {
+         return bad(`${key} must be an integer between 0 and 365`);
+      }
+      values[key] = n;
+   }
+
+   return { ok: true, values };
+}
+
+/**
+ * Create (productId null) or update a product.
+ * → { ok, status, product? , error? }
+ */
+async function saveProduct(body, productId = null, client = pool) {
+   const check = validateProductFields(body, { requireName: !productId });
+   if (!check.ok) return check;
+
+   const keys = PRODUCT_FIELDS.filter((k) => k in check.values);
+   const params = keys.map((k) => check.values[k]);
+
+   if (!productId) {
+      const { rows } = await client.query(
+         `INSERT INTO products (${keys.join(", ")})
+          VALUES (${keys.map((_, i) => `$${i + 1}`).join(", ")})
+          RETURNING *`,
+         params
+      );
+      return { ok: true, status: 201, product: rows[0] };
+   }
+
+   if (keys.length === 0) return { ok: false, status: 400, error: "Nothing to update" };
+
+   params.push(productId);
+   const { rows } = await client.query(
+      `UPDATE products
+       SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(", ")}
+       WHERE id = $${params.length}
+       RETURNING *`,
+      params
+   );
+   if (!rows[0]) return { ok: false, status: 404, error: "Product not found" };
+
+   return { ok: true, status: 200, product: rows[0] };
+}
+
+module.exports = {
+   toDateOrNull,
+   computeWithdrawalUntil,
+   findActiveWithdrawals,
+   getTreatmentRegister,
+   registerToCsv,
+   writeRegisterPdf,
+   validateProductFields,
+   saveProduct,
+};
@@ -0,0 +1,364 @@
+// services/varroaAnalysis.js
+// Varroa decision support across tests: pairs veterinary treatments with the tests
+// around them (efficacy), projects mite growth between tests and suggests the next test date.
+const pool = require("../db");
+const { DEFAULT_THRESHOLDS, seasonFor, calculateDailyMiteDrop } = require("./varroaTestService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// pre-treatment test: latest test of the hive at most this long before the treatment
+const PRE_TEST_MAX_DAYS = 30;
+// post-treatment test: first test after the treatment end, within this window
+const POST_TEST_MAX_DAYS = 60;
+// when the treatment end is unknown, count it as this long after the start
+const DEFAULT_TREATMENT_DAYS = 0;
+
+// expected efficacy of a registered varroacide; below FAILED_EFFICACY_PCT = failed
+const EFFECTIVE_EFFICACY_PCT = 90;
+const FAILED_EFFICACY_PCT = 80;
+
+// next test: within [MIN, MAX] days, sooner if the projection reaches the moderate threshold
+const MIN_TEST_INTERVAL_DAYS = 7;
+const MAX_TEST_INTERVAL_DAYS = 60;
+// post-treatment check once the treatment is over
+const POST_TREATMENT_CHECK_DAYS = 7;
+
+// Daily mite growth rate by month (northern hemisphere): the population roughly doubles
+// every month while the colony rears brood, and is stable in the broodless winter.
+const MONTHLY_GROWTH_RATE = {
+  1: 0,
+  2: 0.005,
+  3: 0.015,
+  4: 0.021,
+  5: 0.023,
+  6: 0.023,
+  7: 0.021,
+  8: 0.017,
+  9: 0.01,
+  10: 0.004,
+  11: 0,
+  12: 0,
+};
+
+// Comparable measure of a test (only tests of the same kind are compared).
+// Risk limits come from the owner's seasonal thresholds (varroaTestService).
+const METRICS = {
+  rate: { unit: "%" },
+  drone_rate: { unit: "% drone cells" },
+  mite_drop: { unit: "mites/day" },
+};
+
+function toDate(value) {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function round(n, digits = 2) {
+  if (n === null || n === undefined || !Number.isFinite(Number(n))) return null;
+  const f = 10 ** digits;
+  return Math.round(Number(n) * f) / f;
+}
+
+function testMetric(test) {
+  if (test.test_type === "sticky_board") {
+    const v = Number(test.daily_mite_drop ?? calculateDailyMiteDrop(test.mites_count, test.exposure_days));
+    return Number.isFinite(v) ? { kind: "mite_drop", value: v } : null;
+  }
+  if (test.infestation_rate === null || test.infestation_rate === undefined) return null;
+  const v = Number(test.infestation_rate);
+  if (!Number.isFinite(v)) return null;
+  return { kind: test.test_type === "drone_uncapping" ? "drone_rate" : "rate", value: v };
+}
+
+// { moderate, high } for the test's method in the season of `date`
+function limitsFor(test, date, { thresholds = DEFAULT_THRESHOLDS, latitude = null } = {}) {
+  const byType = thresholds[test.test_type] || DEFAULT_THRESHOLDS.alcohol_wash;
+  return byType[seasonFor(date, latitude)];
+}
+
+/**
+ * Daily growth rate for a date; southern hemisphere seasons are shifted by 6 months.
+ */
+function dailyGrowthRate(date, { latitude = null } = {}) {
+  let month = date.getUTCMonth() + 1;
+  if (latitude !== null && latitude < 0) month = ((month + 5) % 12) + 1;
+  return MONTHLY_GROWTH_RATE[month] ?? 0;
+}
+
+/**
+ * Project a mite measure from `from` to `to` with the seasonal growth curve.
+ */
+function projectMiteLevel(value, from, to, options = {}) {
+  let level = Number(value);
+  let day = toDate(from);
+  const end = toDate(to);
+  if (!Number.isFinite(level) || !day || !end) return null;
+
+  while (day < end) {
+    level *= Math.exp(dailyGrowthRate(day, options));
+    day = addDays(day, 1);
+  }
+  return level;
+}
+
+/**
+ * First day the projection reaches `threshold`, searching up to maxDays. → Date | null
+ */
+function projectThresholdDate(value, from, threshold, maxDays, options = {}) {
+  let level = Number(value);
+  let day = toDate(from);
+  if (!Number.isFinite(level) || !day) return null;
+
+  for (let i = 0; i < maxDays; i++) {
+    if (level >= threshold) return day;
+    level *= Math.exp(dailyGrowthRate(day, options));
+    day = addDays(day, 1);
+  }
+  return level >= threshold ? day : null;
+}
+
+/**
+ * Veterinary treatments of an apiary, with the hives they apply to
+ * (hive_ids = null → apiary-wide, i.e. every hive).
+ */
+async function loadApiaryTreatments(apiaryId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT
+       i.id AS intervention_id,
+       i.date_time,
+       i.treatment_end_at,
+       p.name AS product_name,
+       p.treatment_days,
+       (SELECT array_agg(ih.hive_id) FROM intervention_hives ih WHERE ih.intervention_id = i.id) AS hive_ids
+     FROM interventions i
+     JOIN products p ON p.id = i.product_id AND p.is_veterinary = TRUE
+     WHERE i.apiary_id = $1
+     ORDER BY i.date_time ASC, i.id ASC`,
+    [apiaryId]
+  );
+  return rows;
+}
+
+function treatmentEnd(t) {
+  const end = toDate(t.treatment_end_at);
+  if (end) return end;
+  const days = t.treatment_days === null || t.treatment_days === undefined ? null : Number(t.treatment_days);
+  return addDays(toDate(t.date_time), Number.isFinite(days) ? days : DEFAULT_TREATMENT_DAYS);
+}
+
+function testRef(test, metric) {
+  return {
+    id: test.id,
+    tested_at: test.tested_at,
+    test_type: test.test_type,
+    value: metric.value,
+    unit: METRICS[metric.kind].unit,
+  };
+}
+
+/**
+ * Pair each treatment × hive with the tests before / after it.
+ * testsByHive: Map hive_id → tests oldest first.
+ * status: effective | partial | failed | no_baseline (no pre test)
+ *         | pending (post test still expected) | not_checked (no post test in the window)
+ */
+function evaluateTreatments(treatments, testsByHive, { now = new Date(), ...scoring } = {}) {
+  const results = [];
+
+  for (const t of treatments) {
+    const start = toDate(t.date_time);
+    if (!start) continue;
+    const end = treatmentEnd(t);
+    const hiveIds = t.hive_ids && t.hive_ids.length ? t.hive_ids : [...testsByHive.keys()];
+
+    for (const hiveId of hiveIds) {
+      const tests = testsByHive.get(hiveId) || [];
+
+      const pre = [...tests]
+        .reverse()
+        .find((x) => {
+          const at = toDate(x.tested_at);
+          return at && at <= start && at >= addDays(start, -PRE_TEST_MAX_DAYS) && testMetric(x);
+        });
+      const preMetric = pre ? testMetric(pre) : null;
+
+      // same measure as the pre test so the two are comparable
+      const post = tests.find((x) => {
+        const at = toDate(x.tested_at);
+        const m = testMetric(x);
+        return (
+          at &&
+          at >= end &&
+          at <= addDays(end, POST_TEST_MAX_DAYS) &&
+          m &&
+          (!preMetric || m.kind === preMetric.kind)
+        );
+      });
+      const postMetric = post ? testMetric(post) : null;
+
+      let efficacy_pct = null;
+      let status;
+
+      if (!postMetric) {
+        status = now > addDays(end, POST_TEST_MAX_DAYS) ? "not_checked" : "pending";
+      } else if (!preMetric) {
+        // no baseline, but a post-treatment level still above the high threshold means failure
+        status = postMetric.value >= limitsFor(post, post.tested_at, scoring).high ? "failed" : "no_baseline";
+      } else {
+        if (preMetric.value > 0) {
+          efficacy_pct = round(((preMetric.value - postMetric.value) / preMetric.value) * 100, 1);
+        }
+        const highAfter = postMetric.value >= limitsFor(post, post.tested_at, scoring).high;
+
+        if (highAfter || (efficacy_pct !== null && efficacy_pct < FAILED_EFFICACY_PCT)) status = "failed";
+        else if (efficacy_pct !== null && efficacy_pct < EFFECTIVE_EFFICACY_PCT) status = "partial";
+        else status = "effective";
+      }
+
+      results.push({
+        intervention_id: t.intervention_id,
+        product_name: t.product_name,
+        hive_id: hiveId,
+        started_at: start.toISOString(),
+        ended_at: end.toISOString(),
+        pre_test: pre ? testRef(pre, preMetric) : null,
+        post_test: post ? testRef(post, postMetric) : null,
+        efficacy_pct,
+        status,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Next test date for a hive from its latest test (projected with the growth curve),
+ * or a post-treatment check when a treatment followed the latest test.
+ */
+function recommendNextTest(latestTest, hiveTreatments, { now = new Date(), ...scoring } = {}) {
+  const { latitude = null } = scoring;
+  const metric = latestTest ? testMetric(latestTest) : null;
+  const testedAt = latestTest ? toDate(latestTest.tested_at) : null;
+
+  // a treatment after the latest test: check it worked once it is over
+  const pendingTreatment = hiveTreatments
+    .filter((r) => r.status === "pending" && (!testedAt || new Date(r.started_at) >= testedAt))
+    .pop();
+  if (pendingTreatment) {
+    return {
+      next_test_date: addDays(new Date(pendingTreatment.ended_at), POST_TREATMENT_CHECK_DAYS).toISOString().slice(0, 10),
+      reason: "post_treatment_check",
+      projected_value_today: null,
+      unit: metric ? METRICS[metric.kind].unit : null,
+    };
+  }
+
+  if (!metric || !testedAt) {
+    return {
+      next_test_date: now.toISOString().slice(0, 10),
+      reason: "no_usable_test",
+      projected_value_today: null,
+      unit: null,
+    };
+  }
+
+  const { unit } = METRICS[metric.kind];
+  const { moderate: moderateAt, high: highAt } = limitsFor(latestTest, now, scoring);
+  const projectedToday = projectMiteLevel(metric.value, testedAt, now > testedAt ? now : testedAt, { latitude });
+
+  if (projectedToday >= highAt) {
+    return {
+      next_test_date: now.toISOString().slice(0, 10),
+      reason: "projected_high",
+      projected_value_today: round(projectedToday),
+      unit,
+    };
+  }
+
+  const minDate = addDays(testedAt, MIN_TEST_INTERVAL_DAYS);
+  const maxDate = addDays(testedAt, MAX_TEST_INTERVAL_DAYS);
+  const reach = projectThresholdDate(metric.value, testedAt, moderateAt, MAX_TEST_INTERVAL_DAYS, { latitude });
+
+  let next = reach && reach < maxDate ? reach : maxDate;
+  let reason = reach && reach < maxDate ? "projected_moderate" : "routine_interval";
+  if (next < minDate) next = minDate;
+  if (next < now) {
+    next = now;
+    reason = reason === "routine_interval" ? "overdue" : reason;
+  }
+
+  return {
+    next_test_date: next.toISOString().slice(0, 10),
+    reason,
+    projected_value_today: round(projectedToday),
+    unit,
+  };
+}
+
+/**
+ * Efficacy + failed hives + next test per hive for an apiary.
+ * tests: any order. scoring: { thresholds, latitude } (owner thresholds + seasonal curve).
+ */
+async function analyzeApiaryVarroa(apiaryId, tests, { now = new Date(), ...scoring } = {}, client = pool) {
+  const testsByHive = new Map();
+  const sorted = [...tests].sort((a, b) => new Date(a.tested_at) - new Date(b.tested_at));
+  for (const t of sorted) {
+    if (!testsByHive.has(t.hive_id)) testsByHive.set(t.hive_id, []);
+    testsByHive.get(t.hive_id).push(t);
+  }
+
+  const treatments = await loadApiaryTreatments(apiaryId, client);
+  const efficacy = evaluateTreatments(treatments, testsByHive, { now, ...scoring });
+
+  // latest evaluated treatment per hive decides whether it failed
+  const latestByHive = new Map();
+  for (const r of efficacy) {
+    if (r.status !== "pending" && r.status !== "not_checked") latestByHive.set(r.hive_id, r);
+  }
+  const failed_treatment_hives = [...latestByHive.values()]
+    .filter((r) => r.status === "failed")
+    .map((r) => ({
+      hive_id: r.hive_id,
+      intervention_id: r.intervention_id,
+      product_name: r.product_name,
+      efficacy_pct: r.efficacy_pct,
+      post_test: r.post_test,
+    }));
+
+  const next_tests = [...testsByHive.entries()].map(([hiveId, hiveTests]) => ({
+    hive_id: hiveId,
+    last_tested_at: hiveTests[hiveTests.length - 1].tested_at,
+    ...recommendNextTest(
+      hiveTests[hiveTests.length - 1],
+      efficacy.filter((r) => r.hive_id === hiveId),
+      { now, ...scoring }
+    ),
+  }));
+  next_tests.sort((a, b) => (a.next_test_date < b.next_test_date ? -1 : 1));
+
+  return {
+    treatment_efficacy: efficacy,
+    failed_treatment_hives,
+    next_tests,
+  };
+}
+
+module.exports = {
+  MONTHLY_GROWTH_RATE,
+  METRICS,
+  testMetric,
+  limitsFor,
+  dailyGrowthRate,
+  projectMiteLevel,
+  projectThresholdDate,
+  loadApiaryTreatments,
+  evaluateTreatments,
+  recommendNextTest,
+  analyzeApiaryVarroa,
+};
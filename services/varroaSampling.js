@@ -0,0 +1,354 @@
+// services/varroaSampling.js
+// Apiary-level varroa sampling: how many / which hives to test, and the apiary
+// infestation estimate (mean % with a confidence interval) from the sampled tests.
+const crypto = require("crypto");
+const pool = require("../db");
+const { BEE_SAMPLE_TYPES } = require("./varroaTestService");
+
+const SAMPLING_MODES = ["random", "stratified"];
+const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99];
+
+const DEFAULT_CONFIDENCE = 0.95;
+// wanted CI half-width, in infestation % points
+const DEFAULT_MARGIN = 1;
+// between-colony standard deviation of infestation (%) when the apiary has no history
+const DEFAULT_SD = 1.5;
+const MIN_SAMPLE_SIZE = 3;
+
+// without an active plan, the latest test of each hive within this window is the sample
+const ESTIMATE_WINDOW_DAYS = 30;
+// a plan older than this is no longer the active round
+const PLAN_MAX_AGE_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNASSIGNED_STRATUM = "unassigned";
+
+// two-sided Student t critical values, df 1..30 (larger df → normal)
+const T_TABLE = {
+  0.9: [6.314, 2.92, 2.353, 2.132, 2.015, 1.943, 1.895, 1.86, 1.833, 1.812, 1.796, 1.782, 1.771, 1.761, 1.753,
+    1.746, 1.74, 1.734, 1.729, 1.725, 1.721, 1.717, 1.714, 1.711, 1.708, 1.706, 1.703, 1.701, 1.699, 1.697],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131,
+    2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042],
+  0.99: [63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.25, 3.169, 3.106, 3.055, 3.012, 2.977, 2.947,
+    2.921, 2.898, 2.878, 2.861, 2.845, 2.831, 2.819, 2.807, 2.797, 2.787, 2.779, 2.771, 2.763, 2.756, 2.75],
+};
+const Z = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+function round(n, digits = 3) {
+  if (n === null || n === undefined || !Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function criticalValue(confidence, df = Infinity) {
+  if (Number.isFinite(df) && df >= 1 && df <= 30) return T_TABLE[confidence][df - 1];
+  return Z[confidence];
+}
+
+function mean(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function variance(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+function stratumOf(hive) {
+  const p = String(hive.hive_purpose || "").trim();
+  return p || UNASSIGNED_STRATUM;
+}
+
+/**
+ * Hives to test for a mean estimate within ±margin at `confidence`
+ * (normal approximation + finite population correction).
+ */
+function requiredSampleSize(population, { confidence = DEFAULT_CONFIDENCE, margin = DEFAULT_MARGIN, sd = DEFAULT_SD } = {}) {
+  if (population <= 0) return 0;
+  const n0 = (Z[confidence] * sd / margin) ** 2;
+  const n = Math.ceil(n0 / (1 + (n0 - 1) / population));
+  return Math.min(population, Math.max(MIN_SAMPLE_SIZE, n));
+}
+
+// deterministic PRNG so a plan can be reproduced from its seed
+function seededRandom(seed) {
+  let h = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    h = (h + 0x6d2b79f5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, rand) {
+  const a = [...list];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+/**
+ * Proportional allocation of n over strata, at least one hive per stratum.
+ * strata: [{ stratum, hives }] → [{ stratum, population, sample }]
+ */
+function allocate(strata, n) {
+  const population = strata.reduce((s, x) => s + x.hives.length, 0);
+  const alloc = strata.map((x) => ({
+    stratum: x.stratum,
+    population: x.hives.length,
+    sample: Math.min(x.hives.length, Math.max(1, Math.round((n * x.hives.length) / population))),
+  }));
+
+  // fix rounding drift, largest strata first
+  let total = alloc.reduce((s, x) => s + x.sample, 0);
+  const bySize = [...alloc].sort((a, b) => b.population - a.population);
+  for (let i = 0; total !== n && i < bySize.length * n; i++) {
+    const x = bySize[i % bySize.length];
+    if (total < n && x.sample < x.population) {
+      x.sample++;
+      total++;
+    } else if (total > n && x.sample > 1) {
+      x.sample--;
+      total--;
+    }
+  }
+  return alloc;
+}
+
+/**
+ * Pick the hives to test.
+ * hives: [{ hive_id, hive_code, hive_purpose }]
+ * → { mode, population, target_size, hives: [...], strata: [...], seed }
+ */
+function buildSamplingPlan(hives, { mode = "random", confidence = DEFAULT_CONFIDENCE, margin = DEFAULT_MARGIN, sd = DEFAULT_SD, seed = null } = {}) {
+  const usedSeed = seed ? String(seed) : crypto.randomUUID();
+  const rand = seededRandom(usedSeed);
+  const target = requiredSampleSize(hives.length, { confidence, margin, sd });
+
+  let picked;
+  let strata = [];
+
+  if (mode === "stratified") {
+    const groups = new Map();
+    for (const h of hives) {
+      const key = stratumOf(h);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(h);
+    }
+    const list = [...groups.entries()].map(([stratum, members]) => ({ stratum, hives: members }));
+    strata = allocate(list, target);
+    picked = list.flatMap((g, i) => shuffle(g.hives, rand).slice(0, strata[i].sample));
+  } else {
+    picked = shuffle(hives, rand).slice(0, target);
+  }
+
+  return {
+    mode,
+    population: hives.length,
+    target_size: picked.length,
+    confidence,
+    margin,
+    sd_assumed: round(sd),
+    hives: picked.sort((a, b) => String(a.hive_code ?? "").localeCompare(String(b.hive_code ?? ""))),
+    strata,
+    seed: usedSeed,
+  };
+}
+
+/**
+ * Between-colony SD from the apiary's latest rate test per hive (null if < 2 hives).
+ */
+function historicalSd(tests) {
+  const latest = new Map();
+  for (const t of tests) {
+    if (!BEE_SAMPLE_TYPES.includes(t.test_type) || t.infestation_rate == null) continue;
+    if (!latest.has(t.hive_id)) latest.set(t.hive_id, Number(t.infestation_rate));
+  }
+  const v = variance([...latest.values()]);
+  return v === null ? null : Math.sqrt(v);
+}
+
+/**
+ * Apiary infestation estimate.
+ * samples: [{ hive_id, stratum, value }] (one per hive); population: [{ hive_id, hive_purpose }]
+ * mode "stratified" weights strata by their share of the apiary.
+ */
+function estimateInfestation(samples, population, { mode = "random", confidence = DEFAULT_CONFIDENCE, margin = DEFAULT_MARGIN } = {}) {
+  const N = population.length;
+  const n = samples.length;
+  const values = samples.map((s) => s.value);
+
+  const base = {
+    mode,
+    confidence,
+    population: N,
+    sample_size: n,
+    mean: null,
+    standard_error: null,
+    ci_low: null,
+    ci_high: null,
+    margin_achieved: null,
+  };
+  if (!n) return { ...base, sufficient: false, reason: "no_samples" };
+
+  let estimate;
+  let se;
+  let df = n - 1;
+
+  if (mode === "stratified") {
+    const popByStratum = new Map();
+    for (const h of population) popByStratum.set(stratumOf(h), (popByStratum.get(stratumOf(h)) || 0) + 1);
+
+    const byStratum = new Map();
+    for (const s of samples) {
+      if (!byStratum.has(s.stratum)) byStratum.set(s.stratum, []);
+      byStratum.get(s.stratum).push(s.value);
+    }
+
+    // strata without samples cannot be estimated: weights are renormalized over sampled strata
+    const pooledVar = variance(values);
+    const covered = [...byStratum.keys()].reduce((s, k) => s + (popByStratum.get(k) || 0), 0) || n;
+    estimate = 0;
+    let v = 0;
+    for (const [stratum, vals] of byStratum) {
+      const Nh = popByStratum.get(stratum) || vals.length;
+      const W = Nh / covered;
+      const vh = variance(vals) ?? pooledVar;
+      estimate += W * mean(vals);
+      if (vh !== null) v += W * W * (vh / vals.length) * Math.max(0, 1 - vals.length / Nh);
+    }
+    se = pooledVar === null ? null : Math.sqrt(v);
+    df = n - byStratum.size > 0 ? n - byStratum.size : n - 1;
+  } else {
+    estimate = mean(values);
+    const v = variance(values);
+    se = v === null ? null : Math.sqrt((v / n) * Math.max(0, 1 - n / Math.max(N, n)));
+  }
+
+  // census: every hive tested, no sampling error
+  if (N > 0 && n >= N) se = 0;
+
+  const result = { ...base, mean: round(estimate) };
+  if (se === null) return { ...result, sufficient: false, reason: "too_few_samples" };
+
+  const half = criticalValue(confidence, df) * se;
+  const target = requiredSampleSize(N, { confidence, margin });
+
+  const enough = half <= margin && n >= Math.min(MIN_SAMPLE_SIZE, N || n);
+
+  return {
+    ...result,
+    standard_error: round(se),
+    ci_low: round(Math.max(0, estimate - half)),
+    ci_high: round(estimate + half),
+    margin_achieved: round(half),
+    target_sample_size: target,
+    sufficient: enough,
+    reason: enough ? null : half <= margin ? "too_few_samples" : "margin_too_wide",
+  };
+}
+
+async function loadApiaryHives(apiaryId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT hive_id, hive_code, hive_purpose FROM hives WHERE apiary_id = $1 ORDER BY hive_code`,
+    [apiaryId]
+  );
+  return rows;
+}
+
+async function getActivePlan(apiaryId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT *
+     FROM varroa_sampling_plans
+     WHERE apiary_id = $1
+       AND created_at > now() - make_interval(days => $2)
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [apiaryId, PLAN_MAX_AGE_DAYS]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Sample used for the estimate: tests of the active plan's hives since the plan,
+ * otherwise the latest rate test of each hive within ESTIMATE_WINDOW_DAYS of the newest one.
+ * tests: latest first.
+ */
+function pickSampleTests(tests, hives, plan) {
+  const rateTests = tests.filter((t) => BEE_SAMPLE_TYPES.includes(t.test_type) && t.infestation_rate != null);
+  const purposeOf = new Map(hives.map((h) => [h.hive_id, h]));
+
+  let candidates;
+  if (plan) {
+    const planned = new Set(plan.hive_ids);
+    const since = new Date(plan.created_at);
+    candidates = rateTests.filter((t) => planned.has(t.hive_id) && new Date(t.tested_at) >= since);
+  } else {
+    const newest = rateTests[0] ? new Date(rateTests[0].tested_at) : null;
+    candidates = newest
+      ? rateTests.filter((t) => newest - new Date(t.tested_at) <= ESTIMATE_WINDOW_DAYS * DAY_MS)
+      : [];
+  }
+
+  const latest = new Map();
+  for (const t of candidates) {
+    if (!purposeOf.has(t.hive_id) || latest.has(t.hive_id)) continue;
+    latest.set(t.hive_id, {
+      hive_id: t.hive_id,
+      test_id: t.id,
+      tested_at: t.tested_at,
+      stratum: stratumOf(purposeOf.get(t.hive_id)),
+      value: Number(t.infestation_rate),
+    });
+  }
+  return [...latest.values()];
+}
+
+/**
+ * Estimate for an apiary from its tests (latest first) + plan progress.
+ */
+async function estimateApiaryInfestation(apiaryId, tests, client = pool) {
+  const [hives, plan] = await Promise.all([loadApiaryHives(apiaryId, client), getActivePlan(apiaryId, client)]);
+  const samples = pickSampleTests(tests, hives, plan);
+
+  const estimate = estimateInfestation(samples, hives, {
+    mode: plan?.mode || "random",
+    confidence: plan ? Number(plan.confidence) : DEFAULT_CONFIDENCE,
+    margin: plan ? Number(plan.margin) : DEFAULT_MARGIN,
+  });
+
+  const tested = new Set(samples.map((s) => s.hive_id));
+  return {
+    ...estimate,
+    source: plan ? "sampling_plan" : "recent_tests",
+    plan: plan
+      ? {
+          plan_id: plan.plan_id,
+          created_at: plan.created_at,
+          planned: plan.hive_ids.length,
+          tested: plan.hive_ids.filter((id) => tested.has(id)).length,
+          remaining_hive_ids: plan.hive_ids.filter((id) => !tested.has(id)),
+        }
+      : null,
+    samples,
+  };
+}
+
+module.exports = {
+  SAMPLING_MODES,
+  CONFIDENCE_LEVELS,
+  DEFAULT_CONFIDENCE,
+  DEFAULT_MARGIN,
+  requiredSampleSize,
+  buildSamplingPlan,
+  historicalSd,
+  estimateInfestation,
+  loadApiaryHives,
+  getActivePlan,
+  pickSampleTests,
+  estimateApiaryInfestation,
+};
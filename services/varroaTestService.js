@@ -0,0 +1,332 @@
+// services/varroaTestService.js
+// Varroa test scoring + creation shared by POST /varroa-tests and the offline sync endpoint.
+const pool = require("../db");
+const supabase = require("../utils/supabaseClient");
+const { loadHiveAccess } = require("./accessControl");
+const { parseLatLng } = require("./weather.service");
+
+const TEST_TYPES = ["alcohol_wash", "sugar_roll", "co2", "sticky_board", "drone_uncapping"];
+
+// methods giving mites per 100 adult bees (bees_sampled required)
+const BEE_SAMPLE_TYPES = ["alcohol_wash", "sugar_roll", "co2"];
+
+const SEASONS = ["spring", "summer", "pre_winter"];
+
+// Risk thresholds per method and season: value < moderate → low, < high → moderate, else high.
+// value = % infested bees (wash / roll / CO2), % infested drone cells (drone_uncapping),
+// natural mite drop per day (sticky_board).
+const DEFAULT_THRESHOLDS = {
+  alcohol_wash: {
+    spring: { moderate: 1, high: 2 },
+    summer: { moderate: 2, high: 3 },
+    pre_winter: { moderate: 1.5, high: 2.5 },
+  },
+  sugar_roll: {
+    spring: { moderate: 1, high: 2 },
+    summer: { moderate: 2, high: 3 },
+    pre_winter: { moderate: 1.5, high: 2.5 },
+  },
+  co2: {
+    spring: { moderate: 1, high: 2 },
+    summer: { moderate: 2, high: 3 },
+    pre_winter: { moderate: 1.5, high: 2.5 },
+  },
+  drone_uncapping: {
+    spring: { moderate: 3, high: 5 },
+    summer: { moderate: 5, high: 10 },
+    pre_winter: { moderate: 5, high: 10 },
+  },
+  sticky_board: {
+    spring: { moderate: 1, high: 3 },
+    summer: { moderate: 3, high: 10 },
+    pre_winter: { moderate: 2, high: 5 },
+  },
+};
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * spring = Feb → May, summer = Jun → Aug, pre_winter = Sep → Jan (northern hemisphere);
+ * shifted by 6 months for a southern latitude.
+ */
+function seasonFor(date, latitude = null) {
+  const d = date ? new Date(date) : new Date();
+  let month = (Number.isNaN(d.getTime()) ? new Date() : d).getUTCMonth() + 1;
+  if (latitude !== null && latitude < 0) month = ((month + 5) % 12) + 1;
+
+  if (month >= 2 && month <= 5) return "spring";
+  if (month >= 6 && month <= 8) return "summer";
+  return "pre_winter";
+}
+
+function mergeThresholds(base, override) {
+  const out = {};
+  for (const type of TEST_TYPES) {
+    out[type] = {};
+    for (const season of SEASONS) {
+      out[type][season] = { ...base[type][season], ...(override?.[type]?.[season] || {}) };
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate a (partial) thresholds override.
+ * → { ok: true, thresholds } | { ok: false, status: 400, error }
+ */
+function validateThresholds(input) {
+  const bad = (error) => ({ ok: false, status: 400, error });
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return bad("thresholds must be an object");
+  }
+
+  const clean = {};
+  for (const [type, seasons] of Object.entries(input)) {
+    if (!TEST_TYPES.includes(type)) return bad(`Unknown test type: ${type}`);
+    if (!seasons || typeof seasons !== "object") return bad(`thresholds.${type} must be an object`);
+
+    for (const [season, values] of Object.entries(seasons)) {
+      if (!SEASONS.includes(season)) return bad(`Unknown season: ${season}`);
+
+      const merged = { ...DEFAULT_THRESHOLDS[type][season] };
+      for (const key of ["moderate", "high"]) {
+        if (values?.[key] === undefined) continue;
+        const n = toNumber(values[key]);
+        if (n === null || n <= 0) return bad(`thresholds.${type}.${season}.${key} must be > 0`);
+        merged[key] = n;
+      }
+      if (merged.moderate >= merged.high) {
+        return bad(`thresholds.${type}.${season}: moderate must be lower than high`);
+      }
+
+      clean[type] = clean[type] || {};
+      clean[type][season] = merged;
+    }
+  }
+
+  return { ok: true, thresholds: clean };
+}
+
+/**
+ * Owner's thresholds (defaults + stored overrides).
+ */
+async function loadThresholds(ownerUserId, client = pool) {
+  if (!ownerUserId) return DEFAULT_THRESHOLDS;
+  const { rows } = await client.query(
+    `SELECT thresholds FROM varroa_threshold_settings WHERE owner_user_id = $1`,
+    [ownerUserId]
+  );
+  return mergeThresholds(DEFAULT_THRESHOLDS, rows[0]?.thresholds);
+}
+
+function calculateInfestationRate(testType, mitesCount, beesSampled, cellsInspected = null) {
+  if (BEE_SAMPLE_TYPES.includes(testType)) {
+    if (!beesSampled || beesSampled <= 0) return null;
+    return Number(((mitesCount / beesSampled) * 100).toFixed(3));
+  }
+
+  // drone_uncapping: mites_count = infested drone cells
+  if (testType === "drone_uncapping") {
+    if (!cellsInspected || cellsInspected <= 0) return null;
+    return Number(((mitesCount / cellsInspected) * 100).toFixed(3));
+  }
+
+  // sticky_board لا نحسب له infestation_rate بنفس المعادلة
+  return null;
+}
+
+// sticky board: natural mite drop per day (legacy boards without exposure_days = 1 day)
+function calculateDailyMiteDrop(mitesCount, exposureDays) {
+  if (mitesCount === null || mitesCount === undefined) return null;
+  const days = exposureDays && exposureDays > 0 ? exposureDays : 1;
+  return Number((mitesCount / days).toFixed(3));
+}
+
+/**
+ * value: infestation rate, or daily mite drop for sticky_board.
+ * limits: { moderate, high } for the test's method and season.
+ */
+function calculateRiskLevel(testType, value, limits = null) {
+  if (!TEST_TYPES.includes(testType) || value === null || value === undefined) return null;
+
+  const { moderate, high } = limits || DEFAULT_THRESHOLDS[testType].summer;
+  if (value < moderate) return "low";
+  if (value < high) return "moderate";
+  return "high";
+}
+
+function buildRecommendation(testType, riskLevel, season = null) {
+  if (!riskLevel) return null;
+
+  if (testType === "sticky_board") {
+    if (riskLevel === "low") return "Natural mite fall is low. Continue monitoring.";
+    if (riskLevel === "moderate") return "Monitor this hive closely and repeat the sticky board test soon.";
+    if (riskLevel === "high") return "High natural mite fall detected. Treatment is recommended.";
+  }
+
+  if (riskLevel === "low") {
+    return "No treatment needed now. Continue monitoring.";
+  }
+
+  if (riskLevel === "moderate") {
+    return season === "pre_winter"
+      ? "Winter bees are being reared: plan a treatment and repeat the test soon."
+      : "Monitor closely and repeat the test soon.";
+  }
+
+  if (riskLevel === "high") {
+    return season === "pre_winter"
+      ? "Treat now to protect the winter bees."
+      : "Treatment is recommended for this hive/apiary.";
+  }
+
+  return null;
+}
+
+/**
+ * Validate the scoring inputs of a test.
+ * → error message | null
+ */
+function validateTestValues({ test_type, mites_count, bees_sampled, cells_inspected, exposure_days }) {
+  if (!TEST_TYPES.includes(test_type)) return "Invalid test_type";
+
+  if (mites_count === null || mites_count < 0) return "mites_count must be 0 or greater";
+
+  if (BEE_SAMPLE_TYPES.includes(test_type) && (!bees_sampled || bees_sampled <= 0)) {
+    return `bees_sampled is required and must be > 0 for ${BEE_SAMPLE_TYPES.join(", ")}`;
+  }
+
+  if (test_type === "drone_uncapping") {
+    if (!cells_inspected || cells_inspected <= 0 || !Number.isInteger(cells_inspected)) {
+      return "cells_inspected is required and must be a positive integer for drone_uncapping";
+    }
+    if (mites_count > cells_inspected) return "mites_count (infested cells) cannot exceed cells_inspected";
+  }
+
+  if (exposure_days !== null && exposure_days !== undefined && exposure_days <= 0) {
+    return "exposure_days must be > 0";
+  }
+
+  return null;
+}
+
+/**
+ * Scoring fields stored on varroa_tests, with the season at tested_at.
+ */
+function scoreVarroaTest(values, { thresholds = DEFAULT_THRESHOLDS, latitude = null } = {}) {
+  const { test_type, mites_count, bees_sampled, cells_inspected, exposure_days, tested_at } = values;
+
+  const season = seasonFor(tested_at, latitude);
+  const infestation_rate = calculateInfestationRate(test_type, mites_count, bees_sampled, cells_inspected);
+  const daily_mite_drop =
+    test_type === "sticky_board" ? calculateDailyMiteDrop(mites_count, exposure_days) : null;
+
+  const value = test_type === "sticky_board" ? daily_mite_drop : infestation_rate;
+  const risk_level = calculateRiskLevel(test_type, value, thresholds[test_type]?.[season]);
+
+  return {
+    infestation_rate,
+    daily_mite_drop,
+    season,
+    risk_level,
+    recommendation: buildRecommendation(test_type, risk_level, season),
+  };
+}
+
+/**
+ * Thresholds + latitude of a hive's apiary (owner settings apply to every member).
+ */
+async function scoringContextFor(apiary) {
+  return {
+    thresholds: await loadThresholds(apiary?.owner_user_id),
+    latitude: parseLatLng(apiary?.location)?.lat ?? null,
+  };
+}
+
+/**
+ * Validate + check hive write access + score + insert.
+ * → { ok, status, error?, test? }
+ */
+async function createVarroaTest(userId, body = {}) {
+  const bad = (error) => ({ ok: false, status: 400, error });
+
+  const hive_id = toNumber(body.hive_id);
+  const apiary_id = toNumber(body.apiary_id);
+  const test_type = body.test_type;
+  const mites_count = toNumber(body.mites_count);
+  const bees_sampled = toNumber(body.bees_sampled);
+  const cells_inspected = toNumber(body.cells_inspected);
+  const exposure_days = toNumber(body.exposure_days);
+  const notes = body.notes || null;
+  const tested_at = body.tested_at || new Date().toISOString();
+
+  if (!hive_id || !apiary_id || !test_type || mites_count === null) {
+    return bad("hive_id, apiary_id, test_type and mites_count are required");
+  }
+
+  const invalid = validateTestValues({ test_type, mites_count, bees_sampled, cells_inspected, exposure_days });
+  if (invalid) return bad(invalid);
+
+  const hiveAccess = await loadHiveAccess(hive_id, userId, "write");
+  if (!hiveAccess.ok) return hiveAccess;
+
+  if (Number(hiveAccess.hive.apiary_id) !== apiary_id) {
+    return bad("hive_id does not belong to apiary_id");
+  }
+
+  const values = {
+    test_type,
+    mites_count,
+    bees_sampled,
+    cells_inspected: test_type === "drone_uncapping" ? cells_inspected : null,
+    exposure_days: test_type === "sticky_board" ? exposure_days : null,
+    tested_at,
+  };
+  const score = scoreVarroaTest(values, await scoringContextFor(hiveAccess.apiary));
+
+  const { data, error } = await supabase
+    .from("varroa_tests")
+    .insert([
+      {
+        hive_id,
+        apiary_id,
+        user_id: userId,
+        ...values,
+        ...score,
+        notes,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    console.error("createVarroaTest insert error:", error);
+    return { ok: false, status: 500, error: "Failed to create varroa test", details: error.message };
+  }
+
+  return { ok: true, status: 201, test: data };
+}
+
+module.exports = {
+  TEST_TYPES,
+  BEE_SAMPLE_TYPES,
+  SEASONS,
+  DEFAULT_THRESHOLDS,
+  toNumber,
+  seasonFor,
+  mergeThresholds,
+  validateThresholds,
+  loadThresholds,
+  calculateInfestationRate,
+  calculateDailyMiteDrop,
+  calculateRiskLevel,
+  buildRecommendation,
+  validateTestValues,
+  scoreVarroaTest,
+  scoringContextFor,
+  createVarroaTest,
+};
@@ -1,19 +1,44 @@
 // services/weather.service.js
-const axios = require("axios");
-
-async function fetchWeather(lat, lng) {
-   const url =
-      `https://api.open-meteo.com/v1/forecast` +
-      `?latitude=${encodeURIComponent(lat)}` +
-      `&longitude=${encodeURIComponent(lng)}` +
-      `&timezone=auto` +
-      `&forecast_days=7` +
-      `&current=temperature_2m,wind_speed_10m,relative_humidity_2m,is_day,weather_code` +
-      `&hourly=temperature_2m,wind_speed_10m,precipitation_probability,precipitation,relative_humidity_2m,weather_code` +
-      `&daily=weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,wind_speed_10m_max`;
-
-   const { data } = await axios.get(url, { timeout: 10000 });
-   return data;
+const { getWeatherProvider } = require("./weatherProviders");
+const { coordKey, roundCoord, getCached, setCached } = require("./weatherCache");
+
+const FORECAST_TTL_MS = 30 * 60 * 1000; // 30 min
+
+// apiaries.location is stored as "lat,lng"
+function parseLatLng(locationStr) {
+   if (!locationStr) return null;
+   const [latStr, lngStr] = String(locationStr)
+      .split(",")
+      .map((s) => s.trim());
+
+   const lat = Number(latStr);
+   const lng = Number(lngStr);
+
+   if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+   return { lat, lng };
+}
+
+// pastDays (0..92): also return observed days before today (used to join with hive weights)
+// Cached per rounded coordinates, shared by every user of the area.
+async function fetchWeather(lat, lng, { pastDays = 0 } = {}) {
+   const provider = getWeatherProvider();
+   const past = Math.min(Math.max(Number(pastDays) || 0, 0), 92);
+   const cacheKey = `${provider.name}:forecast:${coordKey(lat, lng)}:p${past}`;
+
+   const cached = await getCached(cacheKey);
+   if (cached) return cached;
+
+   const weather = await provider.forecast(roundCoord(lat), roundCoord(lng), { pastDays: past });
+   await setCached(cacheKey, weather, FORECAST_TTL_MS);
+   return weather;
+}
+
+// observed daily weather between two dates (YYYY-MM-DD, inclusive), not cached:
+// services/weatherArchive.js stores it per apiary
+async function fetchDailyHistory(lat, lng, from, to) {
+   const provider = getWeatherProvider();
+   const rows = await provider.history(roundCoord(lat), roundCoord(lng), from, to);
+   return { provider: provider.name, rows };
 }
 
-module.exports = { fetchWeather };
+module.exports = { fetchWeather, fetchDailyHistory, parseLatLng };
@@ -0,0 +1,209 @@
+// services/weatherArchive.js
+// Daily observed weather per apiary (weather_daily_archive), filled by the daily
+// scripts/archive-weather.js run and on demand when a past range is requested,
+// so harvests and inspections can be read against the weather of their day.
+const pool = require("../db");
+const { fetchDailyHistory, parseLatLng } = require("./weather.service");
+const { addDays } = require("./weatherProviders");
+const { apiaryAtSql } = require("./hiveMovementService");
+
+// longest range served / filled in one request
+const MAX_RANGE_DAYS = 366;
+
+function todayStr() {
+   return new Date().toISOString().slice(0, 10);
+}
+
+const ARCHIVE_COLUMNS = `
+   to_char(date, 'YYYY-MM-DD') AS date,
+   temp_min::float8 AS temp_min,
+   temp_max::float8 AS temp_max,
+   temp_mean::float8 AS temp_mean,
+   precipitation_sum::float8 AS precipitation_sum,
+   wind_speed_max::float8 AS wind_speed_max,
+   sunshine_hours::float8 AS sunshine_hours,
+   weather_code,
+   provider`;
+
+async function loadArchive(apiaryId, from, to, client = pool) {
+   const { rows } = await client.query(
+      `SELECT ${ARCHIVE_COLUMNS}
+       FROM weather_daily_archive
+       WHERE apiary_id = $1 AND date BETWEEN $2::date AND $3::date
+       ORDER BY date`,
+      [apiaryId, from, to]
+   );
+   return rows;
+}
+
+async function storeDays(apiaryId, coords, provider, days, client = pool) {
+   const today = todayStr();
+   let stored = 0;
+
+   for (const d of days) {
+      if (!d.date || d.date >= today) continue; // only finished days are "observed"
+      await client.query(
+         `INSERT INTO weather_daily_archive (
+             apiary_id, date, provider, lat, lng, temp_min, temp_max, temp_mean,
+             precipitation_sum, wind_speed_max, sunshine_hours, weather_code
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          ON CONFLICT (apiary_id, date) DO UPDATE SET
+             provider = EXCLUDED.provider,
+             lat = EXCLUDED.lat,
+             lng = EXCLUDED.lng,
+             temp_min = EXCLUDED.temp_min,
+             temp_max = EXCLUDED.temp_max,
+             temp_mean = EXCLUDED.temp_mean,
+             precipitation_sum = EXCLUDED.precipitation_sum,
+             wind_speed_max = EXCLUDED.wind_speed_max,
+             sunshine_hours = EXCLUDED.sunshine_hours,
+             weather_code = EXCLUDED.weather_code,
+             fetched_at = now()`,
+         [
+            apiaryId,
+            d.date,
+            provider,
+            coords.lat,
+            coords.lng,
+            d.temp_min,
+            d.temp_max,
+            d.temp_mean,
+            d.precipitation_sum,
+            d.wind_speed_max,
+            d.sunshine_hours,
+            d.weather_code,
+         ]
+      );
+      stored++;
+   }
+   return stored;
+}
+
+/**
+ * Fetch and store the observed weather of an apiary between from and to
+ * (clipped to yesterday). → number of days stored
+ */
+async function archiveApiaryWeather(apiary, from, to) {
+   const coords = parseLatLng(apiary.location);
+   if (!coords) return 0;
+
+   const yesterday = addDays(todayStr(), -1);
+   const end = to > yesterday ? yesterday : to;
+   if (from > end) return 0;
+
+   const { provider, rows } = await fetchDailyHistory(coords.lat, coords.lng, from, end);
+   return storeDays(apiary.apiary_id, coords, provider, rows);
+}
+
+/**
+ * Archived days of an apiary between from and to; missing past days are fetched first
+ * (fill = false: archive only).
+ * → { days, missing: [dates still unknown] }
+ */
+async function getApiaryWeatherHistory(apiary, from, to, { fill = true } = {}) {
+   const yesterday = addDays(todayStr(), -1);
+   const lastPast = to > yesterday ? yesterday : to;
+
+   let days = await loadArchive(apiary.apiary_id, from, to);
+
+   const known = new Set(days.map((d) => d.date));
+   const missing = [];
+   for (let d = from; d <= lastPast; d = addDays(d, 1)) {
+      if (!known.has(d)) missing.push(d);
+   }
+
+   if (fill && missing.length && parseLatLng(apiary.location)) {
+      try {
+         await archiveApiaryWeather(apiary, missing[0], missing[missing.length - 1]);
+         days = await loadArchive(apiary.apiary_id, from, to);
+      } catch (err) {
+         console.error("🔴 weather history fetch failed:", apiary.apiary_id, err.message);
+      }
+   }
+
+   const stored = new Set(days.map((d) => d.date));
+   return { days, missing: missing.filter((d) => !stored.has(d)) };
+}
+
+/**
+ * Daily run: archive the last `days` days of every apiary with a location
+ * (a few days back because providers publish observations with a delay).
+ * → { apiaries, stored, failed }
+ */
+async function archiveAllApiaries({ days = 3 } = {}) {
+   const { rows: apiaries } = await pool.query(
+      `SELECT apiary_id, location FROM apiaries WHERE location IS NOT NULL AND location <> ''`
+   );
+
+   const from = addDays(todayStr(), -days);
+   const to = addDays(todayStr(), -1);
+   const summary = { apiaries: 0, stored: 0, failed: 0 };
+
+   for (const apiary of apiaries) {
+      if (!parseLatLng(apiary.location)) continue;
+      summary.apiaries++;
+      try {
+         summary.stored += await archiveApiaryWeather(apiary, from, to);
+      } catch (err) {
+         summary.failed++;
+         console.error("🔴 weather archive failed:", apiary.apiary_id, err.message);
+      }
+   }
+
+   return summary;
+}
+
+/**
+ * Harvests and inspections of an apiary per day, to read against the archived weather
+ * (inspections of hives that were on the apiary that day, see hive_movements).
+ * → Map(date → { harvests: { count, net_honey_kg }, inspections: { count, statuses } })
+ */
+async function loadApiaryActivity(apiaryId, from, to) {
+   const { rows: harvests } = await pool.query(
+      `SELECT to_char(harvest_date::date, 'YYYY-MM-DD') AS date,
+              COUNT(*)::int AS count,
+              COALESCE(SUM(net_honey_kg), 0)::float8 AS net_honey_kg
+       FROM harvests
+       WHERE apiary_id = $1
+         AND harvest_date::date BETWEEN $2::date AND $3::date
+       GROUP BY 1`,
+      [apiaryId, from, to]
+   );
+
+   const { rows: inspections } = await pool.query(
+      `SELECT date, SUM(n)::int AS count, jsonb_object_agg(status, n) AS statuses
+       FROM (
+          SELECT to_char(i.inspection_date::date, 'YYYY-MM-DD') AS date,
+                 COALESCE(ia.status, 'unknown') AS status,
+                 COUNT(*)::int AS n
+          FROM hive_inspections i
+          JOIN hives h ON h.hive_id = i.hive_id
+          LEFT JOIN inspection_analyses ia ON ia.inspection_id = i.inspection_id
+          WHERE i.inspection_date::date BETWEEN $2::date AND $3::date
+            AND ${apiaryAtSql("i.hive_id", "i.inspection_date", "h.apiary_id")} = $1
+          GROUP BY 1, 2
+       ) s
+       GROUP BY date`,
+      [apiaryId, from, to]
+   );
+
+   const byDate = new Map();
+   const entry = (date) => {
+      if (!byDate.has(date)) byDate.set(date, { harvests: null, inspections: null });
+      return byDate.get(date);
+   };
+
+   for (const h of harvests) entry(h.date).harvests = { count: h.count, net_honey_kg: h.net_honey_kg };
+   for (const i of inspections) entry(i.date).inspections = { count: i.count, statuses: i.statuses };
+
+   return byDate;
+}
+
+module.exports = {
+   MAX_RANGE_DAYS,
+   archiveApiaryWeather,
+   getApiaryWeatherHistory,
+   archiveAllApiaries,
+   loadApiaryActivity,
+};
@@ -1,18 +1,76 @@
 // services/weatherCache.js
-const cache = new Map();
+// Weather cache shared by every replica (weather_cache table) with a small in-process
+// layer in front of it. Keys are built from rounded coordinates, never from users.
+const pool = require("../db");
 
-function getCached(key) {
-  const item = cache.get(key);
+const memory = new Map();
+const MEMORY_MAX_ENTRIES = 500;
+
+// 0.01° ≈ 1 km: every apiary / user in that cell shares the same entry
+function coordKey(lat, lng) {
+  return `${Number(lat).toFixed(2)}:${Number(lng).toFixed(2)}`;
+}
+
+function roundCoord(value) {
+  return Number(Number(value).toFixed(2));
+}
+
+function getMemory(key) {
+  const item = memory.get(key);
   if (!item) return null;
   if (Date.now() > item.expiresAt) {
-    cache.delete(key);
+    memory.delete(key);
     return null;
   }
   return item.value;
 }
 
-function setCached(key, value, ttlMs) {
-  cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+function setMemory(key, value, expiresAt) {
+  if (memory.size >= MEMORY_MAX_ENTRIES) memory.delete(memory.keys().next().value);
+  memory.set(key, { value, expiresAt });
+}
+
+async function getCached(key) {
+  const hit = getMemory(key);
+  if (hit) return hit;
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT payload, expires_at FROM weather_cache WHERE cache_key = $1 AND expires_at > now()`,
+      [key]
+    );
+    if (!rows.length) return null;
+    setMemory(key, rows[0].payload, new Date(rows[0].expires_at).getTime());
+    return rows[0].payload;
+  } catch (err) {
+    // cache is best-effort: a DB hiccup just means fetching from the provider
+    console.error("🔴 weather cache read failed:", err.message);
+    return null;
+  }
+}
+
+async function setCached(key, value, ttlMs) {
+  const expiresAt = Date.now() + ttlMs;
+  setMemory(key, value, expiresAt);
+
+  try {
+    await pool.query(
+      `INSERT INTO weather_cache (cache_key, payload, fetched_at, expires_at)
+       VALUES ($1, $2, now(), $3)
+       ON CONFLICT (cache_key) DO UPDATE SET
+         payload = EXCLUDED.payload,
+         fetched_at = EXCLUDED.fetched_at,
+         expires_at = EXCLUDED.expires_at`,
+      [key, JSON.stringify(value), new Date(expiresAt).toISOString()]
+    );
+  } catch (err) {
+    console.error("🔴 weather cache write failed:", err.message);
+  }
+}
+
+async function purgeExpired() {
+  const { rowCount } = await pool.query(`DELETE FROM weather_cache WHERE expires_at < now()`);
+  return rowCount;
 }
 
-module.exports = { getCached, setCached };
\ No newline at end of file
+module.exports = { coordKey, roundCoord, getCached, setCached, purgeExpired };
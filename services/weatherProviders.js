@@ -0,0 +1,229 @@
+// services/weatherProviders.js
+// Weather providers. Each provider:
+//   forecast(lat, lng, { pastDays }) → Open-Meteo shaped payload (current / hourly / daily),
+//                                       the shape services/weatherRules.js reads
+//   history(lat, lng, from, to)      → [{ date, temp_min, temp_max, temp_mean, precipitation_sum,
+//                                         wind_speed_max, sunshine_hours, weather_code }]
+// Picked with WEATHER_PROVIDER (openmeteo | fixture).
+const fs = require("fs");
+const axios = require("axios");
+
+const TIMEOUT_MS = Number(process.env.WEATHER_TIMEOUT_MS) || 10000;
+
+const HOURLY_VARS =
+   "temperature_2m,wind_speed_10m,precipitation_probability,precipitation,relative_humidity_2m,weather_code";
+const DAILY_VARS =
+   "weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,wind_speed_10m_max";
+const HISTORY_VARS =
+   "weather_code,temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,wind_speed_10m_max,sunshine_duration";
+
+// the forecast API serves recent past days, older days come from the archive API
+const FORECAST_PAST_LIMIT_DAYS = 92;
+
+function addDays(dateStr, n) {
+   const d = new Date(`${dateStr}T00:00:00Z`);
+   d.setUTCDate(d.getUTCDate() + n);
+   return d.toISOString().slice(0, 10);
+}
+
+function todayStr() {
+   return new Date().toISOString().slice(0, 10);
+}
+
+// daily arrays → history rows
+function dailyRows(daily) {
+   const round = (v, digits = 2) => (v === null || v === undefined ? null : Number(Number(v).toFixed(digits)));
+   return (daily?.time || []).map((date, i) => ({
+      date,
+      temp_min: round(daily.temperature_2m_min?.[i]),
+      temp_max: round(daily.temperature_2m_max?.[i]),
+      temp_mean: round(daily.temperature_2m_mean?.[i]),
+      precipitation_sum: round(daily.precipitation_sum?.[i]),
+      wind_speed_max: round(daily.wind_speed_10m_max?.[i]),
+      sunshine_hours:
+         daily.sunshine_duration?.[i] === null || daily.sunshine_duration?.[i] === undefined
+            ? null
+            : round(daily.sunshine_duration[i] / 3600),
+      weather_code: daily.weather_code?.[i] ?? null,
+   }));
+}
+
+/* -------------------------------- Open-Meteo ------------------------------- */
+
+const openMeteo = {
+   name: "openmeteo",
+
+   async forecast(lat, lng, { pastDays = 0 } = {}) {
+      const url =
+         `https://api.open-meteo.com/v1/forecast` +
+         `?latitude=${encodeURIComponent(lat)}` +
+         `&longitude=${encodeURIComponent(lng)}` +
+         `&timezone=auto` +
+         `&forecast_days=7` +
+         (pastDays > 0 ? `&past_days=${Math.min(Number(pastDays), 92)}` : "") +
+         `&current=temperature_2m,wind_speed_10m,relative_humidity_2m,is_day,weather_code` +
+         `&hourly=${HOURLY_VARS}` +
+         `&daily=${DAILY_VARS}`;
+
+      const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+      return data;
+   },
+
+   async history(lat, lng, from, to) {
+      const recentFrom = addDays(todayStr(), -FORECAST_PAST_LIMIT_DAYS + 1);
+      const ranges = [];
+      if (from < recentFrom) {
+         ranges.push({ host: "archive-api.open-meteo.com/v1/archive", from, to: to < recentFrom ? to : addDays(recentFrom, -1) });
+      }
+      if (to >= recentFrom) {
+         ranges.push({ host: "api.open-meteo.com/v1/forecast", from: from > recentFrom ? from : recentFrom, to });
+      }
+
+      const rows = [];
+      for (const range of ranges) {
+         const url =
+            `https://${range.host}` +
+            `?latitude=${encodeURIComponent(lat)}` +
+            `&longitude=${encodeURIComponent(lng)}` +
+            `&timezone=auto` +
+            `&start_date=${range.from}` +
+            `&end_date=${range.to}` +
+            `&daily=${HISTORY_VARS}`;
+
+         const { data } = await axios.get(url, { timeout: TIMEOUT_MS });
+         rows.push(...dailyRows(data?.daily));
+      }
+      return rows;
+   },
+};
+
+/* --------------------------------- fixture -------------------------------- */
+
+// deterministic weather around (lat, lng): mild, dry and calm except every 4th day (rain + wind)
+function syntheticDay(lat, lng, dateStr) {
+   const n = Math.floor(new Date(`${dateStr}T00:00:00Z`).getTime() / 86400000);
+   const seed = Math.abs(Math.round(lat * 100) + Math.round(lng * 100) + n);
+   const bad = seed % 4 === 0;
+   const base = 18 - Math.abs(lat) / 10 + (seed % 7) - 3;
+
+   return {
+      date: dateStr,
+      temp_min: Number((base - 7).toFixed(1)),
+      temp_max: Number((base + 5).toFixed(1)),
+      temp_mean: Number(base.toFixed(1)),
+      precipitation_sum: bad ? 8 : 0,
+      precipitation_probability_max: bad ? 90 : 5,
+      wind_speed_max: bad ? 30 : 10,
+      sunshine_hours: bad ? 1 : 9,
+      weather_code: bad ? 63 : 1,
+   };
+}
+
+function syntheticForecast(lat, lng, pastDays) {
+   const today = todayStr();
+   const days = [];
+   for (let i = -pastDays; i < 7; i++) days.push(syntheticDay(lat, lng, addDays(today, i)));
+
+   const hourly = {
+      time: [],
+      temperature_2m: [],
+      wind_speed_10m: [],
+      precipitation_probability: [],
+      precipitation: [],
+      relative_humidity_2m: [],
+      weather_code: [],
+   };
+   for (const d of days) {
+      for (let h = 0; h < 24; h++) {
+         const warmth = Math.sin(((h - 6) / 24) * 2 * Math.PI); // peak mid-afternoon
+         hourly.time.push(`${d.date}T${String(h).padStart(2, "0")}:00`);
+         hourly.temperature_2m.push(Number((d.temp_mean + warmth * (d.temp_max - d.temp_mean)).toFixed(1)));
+         hourly.wind_speed_10m.push(d.wind_speed_max * (0.6 + 0.4 * Math.max(warmth, 0)));
+         hourly.precipitation_probability.push(d.precipitation_probability_max);
+         hourly.precipitation.push(Number((d.precipitation_sum / 24).toFixed(2)));
+         hourly.relative_humidity_2m.push(d.precipitation_sum > 0 ? 90 : 60);
+         hourly.weather_code.push(d.weather_code);
+      }
+   }
+
+   const now = days[pastDays];
+   return {
+      latitude: lat,
+      longitude: lng,
+      timezone: "GMT",
+      current: {
+         time: `${today}T12:00`,
+         temperature_2m: now.temp_max,
+         wind_speed_10m: now.wind_speed_max / 2,
+         relative_humidity_2m: 60,
+         is_day: 1,
+         weather_code: now.weather_code,
+      },
+      hourly,
+      daily: {
+         time: days.map((d) => d.date),
+         weather_code: days.map((d) => d.weather_code),
+         temperature_2m_max: days.map((d) => d.temp_max),
+         temperature_2m_min: days.map((d) => d.temp_min),
+         precipitation_probability_max: days.map((d) => d.precipitation_probability_max),
+         precipitation_sum: days.map((d) => d.precipitation_sum),
+         wind_speed_10m_max: days.map((d) => d.wind_speed_max),
+      },
+   };
+}
+
+/**
+ * Local provider for dev / tests: WEATHER_FIXTURE_FILE (a saved Open-Meteo forecast
+ * response) when set, otherwise deterministic synthetic weather. Never calls the network.
+ */
+function createFixtureProvider(fixtureFile = process.env.WEATHER_FIXTURE_FILE) {
+   let fixture = null;
+   const loadFixture = () => {
+      if (!fixtureFile) return null;
+      if (!fixture) fixture = JSON.parse(fs.readFileSync(fixtureFile, "utf8"));
+      return fixture;
+   };
+
+   return {
+      name: "fixture",
+
+      async forecast(lat, lng, { pastDays = 0 } = {}) {
+         return loadFixture() || syntheticForecast(lat, lng, Math.min(Number(pastDays) || 0, 92));
+      },
+
+      async history(lat, lng, from, to) {
+         const data = loadFixture();
+         if (data) return dailyRows(data.daily).filter((r) => r.date >= from && r.date <= to);
+
+         const rows = [];
+         for (let d = from; d <= to; d = addDays(d, 1)) {
+            const { precipitation_probability_max, ...row } = syntheticDay(lat, lng, d);
+            rows.push(row);
+         }
+         return rows;
+      },
+   };
+}
+
+const PROVIDERS = {
+   openmeteo: openMeteo,
+   fixture: createFixtureProvider(),
+};
+
+function registerWeatherProvider(name, provider) {
+   PROVIDERS[name] = provider;
+}
+
+function getWeatherProvider() {
+   const name = process.env.WEATHER_PROVIDER || "openmeteo";
+   const provider = PROVIDERS[name];
+   if (!provider) throw new Error(`Unknown weather provider: ${name}`);
+   return provider;
+}
+
+module.exports = {
+   addDays,
+   createFixtureProvider,
+   registerWeatherProvider,
+   getWeatherProvider,
+};
@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePool } = require("./helpers/fakePool");
+const { accessRows } = require("./helpers/tenants");
+
+const pool = installFakePool();
+const {
+   loadApiaryAccess,
+   loadHiveAccess,
+   loadQueenAccess,
+   loadCompanyAccess,
+} = require("../services/accessControl");
+const requireAccess = require("../middlewares/requireAccess");
+
+function handler(sql, params) {
+   const rows = accessRows(sql, params);
+   if (rows === undefined) throw new Error(`Unexpected query: ${sql}`);
+   return rows;
+}
+
+test.beforeEach(() => pool.reset(handler));
+
+test("owner gets every action on their apiary, hive, queen and company", async () => {
+   for (const action of ["read", "write", "manage", "admin"]) {
+      const apiary = await loadApiaryAccess("10", "owner-a", action);
+      assert.equal(apiary.ok, true);
+      assert.equal(apiary.role, "owner");
+      assert.equal(apiary.apiaryId, 10);
+
+      const hive = await loadHiveAccess(100, "owner-a", action);
+      assert.equal(hive.ok, true);
+      assert.equal(hive.apiary.apiary_id, 10);
+
+      const queen = await loadQueenAccess("q-1", "owner-a", action);
+      assert.equal(queen.ok, true);
+
+      const company = await loadCompanyAccess(1, "owner-a", action);
+      assert.equal(company.ok, true);
+      assert.equal(company.role, "owner");
+   }
+});
+
+test("a user from another company sees 404, not 403", async () => {
+   const apiary = await loadApiaryAccess(10, "owner-b", "read");
+   assert.deepEqual(apiary, { ok: false, status: 404, error: "Apiary not found" });
+
+   const hive = await loadHiveAccess(100, "owner-b", "read");
+   assert.deepEqual(hive, { ok: false, status: 404, error: "Hive not found" });
+
+   const queen = await loadQueenAccess("q-1", "owner-b", "read");
+   assert.deepEqual(queen, { ok: false, status: 404, error: "Queen not found" });
+
+   const company = await loadCompanyAccess(1, "owner-b", "read");
+   assert.deepEqual(company, { ok: false, status: 404, error: "Company not found" });
+});
+
+test("inactive staff members lose access", async () => {
+   const apiary = await loadApiaryAccess(10, "former-a", "read");
+   assert.equal(apiary.status, 404);
+});
+
+test("read_only member can read but not write, manage or admin", async () => {
+   const loaders = [
+      ["apiary", (action) => loadApiaryAccess(10, "viewer-a", action)],
+      ["hive", (action) => loadHiveAccess(100, "viewer-a", action)],
+      ["queen", (action) => loadQueenAccess("q-1", "viewer-a", action)],
+      ["company", (action) => loadCompanyAccess(1, "viewer-a", action)],
+   ];
+
+   for (const [kind, load] of loaders) {
+      const readable = await load("read");
+      assert.equal(readable.ok, true, `${kind} read`);
+      assert.equal(readable.role, "read_only", `${kind} role`);
+
+      for (const action of ["write", "manage", "admin"]) {
+         const result = await load(action);
+         assert.equal(result.ok, false, `${kind} ${action}`);
+         assert.equal(result.status, 403, `${kind} ${action}`);
+         assert.equal(result.error, `Forbidden: role 'read_only' cannot ${action}`);
+      }
+   }
+});
+
+test("invalid ids are rejected before touching the database", async () => {
+   assert.equal((await loadApiaryAccess("abc", "owner-a")).status, 400);
+   assert.equal((await loadHiveAccess(-1, "owner-a")).status, 400);
+   assert.equal((await loadQueenAccess("  ", "owner-a")).status, 400);
+   assert.equal((await loadCompanyAccess("1.5", "owner-a")).status, 400);
+   assert.equal(pool.calls.length, 0);
+});
+
+function runMiddleware(middleware, req) {
+   return new Promise((resolve) => {
+      const res = {
+         statusCode: 200,
+         status(code) {
+            this.statusCode = code;
+            return this;
+         },
+         json(body) {
+            resolve({ next: false, status: this.statusCode, body, req });
+            return this;
+         },
+      };
+      middleware(req, res, () => resolve({ next: true, status: 200, req }));
+   });
+}
+
+test("requireAccess passes and sets req.access when the role allows the action", async () => {
+   const result = await runMiddleware(requireAccess("hive", "write", "hive_id"), {
+      user: { id: "owner-a" },
+      params: { hive_id: "100" },
+   });
+   assert.equal(result.next, true);
+   assert.equal(result.req.access.role, "owner");
+   assert.equal(result.req.access.hive.hive_id, 100);
+});
+
+test("requireAccess falls back to req.body for the id", async () => {
+   const result = await runMiddleware(requireAccess("apiary", "read", "apiary_id"), {
+      user: { id: "viewer-a" },
+      params: {},
+      body: { apiary_id: 10 },
+   });
+   assert.equal(result.next, true);
+   assert.equal(result.req.access.role, "read_only");
+});
+
+test("requireAccess answers 403 for a read_only member on write, manage and admin", async () => {
+   for (const action of ["write", "manage", "admin"]) {
+      const result = await runMiddleware(requireAccess("apiary", action, "apiary_id"), {
+         user: { id: "viewer-a" },
+         params: { apiary_id: "10" },
+      });
+      assert.equal(result.next, false);
+      assert.equal(result.status, 403);
+      assert.equal(result.body.error, `Forbidden: role 'read_only' cannot ${action}`);
+   }
+});
+
+test("requireAccess answers 404 for a user from another company", async () => {
+   const result = await runMiddleware(requireAccess("queen", "read", "queen_id"), {
+      user: { id: "owner-b" },
+      params: { queen_id: "q-1" },
+   });
+   assert.equal(result.next, false);
+   assert.equal(result.status, 404);
+});
+
+test("requireAccess answers 401 without a user and 500 when the database fails", async () => {
+   const anonymous = await runMiddleware(requireAccess("apiary", "read", "apiary_id"), {
+      params: { apiary_id: "10" },
+   });
+   assert.equal(anonymous.status, 401);
+
+   pool.reset(() => {
+      throw new Error("connection lost");
+   });
+   const originalError = console.error;
+   console.error = () => {};
+   try {
+      const broken = await runMiddleware(requireAccess("apiary", "read", "apiary_id"), {
+         user: { id: "owner-a" },
+         params: { apiary_id: "10" },
+      });
+      assert.equal(broken.status, 500);
+      assert.equal(broken.body.error, "Failed to verify access");
+   } finally {
+      console.error = originalError;
+   }
+});
+
+test("requireAccess rejects unknown resources at setup time", () => {
+   assert.throws(() => requireAccess("beehive"), /unknown resource 'beehive'/);
+});
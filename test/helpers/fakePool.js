@@ -0,0 +1,41 @@
+// test/helpers/fakePool.js
+// Replaces ../db in require.cache with an in-memory stand-in so services can
+// be required without a database. Each test sets pool.handler(sql, params)
+// → rows; every query is recorded in pool.calls.
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "../..");
+
+// Must run before the module (or anything requiring it) is loaded
+function stubModule(relativePath, exports) {
+   const filename = require.resolve(path.join(ROOT, relativePath));
+   require.cache[filename] = { id: filename, filename, loaded: true, exports };
+   return exports;
+}
+
+function createFakePool() {
+   const pool = {
+      calls: [],
+      handler: () => [],
+      async query(sql, params = []) {
+         const text = typeof sql === "string" ? sql : sql.text;
+         pool.calls.push({ sql: text, params });
+         const rows = (await pool.handler(text, params)) || [];
+         return { rows, rowCount: rows.length };
+      },
+      async connect() {
+         return { query: pool.query, release() {} };
+      },
+      reset(handler = () => []) {
+         pool.calls = [];
+         pool.handler = handler;
+      },
+   };
+   return pool;
+}
+
+function installFakePool() {
+   return stubModule("db.js", createFakePool());
+}
+
+module.exports = { stubModule, createFakePool, installFakePool };
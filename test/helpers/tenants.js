@@ -0,0 +1,74 @@
+// test/helpers/tenants.js
+// Two-tenant fixture for the fake pool: company 1 is owned by owner-a and
+// viewer-a is a read_only member of it; owner-b owns company 2 and has no
+// link to company 1. Everything below hangs off apiary 10.
+const COMPANIES = [
+   { company_id: 1, owner_user_id: "owner-a" },
+   { company_id: 2, owner_user_id: "owner-b" },
+];
+const STAFF = [
+   { company_id: 1, user_id: "viewer-a", role_name: "read_only", active: true },
+   { company_id: 1, user_id: "former-a", role_name: "manager", active: false },
+];
+const APIARIES = [{ apiary_id: 10, apiary_name: "Home", owner_user_id: "owner-a", company_id: 1 }];
+const HIVES = [{ hive_id: 100, apiary_id: 10, hive_code: "H-100" }];
+const QUEENS = [{ queen_id: "q-1", owner_user_id: "owner-a", hive_id: 100 }];
+const INSPECTIONS = [{ inspection_id: 500, hive_id: 100, user_id: "owner-a" }];
+const SESSIONS = {
+   pairing_sessions: [{ id: 900, apiary_id: 10 }],
+   nuc_cycles: [{ id: 800, apiary_id: 10 }],
+   inventory_sessions: [{ id: 700, apiary_id: 10 }],
+};
+
+function withApiary(row, apiaryId) {
+   const a = APIARIES.find((x) => x.apiary_id === apiaryId);
+   return {
+      ...row,
+      apiary_id: a ? a.apiary_id : null,
+      apiary_name: a ? a.apiary_name : null,
+      apiary_owner_user_id: a ? a.owner_user_id : null,
+      apiary_company_id: a ? a.company_id : null,
+   };
+}
+
+// Answers the access-control queries; returns undefined for anything else
+function accessRows(sql, params) {
+   if (/FROM companies c/.test(sql)) {
+      const userId = params[0];
+      return [
+         ...COMPANIES.filter((c) => c.owner_user_id === userId).map((c) => ({
+            company_id: c.company_id,
+            role_name: "owner",
+         })),
+         ...STAFF.filter((s) => s.user_id === userId && s.active).map((s) => ({
+            company_id: s.company_id,
+            role_name: s.role_name,
+         })),
+      ];
+   }
+   if (/FROM apiaries WHERE apiary_id/.test(sql)) {
+      return APIARIES.filter((a) => a.apiary_id === params[0]);
+   }
+   if (/FROM apiaries\s+WHERE owner_user_id = \$1/.test(sql)) {
+      return APIARIES.filter((a) => a.owner_user_id === params[0] || params[1].includes(a.company_id));
+   }
+   if (/FROM hives h\s+JOIN apiaries a/.test(sql)) {
+      return HIVES.filter((h) => h.hive_id === params[0]).map((h) => withApiary(h, h.apiary_id));
+   }
+   if (/FROM queens q/.test(sql)) {
+      return QUEENS.filter((q) => q.queen_id === params[0]).map((q) => {
+         const h = HIVES.find((x) => x.hive_id === q.hive_id);
+         return withApiary(q, h && h.apiary_id);
+      });
+   }
+   if (/FROM hive_inspections WHERE inspection_id/.test(sql)) {
+      return INSPECTIONS.filter((i) => i.inspection_id === params[0]);
+   }
+   const session = sql.match(/FROM (\w+) WHERE \w+::text = \$1/);
+   if (session && SESSIONS[session[1]]) {
+      return SESSIONS[session[1]].filter((s) => String(s.id) === params[0]);
+   }
+   return undefined;
+}
+
+module.exports = { COMPANIES, STAFF, APIARIES, HIVES, QUEENS, INSPECTIONS, SESSIONS, accessRows };
@@ -0,0 +1,241 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePool, stubModule } = require("./helpers/fakePool");
+
+const pool = installFakePool();
+const emails = new Map();
+stubModule("utils/supabaseClient.js", {});
+stubModule("utils/supabaseAdmin.js", {
+   auth: {
+      admin: {
+         async getUserById(userId) {
+            return { data: { user: { email: emails.get(userId) || null } }, error: null };
+         },
+      },
+   },
+});
+
+const { stubOutbox, registerTransport } = require("../services/notificationTransports");
+const { deliver, runNotificationJob } = require("../services/notificationService");
+
+// In-memory notification tables, enough for deliver()
+let db;
+
+function resetDb() {
+   db = { preferences: new Map(), devices: [], deliveries: [], nextId: 1, now: Date.now() };
+   emails.clear();
+   stubOutbox.length = 0;
+}
+
+function handler(sql, params) {
+   if (/FROM notification_preferences/.test(sql)) {
+      const row = db.preferences.get(params[0]);
+      return row ? [row] : [];
+   }
+   if (/INSERT INTO notification_deliveries/.test(sql)) {
+      const [userId, channel, transport, category, dedupeKey, title, body, data, maxAttempts, staleMinutes] =
+         params;
+      const existing = db.deliveries.find(
+         (d) => d.user_id === userId && d.channel === channel && d.dedupe_key === dedupeKey
+      );
+      if (!existing) {
+         const row = {
+            delivery_id: db.nextId++,
+            user_id: userId,
+            channel,
+            transport,
+            category,
+            dedupe_key: dedupeKey,
+            title,
+            body,
+            data,
+            status: "pending",
+            attempts: 1,
+            error: null,
+            claimed_at: db.now,
+         };
+         db.deliveries.push(row);
+         return [{ delivery_id: row.delivery_id }];
+      }
+
+      const stale = existing.status === "pending" && existing.claimed_at < db.now - staleMinutes * 60000;
+      if ((existing.status !== "failed" && !stale) || existing.attempts >= maxAttempts) return [];
+
+      Object.assign(existing, {
+         attempts: existing.attempts + 1,
+         status: "pending",
+         transport,
+         error: null,
+         claimed_at: db.now,
+      });
+      return [{ delivery_id: existing.delivery_id }];
+   }
+   if (/SELECT token FROM notification_devices/.test(sql)) {
+      return db.devices.filter((d) => d.user_id === params[0]).map((d) => ({ token: d.token }));
+   }
+   if (/DELETE FROM notification_devices WHERE token = ANY/.test(sql)) {
+      db.devices = db.devices.filter((d) => !params[0].includes(d.token));
+      return [];
+   }
+   if (/UPDATE notification_deliveries/.test(sql)) {
+      const row = db.deliveries.find((d) => d.delivery_id === params[0]);
+      Object.assign(row, { status: params[1], error: params[2] });
+      return [];
+   }
+   throw new Error(`Unexpected query: ${sql}`);
+}
+
+const notification = (dedupeKey = "task:1:2026-05-01", category = "revisit") => ({
+   category,
+   dedupe_key: dedupeKey,
+   title: "Inspection revisit due",
+   body: "Revisit planned for 2026-05-01.",
+   data: { type: "task", task_id: 1 },
+});
+
+test.beforeEach(() => {
+   process.env.NOTIFY_PUSH_TRANSPORT = "stub";
+   process.env.NOTIFY_EMAIL_TRANSPORT = "stub";
+   resetDb();
+   pool.reset(handler);
+});
+
+test("sends on the default channel (push) through the stub transport", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+
+   const results = await deliver("u1", notification());
+
+   assert.deepEqual(results, [{ channel: "push", status: "sent", delivery_id: 1 }]);
+   assert.equal(stubOutbox.length, 1);
+   assert.equal(stubOutbox[0].channel, "push");
+   assert.deepEqual(stubOutbox[0].recipient, ["ExponentPushToken[a]"]);
+   assert.equal(stubOutbox[0].message.title, "Inspection revisit due");
+});
+
+test("the same dedupe key is delivered once per channel", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+
+   await deliver("u1", notification());
+   const again = await deliver("u1", notification());
+
+   assert.deepEqual(again, []);
+   assert.equal(stubOutbox.length, 1);
+
+   const other = await deliver("u1", notification("task:1:2026-05-02"));
+   assert.equal(other[0].status, "sent");
+   assert.equal(stubOutbox.length, 2);
+});
+
+test("preferences pick the channels and can turn notifications off", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+   emails.set("u1", "beekeeper@example.com");
+   db.preferences.set("u1", {
+      enabled: true,
+      categories: { revisit: { push: false, email: true }, weather: { push: false } },
+   });
+
+   const revisit = await deliver("u1", notification());
+   assert.deepEqual(revisit.map((r) => [r.channel, r.status]), [["email", "sent"]]);
+   assert.equal(stubOutbox[0].recipient, "beekeeper@example.com");
+
+   assert.deepEqual(await deliver("u1", notification("weather:10:2026-05-01", "weather")), []);
+
+   db.preferences.set("u2", { enabled: false, categories: {} });
+   assert.deepEqual(await deliver("u2", notification()), []);
+   assert.equal(stubOutbox.length, 1);
+});
+
+test("a user without a device is logged as skipped, not retried", async () => {
+   const results = await deliver("u1", notification());
+   assert.deepEqual(results, [{ channel: "push", status: "skipped", delivery_id: 1 }]);
+   assert.equal(db.deliveries[0].error, "No device registered");
+
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+   assert.deepEqual(await deliver("u1", notification()), []);
+});
+
+test("failed deliveries are retried until MAX_ATTEMPTS", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+   let calls = 0;
+   registerTransport("push", "flaky", {
+      async send() {
+         calls += 1;
+         return calls < 3 ? { ok: false, error: "Expo unavailable" } : { ok: true };
+      },
+   });
+   process.env.NOTIFY_PUSH_TRANSPORT = "flaky";
+
+   assert.equal((await deliver("u1", notification()))[0].status, "failed");
+   assert.equal(db.deliveries[0].error, "Expo unavailable");
+   assert.equal((await deliver("u1", notification()))[0].status, "failed");
+   assert.equal((await deliver("u1", notification()))[0].status, "sent");
+   assert.equal(db.deliveries[0].attempts, 3);
+   assert.equal(db.deliveries[0].transport, "flaky");
+
+   // sent: nothing left to retry
+   assert.deepEqual(await deliver("u1", notification()), []);
+   assert.equal(calls, 3);
+});
+
+test("retries stop after MAX_ATTEMPTS failures", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+   registerTransport("push", "down", {
+      async send() {
+         throw new Error("socket hang up");
+      },
+   });
+   process.env.NOTIFY_PUSH_TRANSPORT = "down";
+
+   for (let i = 0; i < 3; i++) {
+      assert.equal((await deliver("u1", notification()))[0].status, "failed");
+   }
+   assert.deepEqual(await deliver("u1", notification()), []);
+   assert.equal(db.deliveries[0].attempts, 3);
+   assert.equal(db.deliveries[0].error, "socket hang up");
+});
+
+test("a pending delivery left by an interrupted run is retried once stale", async () => {
+   db.devices.push({ user_id: "u1", token: "ExponentPushToken[a]" });
+   db.deliveries.push({
+      delivery_id: 7,
+      user_id: "u1",
+      channel: "push",
+      dedupe_key: "task:1:2026-05-01",
+      status: "pending",
+      attempts: 1,
+      claimed_at: db.now - 5 * 60000,
+   });
+   db.nextId = 8;
+
+   // still in progress in another run
+   assert.deepEqual(await deliver("u1", notification()), []);
+
+   db.deliveries[0].claimed_at = db.now - 60 * 60000;
+   assert.deepEqual(await deliver("u1", notification()), [{ channel: "push", status: "sent", delivery_id: 7 }]);
+   assert.equal(db.deliveries[0].attempts, 2);
+});
+
+test("tokens reported as unregistered are removed", async () => {
+   db.devices.push({ user_id: "u1", token: "old" }, { user_id: "u1", token: "new" });
+   registerTransport("push", "partial", {
+      async send() {
+         return { ok: true, invalidTokens: ["old"] };
+      },
+   });
+   process.env.NOTIFY_PUSH_TRANSPORT = "partial";
+
+   assert.equal((await deliver("u1", notification()))[0].status, "sent");
+   assert.deepEqual(db.devices.map((d) => d.token), ["new"]);
+});
+
+test("a dry run reads the stored tasks and writes nothing", async () => {
+   pool.reset((sql) => {
+      if (/FROM tasks t/.test(sql) && /^\s*SELECT/.test(sql)) return [];
+      throw new Error(`Unexpected query: ${sql}`);
+   });
+
+   const summary = await runNotificationJob({ dryRun: true });
+   assert.equal(summary.tasks, 0);
+   assert.deepEqual(summary.notifications, []);
+   assert.ok(pool.calls.every((c) => /^\s*SELECT/.test(c.sql)));
+});
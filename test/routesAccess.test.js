@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { installFakePool, stubModule } = require("./helpers/fakePool");
+const { accessRows } = require("./helpers/tenants");
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://localhost:54321";
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || "test";
+
+const pool = installFakePool();
+
+// Any data access means the request got past the access check: it is
+// recorded and then fails, so a denied request can't be mistaken for one
+// that ran and found nothing
+let reachedData = false;
+const untouchable = new Proxy(
+   {},
+   {
+      get(_, prop) {
+         reachedData = true;
+         throw new Error(`supabase.${String(prop)} used past the access check`);
+      },
+   },
+);
+stubModule("utils/supabaseClient.js", untouchable);
+stubModule("utils/supabaseAdmin.js", untouchable);
+stubModule("node_modules/@supabase/supabase-js", { createClient: () => untouchable });
+
+stubModule("middlewares/authMiddleware.js", (req, res, next) => {
+   const userId = req.headers["x-test-user"];
+   if (!userId) return res.status(401).json({ error: "Unauthorized" });
+   req.user = { id: userId };
+   next();
+});
+
+const app = express();
+app.use(express.json());
+app.use("/api/apiaries", require("../routes/apiaries"));
+app.use("/api/hives", require("../routes/hives"));
+app.use("/api/inspections", require("../routes/inspections"));
+app.use("/api/varroa-tests", require("../routes/varroaTests"));
+app.use("/api/nuc-cycles", require("../routes/nucCycles"));
+app.use("/api/inventory", require("../routes/inventory"));
+app.use("/api/pairing-sessions", require("../routes/pairingSessions"));
+
+let server;
+let baseUrl;
+const quiet = { warn: console.warn, error: console.error };
+
+test.before(async () => {
+   // Denied requests and the failing data stubs log on purpose
+   console.warn = () => {};
+   console.error = () => {};
+   await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+   });
+   baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+   await new Promise((resolve) => server.close(resolve));
+   Object.assign(console, quiet);
+});
+
+test.beforeEach(() => {
+   reachedData = false;
+   pool.reset((sql, params) => {
+      const rows = accessRows(sql, params);
+      if (rows !== undefined) return rows;
+      reachedData = true;
+      throw new Error(`Query ran past the access check: ${sql}`);
+   });
+});
+
+async function call(userId, method, url, body) {
+   const res = await fetch(baseUrl + url, {
+      method,
+      headers: { "content-type": "application/json", "x-test-user": userId },
+      body: body === undefined ? undefined : JSON.stringify(body),
+   });
+   return res.status;
+}
+
+const READS = [
+   ["GET", "/api/apiaries/10"],
+   ["GET", "/api/hives/100"],
+   ["GET", "/api/inspections/hive/100"],
+   ["GET", "/api/varroa-tests/hive/100"],
+   ["GET", "/api/nuc-cycles/by-apiary/10/list"],
+   ["GET", "/api/inventory/inventory-sessions/700"],
+   ["GET", "/api/pairing-sessions/by-apiary/10"],
+   ["GET", "/api/pairing-sessions/900"],
+];
+
+const WRITES = [
+   ["PUT", "/api/apiaries/10", { apiary_name: "Renamed" }],
+   ["DELETE", "/api/apiaries/10"],
+   ["PATCH", "/api/hives/100", { hive_type: "dadant" }],
+   ["DELETE", "/api/hives/100"],
+   ["PATCH", "/api/inspections/500", { notes: "x" }],
+   ["DELETE", "/api/inspections/500"],
+   [
+      "POST",
+      "/api/varroa-tests",
+      { hive_id: 100, apiary_id: 10, test_type: "alcohol_wash", mites_count: 3, bees_sampled: 300 },
+   ],
+   ["POST", "/api/nuc-cycles/800/check", { status: "ok" }],
+   ["POST", "/api/inventory/inventory-sessions", { apiary_id: 10 }],
+   ["DELETE", "/api/inventory/inventory-sessions/700"],
+   ["POST", "/api/pairing-sessions", { apiary_id: 10 }],
+   ["DELETE", "/api/pairing-sessions/900"],
+];
+
+test("a user from another company gets 404 on read routes", async () => {
+   for (const [method, url] of READS) {
+      assert.equal(await call("owner-b", method, url), 404, `${method} ${url}`);
+      assert.equal(reachedData, false, `${method} ${url}`);
+   }
+});
+
+test("an inactive staff member gets 404 on read routes", async () => {
+   for (const [method, url] of READS) {
+      assert.equal(await call("former-a", method, url), 404, `${method} ${url}`);
+   }
+});
+
+test("a read_only member passes the read check on read routes", async () => {
+   for (const [method, url] of READS) {
+      reachedData = false;
+      const status = await call("viewer-a", method, url);
+      assert.ok(status === 200 || reachedData, `${method} ${url} → ${status}`);
+   }
+});
+
+test("a user from another company gets 404 on write routes", async () => {
+   for (const [method, url, body] of WRITES) {
+      assert.equal(await call("owner-b", method, url, body), 404, `${method} ${url}`);
+      assert.equal(reachedData, false, `${method} ${url}`);
+   }
+});
+
+test("a read_only member gets 403 on write routes", async () => {
+   for (const [method, url, body] of WRITES) {
+      assert.equal(await call("viewer-a", method, url, body), 403, `${method} ${url}`);
+      assert.equal(reachedData, false, `${method} ${url}`);
+   }
+});
+
+test("requests without a user are refused", async () => {
+   for (const [method, url] of READS) {
+      const res = await fetch(baseUrl + url, { method });
+      assert.equal(res.status, 401, `${method} ${url}`);
+   }
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installFakePool, stubModule } = require("./helpers/fakePool");
+
+process.env.WEATHER_PROVIDER = "fixture";
+delete process.env.WEATHER_FIXTURE_FILE;
+
+const pool = installFakePool();
+stubModule("utils/supabaseClient.js", {});
+
+const { addDays, getWeatherProvider } = require("../services/weatherProviders");
+const { fetchWeather, fetchDailyHistory } = require("../services/weather.service");
+const { getApiaryWeatherHistory } = require("../services/weatherArchive");
+
+const MINUTE = 60 * 1000;
+const today = () => new Date().toISOString().slice(0, 10);
+
+// In-memory weather_cache and weather_daily_archive tables
+let db;
+
+function handler(sql, params) {
+   if (/FROM weather_cache/.test(sql)) {
+      const row = db.cache.get(params[0]);
+      return row && new Date(row.expires_at).getTime() > Date.now() ? [row] : [];
+   }
+   if (/INSERT INTO weather_cache/.test(sql)) {
+      db.cache.set(params[0], { payload: JSON.parse(params[1]), expires_at: params[2] });
+      return [];
+   }
+   if (/FROM weather_daily_archive/.test(sql)) {
+      const [apiaryId, from, to] = params;
+      return [...db.archive.values()]
+         .filter((d) => d.apiary_id === apiaryId && d.date >= from && d.date <= to)
+         .sort((a, b) => a.date.localeCompare(b.date))
+         .map(({ apiary_id, lat, lng, ...day }) => day);
+   }
+   if (/INSERT INTO weather_daily_archive/.test(sql)) {
+      const [apiaryId, date, provider, lat, lng, tempMin, tempMax, tempMean, precipitation, wind, sunshine, code] =
+         params;
+      db.archive.set(`${apiaryId}|${date}`, {
+         apiary_id: apiaryId,
+         date,
+         provider,
+         lat,
+         lng,
+         temp_min: tempMin,
+         temp_max: tempMax,
+         temp_mean: tempMean,
+         precipitation_sum: precipitation,
+         wind_speed_max: wind,
+         sunshine_hours: sunshine,
+         weather_code: code,
+      });
+      return [];
+   }
+   throw new Error(`Unexpected query: ${sql}`);
+}
+
+test.beforeEach(() => {
+   db = { cache: new Map(), archive: new Map() };
+   pool.reset(handler);
+});
+
+test("WEATHER_PROVIDER=fixture never leaves the process and is deterministic", async () => {
+   const provider = getWeatherProvider();
+   assert.equal(provider.name, "fixture");
+
+   const a = await provider.forecast(45.76, 4.84, { pastDays: 3 });
+   const b = await provider.forecast(45.76, 4.84, { pastDays: 3 });
+   assert.deepEqual(a, b);
+   assert.equal(a.daily.time.length, 10);
+   assert.equal(a.daily.time[3], today());
+   assert.equal(a.hourly.time.length, 10 * 24);
+
+   const { provider: name, rows } = await fetchDailyHistory(45.76, 4.84, "2025-03-01", "2025-03-07");
+   assert.equal(name, "fixture");
+   assert.deepEqual(
+      rows.map((r) => r.date),
+      ["2025-03-01", "2025-03-02", "2025-03-03", "2025-03-04", "2025-03-05", "2025-03-06", "2025-03-07"]
+   );
+   assert.ok(rows.every((r) => !("precipitation_probability_max" in r)));
+});
+
+test("forecasts are cached per rounded coordinates for 30 minutes", async (t) => {
+   const provider = getWeatherProvider();
+   const forecast = t.mock.method(provider, "forecast");
+   let now = Date.now();
+   t.mock.method(Date, "now", () => now);
+
+   const first = await fetchWeather(43.6112, 3.8767);
+   assert.equal(forecast.mock.callCount(), 1);
+   assert.deepEqual(forecast.mock.calls[0].arguments.slice(0, 2), [43.61, 3.88]);
+
+   const stored = db.cache.get("fixture:forecast:43.61:3.88:p0");
+   assert.ok(stored, "written to weather_cache");
+   assert.equal(new Date(stored.expires_at).getTime(), now + 30 * MINUTE);
+
+   // same ~1 km cell, 29 minutes later: served from the cache
+   now += 29 * MINUTE;
+   assert.deepEqual(await fetchWeather(43.6149, 3.8751), first);
+   assert.equal(forecast.mock.callCount(), 1);
+
+   // expired: fetched again and the cache entry is refreshed
+   now += 2 * MINUTE;
+   await fetchWeather(43.6112, 3.8767);
+   assert.equal(forecast.mock.callCount(), 2);
+   assert.equal(new Date(db.cache.get("fixture:forecast:43.61:3.88:p0").expires_at).getTime(), now + 30 * MINUTE);
+
+   // pastDays is part of the key
+   await fetchWeather(43.6112, 3.8767, { pastDays: 7 });
+   assert.equal(forecast.mock.callCount(), 3);
+   assert.ok(db.cache.has("fixture:forecast:43.61:3.88:p7"));
+});
+
+test("an entry written by another replica is served from weather_cache", async (t) => {
+   const provider = getWeatherProvider();
+   const forecast = t.mock.method(provider, "forecast");
+   const payload = { daily: { time: ["2025-06-01"] }, from: "other replica" };
+   db.cache.set("fixture:forecast:48.85:2.35:p0", {
+      payload,
+      expires_at: new Date(Date.now() + 10 * MINUTE).toISOString(),
+   });
+
+   assert.deepEqual(await fetchWeather(48.853, 2.349), payload);
+   assert.equal(forecast.mock.callCount(), 0);
+});
+
+test("history fills the missing past days from the provider and stores them", async (t) => {
+   const provider = getWeatherProvider();
+   const history = t.mock.method(provider, "history");
+   const apiary = { apiary_id: 7, location: "45.76, 4.84" };
+
+   const from = addDays(today(), -6);
+   const to = addDays(today(), 2);
+   // days -6, -5 and -2 are already archived
+   for (const offset of [-6, -5, -2]) {
+      const date = addDays(today(), offset);
+      db.archive.set(`7|${date}`, { apiary_id: 7, date, provider: "openmeteo", temp_max: 99 });
+   }
+
+   const { days, missing } = await getApiaryWeatherHistory(apiary, from, to);
+
+   // one provider call covering the first to the last missing day, clipped to yesterday
+   assert.equal(history.mock.callCount(), 1);
+   assert.deepEqual(history.mock.calls[0].arguments, [45.76, 4.84, addDays(today(), -4), addDays(today(), -1)]);
+
+   assert.deepEqual(missing, []);
+   assert.deepEqual(
+      days.map((d) => d.date),
+      [-6, -5, -4, -3, -2, -1].map((n) => addDays(today(), n))
+   );
+   // today and the future are never archived as observed
+   assert.ok(!db.archive.has(`7|${today()}`));
+
+   const filled = days.find((d) => d.date === addDays(today(), -3));
+   assert.equal(filled.provider, "fixture");
+   // the re-fetched range overwrote day -2, the older archived days were left alone
+   assert.equal(days.find((d) => d.date === addDays(today(), -6)).temp_max, 99);
+   assert.equal(days.find((d) => d.date === addDays(today(), -2)).provider, "fixture");
+});
+
+test("history with fill = false reports the gaps without calling the provider", async (t) => {
+   const provider = getWeatherProvider();
+   const history = t.mock.method(provider, "history");
+   const apiary = { apiary_id: 7, location: "45.76,4.84" };
+   const from = addDays(today(), -3);
+
+   const { days, missing } = await getApiaryWeatherHistory(apiary, from, today(), { fill: false });
+
+   assert.equal(history.mock.callCount(), 0);
+   assert.deepEqual(days, []);
+   assert.deepEqual(missing, [-3, -2, -1].map((n) => addDays(today(), n)));
+});
+
+test("an apiary without coordinates keeps its gaps", async (t) => {
+   const provider = getWeatherProvider();
+   const history = t.mock.method(provider, "history");
+
+   const { missing } = await getApiaryWeatherHistory(
+      { apiary_id: 8, location: null },
+      addDays(today(), -2),
+      addDays(today(), -1)
+   );
+
+   assert.equal(history.mock.callCount(), 0);
+   assert.equal(missing.length, 2);
+});
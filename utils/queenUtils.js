@@ -116,6 +116,88 @@ function buildLotCode(season, dayOfYear, lineIndexInSession) {
    return `${yy}.${ddd}.${line}`;
 }
 
+// Creates a graft session and its lines (one LotGref per line) inside the caller's
+// transaction. lines: [{ strain_id, breeder_id?, num_strips, cells_accepted? }]
+// → { session, lines }
+async function createGraftSession(ownerId, graftDate, lines, client = pool) {
+   const settings = await getOrCreateQueenSettings(ownerId, client);
+   const dateObj = new Date(graftDate);
+   const season = getSeason(dateObj);
+   const dayOfYear = getDayOfYear(dateObj);
+
+   const graftIndex = await getNextGraftIndexForSeason(ownerId, season, client);
+
+   // create session
+   const sessionInsert = await client.query(
+      `
+      INSERT INTO queen_graft_sessions (
+         owner_id, season, graft_date, graft_index_season, graft_day_of_year
+      )
+      VALUES ($1,$2,$3,$4,$5)
+      RETURNING *
+      `,
+      [ownerId, season, graftDate, graftIndex, dayOfYear]
+   );
+   const session = sessionInsert.rows[0];
+
+   const { g10, emergence, laying } = computeGraftDerivedDates(graftDate, settings);
+
+   const createdLines = [];
+   let lineIndexInSession = 0;
+
+   // 👇 NEW: find the next LgGref for that day
+   let nextLgGref = await getNextLineIndexForDay(ownerId, season, dayOfYear, client);
+
+   for (const line of lines) {
+      lineIndexInSession += 1; // purely internal, per session
+      const lgGref = nextLgGref++; // 👈 this is the LgGref used in LotGref (per *day*)
+
+      const cellsPerStrip = settings.cells_per_strip;
+      const cellsGrafted = (line.num_strips || 0) * cellsPerStrip;
+
+      const lotCode = buildLotCode(season, dayOfYear, lgGref); // 👈 now correct
+
+      const lineInsert = await client.query(
+         `
+   INSERT INTO queen_graft_lines (
+      session_id,
+      line_index_in_session,
+      strain_id,
+      breeder_id,
+      num_strips,
+      cells_grafted,
+      cells_accepted,
+      lot_code,
+      date_g10,
+      date_emergence,
+      date_laying_expected
+   )
+   VALUES (
+      $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11
+   )
+   RETURNING *
+   `,
+         [
+            session.id,
+            lineIndexInSession,
+            line.strain_id,
+            line.breeder_id || null,
+            line.num_strips,
+            cellsGrafted,
+            line.cells_accepted || null,
+            lotCode,
+            g10,
+            emergence,
+            laying,
+         ]
+      );
+
+      createdLines.push(lineInsert.rows[0]);
+   }
+
+   return { session, lines: createdLines };
+}
+
 // ---------- CELLS HELPERS ----------
 
 async function generateCellsForLine({
@@ -124,6 +206,7 @@ async function generateCellsForLine({
    cellsCount,
    client = pool,
    buildQrPayload,
+   acceptedCount = 0, // cells 1..acceptedCount start as accepted, the others as grafted
 }) {
    if (cellsCount <= 0) return [];
 
@@ -175,6 +258,7 @@ async function generateCellsForLine({
          cell_index: cellIndex,
          full_lot_number: fullLotNumber,
          qr_payload: qrPayload,
+         status: cellIndex <= acceptedCount ? "accepted" : "grafted",
       });
    }
 
@@ -183,15 +267,15 @@ async function generateCellsForLine({
    let paramIndex = 1;
 
    cells.forEach((c) => {
-      params.push(c.line_id, c.cell_index, c.full_lot_number, c.qr_payload);
+      params.push(c.line_id, c.cell_index, c.full_lot_number, c.qr_payload, c.status);
       values.push(
-         `($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}::jsonb)`
+         `($${paramIndex++}, $${paramIndex++}, $${paramIndex++}, $${paramIndex++}::jsonb, $${paramIndex++})`
       );
    });
 
    const { rows } = await client.query(
       `
-      INSERT INTO queen_cells (line_id, cell_index, full_lot_number, qr_payload)
+      INSERT INTO queen_cells (line_id, cell_index, full_lot_number, qr_payload, status)
       VALUES ${values.join(",")}
       ON CONFLICT (line_id, cell_index) DO NOTHING
       RETURNING *
@@ -236,4 +320,5 @@ module.exports = {
    generateCellsForLine,
    defaultQrPayloadBuilder,
    getNextLineIndexForDay, // 👈 add this
+   createGraftSession,
 };